@@ -1,253 +1,4727 @@
-from fastapi import FastAPI, HTTPException
-from fastapi.middleware.cors import CORSMiddleware
-
-# -------------------------
-# App setup
-# -------------------------
-app = FastAPI()
-
-app.add_middleware(
-    CORSMiddleware,
-    allow_origins=["http://localhost:5173"],
-    allow_credentials=True,
-    allow_methods=["*"],
-    allow_headers=["*"],
-)
-
-# -------------------------
-# Status weights for progress calculation
-# -------------------------
-STATUS_WEIGHT = {
-    "NOT_STARTED": 0.0,
-    "IN_PROGRESS": 0.5,
-    "COMPLETED": 1.0,
-}
-
-# -------------------------
-# Helper: calculate completion %
-# -------------------------
-def calc_pct(steps: list) -> int:
-    """
-    Calculates completion percentage from step statuses.
-    """
-    if not steps:
-        return 0
-
-    total = sum(STATUS_WEIGHT.get(step.get("status"), 0.0) for step in steps)
-    return round((total / len(steps)) * 100)
-
-# -------------------------
-# Helper: recompute all completion percentages
-# -------------------------
-def recompute(journey: dict) -> None:
-    """
-    Recalculates:
-    - each stage completion %
-    - entire journey completion %
-    """
-
-    # Ensure stages list exists
-    journey.setdefault("stages", [])
-
-    # Recompute each stage
-    for stage in journey["stages"]:
-        stage.setdefault("steps", [])
-        stage["completion_pct"] = calc_pct(stage["steps"])
-
-    # Recompute journey using ALL steps
-    all_steps = []
-    for stage in journey["stages"]:
-        all_steps.extend(stage["steps"])
-
-    journey["completion_pct"] = calc_pct(all_steps)
-
-# -------------------------
-# Helper: generate new IDs
-# -------------------------
-def new_id(prefix: str, existing_ids: set) -> str:
-    """
-    Generates a unique ID like s1, s2, t1, t2...
-    """
-    i = 1
-    while True:
-        cid = f"{prefix}{i}"
-        if cid not in existing_ids:
-            return cid
-        i += 1
-
-# -------------------------
-# Helper: find journey by stage_id
-# -------------------------
-def find_journey_by_stage(stage_id: str):
-    """
-    Finds which journey owns a given stage.
-    """
-    for journey in journey_store.values():
-        for stage in journey.get("stages", []):
-            if stage.get("stage_id") == stage_id:
-                return journey, stage
-    return None, None
-
-# -------------------------
-# Helper: find journey by step_id
-# -------------------------
-def find_journey_by_step(step_id: str):
-    """
-    Finds which journey & stage owns a given step.
-    """
-    for journey in journey_store.values():
-        for stage in journey.get("stages", []):
-            for step in stage.get("steps", []):
-                if step.get("step_id") == step_id:
-                    return journey, stage, step
-    return None, None, None
-
-# -------------------------
-# In-memory data store (demo only)
-# -------------------------
-journey_store = {
-    "123": {
-        "journey_id": "123",
-        "name": "ISO27001 Readiness",
-        "completion_pct": 0,
-        "stages": [
-            {
-                "stage_id": "s1",
-                "name": "Initial Scoping",
-                "completion_pct": 0,
-                "steps": [
-                    {"step_id": "t1", "name": "Kickoff Call", "status": "COMPLETED"},
-                    {"step_id": "t2", "name": "Define Scope", "status": "IN_PROGRESS"},
-                ],
-            },
-            {
-                "stage_id": "s2",
-                "name": "Onboarding",
-                "completion_pct": 0,
-                "steps": [
-                    {"step_id": "t3", "name": "Connect AWS", "status": "NOT_STARTED"},
-                ],
-            },
-        ],
-    }
-}
-
-# ======================================================
-# API ENDPOINTS
-# ======================================================
-
-# -------------------------
-# Get journey
-# -------------------------
-@app.get("/api/journeys/{journey_id}")
-def get_journey(journey_id: str):
-    journey = journey_store.get(journey_id)
-    if not journey:
-        raise HTTPException(status_code=404, detail="Journey not found")
-
-    recompute(journey)
-    return journey
-
-# -------------------------
-# Update step status
-# -------------------------
-@app.patch("/api/steps/{step_id}")
-def update_step(step_id: str, body: dict):
-    status = body.get("status")
-    if status not in STATUS_WEIGHT:
-        raise HTTPException(status_code=400, detail="Invalid status")
-
-    journey, stage, step = find_journey_by_step(step_id)
-    if not step:
-        raise HTTPException(status_code=404, detail="Step not found")
-
-    step["status"] = status
-    recompute(journey)
-    return {"ok": True}
-
-# -------------------------
-# Add stage
-# -------------------------
-@app.post("/api/journeys/{journey_id}/stages")
-def add_stage(journey_id: str, body: dict):
-    name = (body.get("name") or "").strip()
-    if not name:
-        raise HTTPException(status_code=400, detail="Stage name required")
-
-    journey = journey_store.get(journey_id)
-    if not journey:
-        raise HTTPException(status_code=404, detail="Journey not found")
-
-    existing_ids = {s["stage_id"] for s in journey["stages"]}
-    stage_id = new_id("s", existing_ids)
-
-    journey["stages"].append({
-        "stage_id": stage_id,
-        "name": name,
-        "completion_pct": 0,
-        "steps": [],
-    })
-
-    recompute(journey)
-    return {"ok": True, "stage_id": stage_id}
-
-# -------------------------
-# Delete stage
-# -------------------------
-@app.delete("/api/stages/{stage_id}")
-def delete_stage(stage_id: str):
-    journey, stage = find_journey_by_stage(stage_id)
-    if not stage:
-        raise HTTPException(status_code=404, detail="Stage not found")
-
-    journey["stages"] = [s for s in journey["stages"] if s["stage_id"] != stage_id]
-    recompute(journey)
-    return {"ok": True}
-
-# -------------------------
-# Add step
-# -------------------------
-@app.post("/api/stages/{stage_id}/steps")
-def add_step(stage_id: str, body: dict):
-    name = (body.get("name") or "").strip()
-    status = body.get("status", "NOT_STARTED")
-
-    if not name:
-        raise HTTPException(status_code=400, detail="Step name required")
-    if status not in STATUS_WEIGHT:
-        raise HTTPException(status_code=400, detail="Invalid status")
-
-    journey, stage = find_journey_by_stage(stage_id)
-    if not stage:
-        raise HTTPException(status_code=404, detail="Stage not found")
-
-    existing_steps = {
-        step["step_id"]
-        for s in journey["stages"]
-        for step in s["steps"]
-    }
-
-    step_id = new_id("t", existing_steps)
-
-    stage["steps"].append({
-        "step_id": step_id,
-        "name": name,
-        "status": status,
-    })
-
-    recompute(journey)
-    return {"ok": True, "step_id": step_id}
-
-# -------------------------
-# Delete step
-# -------------------------
-@app.delete("/api/steps/{step_id}")
-def delete_step(step_id: str):
-    journey, stage, step = find_journey_by_step(step_id)
-    if not step:
-        raise HTTPException(status_code=404, detail="Step not found")
-
-    stage["steps"] = [s for s in stage["steps"] if s["step_id"] != step_id]
-    recompute(journey)
-    return {"ok": True}
-# ======================================================
+import asyncio
+import copy
+import csv
+import hashlib
+import hmac
+import http.client
+import io
+import ipaddress
+import itertools
+import json
+import logging
+import os
+import re
+import secrets
+import socket
+import ssl
+import time
+import zlib
+from contextvars import ContextVar
+from datetime import date, datetime, timedelta, timezone
+from pathlib import Path
+from typing import Optional
+from urllib.parse import urlsplit
+
+from fastapi import Depends, FastAPI, File, Header, HTTPException, Query, Request, Response, UploadFile
+from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import FileResponse, StreamingResponse
+
+# -------------------------
+# App setup
+# -------------------------
+app = FastAPI()
+logger = logging.getLogger(__name__)
+
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=["http://localhost:5173"],
+    allow_credentials=True,
+    allow_methods=["*"],
+    allow_headers=["*"],
+    expose_headers=["ETag"],
+)
+
+# -------------------------
+# Request context: which browser tab made the change
+# -------------------------
+# Tabs send a random X-Client-Id so live updates can skip the tab
+# that made a change (it has already applied it optimistically)
+request_client = ContextVar("request_client", default=None)
+
+@app.middleware("http")
+async def remember_client(request: Request, call_next):
+    token = request_client.set(request.headers.get("x-client-id"))
+    try:
+        return await call_next(request)
+    finally:
+        request_client.reset(token)
+
+# -------------------------
+# Status workflow (per journey)
+# -------------------------
+# Each journey owns its status catalog:
+# - key: stored on steps (e.g. "IN_PROGRESS")
+# - label / color: how the UI renders it
+# - weight: progress contribution (0.0 .. 1.0)
+# - counts_toward_completion: False drops the step from the calculation
+# - transitions: statuses a step may move to next (None = any)
+# - requires_attachment: True -> a step needs at least one attachment
+#   (e.g. the evidence document) to be set to this status
+DEFAULT_STATUSES = [
+    {"key": "NOT_STARTED", "label": "Not started", "color": "#374151",
+     "weight": 0.0, "counts_toward_completion": True, "transitions": None,
+     "requires_attachment": False},
+    {"key": "IN_PROGRESS", "label": "In progress", "color": "#1d4ed8",
+     "weight": 0.5, "counts_toward_completion": True, "transitions": None,
+     "requires_attachment": False},
+    {"key": "COMPLETED", "label": "Completed", "color": "#166534",
+     "weight": 1.0, "counts_toward_completion": True, "transitions": None,
+     "requires_attachment": False},
+]
+
+MAX_STATUSES = 20
+STATUS_KEY_RE = re.compile(r"^[A-Z][A-Z0-9_]{0,39}$")
+COLOR_RE = re.compile(r"^#[0-9a-fA-F]{6}$")
+
+# -------------------------
+# Editable fields and their limits
+# -------------------------
+STAGE_FIELDS = {"name", "description", "start_date", "due_date"}
+STEP_FIELDS = {
+    "name", "status", "description", "owner", "start_date", "due_date", "notes",
+    "effort", "checklist",
+}
+
+FIELD_MAX_LEN = {
+    "name": 200,
+    "description": 2000,
+    "owner": 100,
+    "notes": 5000,
+}
+
+DATE_RE = re.compile(r"^\d{4}-\d{2}-\d{2}$")
+
+# Date fields (schedule) and their names in error messages
+DATE_FIELDS = {"start_date": "Start date", "due_date": "Due date"}
+
+# Prerequisites of a step (ids of steps anywhere in the same journey).
+# Not in STEP_FIELDS: ids only make sense within one journey, so they
+# are never copied by import/export or templates.
+MAX_DEPENDENCIES = 50
+
+# Effort of a step: its relative size (e.g. hours or points), so a
+# three-week task weighs more than a call. Progress is weighted by it.
+DEFAULT_EFFORT = 1
+MAX_EFFORT = 1000
+
+# Checklist items under a step ({"text", "done"}); the share that is
+# done counts toward the step's progress
+MAX_CHECKLIST_ITEMS = 50
+MAX_CHECKLIST_TEXT_LEN = 200
+
+# -------------------------
+# Activity log settings
+# -------------------------
+MAX_EVENTS = 10000
+MAX_ACTOR_LEN = 60
+DEFAULT_ACTOR = "anonymous"
+
+# -------------------------
+# Live updates settings
+# -------------------------
+# Seconds between keep-alive comments on an idle event stream
+STREAM_HEARTBEAT_SECONDS = 15
+
+# -------------------------
+# Export / import settings
+# -------------------------
+EXPORT_FORMATS = {
+    "json": ("application/json", "json"),
+    "csv": ("text/csv; charset=utf-8", "csv"),
+    "md": ("text/markdown; charset=utf-8", "md"),
+}
+IMPORT_FORMATS = {"json", "csv"}
+
+# One row per step (a stage without steps gets a row with an empty step)
+CSV_COLUMNS = [
+    "stage", "stage_description", "stage_start_date", "stage_due_date", "stage_completion_pct",
+    "step", "status", "status_label", "step_pct",
+    "owner", "start_date", "due_date", "description", "notes",
+    "effort", "checklist",
+]
+
+MAX_IMPORT_CHARS = 1_000_000
+MAX_IMPORT_ERRORS = 100
+
+# -------------------------
+# Report settings
+# -------------------------
+# Items due within this many days (and not done) are "due soon", as in
+# the UI (DUE_SOON_DAYS in schedule.js)
+DUE_SOON_DAYS = 3
+
+# PDF report: A4 portrait, in points (1/72 inch)
+PDF_PAGE_SIZE = (595, 842)
+PDF_MARGIN = 40
+
+# Widths of the printable ASCII characters (" " to "~") in Helvetica,
+# in 1/1000 of the font size; other characters count as a digit
+HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+# Helvetica-Bold is about this much wider
+BOLD_WIDTH_FACTOR = 1.08
+# Characters the standard fonts lack, drawn as a close stand-in
+# (the date ranges of the report messages use an arrow)
+PDF_STAND_INS = str.maketrans({"→": "–", "←": "–"})
+
+# The PDF is written in the language the UI asks for (?lang=), with the
+# messages of report_messages.json (unknown languages get English): per
+# language the labels (the UI's words for them, see i18n.js) and, as the
+# server has no Intl, its `formats`: date patterns in CLDR letters (yyyy,
+# MMM / MM, d / dd, HH:mm), month names (space-separated), digits 0-9, the
+# thousands separator, percentages (# is the number) and the last joining
+# word of lists
+REPORT_MESSAGES = Path(__file__).resolve().parent / "report_messages.json"
+REPORT_LANGUAGES = {"en", "de", "ar"}
+
+# -------------------------
+# Template settings
+# -------------------------
+# Step fields a template keeps (owners, dates and notes are per client);
+# effort and checklist items are kept too, with every item unchecked
+TEMPLATE_STEP_FIELDS = ["name", "description"]
+# A template's own editable fields
+TEMPLATE_FIELDS = {"name", "description"}
+
+# -------------------------
+# Saved view settings
+# -------------------------
+# A saved view is a named set of step filters for one journey
+MAX_VIEWS = 50
+MAX_VIEW_NAME_LEN = 100
+MAX_QUERY_LEN = 200
+VIEW_FILTERS = {"q", "status", "owner", "due", "state"}
+VIEW_DUE_VALUES = {"overdue", "soon", "none"}
+VIEW_STATE_VALUES = {"open", "done"}
+
+# -------------------------
+# Batch step operations
+# -------------------------
+# One request changes many steps; all of them apply or none do
+MAX_BATCH_OPERATIONS = 500
+BATCH_OPS = {"set_status", "delete", "move"}
+
+# -------------------------
+# Attachment & comment settings
+# -------------------------
+# Uploaded files are stored here, one file per attachment id
+ATTACHMENTS_DIR = Path(os.environ.get("ATTACHMENTS_DIR") or Path(__file__).resolve().parent / "attachments")
+MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+MAX_ATTACHMENTS_PER_STEP = 20
+MAX_FILENAME_LEN = 200
+MAX_COMMENT_LEN = 2000
+MAX_COMMENTS_PER_STEP = 500
+
+# -------------------------
+# Analytics settings
+# -------------------------
+# One progress snapshot per journey and day is kept (about two years)
+MAX_SNAPSHOTS = 730
+# Status changes remembered per step (for the time spent in each status)
+MAX_STATUS_CHANGES = 200
+# The projected completion date follows the pace of the last N days
+PACE_WINDOW_DAYS = 28
+# Weeks of completed-steps counts (default / max)
+DEFAULT_ANALYTICS_WEEKS = 12
+MAX_ANALYTICS_WEEKS = 104
+
+# -------------------------
+# Users & roles settings
+# -------------------------
+# Each journey lists its members and their role, least to most allowed:
+# - viewer: reads the journey
+# - contributor: also changes steps and stages (statuses, details,
+#   comments, attachments, saved views); can't delete stages
+# - owner: also deletes stages, edits the status workflow and
+#   manages the members
+ROLES = ["viewer", "contributor", "owner"]
+
+# Local accounts: lowercase usernames, display names as in the activity log
+USERNAME_RE = re.compile(r"^[a-z0-9][a-z0-9._-]{2,31}$")
+MIN_PASSWORD_LEN = 8
+MAX_PASSWORD_LEN = 200
+PASSWORD_HASH_ITERATIONS = 100_000
+
+# Login tokens ("Authorization: Bearer <token>") expire after this long
+TOKEN_TTL = timedelta(days=7)
+
+# Steps are assigned to contributors and owners of their journey
+MAX_ASSIGNEES = 10
+
+# -------------------------
+# Webhook & notification settings
+# -------------------------
+# Milestone events: sent to a journey's webhooks (those subscribed to
+# them) and shown in the notification center of the members concerned
+MILESTONE_EVENTS = ["step.status_changed", "stage.completed", "journey.completed", "step.overdue"]
+MAX_WEBHOOKS = 10
+MAX_WEBHOOK_URL_LEN = 500
+# A failed delivery is retried after these pauses (seconds), then given up
+WEBHOOK_RETRY_DELAYS = [10, 60, 300, 1800, 7200]
+WEBHOOK_TIMEOUT_SECONDS = 10
+# Webhooks may only reach public addresses (not localhost, the private
+# networks or the cloud metadata service); WEBHOOK_ALLOW_PRIVATE=1 lifts
+# this for local development
+WEBHOOK_ALLOW_PRIVATE = os.environ.get("WEBHOOK_ALLOW_PRIVATE") == "1"
+# Deliveries kept per webhook (newest), for the delivery log
+MAX_DELIVERIES = 100
+# Seconds between looks at the retry queue / for steps that became overdue
+WEBHOOK_POLL_SECONDS = 5
+OVERDUE_CHECK_SECONDS = 300
+# Notifications kept per user (newest)
+MAX_NOTIFICATIONS = 200
+
+# -------------------------
+# Large journeys
+# -------------------------
+# Steps per page of GET /api/stages/{id}/steps (default / most)
+DEFAULT_STEP_PAGE = 100
+MAX_STEP_PAGE = 500
+
+# -------------------------
+# Helper: calculate completion %
+# -------------------------
+def step_progress(step: dict, by_key: dict) -> float:
+    """
+    Progress of one step (0..1): its status weight, or the share of its
+    checklist that is done when that is higher. A fully complete status
+    is 1 whatever the checklist says.
+    """
+    weight = by_key.get(step.get("status"), {}).get("weight", 0.0)
+    items = step.get("checklist") or []
+    if not items:
+        return weight
+    return max(weight, sum(1 for item in items if item["done"]) / len(items))
+
+def calc_pct(done: float, total_effort: float) -> int:
+    """
+    Completion percentage: the average progress of the steps (see
+    step_progress), weighted by their effort, from the sums over the
+    counted steps (statuses that don't count toward completion are left
+    out): done = sum of effort x progress, total_effort = sum of effort.
+    Mirrored by calcPct() in the frontend (journeyStore.js).
+    """
+    if not total_effort:
+        return 0
+    return round((done / total_effort) * 100)
+
+# -------------------------
+# Helper: recompute all completion percentages
+# -------------------------
+def recompute(journey: dict) -> None:
+    """
+    Recalculates, in one pass over the steps:
+    - each step's progress % (status and checklist) and comment count
+    - each stage completion %
+    - entire journey completion %
+    - the prerequisites still blocking each step
+    - the totals for the progress history and the steps whose status
+      changed since it was last recorded (see record_snapshot)
+    Every change ends with one (see touch), so a stored journey is
+    always up to date: handlers don't recompute before checking a change.
+    """
+
+    # Ensure stages list, status catalog and versions exist
+    journey.setdefault("stages", [])
+    journey.setdefault("statuses", copy.deepcopy(DEFAULT_STATUSES))
+    journey.setdefault("version", 1)
+    journey.setdefault("members", [])
+    statuses = journey["statuses"]
+    for status in statuses:
+        status.setdefault("requires_attachment", False)
+    by_key = {s["key"]: s for s in statuses}
+    logged = status_log.get(journey["journey_id"], {})
+
+    steps_by_id = {}
+    totals = {"done_effort": 0.0, "total_effort": 0, "done_steps": 0, "status_changed": []}
+
+    # Recompute each stage (the journey sums the same steps, in the same order)
+    for stage in journey["stages"]:
+        stage.setdefault("steps", [])
+        stage.setdefault("version", 1)
+        stage.setdefault("start_date", None)
+        stage.setdefault("due_date", None)
+        done = total = 0
+        for step in stage["steps"]:
+            step.setdefault("version", 1)
+            step.setdefault("start_date", None)
+            step.setdefault("depends_on", [])
+            step.setdefault("effort", DEFAULT_EFFORT)
+            step.setdefault("checklist", [])
+            step.setdefault("attachments", [])
+            step.setdefault("assignees", [])
+            step["comment_count"] = len(comment_store.get(step["step_id"], []))
+            progress = step_progress(step, by_key)
+            step["progress_pct"] = round(progress * 100)
+            steps_by_id[step["step_id"]] = step
+
+            if by_key.get(step["status"], {}).get("counts_toward_completion", True):
+                done += step["effort"] * progress
+                total += step["effort"]
+                totals["done_effort"] += step["effort"] * progress
+                totals["total_effort"] += step["effort"]
+            if is_done(step, by_key):
+                totals["done_steps"] += 1
+            changes = logged.get(step["step_id"])
+            if not changes or changes[-1]["status"] != step["status"]:
+                totals["status_changed"].append(step)
+        stage["completion_pct"] = calc_pct(done, total)
+
+    # Prerequisites that aren't done yet
+    for step in steps_by_id.values():
+        step["blocked_by"] = (
+            [b["step_id"] for b in blockers(journey, step, steps_by_id)] if step["depends_on"] else []
+        )
+
+    journey["completion_pct"] = calc_pct(totals["done_effort"], totals["total_effort"])
+    totals["step_count"] = len(steps_by_id)
+    progress_totals[journey["journey_id"]] = totals
+
+# -------------------------
+# Helper: validation errors
+# -------------------------
+def invalid(field: str, message: str) -> HTTPException:
+    """
+    A 400 error about one request field: {"message": ..., "field": ...},
+    so the UI can show the message next to that input.
+    """
+    return HTTPException(status_code=400, detail={"message": message, "field": field})
+
+def error_message(e: HTTPException) -> str:
+    """
+    The text of an error (its detail is a string or {"message", ...}).
+    """
+    return e.detail["message"] if isinstance(e.detail, dict) else e.detail
+
+# -------------------------
+# Helper: validate a status change against the journey workflow
+# -------------------------
+def check_status(journey: dict, status, current=None) -> None:
+    """
+    Raises 400 for an unknown status and 409 for a transition
+    the workflow doesn't allow (current -> status).
+    """
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    if status not in by_key:
+        raise invalid("status", "Invalid status")
+
+    if current is None or current == status or current not in by_key:
+        return
+
+    allowed = by_key[current].get("transitions")
+    if allowed is not None and status not in allowed:
+        raise HTTPException(
+            status_code=409,
+            detail=f"Cannot change status from {by_key[current]['label']} to {by_key[status]['label']}",
+        )
+
+# -------------------------
+# Helper: step dependencies
+# -------------------------
+def journey_steps(journey: dict) -> dict:
+    """
+    All steps of a journey by id (across stages).
+    """
+    return {step["step_id"]: step for stage in journey["stages"] for step in stage["steps"]}
+
+def is_done(step: dict, by_key: dict) -> bool:
+    """
+    A prerequisite is done when its status is fully complete (weight 1)
+    or doesn't count toward completion (e.g. "Not applicable").
+    """
+    status = by_key.get(step.get("status"))
+    if not status:
+        return False
+    return status["weight"] >= 1 or not status["counts_toward_completion"]
+
+def blockers(journey: dict, step: dict, steps_by_id: Optional[dict] = None) -> list:
+    """
+    Prerequisites of a step that aren't done yet.
+    Deleted prerequisites are ignored.
+    steps_by_id: the journey's steps by id (default: looked up in
+    step_index, for a stored journey; a working copy passes its own).
+    """
+    if steps_by_id is None:
+        steps_by_id = {
+            dep_id: step_index[dep_id][2]
+            for dep_id in step.get("depends_on", [])
+            if dep_id in step_index and step_index[dep_id][0] is journey
+        }
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    return [
+        steps_by_id[dep_id]
+        for dep_id in step.get("depends_on", [])
+        if dep_id in steps_by_id and not is_done(steps_by_id[dep_id], by_key)
+    ]
+
+def check_not_blocked(journey: dict, step: dict, status: str, steps_by_id: Optional[dict] = None) -> None:
+    """
+    Raises 409 when a step with unfinished prerequisites would start
+    (any status with a weight above 0, e.g. In progress / Completed).
+    steps_by_id: as for blockers.
+    """
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    if by_key[status]["weight"] <= 0:
+        return
+
+    waiting = blockers(journey, step, steps_by_id)
+    if waiting:
+        names = ", ".join(f'"{b["name"]}" ({by_key.get(b["status"], {}).get("label", b["status"])})'
+                          for b in waiting)
+        raise HTTPException(
+            status_code=409,
+            detail={
+                "message": f'"{step["name"]}" is blocked by {names}',
+                "blocked_by": [
+                    {"step_id": b["step_id"], "name": b["name"], "status": b["status"]}
+                    for b in waiting
+                ],
+            },
+        )
+
+def check_attachments(journey: dict, step: dict, status: str) -> None:
+    """
+    Raises 409 when a step without attachments would be set to a status
+    that requires one (e.g. Completed needs the evidence document).
+    """
+    rule = next((s for s in journey["statuses"] if s["key"] == status), {})
+    if rule.get("requires_attachment") and not step.get("attachments"):
+        raise HTTPException(
+            status_code=409,
+            detail=f'"{step["name"]}" needs an attachment before it can be set to {rule["label"]}',
+        )
+
+def find_cycle(steps_by_id: dict, step_id: str, depends_on: list) -> Optional[list]:
+    """
+    Returns the path step -> ... -> step if making step_id depend on
+    depends_on would create a cycle, else None.
+    """
+    def walk(current: str, path: list, seen: set) -> Optional[list]:
+        if current == step_id:
+            return path
+        if current in seen or current not in steps_by_id:
+            return None
+        seen.add(current)
+        for dep_id in steps_by_id[current].get("depends_on", []):
+            found = walk(dep_id, path + [dep_id], seen)
+            if found:
+                return found
+        return None
+
+    seen = set()
+    for dep_id in depends_on:
+        found = walk(dep_id, [step_id, dep_id], seen)
+        if found:
+            return found
+    return None
+
+def clean_depends_on(journey: dict, step: dict, value) -> list:
+    """
+    Validates a new prerequisite list for a step.
+    - 400: not a list of ids / unknown step / the step itself
+    - 409: would create a dependency cycle
+    Returns the ids without duplicates, in the order given.
+    """
+    if not isinstance(value, list) or any(not isinstance(v, str) for v in value):
+        raise invalid("depends_on", "depends_on must be a list of step ids")
+
+    depends_on = list(dict.fromkeys(value))
+    if len(depends_on) > MAX_DEPENDENCIES:
+        raise invalid("depends_on", f"A step can have at most {MAX_DEPENDENCIES} prerequisites")
+
+    steps_by_id = journey_steps(journey)
+    for dep_id in depends_on:
+        if dep_id == step.get("step_id"):
+            raise invalid("depends_on", "A step can't depend on itself")
+        if dep_id not in steps_by_id:
+            raise invalid("depends_on", f"Unknown prerequisite step: {dep_id}")
+
+    cycle = find_cycle(steps_by_id, step.get("step_id"), depends_on)
+    if cycle:
+        names = " → ".join(f'"{steps_by_id.get(i, step)["name"]}"' for i in cycle)
+        raise HTTPException(
+            status_code=409,
+            detail={"message": f"That would create a dependency cycle: {names}", "cycle": cycle},
+        )
+
+    return depends_on
+
+def unlink_steps(journey: dict, step_ids: set) -> dict:
+    """
+    Removes deleted steps from the prerequisites of the remaining steps.
+    Returns {dependent step id: [removed prerequisite ids]} so a restore
+    can put the links back (see relink_steps).
+    """
+    removed = {}
+    for step in journey_steps(journey).values():
+        if step["step_id"] in step_ids:
+            continue
+        gone = [d for d in step.get("depends_on", []) if d in step_ids]
+        if gone:
+            step["depends_on"] = [d for d in step["depends_on"] if d not in step_ids]
+            removed[step["step_id"]] = gone
+    return removed
+
+def relink_steps(journey: dict, links: dict) -> None:
+    """
+    Restores links removed by unlink_steps. Links to steps that are gone
+    meanwhile, or that would now create a cycle, are skipped.
+    """
+    steps_by_id = journey_steps(journey)
+    for dependent_id, dep_ids in links.items():
+        step = steps_by_id.get(dependent_id)
+        if not step:
+            continue
+        for dep_id in dep_ids:
+            if dep_id in step["depends_on"] or dep_id not in steps_by_id:
+                continue
+            if len(step["depends_on"]) >= MAX_DEPENDENCIES:
+                break
+            if not find_cycle(steps_by_id, dependent_id, [dep_id]):
+                step["depends_on"].append(dep_id)
+
+# -------------------------
+# Helper: validate a status catalog
+# -------------------------
+def clean_statuses(statuses) -> list:
+    """
+    Validates a workflow definition sent by the client.
+    Returns a normalized copy.
+    """
+    if not isinstance(statuses, list) or not statuses:
+        raise HTTPException(status_code=400, detail="At least one status is required")
+    if len(statuses) > MAX_STATUSES:
+        raise HTTPException(status_code=400, detail=f"At most {MAX_STATUSES} statuses allowed")
+    if not all(isinstance(s, dict) for s in statuses):
+        raise HTTPException(status_code=400, detail="Each status must be an object")
+
+    keys = [s.get("key") for s in statuses]
+    if len(set(keys)) != len(keys):
+        raise HTTPException(status_code=400, detail="Status keys must be unique")
+
+    cleaned = []
+    for s in statuses:
+        key = s.get("key")
+        if not isinstance(key, str) or not STATUS_KEY_RE.match(key):
+            raise HTTPException(
+                status_code=400,
+                detail="Status key must be UPPER_SNAKE_CASE (e.g. IN_REVIEW)",
+            )
+
+        label = (s.get("label") or "").strip() if isinstance(s.get("label"), str) else ""
+        if not label or len(label) > 40:
+            raise HTTPException(status_code=400, detail=f"{key}: label required (max 40 characters)")
+
+        color = s.get("color")
+        if not isinstance(color, str) or not COLOR_RE.match(color):
+            raise HTTPException(status_code=400, detail=f"{key}: color must be like #1d4ed8")
+
+        weight = s.get("weight")
+        if isinstance(weight, bool) or not isinstance(weight, (int, float)) or not 0 <= weight <= 1:
+            raise HTTPException(status_code=400, detail=f"{key}: weight must be between 0 and 1")
+
+        counts = s.get("counts_toward_completion", True)
+        if not isinstance(counts, bool):
+            raise HTTPException(status_code=400, detail=f"{key}: counts_toward_completion must be true/false")
+
+        requires_attachment = s.get("requires_attachment", False)
+        if not isinstance(requires_attachment, bool):
+            raise HTTPException(status_code=400, detail=f"{key}: requires_attachment must be true/false")
+
+        transitions = s.get("transitions")
+        if transitions is not None:
+            if not isinstance(transitions, list) or any(t not in keys for t in transitions):
+                raise HTTPException(status_code=400, detail=f"{key}: transitions must list known statuses")
+            transitions = [t for t in dict.fromkeys(transitions) if t != key]
+
+        cleaned.append({
+            "key": key,
+            "label": label,
+            "color": color.lower(),
+            "weight": float(weight),
+            "counts_toward_completion": counts,
+            "transitions": transitions,
+            "requires_attachment": requires_attachment,
+        })
+
+    return cleaned
+
+# -------------------------
+# Helper: versions (ETag / If-Match)
+# -------------------------
+def touch(journey: dict, stages: list = (), steps: list = ()) -> dict:
+    """
+    Bumps the journey version and the versions of the stages/steps
+    a change touched. A stage counts as changed when its own fields
+    or its list of steps change.
+    Returns the new versions: {"journey", "stages": {id: v}, "steps": {id: v}}
+    """
+    recompute(journey)
+    journey["version"] += 1
+
+    touched_stages = {}
+    for stage in stages:
+        if stage["stage_id"] not in touched_stages:
+            stage["version"] += 1
+            touched_stages[stage["stage_id"]] = stage["version"]
+
+    touched_steps = {}
+    for step in steps:
+        step["version"] += 1
+        touched_steps[step["step_id"]] = step["version"]
+
+    return {"journey": journey["version"], "stages": touched_stages, "steps": touched_steps}
+
+def check_version(item: dict, if_match: Optional[str], kind: str) -> None:
+    """
+    Rejects a change with 412 when the If-Match header names a version
+    other than the current one (someone else changed the item since
+    the client loaded it). No header / "*" -> no check.
+    The current item is returned so the client can show both versions.
+    """
+    if if_match is None:
+        return
+
+    tags = [t.strip() for t in if_match.split(",")]
+    if "*" in tags:
+        return
+
+    versions = {(t[2:] if t.startswith("W/") else t).strip('"') for t in tags}
+    if str(item.get("version")) not in versions:
+        raise HTTPException(
+            status_code=412,
+            detail={
+                "message": f"This {kind} was changed by someone else",
+                "current": item,
+            },
+        )
+
+# -------------------------
+# Helper: generate new IDs
+# -------------------------
+def new_id(prefix: str) -> str:
+    """
+    Generates a unique ID like s1, s2, t1, t2... from one counter per
+    prefix (see id_counters). Ids are never handed out twice, so stage
+    and step ids stay unique across journeys (stage endpoints are not
+    scoped by journey) and deleted items can be restored under their id.
+    """
+    counter = id_counters.setdefault(prefix, itertools.count(1))
+    return f"{prefix}{next(counter)}"
+
+def skip_ids(prefix: str, ids) -> None:
+    """
+    Continues the prefix's counter after the highest of the given ids
+    (ids created without new_id, e.g. the seed data's).
+    """
+    numbers = [int(i[len(prefix):]) for i in ids if i.startswith(prefix) and i[len(prefix):].isdigit()]
+    id_counters[prefix] = itertools.count(max(numbers, default=0) + 1)
+
+# -------------------------
+# Helper: keep a deleted stage/step for undo
+# -------------------------
+def put_in_trash(kind: str, item_id: str, entry: dict) -> None:
+    """
+    Stores a deleted item with where it came from.
+    Oldest entries are dropped beyond MAX_TRASH (with the files and
+    comments of the steps they hold, which can't come back any more).
+    """
+    trash.pop((kind, item_id), None)
+    trash[(kind, item_id)] = entry
+    while len(trash) > MAX_TRASH:
+        dropped = next(iter(trash))
+        purge_deleted(dropped[0], trash.pop(dropped))
+
+def purge_deleted(kind: str, entry: dict) -> None:
+    """
+    Removes what only a deleted item still refers to.
+    """
+    item = entry["item"]
+    if kind == "attachment":
+        attachment_path(item["attachment_id"]).unlink(missing_ok=True)
+        attachment_steps.pop(item["attachment_id"], None)
+    elif kind == "comment":
+        comment_steps.pop(item["comment_id"], None)
+    elif kind in ("stage", "step"):
+        for step in item["steps"] if kind == "stage" else [item]:
+            for attachment in step.get("attachments", []):
+                attachment_path(attachment["attachment_id"]).unlink(missing_ok=True)
+                attachment_steps.pop(attachment["attachment_id"], None)
+            for comment in comment_store.pop(step["step_id"], []):
+                comment_steps.pop(comment["comment_id"], None)
+
+# -------------------------
+# Helper: ensure restored steps still fit the workflow
+# -------------------------
+def check_restorable_steps(journey: dict, steps: list) -> None:
+    keys = {s["key"] for s in journey["statuses"]}
+    for step in steps:
+        if step.get("status") not in keys:
+            raise HTTPException(
+                status_code=409,
+                detail=f"Status {step.get('status')} no longer exists in this journey's workflow",
+            )
+
+# -------------------------
+# Helper: record an activity event
+# -------------------------
+def clean_actor(actor: Optional[str]) -> str:
+    """
+    Normalizes the name an event is logged under (the signed-in user's
+    display name).
+    """
+    actor = (actor or "").strip()[:MAX_ACTOR_LEN]
+    return actor or DEFAULT_ACTOR
+
+def log_event(journey: dict, event_type: str, user: Optional[dict], **fields) -> dict:
+    """
+    Appends an event to the activity log, e.g.
+    log_event(journey, "step.status_changed", user,
+              step_id="t2", name="Define Scope", old="IN_PROGRESS", new="COMPLETED")
+    user is the signed-in user who made the change: the event keeps
+    their name (actor) and user_id (actor_id).
+    Oldest events are dropped beyond MAX_EVENTS.
+    Every change is logged, so this also records the journey's progress
+    (see record_snapshot), pushes the event to live subscribers and
+    announces the milestones it reached (see announce).
+    """
+    return log_events(journey, user, [(event_type, fields)])[0]
+
+def log_events(journey: dict, user: Optional[dict], changes: list) -> list:
+    """
+    Logs several events of one request, [(event_type, fields), ...], in
+    order (see log_event): the journey's progress is recorded and its
+    milestones announced once for all of them.
+    """
+    at = datetime.now(timezone.utc).isoformat(timespec="seconds")
+    events = [
+        {
+            "event_id": next(event_ids),
+            "journey_id": journey["journey_id"],
+            "type": event_type,
+            "at": at,
+            "actor": clean_actor(user["name"] if user else None),
+            "actor_id": user["user_id"] if user else None,
+            "stage_id": None,
+            "step_id": None,
+            "name": None,
+            **fields,
+        }
+        for event_type, fields in changes
+    ]
+    # Progress before this change (the snapshot of the previous one)
+    history = snapshot_store.get(journey["journey_id"])
+    previous = history[-1] if history else None
+
+    event_log.extend(events)
+    del event_log[:-MAX_EVENTS]
+    record_snapshot(journey)
+
+    for event in events:
+        publish(journey["journey_id"], {
+            "event": event,
+            "version": journey.get("version", 1),
+            "client_id": request_client.get(),
+        })
+    announce(journey, events, previous)
+    return events
+
+# -------------------------
+# Helper: live update subscribers
+# -------------------------
+def subscribe(journey_id: str) -> asyncio.Queue:
+    """
+    Registers an event stream for a journey (call from the event loop).
+    """
+    queue = asyncio.Queue()
+    live_subscribers.setdefault(journey_id, set()).add((asyncio.get_running_loop(), queue))
+    return queue
+
+def unsubscribe(journey_id: str, queue: asyncio.Queue) -> None:
+    subscribers = live_subscribers.get(journey_id, set())
+    subscribers.difference_update({entry for entry in subscribers if entry[1] is queue})
+    if not subscribers:
+        live_subscribers.pop(journey_id, None)
+
+def publish(journey_id: str, message: dict) -> None:
+    """
+    Sends a message to every open stream of a journey.
+    Endpoints run in worker threads, so queues are fed through their loop.
+    """
+    for loop, queue in list(live_subscribers.get(journey_id, ())):
+        loop.call_soon_threadsafe(queue.put_nowait, message)
+
+# -------------------------
+# Helper: users, login tokens & roles
+# -------------------------
+def hash_password(password: str, salt: bytes) -> str:
+    return hashlib.pbkdf2_hmac("sha256", password.encode(), salt, PASSWORD_HASH_ITERATIONS).hex()
+
+def make_user(user_id: str, username: str, name: str, password: str) -> dict:
+    """
+    A local account; only a salted hash of the password is kept.
+    """
+    salt = secrets.token_bytes(16)
+    return {
+        "user_id": user_id,
+        "username": username,
+        "name": name,
+        "salt": salt.hex(),
+        "password_hash": hash_password(password, salt),
+        "created_at": utc_now().isoformat(timespec="seconds"),
+    }
+
+def public_user(user: dict) -> dict:
+    return {"user_id": user["user_id"], "username": user["username"], "name": user["name"]}
+
+def check_password(user: dict, password: str) -> bool:
+    return hmac.compare_digest(
+        hash_password(password, bytes.fromhex(user["salt"])), user["password_hash"]
+    )
+
+def find_user(username) -> Optional[dict]:
+    if not isinstance(username, str):
+        return None
+    username = username.strip().lower()
+    return next((u for u in user_store.values() if u["username"] == username), None)
+
+def issue_token(user: dict) -> dict:
+    """
+    Signs a user in: a new random token, valid for TOKEN_TTL
+    (expired tokens are dropped along the way).
+    """
+    now = utc_now()
+    for token, session in list(token_store.items()):
+        if session["expires_at"] <= now:
+            del token_store[token]
+
+    token = secrets.token_urlsafe(32)
+    token_store[token] = {"user_id": user["user_id"], "expires_at": now + TOKEN_TTL}
+    return {
+        "token": token,
+        "expires_at": token_store[token]["expires_at"].isoformat(timespec="seconds"),
+        "user": public_user(user),
+    }
+
+def bearer_token(authorization: Optional[str]) -> str:
+    scheme, _, token = (authorization or "").partition(" ")
+    return token.strip() if scheme.lower() == "bearer" else ""
+
+def current_user(authorization: Optional[str] = Header(default=None)) -> dict:
+    """
+    The signed-in user (dependency of every endpoint but login), from
+    the token in the Authorization header. 401 without a valid token.
+    """
+    return session_user(bearer_token(authorization))
+
+def link_user(
+    authorization: Optional[str] = Header(default=None),
+    access_token: Optional[str] = Query(default=None),
+) -> dict:
+    """
+    Same as current_user, for the URLs the browser opens itself
+    (downloads, the live update stream), which can't send headers: the
+    token may also come from ?access_token=. No other endpoint accepts
+    it there, so tokens stay out of the URLs (and with them out of
+    access logs, browser history and Referer headers) of everything else.
+    """
+    return session_user(bearer_token(authorization) or access_token or "")
+
+def session_user(token: str) -> dict:
+    session = token_store.get(token)
+    if session and session["expires_at"] <= utc_now():
+        del token_store[token]
+        session = None
+
+    user = user_store.get(session["user_id"]) if session else None
+    if not user:
+        raise HTTPException(
+            status_code=401,
+            detail="Please sign in" if not token else "Your session has ended; please sign in again",
+            headers={"WWW-Authenticate": "Bearer"},
+        )
+    return user
+
+def role_of(journey: dict, user: dict) -> Optional[str]:
+    member = next((m for m in journey.get("members", []) if m["user_id"] == user["user_id"]), None)
+    return member["role"] if member else None
+
+def require_role(journey: dict, user: dict, role: str, action: str) -> str:
+    """
+    Rejects a request with 403 unless the user has at least `role` on the
+    journey, e.g. require_role(journey, user, "owner", "delete stages")
+    -> "Only owners can delete stages". Returns the user's role.
+    """
+    have = role_of(journey, user)
+    if not have:
+        raise HTTPException(status_code=403, detail="You are not a member of this journey")
+    if ROLES.index(have) < ROLES.index(role):
+        allowed = " and ".join(f"{r}s" for r in ROLES[ROLES.index(role):])
+        raise HTTPException(status_code=403, detail=f"Only {allowed} can {action}")
+    return have
+
+def member_entry(user: dict, role: str) -> dict:
+    return {**public_user(user), "role": role}
+
+def clean_assignees(journey: dict, value) -> list:
+    """
+    Validates a step's assignees: ids of contributors / owners of the
+    journey, without duplicates.
+    """
+    if value is None:
+        return []
+    if not isinstance(value, list) or any(not isinstance(v, str) for v in value):
+        raise invalid("assignees", "assignees must be a list of user ids")
+
+    value = list(dict.fromkeys(value))
+    if len(value) > MAX_ASSIGNEES:
+        raise invalid("assignees", f"A step can have at most {MAX_ASSIGNEES} assignees")
+
+    members = {m["user_id"]: m for m in journey["members"]}
+    for user_id in value:
+        member = members.get(user_id)
+        if not member:
+            raise invalid("assignees", f"{user_id} is not a member of this journey")
+        if member["role"] == "viewer":
+            raise invalid("assignees", f"{member['name']} is a viewer and can't be assigned steps")
+    return value
+
+def owner_id_for(journey: dict, owner: Optional[str], user: Optional[dict] = None) -> Optional[str]:
+    """
+    The member a step's owner (a name, typed freely) stands for, as a
+    user_id: the signed-in user when it is their name, else the first
+    member with that name; None if no member has it. Kept on the step
+    as owner_id, so notifications go to the right person even when two
+    members share a name.
+    """
+    if not owner:
+        return None
+    members = journey["members"]
+    if user and user["name"] == owner and any(m["user_id"] == user["user_id"] for m in members):
+        return user["user_id"]
+    return next((m["user_id"] for m in members if m["name"] == owner), None)
+
+def link_owner(journey: dict, member: dict) -> None:
+    """
+    Points the steps owned by a new member's name (and nobody's id yet)
+    at them.
+    """
+    for stage in journey["stages"]:
+        for step in stage["steps"]:
+            if step.get("owner") == member["name"] and not step.get("owner_id"):
+                step["owner_id"] = member["user_id"]
+
+def unassign(journey: dict, user_id: str) -> list:
+    """
+    Takes a user off every step of a journey (removed, or now a viewer).
+    Returns the steps that changed.
+    """
+    changed = []
+    for stage in journey["stages"]:
+        for step in stage["steps"]:
+            if user_id in step.get("assignees", []):
+                step["assignees"] = [a for a in step["assignees"] if a != user_id]
+                changed.append(step)
+    return changed
+
+# -------------------------
+# Helper: journey summary (for listings)
+# -------------------------
+def journey_summary(journey: dict) -> dict:
+    """
+    Lightweight journey view without the nested steps.
+    """
+    return {
+        "journey_id": journey["journey_id"],
+        "name": journey["name"],
+        "completion_pct": journey["completion_pct"],
+        "stage_count": len(journey["stages"]),
+        "step_count": sum(len(s["steps"]) for s in journey["stages"]),
+    }
+
+# -------------------------
+# Helper: find journey by stage_id
+# -------------------------
+def find_journey_by_stage(stage_id: str):
+    """
+    Finds which journey owns a given stage (see stage_index).
+    """
+    return stage_index.get(stage_id, (None, None))
+
+# -------------------------
+# Helper: find journey by step_id
+# -------------------------
+def find_journey_by_step(step_id: str):
+    """
+    Finds which journey & stage owns a given step (see step_index).
+    """
+    return step_index.get(step_id, (None, None, None))
+
+# -------------------------
+# Helper: stage/step lookup indexes
+# -------------------------
+def index_step(journey: dict, stage: dict, step: dict) -> None:
+    step_index[step["step_id"]] = (journey, stage, step)
+
+def index_stage(journey: dict, stage: dict) -> None:
+    """
+    Indexes a stage and its steps (after it is added, restored or
+    rebuilt). Removed stages/steps are taken out with unindex_stage
+    and step_index.pop.
+    """
+    stage_index[stage["stage_id"]] = (journey, stage)
+    for step in stage.get("steps", []):
+        index_step(journey, stage, step)
+
+def unindex_stage(stage: dict) -> None:
+    stage_index.pop(stage["stage_id"], None)
+    for step in stage["steps"]:
+        step_index.pop(step["step_id"], None)
+
+def index_journey(journey: dict) -> None:
+    for stage in journey.get("stages", []):
+        index_stage(journey, stage)
+
+# -------------------------
+# Helper: validate editable fields
+# -------------------------
+def clean_fields(body: dict, allowed: set, kind: str) -> dict:
+    """
+    Validates the editable fields present in a request body
+    (errors name the field, see invalid()).
+    Returns only the fields that were sent, normalized:
+    - text fields are stripped ("" clears them)
+    - start_date / due_date are "YYYY-MM-DD" or None
+    - effort is a number above 0 (None -> DEFAULT_EFFORT)
+    - checklist is a list of {"text", "done"} (see clean_checklist)
+    """
+    unknown = set(body) - allowed
+    if unknown:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Unknown field(s): {', '.join(sorted(unknown))}",
+        )
+
+    cleaned = {}
+    for field, value in body.items():
+        if field == "status":
+            # Checked against the journey workflow by the endpoint
+            if not isinstance(value, str):
+                raise invalid(field, "Invalid status")
+
+        elif field == "effort":
+            if value is None:
+                value = DEFAULT_EFFORT
+            if isinstance(value, bool) or not isinstance(value, (int, float)):
+                raise invalid(field, "Effort must be a number")
+            if not 0 < value <= MAX_EFFORT:
+                raise invalid(field, f"Effort must be above 0 and at most {MAX_EFFORT}")
+
+        elif field == "checklist":
+            value = clean_checklist(value)
+
+        elif field in DATE_FIELDS:
+            label = DATE_FIELDS[field]
+            if value in (None, ""):
+                value = None
+            elif not isinstance(value, str) or not DATE_RE.match(value):
+                raise invalid(field, f"{label} must be YYYY-MM-DD")
+            else:
+                try:
+                    date.fromisoformat(value)
+                except ValueError:
+                    raise invalid(field, f"{label} is not a valid date")
+
+        else:
+            if value is None:
+                value = ""
+            if not isinstance(value, str):
+                raise invalid(field, f"{field} must be a string")
+
+            value = value.strip()
+            if field == "name" and not value:
+                raise invalid(field, f"{kind} name required")
+            if len(value) > FIELD_MAX_LEN[field]:
+                raise invalid(field, f"{field} is too long (max {FIELD_MAX_LEN[field]} characters)")
+
+        cleaned[field] = value
+
+    return cleaned
+
+def clean_checklist(items) -> list:
+    """
+    Validates a step's checklist (the whole list is sent on every change).
+    Returns [{"text", "done"}]; empty items are rejected.
+    """
+    if items is None:
+        return []
+    if not isinstance(items, list):
+        raise invalid("checklist", "checklist must be a list")
+    if len(items) > MAX_CHECKLIST_ITEMS:
+        raise invalid("checklist", f"A checklist can have at most {MAX_CHECKLIST_ITEMS} items")
+
+    cleaned = []
+    for item in items:
+        text = item.get("text") if isinstance(item, dict) else None
+        if not isinstance(text, str) or not text.strip():
+            raise invalid("checklist", "Checklist items need a text")
+        if len(text.strip()) > MAX_CHECKLIST_TEXT_LEN:
+            raise invalid(
+                "checklist", f"Checklist item is too long (max {MAX_CHECKLIST_TEXT_LEN} characters)"
+            )
+        cleaned.append({"text": text.strip(), "done": item.get("done") is True})
+    return cleaned
+
+def check_date_range(item: dict) -> None:
+    """
+    Raises 400 if an item (with the changes applied) would start after it is due.
+    """
+    start, due = item.get("start_date"), item.get("due_date")
+    if start and due and start > due:
+        raise invalid("start_date", "Start date must be on or before the due date")
+
+# -------------------------
+# Helper: validate a list position
+# -------------------------
+def parse_index(body: dict, size: int) -> int:
+    """
+    Reads an optional "index" from the body and clamps it to 0..size.
+    Missing index -> append (size).
+    """
+    index = body.get("index", size)
+    if isinstance(index, bool) or not isinstance(index, int):
+        raise HTTPException(status_code=400, detail="Index must be an integer")
+    return max(0, min(index, size))
+
+# -------------------------
+# Helper: batch step operations
+# -------------------------
+def apply_batch_operation(journey: dict, op, located: dict) -> Optional[dict]:
+    """
+    Applies one batch operation to a journey (a working copy; see
+    batch_steps), with the same checks as the single-step endpoints:
+    - {"op": "set_status", "step_id", "status", "version"?}
+    - {"op": "delete", "step_id", "version"?}
+    - {"op": "move", "step_id", "stage_id", "index"?, "version"?}
+    located: the copy's steps, {step_id: (stage, step)}, kept up to date.
+    Returns what changed, for the activity log (None for a no-op).
+    Deleted steps stay among the prerequisites of others until the
+    batch is done (see batch_steps), but no longer block them.
+    """
+    if not isinstance(op, dict) or op.get("op") not in BATCH_OPS:
+        raise HTTPException(status_code=400, detail="op must be set_status, delete or move")
+
+    if op.get("step_id") not in located:
+        raise HTTPException(status_code=404, detail="Step not found")
+    stage, step = located[op["step_id"]]
+    version = op.get("version")
+    check_version(step, None if version is None else str(version), "step")
+
+    if op["op"] == "set_status":
+        status = op.get("status")
+        check_status(journey, status, step.get("status"))
+        if status == step["status"]:
+            return None
+        waiting_on = {d: located[d][1] for d in step["depends_on"] if d in located}
+        check_not_blocked(journey, step, status, waiting_on)
+        check_attachments(journey, step, status)
+        old = step["status"]
+        step["status"] = status
+        return {"op": "set_status", "stage": stage, "step": step, "old": old}
+
+    if op["op"] == "delete":
+        index = stage["steps"].index(step)
+        stage["steps"] = [s for s in stage["steps"] if s is not step]
+        del located[step["step_id"]]
+        return {"op": "delete", "stage": stage, "step": step, "index": index}
+
+    target = next((s for s in journey["stages"] if s["stage_id"] == op.get("stage_id")), None)
+    if not target:
+        raise HTTPException(status_code=404, detail="Target stage not found")
+    stage["steps"] = [s for s in stage["steps"] if s is not step]
+    target["steps"].insert(parse_index(op, len(target["steps"])), step)
+    located[step["step_id"]] = (target, step)
+    return {"op": "move", "stage": stage, "step": step, "target": target}
+
+# -------------------------
+# Helper: export a journey
+# -------------------------
+def export_filename(journey: dict, extension: str) -> str:
+    """
+    File name for a download, e.g. "soc2-type-ii.csv".
+    """
+    slug = re.sub(r"[^a-z0-9]+", "-", journey["name"].lower()).strip("-")
+    return f"{slug or journey['journey_id']}.{extension}"
+
+def export_json(journey: dict) -> str:
+    """
+    Full-fidelity export (can be imported again).
+    """
+    return json.dumps({
+        "name": journey["name"],
+        "completion_pct": journey["completion_pct"],
+        "statuses": journey["statuses"],
+        "stages": [
+            {
+                "name": stage["name"],
+                "description": stage.get("description", ""),
+                "start_date": stage.get("start_date"),
+                "due_date": stage.get("due_date"),
+                "completion_pct": stage["completion_pct"],
+                "steps": [
+                    {field: step.get(field) for field in
+                     ["name", "status", "description", "owner", "start_date", "due_date", "notes",
+                      "effort", "checklist"]}
+                    for step in stage["steps"]
+                ],
+            }
+            for stage in journey["stages"]
+        ],
+    }, indent=2)
+
+def export_csv(journey: dict) -> str:
+    """
+    One row per step with its stage, status and percentage.
+    """
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    out = io.StringIO()
+    writer = csv.DictWriter(out, fieldnames=CSV_COLUMNS)
+    writer.writeheader()
+
+    for stage in journey["stages"]:
+        base = {
+            "stage": stage["name"],
+            "stage_description": stage.get("description", ""),
+            "stage_start_date": stage.get("start_date") or "",
+            "stage_due_date": stage.get("due_date") or "",
+            "stage_completion_pct": stage["completion_pct"],
+        }
+        if not stage["steps"]:
+            writer.writerow(base)
+        for step in stage["steps"]:
+            status = by_key.get(step["status"], {})
+            writer.writerow({
+                **base,
+                "step": step["name"],
+                "status": step["status"],
+                "status_label": status.get("label", ""),
+                "step_pct": step["progress_pct"],
+                "owner": step.get("owner") or "",
+                "start_date": step.get("start_date") or "",
+                "due_date": step.get("due_date") or "",
+                "description": step.get("description") or "",
+                "notes": step.get("notes") or "",
+                "effort": step.get("effort", DEFAULT_EFFORT),
+                "checklist": format_checklist(step.get("checklist")),
+            })
+
+    return out.getvalue()
+
+def format_checklist(items: list) -> str:
+    """
+    Checklist as one line per item for a CSV cell: "[x] Done item".
+    Read back by parse_checklist.
+    """
+    return "\n".join(f"[{'x' if item['done'] else ' '}] {item['text']}" for item in items or [])
+
+def parse_checklist(text: str) -> list:
+    """
+    Reads a CSV checklist cell (see format_checklist); lines without
+    a "[ ]" / "[x]" box are open items.
+    """
+    items = []
+    for line in (text or "").splitlines():
+        line = line.strip()
+        if not line:
+            continue
+        match = re.match(r"^\[([ xX]?)\]\s*(.*)$", line)
+        if match:
+            items.append({"text": match.group(2), "done": match.group(1).lower() == "x"})
+        else:
+            items.append({"text": line, "done": False})
+    return items
+
+def format_schedule(item: dict) -> str:
+    """
+    "starts 2026-03-01, due 2026-03-31" (only the dates that are set).
+    """
+    parts = []
+    if item.get("start_date"):
+        parts.append(f"starts {item['start_date']}")
+    if item.get("due_date"):
+        parts.append(f"due {item['due_date']}")
+    return ", ".join(parts)
+
+def export_markdown(journey: dict) -> str:
+    """
+    Checklist for status reports: a step is ticked when its
+    status counts as fully done (weight 1.0); its own checklist
+    items are listed under it.
+    """
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    lines = [f"# {journey['name']}", "", f"Overall completion: {journey['completion_pct']}%", ""]
+
+    for stage in journey["stages"]:
+        lines.append(f"## {stage['name']} ({stage['completion_pct']}%)")
+        lines.append("")
+        schedule = format_schedule(stage)
+        if schedule:
+            lines += [f"_{schedule}_", ""]
+        if stage.get("description"):
+            lines += [stage["description"], ""]
+
+        for step in stage["steps"]:
+            status = by_key.get(step["status"], {})
+            done = "x" if status.get("weight", 0.0) >= 1 else " "
+            extra = []
+            if step.get("owner"):
+                extra.append(f"owner: {step['owner']}")
+            schedule = format_schedule(step)
+            if schedule:
+                extra.append(schedule)
+            suffix = f" ({', '.join(extra)})" if extra else ""
+            lines.append(f"- [{done}] {step['name']} — {status.get('label', step['status'])}{suffix}")
+            for item in step.get("checklist", []):
+                lines.append(f"  - [{'x' if item['done'] else ' '}] {item['text']}")
+
+        if not stage["steps"]:
+            lines.append("_No steps yet_")
+        lines.append("")
+
+    return "\n".join(lines)
+
+# -------------------------
+# Helper: journey report (filters)
+# -------------------------
+def report_filters(journey: dict, q: str, status: str, owner: str, due: str, state: str) -> dict:
+    """
+    Step filters of a report, from the query string of the all-steps
+    view ("status" is comma separated). Checked like saved views.
+    """
+    return clean_view_filters(journey, {
+        "q": q,
+        "status": [key for key in (status or "").split(",") if key],
+        "owner": owner,
+        "due": due,
+        "state": state,
+    })
+
+def due_state(step: dict, by_key: dict, today: date) -> Optional[str]:
+    """
+    "overdue" (due date passed), "soon" (due within DUE_SOON_DAYS) or
+    None; a done step is neither. Mirrors dueState() in schedule.js.
+    """
+    if not step.get("due_date") or is_done(step, by_key):
+        return None
+    left = (date.fromisoformat(step["due_date"]) - today).days
+    if left < 0:
+        return "overdue"
+    if left <= DUE_SOON_DAYS:
+        return "soon"
+    return None
+
+def step_matches(step: dict, stage: dict, filters: dict, me: str, by_key: dict, today: date) -> bool:
+    """
+    True if a step matches every filter that is set (see
+    clean_view_filters). Mirrors matchesStep() in filters.js.
+    """
+    if filters.get("q"):
+        text = " ".join(filter(None, [
+            step["name"], step.get("description"), step.get("notes"), step.get("owner"),
+            *(item["text"] for item in step.get("checklist") or []),
+            stage["name"],
+        ])).lower()
+        if not all(word in text for word in filters["q"].lower().split()):
+            return False
+
+    if filters.get("status") and step["status"] not in filters["status"]:
+        return False
+
+    if filters.get("owner"):
+        owner = me if filters["owner"] == "@me" else filters["owner"]
+        if (step.get("owner") or "").lower() != owner.lower():
+            return False
+
+    if filters.get("due") == "none" and step.get("due_date"):
+        return False
+    if filters.get("due") in ("overdue", "soon") and due_state(step, by_key, today) != filters["due"]:
+        return False
+
+    if filters.get("state") == "open" and is_done(step, by_key):
+        return False
+    if filters.get("state") == "done" and not is_done(step, by_key):
+        return False
+
+    return True
+
+def describe_filters(journey: dict, filters: dict, me: str, lang: str = "en") -> list:
+    """
+    The filters of a report in words, e.g. ["Search: “aws”",
+    "Status: In progress or Blocked", "Owner: Alex Morgan"].
+    Mirrors describeFilters() in filters.js.
+    """
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    parts = []
+    if filters.get("q"):
+        parts.append(report_text(lang, "report.filters.q", q=filters["q"]))
+    if filters.get("status"):
+        names = [report_status_label(lang, by_key[key]) for key in filters["status"]]
+        parts.append(report_text(lang, "report.filters.status", statuses=report_list(lang, names, "or")))
+    if filters.get("owner"):
+        parts.append(report_text(lang, "report.filters.owner",
+                                 owner=me if filters["owner"] == "@me" else filters["owner"]))
+    if filters.get("due"):
+        key = "allSteps.noDueDate" if filters["due"] == "none" else f"dates.{filters['due']}"
+        parts.append(report_text(lang, key))
+    if filters.get("state"):
+        parts.append(report_text(lang, f"report.filters.{filters['state']}"))
+    return parts
+
+# -------------------------
+# Helper: report language (report_messages.json, like i18n.js)
+# -------------------------
+def report_catalog(lang: str) -> dict:
+    """
+    Messages of a language (report_messages.json is read once).
+    """
+    if not catalog_cache:
+        catalog_cache.update(json.loads(REPORT_MESSAGES.read_text(encoding="utf-8")))
+    return catalog_cache[lang]
+
+def catalog_lookup(catalog: dict, key: str):
+    """
+    Message (or plural forms) at a dotted key, e.g. "report.title"; None if missing.
+    """
+    node = catalog
+    for part in key.split("."):
+        node = node.get(part) if isinstance(node, dict) else None
+    return node
+
+def plural_form(lang: str, count: int) -> str:
+    """
+    Plural form of a whole number as Intl.PluralRules picks it
+    (English and German: one / other; Arabic: zero / one / two /
+    few / many / other).
+    """
+    if lang != "ar":
+        return "one" if count == 1 else "other"
+    if count in (0, 1, 2):
+        return ["zero", "one", "two"][count]
+    if 3 <= count % 100 <= 10:
+        return "few"
+    if 11 <= count % 100 <= 99:
+        return "many"
+    return "other"
+
+def report_text(lang: str, key: str, **params) -> str:
+    """
+    Translated text for a key, like t() in i18n.js: {placeholders} are
+    filled from params, `count` picks the plural form, numbers are
+    formatted for the language; missing keys fall back to English.
+    """
+    message = catalog_lookup(report_catalog(lang), key)
+    if message is None:
+        message = catalog_lookup(report_catalog("en"), key)
+    if message is None:
+        return key
+    if isinstance(message, dict):
+        form = plural_form(lang, params["count"]) if isinstance(params.get("count"), int) else "other"
+        message = message.get(form, message["other"])
+
+    def fill(match):
+        if match.group(1) not in params:
+            return match.group(0)
+        value = params[match.group(1)]
+        return report_number(lang, value) if isinstance(value, int) else str(value or "")
+
+    return re.sub(r"\{(\w+)\}", fill, message)
+
+def report_number(lang: str, value: int) -> str:
+    """
+    1234 -> "1,234" / "1.234" / "١٬٢٣٤" (the language's digits and separator).
+    """
+    formats = report_formats(lang)
+    grouped = f"{value:,}".replace(",", formats["group"])
+    return grouped.translate(str.maketrans("0123456789", formats["digits"]))
+
+def report_percent(lang: str, pct: int) -> str:
+    """
+    40 -> "40%" / "40 %" / "٤٠٪".
+    """
+    return report_formats(lang)["percent"].replace("#", report_number(lang, pct or 0))
+
+def report_formats(lang: str) -> dict:
+    """
+    Date and number formats of the PDF report (its `formats`).
+    """
+    return {**report_catalog("en")["formats"], **report_catalog(lang).get("formats", {})}
+
+def report_date(lang: str, value, pattern: str = "date") -> str:
+    """
+    Date (or "YYYY-MM-DD") or datetime in the language's pattern
+    ("date" or "dateTime" of its formats), e.g. "Mar 31, 2026" /
+    "31.03.2026"; "" without a date.
+    """
+    if not value:
+        return ""
+    if isinstance(value, str):
+        value = date.fromisoformat(value)
+    formats = report_formats(lang)
+    months = formats["months"].split()
+    fields = {
+        "yyyy": str(value.year),
+        "MMM": months[value.month - 1],
+        "MM": f"{value.month:02d}",
+        "dd": f"{value.day:02d}",
+        "d": str(value.day),
+        "HH": f"{getattr(value, 'hour', 0):02d}",
+        "mm": f"{getattr(value, 'minute', 0):02d}",
+    }
+    text = re.sub(r"yyyy|MMM|MM|dd|d|HH|mm", lambda m: fields[m.group(0)], formats[pattern])
+    return text.translate(str.maketrans("0123456789", formats["digits"]))
+
+def report_list(lang: str, items: list, word: str = "and") -> str:
+    """
+    "A, B and C" / "A, B oder C" (word: "and" or "or").
+    """
+    items = [str(item) for item in items]
+    if len(items) < 2:
+        return "".join(items)
+    return ", ".join(items[:-1]) + report_formats(lang)[word] + items[-1]
+
+def report_dates(lang: str, item: dict) -> str:
+    """
+    "Mar 1, 2026 → Mar 31, 2026", "from …" or "due …" ("" without
+    dates). Mirrors formatDates() in schedule.js.
+    """
+    start = report_date(lang, item.get("start_date"))
+    due = report_date(lang, item.get("due_date"))
+    if start and due:
+        return report_text(lang, "dates.range", start=start, due=due)
+    if start:
+        return report_text(lang, "dates.from", start=start)
+    if due:
+        return report_text(lang, "dates.due", due=due)
+    return ""
+
+def report_status_label(lang: str, status: dict) -> str:
+    """
+    Label of a status: the built-in ones (still labeled as the server
+    created them) are translated, a renamed one is shown as typed.
+    Mirrors statusLabel() in i18n.js.
+    """
+    built_in = catalog_lookup(report_catalog("en"), f"statuses.{status['key']}")
+    if built_in and built_in == status["label"]:
+        return report_text(lang, f"statuses.{status['key']}")
+    return status["label"]
+
+# -------------------------
+# Helper: PDF writer (text, lines and filled boxes; no external libraries)
+# -------------------------
+def pdf_can_show(text: str) -> bool:
+    """
+    True if the standard fonts (WinAnsi: Western European letters) have
+    every character of text; Arabic, for one, needs the printable view.
+    """
+    try:
+        str(text).translate(PDF_STAND_INS).encode("cp1252")
+    except UnicodeEncodeError:
+        return False
+    return True
+
+def pdf_string(text: str) -> str:
+    """
+    PDF string literal for text in the standard fonts (WinAnsi); the
+    text must fit them (see pdf_can_show).
+    """
+    out = []
+    for byte in str(text).translate(PDF_STAND_INS).encode("cp1252"):
+        char = chr(byte)
+        if char in "\\()":
+            out.append("\\" + char)
+        elif 32 <= byte < 127:
+            out.append(char)
+        else:
+            out.append(f"\\{byte:03o}")
+    return "(" + "".join(out) + ")"
+
+def text_width(text: str, size: float, bold: bool = False) -> float:
+    """
+    Width of text in points (Helvetica, see HELVETICA_WIDTHS).
+    """
+    units = sum(
+        HELVETICA_WIDTHS[ord(char) - 32] if 32 <= ord(char) < 127 else 556
+        for char in text
+    )
+    return units * size / 1000 * (BOLD_WIDTH_FACTOR if bold else 1)
+
+def fit_text(text: str, width: float, size: float, bold: bool = False) -> str:
+    """
+    Text cut to fit the width, ending in "…" when cut.
+    """
+    text = " ".join(str(text).split())
+    if text_width(text, size, bold) <= width:
+        return text
+    while text and text_width(text + "…", size, bold) > width:
+        text = text[:-1]
+    return text.rstrip() + "…"
+
+def wrap_text(text: str, width: float, size: float, bold: bool = False) -> list:
+    """
+    Text broken into lines that fit the width (at spaces; a word
+    longer than a line is split). Keeps the text's own line breaks.
+    """
+    lines = []
+    for paragraph in str(text).splitlines() or [""]:
+        line = ""
+        for word in paragraph.split():
+            while text_width(word, size, bold) > width:
+                cut = len(word) - 1
+                while cut > 1 and text_width(word[:cut], size, bold) > width:
+                    cut -= 1
+                if line:
+                    lines.append(line)
+                    line = ""
+                lines.append(word[:cut])
+                word = word[cut:]
+            candidate = f"{line} {word}" if line else word
+            if text_width(candidate, size, bold) <= width:
+                line = candidate
+            else:
+                lines.append(line)
+                line = word
+        lines.append(line)
+    return lines
+
+def pdf_color(hex_color: str) -> str:
+    """
+    "#1d4ed8" -> "0.114 0.306 0.847" (RGB operands of rg / RG).
+    """
+    value = hex_color.lstrip("#")
+    return " ".join(f"{int(value[i:i + 2], 16) / 255:.3f}" for i in (0, 2, 4))
+
+def build_pdf(pages: list, title: str, now: datetime) -> bytes:
+    """
+    PDF document from pages of content-stream operators (one list of
+    strings per page; fonts /F1 Helvetica and /F2 Helvetica-Bold).
+    """
+    width, height = PDF_PAGE_SIZE
+    objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        "<< /Type /Pages /Kids [{kids}] /Count {count} >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+        f"<< /Title {pdf_string(title)} /Producer (Milestone Journey) "
+        f"/CreationDate (D:{now.strftime('%Y%m%d%H%M%S')}Z) >>",
+    ]
+    kids = []
+    for ops in pages:
+        content = zlib.compress("\n".join(ops).encode("latin-1"))
+        page_number = len(objects) + 1
+        kids.append(f"{page_number} 0 R")
+        objects.append(
+            f"<< /Type /Page /Parent 2 0 R /MediaBox [0 0 {width} {height}] "
+            f"/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents {page_number + 1} 0 R >>"
+        )
+        objects.append((f"<< /Length {len(content)} /Filter /FlateDecode >>\nstream\n", content))
+    objects[1] = objects[1].format(kids=" ".join(kids), count=len(kids))
+
+    out = io.BytesIO()
+    out.write(b"%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")
+    offsets = []
+    for number, obj in enumerate(objects, start=1):
+        offsets.append(out.tell())
+        out.write(f"{number} 0 obj\n".encode("latin-1"))
+        if isinstance(obj, tuple):
+            out.write(obj[0].encode("latin-1") + obj[1] + b"\nendstream")
+        else:
+            out.write(obj.encode("latin-1"))
+        out.write(b"\nendobj\n")
+
+    xref = out.tell()
+    out.write(f"xref\n0 {len(objects) + 1}\n0000000000 65535 f \n".encode("latin-1"))
+    for offset in offsets:
+        out.write(f"{offset:010d} 00000 n \n".encode("latin-1"))
+    out.write(
+        f"trailer\n<< /Size {len(objects) + 1} /Root 1 0 R /Info 5 0 R >>\n"
+        f"startxref\n{xref}\n%%EOF\n".encode("latin-1")
+    )
+    return out.getvalue()
+
+# -------------------------
+# Helper: PDF report
+# -------------------------
+def report_groups(journey: dict, filters: dict, me: str, today: date) -> list:
+    """
+    [(stage number, stage, steps matching the filters)]; when filtered,
+    stages without matches are left out (like the all-steps view).
+    """
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    groups = [
+        (number, stage, [step for step in stage["steps"]
+                         if step_matches(step, stage, filters, me, by_key, today)])
+        for number, stage in enumerate(journey["stages"], start=1)
+    ]
+    return [group for group in groups if group[2]] if filters else groups
+
+def report_pdf(journey: dict, filters: dict, user: dict, now: datetime, lang: str = "en") -> bytes:
+    """
+    Audit report of a journey on A4 pages: a summary (overall
+    completion, steps by status, when and by whom it was made, the
+    filters), then each stage with its progress bar and a table of its
+    steps. Same content as the report view in the UI (ReportView.jsx),
+    in the language `lang`.
+    422 if some of the text is in a script the PDF fonts lack (the UI
+    offers its printable view instead, see pdf_can_show).
+    """
+    def t(key, **params):
+        return report_text(lang, key, **params)
+
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    today = now.date()
+    groups = report_groups(journey, filters, user["name"], today)
+    shown = [step for _, _, steps in groups for step in steps]
+    total = sum(len(stage["steps"]) for stage in journey["stages"])
+
+    page_width, page_height = PDF_PAGE_SIZE
+    left, right = PDF_MARGIN, page_width - PDF_MARGIN
+    width = right - left
+    bottom = PDF_MARGIN + 16  # room for the footer
+    pages = []
+    y = 0  # top of the free space on the current page
+
+    def new_page():
+        nonlocal y
+        pages.append([])
+        y = page_height - PDF_MARGIN
+
+    def room(height) -> bool:
+        """Starts a new page unless `height` points still fit; True if it did."""
+        if y - height >= bottom:
+            return False
+        new_page()
+        return True
+
+    def text_op(x, baseline, value, size=9, bold=False, color="#111111"):
+        return (f"BT /{'F2' if bold else 'F1'} {size} Tf {pdf_color(color)} rg "
+                f"{x:.2f} {baseline:.2f} Td {pdf_string(value)} Tj ET")
+
+    def text(x, baseline, value, size=9, bold=False, color="#111111"):
+        if not pdf_can_show(value):
+            raise HTTPException(
+                status_code=422,
+                detail="The PDF can't show some of this report's text (e.g. Arabic): print the report instead",
+            )
+        if value:
+            pages[-1].append(text_op(x, baseline, value, size, bold, color))
+
+    def text_end(x, baseline, value, size=9, bold=False, color="#111111"):
+        text(x - text_width(value, size, bold), baseline, value, size, bold, color)
+
+    def box(x, top, w, h, color):
+        pages[-1].append(f"{pdf_color(color)} rg {x:.2f} {top - h:.2f} {w:.2f} {h:.2f} re f")
+
+    def rule(at, color="#e6e8ef"):
+        pages[-1].append(f"{pdf_color(color)} RG 0.5 w {left} {at:.2f} m {right} {at:.2f} l S")
+
+    def paragraph(value, size=9, bold=False, color="#111111"):
+        nonlocal y
+        for line in wrap_text(value, width, size, bold):
+            room(size * 1.4)
+            text(left, y - size, line, size, bold, color)
+            y -= size * 1.4
+
+    def progress_bar(top, h, pct):
+        box(left, top, width, h, "#eef1f8")
+        if pct:
+            box(left, top, width * min(pct, 100) / 100, h, "#22c55e")
+
+    # Step table columns: (heading, width); the last one is right-aligned
+    columns = [(t("report.step"), 170), (t("report.status"), 85), (t("report.people"), 100),
+               (t("report.dates"), 110), (t("report.progress"), 50)]
+
+    def table_header():
+        nonlocal y
+        room(16)
+        x = left
+        for index, (heading, column_width) in enumerate(columns):
+            if index == len(columns) - 1:
+                text_end(x + column_width, y - 8, heading, 8, True, "#666666")
+            else:
+                text(x, y - 8, heading, 8, True, "#666666")
+            x += column_width
+        y -= 13
+        rule(y, "#cfd4e0")
+
+    def step_row(step):
+        nonlocal y
+        name_lines = wrap_text(step["name"], columns[0][1] - 8, 9)
+        if len(name_lines) > 3:
+            name_lines = name_lines[:2] + [fit_text(" ".join(name_lines[2:]), columns[0][1] - 8, 9)]
+        state = due_state(step, by_key, today)
+        dates = report_dates(lang, step) + (f" · {t(f'dates.{state}')}" if state else "")
+        date_lines = wrap_text(dates, columns[3][1] - 8, 9)[:3]
+        height = max(len(name_lines), len(date_lines)) * 12 + 5
+        if room(height):
+            table_header()
+
+        status = by_key.get(step["status"], {})
+        people = [step.get("owner")] + [
+            user_store[user_id]["name"] for user_id in step.get("assignees", []) if user_id in user_store
+        ]
+        due_color = {"overdue": "#b91c1c", "soon": "#b45309"}.get(state, "#111111")
+
+        baseline = y - 10
+        for index, line in enumerate(name_lines):
+            text(left, baseline - index * 12, line)
+        x = left + columns[0][1]
+        box(x, baseline + 7, 7, 7, status.get("color", "#6b7280"))
+        label = report_status_label(lang, status) if status else step["status"]
+        text(x + 11, baseline, fit_text(label, columns[1][1] - 20, 9))
+        x += columns[1][1]
+        people = report_list(lang, dict.fromkeys(filter(None, people)))
+        text(x, baseline, fit_text(people, columns[2][1] - 8, 9))
+        x += columns[2][1]
+        for index, line in enumerate(date_lines):
+            text(x, baseline - index * 12, line, color=due_color)
+        text_end(right, baseline, report_percent(lang, step["progress_pct"]))
+        y -= height
+        rule(y)
+
+    # Summary
+    new_page()
+    paragraph(journey["name"], 20, True)
+    paragraph(t("report.title"), 12, color="#666666")
+    y -= 6
+    generated = f"{report_date(lang, now, 'dateTime')} UTC"
+    paragraph(t("report.generated", date=generated, name=user["name"]), color="#666666")
+    described = describe_filters(journey, filters, user["name"], lang)
+    paragraph(t("report.filtered", filters=report_list(lang, described)) if described else t("report.noFilters"),
+              color="#666666")
+    y -= 12
+
+    room(36)
+    text(left, y - 10, t("report.overall"), 10, True)
+    text_end(right, y - 10, report_percent(lang, journey["completion_pct"]), 10, True)
+    y -= 16
+    progress_bar(y, 10, journey["completion_pct"])
+    y -= 22
+
+    counts = [t("common.stageCount", count=len(journey["stages"])),
+              t("allSteps.shownOf", shown=len(shown), count=total) if filters
+              else t("common.stepCount", count=total)]
+    overdue = sum(1 for step in shown if due_state(step, by_key, today) == "overdue")
+    soon = sum(1 for step in shown if due_state(step, by_key, today) == "soon")
+    if overdue:
+        counts.append(t("gantt.overdue", count=overdue))
+    if soon:
+        counts.append(t("gantt.soon", count=soon))
+    paragraph(report_list(lang, counts))
+    y -= 8
+
+    paragraph(t("report.byStatus"), 10, True)
+    for status in journey["statuses"]:
+        count = sum(1 for step in shown if step["status"] == status["key"])
+        if not count:
+            continue
+        room(14)
+        box(left, y - 2, 8, 8, status["color"])
+        text(left + 14, y - 9, fit_text(report_status_label(lang, status), 180, 9))
+        text_end(left + 240, y - 9, report_number(lang, count))
+        y -= 14
+    if not shown:
+        paragraph(t("allSteps.noMatches") if filters else t("allSteps.empty"), color="#666666")
+    y -= 10
+    rule(y)
+    y -= 10
+
+    # Stages
+    for number, stage, steps in groups:
+        room(70)  # keep the heading with its bar and first rows
+        heading = f"{report_number(lang, number)}. {stage['name']}"
+        text(left, y - 12, fit_text(heading, width - 60, 12, True), 12, True)
+        text_end(right, y - 12, report_percent(lang, stage["completion_pct"]), 12, True)
+        y -= 20
+        progress_bar(y, 6, stage["completion_pct"])
+        y -= 12
+        schedule = report_dates(lang, stage)
+        if schedule:
+            paragraph(schedule, color="#666666")
+        if stage.get("description"):
+            paragraph(stage["description"], color="#666666")
+        y -= 4
+        if steps:
+            table_header()
+            for step in steps:
+                step_row(step)
+        else:
+            paragraph(t("allSteps.empty"), color="#666666")
+        y -= 18
+
+    # Footer: journey name and page number
+    footer = fit_text(f"{journey['name']} · {t('report.title')}", width - 80, 8)
+    for page_number, ops in enumerate(pages, start=1):
+        label = t("report.page", page=page_number, pages=len(pages))
+        ops.append(text_op(left, PDF_MARGIN - 8, footer, 8, color="#666666"))
+        ops.append(text_op(right - text_width(label, 8), PDF_MARGIN - 8, label, 8, color="#666666"))
+
+    return build_pdf(pages, f"{journey['name']} - {t('report.title')}", now)
+
+# -------------------------
+# Helper: parse an import file
+# -------------------------
+def find_import_status(statuses: list, value: str):
+    """
+    Matches a status by key or label (case-insensitive).
+    Empty -> the first status of the workflow.
+    """
+    value = (value or "").strip()
+    if not value:
+        return statuses[0]["key"]
+    for s in statuses:
+        if value.upper() == s["key"] or value.lower() == s["label"].lower():
+            return s["key"]
+    return None
+
+def parse_import_json(content: str, errors: list) -> dict:
+    """
+    Reads a JSON export. Ids and percentages in the file are ignored.
+    """
+    try:
+        data = json.loads(content)
+    except ValueError as e:
+        errors.append({"row": None, "message": f"Invalid JSON: {e}"})
+        return None
+    return parse_journey_data(data, errors)
+
+def parse_journey_data(data, errors: list) -> dict:
+    """
+    Validates a journey structure ({name, statuses?, stages: [{..., steps}]})
+    as found in JSON exports and templates.
+    Returns {name, statuses, stages} with only the editable fields.
+    """
+    if not isinstance(data, dict) or not isinstance(data.get("stages"), list):
+        errors.append({"row": None, "message": "Expected an object with a \"stages\" list"})
+        return None
+
+    statuses = copy.deepcopy(DEFAULT_STATUSES)
+    if data.get("statuses") is not None:
+        try:
+            statuses = clean_statuses(data["statuses"])
+        except HTTPException as e:
+            errors.append({"row": "statuses", "message": error_message(e)})
+
+    keys = {s["key"] for s in statuses}
+    stages = []
+    for i, raw_stage in enumerate(data["stages"]):
+        where = f"stages[{i}]"
+        if not isinstance(raw_stage, dict):
+            errors.append({"row": where, "message": "Stage must be an object"})
+            continue
+        try:
+            stage = clean_fields(
+                {f: raw_stage.get(f) for f in STAGE_FIELDS if f in raw_stage}, STAGE_FIELDS, "Stage"
+            )
+            if not stage.get("name"):
+                raise invalid("name", "Stage name required")
+            check_date_range(stage)
+        except HTTPException as e:
+            errors.append({"row": where, "message": error_message(e)})
+            continue
+
+        stage["steps"] = []
+        for j, raw_step in enumerate(raw_stage.get("steps") or []):
+            step_where = f"{where}.steps[{j}]"
+            if not isinstance(raw_step, dict):
+                errors.append({"row": step_where, "message": "Step must be an object"})
+                continue
+            try:
+                step = clean_fields(
+                    {f: raw_step.get(f) for f in STEP_FIELDS if f in raw_step}, STEP_FIELDS, "Step"
+                )
+                if not step.get("name"):
+                    raise invalid("name", "Step name required")
+                check_date_range(step)
+            except HTTPException as e:
+                errors.append({"row": step_where, "message": error_message(e)})
+                continue
+
+            step.setdefault("status", statuses[0]["key"])
+            if step["status"] not in keys:
+                errors.append({"row": step_where, "message": f"Unknown status {step['status']}"})
+                continue
+            stage["steps"].append(step)
+
+        stages.append(stage)
+
+    name = data.get("name") if isinstance(data.get("name"), str) else ""
+    return {"name": name.strip(), "statuses": statuses, "stages": stages}
+
+def parse_import_csv(content: str, errors: list) -> dict:
+    """
+    Reads a CSV export (stage and step columns required).
+    Rows are grouped into stages by stage name, in order of appearance.
+    Statuses use the default workflow and may be given by key or label.
+    """
+    reader = csv.DictReader(io.StringIO(content))
+    columns = set(reader.fieldnames or [])
+    missing = {"stage", "step"} - columns
+    if missing:
+        errors.append({"row": 1, "message": f"Missing column(s): {', '.join(sorted(missing))}"})
+        return None
+
+    statuses = copy.deepcopy(DEFAULT_STATUSES)
+    stages = {}
+    for row in reader:
+        line = reader.line_num
+        try:
+            stage_fields = clean_fields(
+                {
+                    "name": row.get("stage"),
+                    "description": row.get("stage_description"),
+                    **{f: row.get(f"stage_{f}") for f in DATE_FIELDS if f"stage_{f}" in columns},
+                },
+                STAGE_FIELDS, "Stage",
+            )
+            check_date_range(stage_fields)
+        except HTTPException as e:
+            errors.append({"row": line, "message": error_message(e)})
+            continue
+
+        stage = stages.setdefault(stage_fields["name"], {**stage_fields, "steps": []})
+        if not (row.get("step") or "").strip():
+            continue
+
+        try:
+            step = clean_fields(
+                {
+                    "name": row["step"],
+                    **{f: row.get(f) for f in ["description", "owner", "start_date", "due_date", "notes"]
+                       if f in columns},
+                    **({"effort": parse_effort(row["effort"])} if (row.get("effort") or "").strip() else {}),
+                    **({"checklist": parse_checklist(row["checklist"])} if "checklist" in columns else {}),
+                },
+                STEP_FIELDS, "Step",
+            )
+            check_date_range(step)
+        except HTTPException as e:
+            errors.append({"row": line, "message": error_message(e)})
+            continue
+
+        wanted = row.get("status") or row.get("status_label")
+        status = find_import_status(statuses, wanted)
+        if status is None:
+            errors.append({"row": line, "message": f"Unknown status {wanted}"})
+            continue
+
+        stage["steps"].append({**step, "status": status})
+
+    return {"name": "", "statuses": statuses, "stages": list(stages.values())}
+
+def parse_effort(text: str):
+    """
+    Effort from a CSV cell ("3", "0.5"); left as text when it isn't a
+    number, so clean_fields reports it.
+    """
+    try:
+        return float(text) if "." in text else int(text)
+    except ValueError:
+        return text
+
+def parse_import(body: dict):
+    """
+    Validates an import request ({format, content, name?}).
+    Returns (plan, errors); errors are {"row", "message"} and
+    row is a CSV line number or a JSON path (None = whole file).
+    """
+    fmt = body.get("format")
+    content = body.get("content")
+    if fmt not in IMPORT_FORMATS:
+        raise HTTPException(status_code=400, detail="Format must be json or csv")
+    if not isinstance(content, str) or not content.strip():
+        raise HTTPException(status_code=400, detail="File is empty")
+    if len(content) > MAX_IMPORT_CHARS:
+        raise HTTPException(status_code=413, detail="File is too large")
+
+    errors = []
+    try:
+        plan = parse_import_json(content, errors) if fmt == "json" else parse_import_csv(content, errors)
+    except csv.Error as e:
+        plan = None
+        errors.append({"row": None, "message": f"Invalid CSV: {e}"})
+
+    if plan is not None:
+        name = body.get("name") if isinstance(body.get("name"), str) else ""
+        plan["name"] = (name.strip() or plan["name"])[:FIELD_MAX_LEN["name"]]
+        if not plan["name"]:
+            errors.append({"row": None, "message": "Journey name required"})
+        if not plan["stages"]:
+            errors.append({"row": None, "message": "The file contains no stages"})
+
+    return plan, errors[:MAX_IMPORT_ERRORS]
+
+# -------------------------
+# Helper: create a journey from a validated structure
+# -------------------------
+def build_journey(name: str, statuses: list, stages: list, owner: dict) -> dict:
+    """
+    Stores a new journey built from plain stages/steps
+    (import, templates), assigning fresh ids. Whoever creates it
+    is its first owner.
+    """
+    journey_id = new_id("j")
+
+    built = []
+    for raw_stage in stages:
+        stage_id = new_id("s")
+
+        steps = []
+        for raw_step in raw_stage["steps"]:
+            step_id = new_id("t")
+            steps.append({
+                "step_id": step_id,
+                "description": "",
+                "owner": "",
+                "start_date": None,
+                "due_date": None,
+                "notes": "",
+                "effort": DEFAULT_EFFORT,
+                "checklist": [],
+                "assignees": [],
+                **raw_step,
+            })
+
+        built.append({
+            "stage_id": stage_id,
+            "description": "",
+            "start_date": None,
+            "due_date": None,
+            "completion_pct": 0,
+            **raw_stage,
+            "steps": steps,
+        })
+
+    journey = {
+        "journey_id": journey_id,
+        "name": name,
+        "completion_pct": 0,
+        "version": 1,
+        "statuses": copy.deepcopy(statuses),
+        "members": [member_entry(owner, "owner")],
+        "stages": built,
+    }
+    journey_store[journey_id] = journey
+    index_journey(journey)
+    link_owner(journey, journey["members"][0])
+
+    recompute(journey)
+    return journey
+
+# -------------------------
+# Helper: journey templates
+# -------------------------
+def make_template(template_id: str, name: str, description: str,
+                  statuses: list, stages: list, builtin: bool = False,
+                  created_by: Optional[str] = None) -> dict:
+    """
+    Keeps only the structure of stages/steps (no statuses, owners or dates;
+    see TEMPLATE_STEP_FIELDS). created_by is the user_id of whoever saved
+    it (None for starter templates).
+    """
+    return {
+        "template_id": template_id,
+        "name": name,
+        "description": description,
+        "builtin": builtin,
+        "created_by": created_by,
+        "statuses": copy.deepcopy(statuses),
+        "stages": [
+            {
+                "name": stage["name"],
+                "description": stage.get("description") or "",
+                "steps": [
+                    {
+                        **{field: step.get(field) or "" for field in TEMPLATE_STEP_FIELDS},
+                        "effort": step.get("effort", DEFAULT_EFFORT),
+                        "checklist": [
+                            {"text": item["text"], "done": False}
+                            for item in step.get("checklist", [])
+                        ],
+                    }
+                    for step in stage.get("steps", [])
+                ],
+            }
+            for stage in stages
+        ],
+    }
+
+def template_summary(template: dict) -> dict:
+    """
+    Template library entry (statuses included so the UI can offer
+    a starting status).
+    """
+    return {
+        "template_id": template["template_id"],
+        "name": template["name"],
+        "description": template["description"],
+        "builtin": template["builtin"],
+        "stage_count": len(template["stages"]),
+        "step_count": sum(len(s["steps"]) for s in template["stages"]),
+        "statuses": [{"key": s["key"], "label": s["label"]} for s in template["statuses"]],
+    }
+
+def find_template(template_id: str, user: dict) -> dict:
+    """
+    A template the user may use: a starter template or one they saved.
+    Other people's templates are a 404 (their names stay private).
+    """
+    template = template_store.get(template_id)
+    if not template or not (template["builtin"] or template["created_by"] == user["user_id"]):
+        raise HTTPException(status_code=404, detail="Template not found")
+    return template
+
+def clean_template_info(body: dict) -> tuple:
+    """
+    Validates a template name and description.
+    """
+    fields = clean_fields(
+        {f: body.get(f) for f in TEMPLATE_FIELDS if f in body}, TEMPLATE_FIELDS, "Template"
+    )
+    if not fields.get("name"):
+        raise invalid("name", "Template name required")
+    return fields["name"], fields.get("description", "")
+
+# -------------------------
+# Helper: attachments & comments
+# -------------------------
+def attachment_path(attachment_id: str) -> Path:
+    """
+    Where an attachment's file is stored (named by id, never by the
+    uploaded file name).
+    """
+    return ATTACHMENTS_DIR / attachment_id
+
+def clean_filename(name: Optional[str]) -> str:
+    """
+    Display name of an uploaded file: without any folder part or
+    control characters, at most MAX_FILENAME_LEN characters.
+    """
+    name = re.split(r"[\\/]", name or "")[-1]
+    name = "".join(ch for ch in name if ch.isprintable()).strip()
+    if len(name) > MAX_FILENAME_LEN:
+        # Keep the extension so the file still opens with the right program
+        stem, dot, extension = name.rpartition(".")
+        keep = MAX_FILENAME_LEN - len(extension) - 1
+        name = f"{stem[:keep]}.{extension}" if dot and keep > 0 else name[:MAX_FILENAME_LEN]
+    return name or "file"
+
+def find_attachment(attachment_id: str) -> tuple:
+    """
+    Finds an attachment of a (not deleted) step:
+    (journey, stage, step, attachment), or Nones.
+    Its step is looked up in attachment_steps.
+    """
+    journey, stage, step = find_journey_by_step(attachment_steps.get(attachment_id))
+    for attachment in step["attachments"] if step else []:
+        if attachment["attachment_id"] == attachment_id:
+            return journey, stage, step, attachment
+    return None, None, None, None
+
+def find_comment(comment_id: str) -> tuple:
+    """
+    Finds a comment: (the step's comment list, comment), or Nones.
+    Its step is looked up in comment_steps.
+    """
+    comments = comment_store.get(comment_steps.get(comment_id), [])
+    for comment in comments:
+        if comment["comment_id"] == comment_id:
+            return comments, comment
+    return None, None
+
+# -------------------------
+# Helper: saved views
+# -------------------------
+def clean_view_filters(journey: dict, filters) -> dict:
+    """
+    Validates the filters of a saved view (same keys as the steps
+    view URL). Returns only the filters that are set:
+    - q: text to search for
+    - status: list of status keys of the journey
+    - owner: owner name, or "@me" for whoever opens the view
+    - due: "overdue" | "soon" | "none" (no due date)
+    - state: "open" | "done"
+    """
+    if not isinstance(filters, dict):
+        raise HTTPException(status_code=400, detail="filters must be an object")
+
+    unknown = set(filters) - VIEW_FILTERS
+    if unknown:
+        raise HTTPException(status_code=400, detail=f"Unknown filter(s): {', '.join(sorted(unknown))}")
+
+    cleaned = {}
+    for field in ("q", "owner"):
+        value = filters.get(field) or ""
+        if not isinstance(value, str):
+            raise HTTPException(status_code=400, detail=f"{field} must be a string")
+        limit = MAX_QUERY_LEN if field == "q" else FIELD_MAX_LEN["owner"]
+        if len(value.strip()) > limit:
+            raise HTTPException(status_code=400, detail=f"{field} is too long (max {limit} characters)")
+        if value.strip():
+            cleaned[field] = value.strip()
+
+    status = filters.get("status") or []
+    if not isinstance(status, list) or any(not isinstance(v, str) for v in status):
+        raise HTTPException(status_code=400, detail="status must be a list of status keys")
+    keys = {s["key"] for s in journey["statuses"]}
+    for key in status:
+        if key not in keys:
+            raise HTTPException(status_code=400, detail=f"Unknown status {key}")
+    if status:
+        cleaned["status"] = list(dict.fromkeys(status))
+
+    for field, allowed in (("due", VIEW_DUE_VALUES), ("state", VIEW_STATE_VALUES)):
+        value = filters.get(field) or ""
+        if value and value not in allowed:
+            raise HTTPException(
+                status_code=400,
+                detail=f"{field} must be one of: {', '.join(sorted(allowed))}",
+            )
+        if value:
+            cleaned[field] = value
+
+    return cleaned
+
+# -------------------------
+# Helper: progress history (analytics)
+# -------------------------
+def utc_now() -> datetime:
+    return datetime.now(timezone.utc)
+
+def take_snapshot(journey: dict, now: datetime) -> dict:
+    """
+    The journey's progress at one moment, from the totals of its latest
+    recompute (no step is looked at again):
+    - completion_pct: as shown in the app (see calc_pct)
+    - done_effort / total_effort: effort done so far (weighted by each
+      step's progress) and counted effort: the burn-up chart's lines
+    - done_steps / step_count: steps that are done (see is_done)
+    - stages: {stage_id: completion_pct}
+    """
+    totals = progress_totals[journey["journey_id"]]
+    return {
+        "date": now.date().isoformat(),
+        "at": now.isoformat(timespec="seconds"),
+        "completion_pct": journey["completion_pct"],
+        "done_effort": round(totals["done_effort"], 2),
+        "total_effort": totals["total_effort"],
+        "done_steps": totals["done_steps"],
+        "step_count": totals["step_count"],
+        "stages": {stage["stage_id"]: stage["completion_pct"] for stage in journey["stages"]},
+    }
+
+def record_snapshot(journey: dict) -> None:
+    """
+    Updates the journey's progress history after a change (once per
+    request, however many events it logs):
+    - today's snapshot (a later change the same day replaces it)
+    - the status log of each step whose status changed (as found by
+      the latest recompute)
+    """
+    now = utc_now()
+    snapshot = take_snapshot(journey, now)
+
+    history = snapshot_store.setdefault(journey["journey_id"], [])
+    if history and history[-1]["date"] == snapshot["date"]:
+        history[-1] = snapshot
+    else:
+        history.append(snapshot)
+    del history[:-MAX_SNAPSHOTS]
+
+    log = status_log.setdefault(journey["journey_id"], {})
+    totals = progress_totals[journey["journey_id"]]
+    for step in totals["status_changed"]:
+        changes = log.setdefault(step["step_id"], [])
+        changes.append({"status": step["status"], "at": snapshot["at"]})
+        del changes[:-MAX_STATUS_CHANGES]
+    totals["status_changed"] = []
+
+def week_start(day: date) -> date:
+    """
+    Monday of the (ISO) week a day falls in.
+    """
+    return day - timedelta(days=day.weekday())
+
+def completed_per_week(journey: dict, weeks: int, today: date) -> list:
+    """
+    Steps completed in each of the last `weeks` weeks (oldest first):
+    [{"week": "YYYY-MM-DD" (Monday), "completed": n}]
+    A step counts when its status went from not done to done; reopening
+    and finishing it again counts again. Deleted steps are left out.
+    """
+    by_key = {s["key"]: s for s in journey["statuses"]}
+    first = week_start(today) - timedelta(weeks=weeks - 1)
+    counts = {first + timedelta(weeks=i): 0 for i in range(weeks)}
+
+    log = status_log.get(journey["journey_id"], {})
+    for step_id in journey_steps(journey):
+        changes = log.get(step_id, [])
+        for before, change in zip(changes, changes[1:]):
+            if is_done(change, by_key) and not is_done(before, by_key):
+                week = week_start(datetime.fromisoformat(change["at"]).date())
+                if week in counts:
+                    counts[week] += 1
+
+    return [{"week": week.isoformat(), "completed": n} for week, n in counts.items()]
+
+def time_in_status(journey: dict, now: datetime) -> list:
+    """
+    How long each step has spent in each status, in journey order:
+    [{"step_id", "stage_id", "name", "status", "since", "seconds": {key: n}}]
+    since: when the step entered its current status (None if unknown).
+    Time is counted from the first change recorded for the step.
+    """
+    log = status_log.get(journey["journey_id"], {})
+    result = []
+    for stage in journey["stages"]:
+        for step in stage["steps"]:
+            changes = log.get(step["step_id"], [])
+            seconds = {}
+            for i, change in enumerate(changes):
+                end = datetime.fromisoformat(changes[i + 1]["at"]) if i + 1 < len(changes) else now
+                spent = (end - datetime.fromisoformat(change["at"])).total_seconds()
+                seconds[change["status"]] = seconds.get(change["status"], 0) + max(0, int(spent))
+
+            result.append({
+                "step_id": step["step_id"],
+                "stage_id": stage["stage_id"],
+                "name": step["name"],
+                "status": step["status"],
+                "since": changes[-1]["at"] if changes and changes[-1]["status"] == step["status"] else None,
+                "seconds": seconds,
+            })
+    return result
+
+def project_completion(journey: dict, snapshots: list, today: date) -> dict:
+    """
+    Projected completion date at the pace of the last PACE_WINDOW_DAYS
+    (effort done per day, from the oldest snapshot in that window to now):
+    - state: "complete" | "projected" | "stalled" (no progress in the
+      window) | "not_enough_data" (no steps, or less than a day of history)
+    - date: projected completion date ("projected" only)
+    - pace_per_week: effort done per week
+    - remaining_effort: counted effort not done yet
+    - since: first day of the window the pace is based on
+    - due_date / late: latest due date of the journey's stages and steps,
+      and whether the projected date is after it
+    """
+    latest = snapshots[-1]
+    window_start = (today - timedelta(days=PACE_WINDOW_DAYS)).isoformat()
+    base = next((s for s in snapshots if s["date"] >= window_start), latest)
+
+    due_dates = [
+        item["due_date"]
+        for stage in journey["stages"]
+        for item in [stage, *stage["steps"]]
+        if item.get("due_date")
+    ]
+    projection = {
+        "state": "not_enough_data",
+        "date": None,
+        "pace_per_week": None,
+        "remaining_effort": round(max(0, latest["total_effort"] - latest["done_effort"]), 2),
+        "since": base["date"],
+        "window_days": PACE_WINDOW_DAYS,
+        "due_date": max(due_dates) if due_dates else None,
+        "late": False,
+    }
+
+    if not latest["total_effort"]:
+        return projection
+    if not projection["remaining_effort"]:
+        projection["state"] = "complete"
+        return projection
+
+    days = (date.fromisoformat(latest["date"]) - date.fromisoformat(base["date"])).days
+    if days < 1:
+        return projection
+
+    pace = (latest["done_effort"] - base["done_effort"]) / days
+    projection["pace_per_week"] = round(max(0, pace) * 7, 1)
+    if pace <= 0:
+        projection["state"] = "stalled"
+        return projection
+
+    finish = today + timedelta(days=-(-projection["remaining_effort"] // pace))
+    projection["state"] = "projected"
+    projection["date"] = finish.isoformat()
+    projection["late"] = bool(projection["due_date"]) and projection["date"] > projection["due_date"]
+    return projection
+
+# -------------------------
+# Helper: milestone events (notifications & webhooks)
+# -------------------------
+def announce(journey: dict, events: list, previous: Optional[dict]) -> None:
+    """
+    Turns the changes one request logged into milestone events (see emit):
+    - step.status_changed: as logged
+    - stage.completed / journey.completed: a stage / the journey reached
+      100% with these changes (compared with the snapshot before them; a
+      new journey or stage has none, so it can't "complete" by being
+      created or restored), caused by the last of them
+    """
+    for event in events:
+        if event["type"] == "step.status_changed":
+            stage, step = stage_and_step(journey, event["step_id"])
+            if step:
+                emit(journey, "step.status_changed", event, stage, step,
+                     old=event["old"], new=event["new"])
+
+    event = events[-1]
+    if not previous:
+        return
+    for stage in journey["stages"]:
+        before = previous["stages"].get(stage["stage_id"])
+        if before is not None and before < 100 and stage["completion_pct"] == 100 and stage["steps"]:
+            emit(journey, "stage.completed", event, stage)
+    if previous["completion_pct"] < 100 and journey["completion_pct"] == 100:
+        emit(journey, "journey.completed", event)
+
+def stage_and_step(journey: dict, step_id: Optional[str]) -> tuple:
+    """
+    A step of the journey and its stage, or Nones (e.g. deleted later
+    in the same batch).
+    """
+    found = step_index.get(step_id)
+    if found and found[0] is journey:
+        return found[1], found[2]
+    return None, None
+
+def status_label(journey: dict, key: Optional[str]) -> Optional[str]:
+    status = next((s for s in journey["statuses"] if s["key"] == key), None)
+    return status["label"] if status else key
+
+def emit(journey: dict, event_type: str, cause: Optional[dict],
+         stage: Optional[dict] = None, step: Optional[dict] = None, **fields) -> dict:
+    """
+    Sends a milestone event to the members it concerns (notifications)
+    and to the journey's webhooks subscribed to it. cause is the logged
+    change that reached it (None: the server, e.g. a step fell overdue).
+    Returns the event:
+    {"id", "type", "at", "actor", "actor_id", "journey", "stage", "step", ...fields}
+    """
+    event = {
+        "id": f"me{next(milestone_ids)}",
+        "type": event_type,
+        "at": utc_now().isoformat(timespec="seconds"),
+        "actor": cause["actor"] if cause else None,
+        "actor_id": cause["actor_id"] if cause else None,
+        "journey": {
+            "journey_id": journey["journey_id"],
+            "name": journey["name"],
+            "completion_pct": journey["completion_pct"],
+        },
+        "stage": {
+            "stage_id": stage["stage_id"],
+            "name": stage["name"],
+            "completion_pct": stage["completion_pct"],
+        } if stage else None,
+        "step": {
+            "step_id": step["step_id"],
+            "name": step["name"],
+            "status": step["status"],
+            "owner": step.get("owner"),
+            "assignees": step.get("assignees", []),
+            "due_date": step.get("due_date"),
+        } if step else None,
+        **fields,
+    }
+
+    for user_id in notification_recipients(journey, event_type, event["actor_id"], step):
+        notify_user(user_id, journey, event)
+    for webhook in webhook_store.values():
+        if webhook["journey_id"] == journey["journey_id"] and webhook["active"] and event_type in webhook["events"]:
+            queue_delivery(webhook, event)
+    return event
+
+def notification_recipients(journey: dict, event_type: str, actor_id: Optional[str],
+                            step: Optional[dict]) -> list:
+    """
+    Members to notify of a milestone event (never the one who made it,
+    actor_id):
+    - about a step: its assignees and its owner (owner_id, see
+      owner_id_for); an overdue step nobody is responsible for goes to
+      the journey's owners
+    - about a stage or the journey: every member
+    """
+    members = journey["members"]
+    if step:
+        ids = set(step.get("assignees", []))
+        if step.get("owner_id"):
+            ids.add(step["owner_id"])
+        if not ids and event_type == "step.overdue":
+            ids = {m["user_id"] for m in members if m["role"] == "owner"}
+    else:
+        ids = {m["user_id"] for m in members}
+    return [m["user_id"] for m in members if m["user_id"] in ids and m["user_id"] != actor_id]
+
+def notify_user(user_id: str, journey: dict, event: dict) -> None:
+    """
+    Adds a notification to a user's list (oldest dropped beyond
+    MAX_NOTIFICATIONS). Status keys come with their labels, as the
+    journey may be gone or its workflow changed when it is read.
+    """
+    stage, step = event["stage"] or {}, event["step"] or {}
+    notifications = notification_store.setdefault(user_id, [])
+    notifications.append({
+        "notification_id": f"n{next(notification_ids)}",
+        "type": event["type"],
+        "at": event["at"],
+        "actor": event["actor"],
+        "journey_id": journey["journey_id"],
+        "journey_name": journey["name"],
+        "stage_id": stage.get("stage_id"),
+        "stage_name": stage.get("name"),
+        "step_id": step.get("step_id"),
+        "step_name": step.get("name"),
+        "old": event.get("old"),
+        "new": event.get("new"),
+        "old_label": status_label(journey, event.get("old")),
+        "new_label": status_label(journey, event.get("new")),
+        "due_date": step.get("due_date"),
+        "read": False,
+    })
+    del notifications[:-MAX_NOTIFICATIONS]
+
+def check_overdue(today: date) -> None:
+    """
+    Emits step.overdue once for each step whose due date has passed
+    (again if the due date is moved and passes again).
+    Reads the live steps as stored (see step_index), without
+    recomputing anything: endpoints change them meanwhile.
+    """
+    statuses = {}
+    for journey, stage, step in list(step_index.values()):
+        if journey["journey_id"] not in statuses:
+            statuses[journey["journey_id"]] = {s["key"]: s for s in journey["statuses"]}
+        if due_state(step, statuses[journey["journey_id"]], today) != "overdue":
+            continue
+        if overdue_announced.get(step["step_id"]) == step["due_date"]:
+            continue
+        overdue_announced[step["step_id"]] = step["due_date"]
+        emit(journey, "step.overdue", None, stage, step)
+
+# -------------------------
+# Helper: webhooks (signed deliveries, retry queue)
+# -------------------------
+def clean_webhook(body: dict, partial: bool = False) -> dict:
+    """
+    Validates a webhook's settings: {"url", "events", "active"}.
+    partial: only the fields given (for updates).
+    """
+    fields = {}
+    if "url" in body or not partial:
+        url = body.get("url")
+        if not isinstance(url, str) or not url.strip():
+            raise invalid("url", "Webhook URL required")
+        url = url.strip()
+        if len(url) > MAX_WEBHOOK_URL_LEN:
+            raise invalid("url", f"URL is too long (max {MAX_WEBHOOK_URL_LEN} characters)")
+        parts = urlsplit(url)
+        if parts.scheme not in ("http", "https") or not parts.hostname:
+            raise invalid("url", "URL must start with http:// or https://")
+        try:
+            webhook_address(url)
+        except ValueError as e:
+            raise invalid("url", str(e))
+        fields["url"] = url
+
+    if "events" in body or not partial:
+        events = body.get("events")
+        if not isinstance(events, list) or not events:
+            raise invalid("events", "Choose at least one event")
+        unknown = [e for e in events if e not in MILESTONE_EVENTS]
+        if unknown:
+            raise invalid("events", f"Unknown event(s): {', '.join(map(str, unknown))}")
+        fields["events"] = [e for e in MILESTONE_EVENTS if e in events]
+
+    if "active" in body:
+        if not isinstance(body["active"], bool):
+            raise invalid("active", "active must be true or false")
+        fields["active"] = body["active"]
+    elif not partial:
+        fields["active"] = True
+    return fields
+
+def public_webhook(webhook: dict) -> dict:
+    """
+    A webhook without its secret (shown once, when created or renewed),
+    with the state of its latest delivery.
+    """
+    deliveries = delivery_store.get(webhook["webhook_id"], [])
+    last = deliveries[-1] if deliveries else None
+    return {
+        **{k: v for k, v in webhook.items() if k != "secret"},
+        "last_delivery": {"state": last["state"], "at": last["created_at"]} if last else None,
+    }
+
+def find_webhook(webhook_id: str) -> tuple:
+    """
+    (journey, webhook), 404 if either is missing.
+    """
+    webhook = webhook_store.get(webhook_id)
+    journey = journey_store.get(webhook["journey_id"]) if webhook else None
+    if not journey:
+        raise HTTPException(status_code=404, detail="Webhook not found")
+    return journey, webhook
+
+def queue_delivery(webhook: dict, event: dict) -> dict:
+    """
+    Adds a delivery of an event to the retry queue (sent right away by
+    deliver_webhooks). The delivery log keeps the newest MAX_DELIVERIES;
+    older ones are dropped even if still pending.
+    """
+    now = utc_now().isoformat(timespec="seconds")
+    delivery = {
+        "delivery_id": f"wd{next(delivery_ids)}",
+        "webhook_id": webhook["webhook_id"],
+        "event_id": event["id"],
+        "type": event["type"],
+        "payload": event,
+        "state": "pending",
+        "attempts": [],
+        "retries": 0,
+        "created_at": now,
+        "next_attempt_at": now,
+    }
+    deliveries = delivery_store.setdefault(webhook["webhook_id"], [])
+    deliveries.append(delivery)
+    del deliveries[:-MAX_DELIVERIES]
+    return delivery
+
+def sign_payload(secret: str, timestamp: str, body: bytes) -> str:
+    """
+    Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with
+    the webhook's secret, as "sha256=<hex>". Receivers recompute it to
+    check the request came from us (and reject old timestamps).
+    """
+    digest = hmac.new(secret.encode(), timestamp.encode() + b"." + body, hashlib.sha256)
+    return f"sha256={digest.hexdigest()}"
+
+def public_address(address: str) -> bool:
+    """
+    True for an internet address; False for loopback, private, link-local
+    (e.g. 169.254.169.254, the cloud metadata service), shared, reserved,
+    unspecified and multicast ones (IPv4-mapped IPv6 counts as IPv4).
+    """
+    ip = ipaddress.ip_address(address.split("%")[0])
+    if ip.version == 6 and ip.ipv4_mapped:
+        ip = ip.ipv4_mapped
+    return ip.is_global and not ip.is_multicast
+
+def webhook_address(url: str) -> tuple:
+    """
+    (address, port) a webhook URL is sent to: its host resolved, every
+    address checked with public_address (unless WEBHOOK_ALLOW_PRIVATE).
+    ValueError if the host doesn't resolve or isn't public.
+    """
+    parts = urlsplit(url)
+    port = parts.port or (443 if parts.scheme == "https" else 80)
+    try:
+        found = socket.getaddrinfo(parts.hostname, port, type=socket.SOCK_STREAM)
+    except (socket.gaierror, UnicodeError):
+        raise ValueError(f"Can't find the host {parts.hostname}")
+    addresses = list(dict.fromkeys(info[4][0] for info in found))
+    blocked = [address for address in addresses if not public_address(address)]
+    if blocked and not WEBHOOK_ALLOW_PRIVATE:
+        where = blocked[0] if blocked[0] == parts.hostname else f"{parts.hostname} ({blocked[0]})"
+        raise ValueError(f"URL must point to a public address, not {where}")
+    return addresses[0], port
+
+def send_delivery(webhook: dict, delivery: dict) -> dict:
+    """
+    POSTs a delivery's payload to the webhook (blocking; run it in a
+    worker thread). Returns the attempt:
+    {"at", "status_code" (None without a response), "error", "duration_ms"}
+    The host is resolved and checked again for every attempt, and the
+    request goes to the address that was checked (so a DNS answer that
+    changes in between can't point it at a private one). Redirects
+    aren't followed: a 3xx counts as a failed attempt.
+    """
+    body = json.dumps(delivery["payload"]).encode()
+    timestamp = str(int(time.time()))
+    headers = {
+        "Content-Type": "application/json",
+        "User-Agent": "Milestone-Webhooks",
+        "X-Milestone-Event": delivery["type"],
+        "X-Milestone-Delivery": delivery["delivery_id"],
+        "X-Milestone-Timestamp": timestamp,
+        "X-Milestone-Signature": sign_payload(webhook["secret"], timestamp, body),
+    }
+    parts = urlsplit(webhook["url"])
+    path = (parts.path or "/") + (f"?{parts.query}" if parts.query else "")
+
+    attempt = {"at": utc_now().isoformat(timespec="seconds"), "status_code": None, "error": None}
+    started = time.monotonic()
+    connection = sock = None
+    try:
+        address, port = webhook_address(webhook["url"])
+        sock = socket.create_connection((address, port), timeout=WEBHOOK_TIMEOUT_SECONDS)
+        if parts.scheme == "https":
+            connection = http.client.HTTPSConnection(parts.hostname, port, timeout=WEBHOOK_TIMEOUT_SECONDS)
+            # The certificate is checked against the host name, not the address
+            sock = ssl.create_default_context().wrap_socket(sock, server_hostname=parts.hostname)
+        else:
+            connection = http.client.HTTPConnection(parts.hostname, port, timeout=WEBHOOK_TIMEOUT_SECONDS)
+        connection.sock = sock
+        connection.request("POST", path, body=body, headers=headers)
+        response = connection.getresponse()
+        attempt["status_code"] = response.status
+        if not 200 <= response.status < 300:
+            redirect = " (redirects aren't followed)" if 300 <= response.status < 400 else ""
+            attempt["error"] = f"HTTP {response.status} {response.reason}{redirect}"
+    except (http.client.HTTPException, OSError, ValueError) as e:
+        attempt["error"] = str(e) or type(e).__name__
+    finally:
+        if connection:
+            connection.close()
+        if sock:
+            sock.close()
+    attempt["duration_ms"] = round((time.monotonic() - started) * 1000)
+    return attempt
+
+def record_attempt(delivery: dict, attempt: dict) -> None:
+    """
+    Logs an attempt; a 2xx response delivers it, otherwise it is retried
+    after the next pause of WEBHOOK_RETRY_DELAYS or, when none are left,
+    marked failed.
+    """
+    delivery["attempts"].append(attempt)
+    if attempt["status_code"] and 200 <= attempt["status_code"] < 300:
+        delivery["state"], delivery["next_attempt_at"] = "delivered", None
+        return
+
+    if delivery["retries"] < len(WEBHOOK_RETRY_DELAYS):
+        retry_at = utc_now() + timedelta(seconds=WEBHOOK_RETRY_DELAYS[delivery["retries"]])
+        delivery["state"], delivery["next_attempt_at"] = "pending", retry_at.isoformat(timespec="seconds")
+        delivery["retries"] += 1
+    else:
+        delivery["state"], delivery["next_attempt_at"] = "failed", None
+
+def due_deliveries(now: datetime) -> list:
+    """
+    The retry queue: pending deliveries whose next attempt is due,
+    oldest first.
+    """
+    due = [
+        delivery
+        for deliveries in list(delivery_store.values())
+        for delivery in list(deliveries)
+        if delivery["state"] == "pending" and datetime.fromisoformat(delivery["next_attempt_at"]) <= now
+    ]
+    return sorted(due, key=lambda d: d["next_attempt_at"])
+
+# -------------------------
+# Activity log (demo only, newest last)
+# -------------------------
+event_log = []
+event_ids = itertools.count(1)
+
+# -------------------------
+# Live update subscribers (demo only)
+# -------------------------
+# journey_id -> {(event loop, queue)} of open /stream connections
+live_subscribers = {}
+
+# -------------------------
+# Progress history (demo only, see record_snapshot)
+# -------------------------
+# journey_id -> [snapshot per day, oldest first]
+snapshot_store = {}
+# journey_id -> {step_id: [{"status", "at"}, ...]}
+status_log = {}
+# journey_id -> totals of its latest recompute, for the next snapshot:
+# {"done_effort", "total_effort", "done_steps", "step_count", "status_changed"}
+progress_totals = {}
+
+# -------------------------
+# Comments (demo only, oldest first)
+# -------------------------
+# step_id -> [{"comment_id", "step_id", "text", "author", "created_at"}]
+comment_store = {}
+comment_ids = itertools.count(1)
+# comment_id -> step_id (see find_comment)
+comment_steps = {}
+
+# Attachment ids (the files live in ATTACHMENTS_DIR, the metadata on the step)
+attachment_ids = itertools.count(1)
+# attachment_id -> step_id (see find_attachment)
+attachment_steps = {}
+
+# -------------------------
+# Trash for undo (demo only)
+# -------------------------
+# ("stage" | "step" | "attachment" | "comment", id) ->
+#     {"journey_id", "stage_id" / "step_id", "index", "item"}
+MAX_TRASH = 200
+trash = {}
+
+# -------------------------
+# Users & login tokens (demo only)
+# -------------------------
+# Demo accounts (password "milestone"), members of the seed journey
+user_store = {
+    user["user_id"]: user
+    for user in (
+        make_user("u1", "alex", "Alex Morgan", "milestone"),
+        make_user("u2", "sam", "Sam Patel", "milestone"),
+        make_user("u3", "robin", "Robin Lee", "milestone"),
+    )
+}
+# token -> {"user_id", "expires_at"}
+token_store = {}
+
+# -------------------------
+# Saved views (demo only)
+# -------------------------
+# view_id -> {"view_id", "journey_id", "name", "filters", "created_by", "created_at"}
+view_store = {}
+
+# -------------------------
+# Webhooks & notifications (demo only)
+# -------------------------
+# webhook_id -> {"webhook_id", "journey_id", "url", "events", "active", "secret",
+#                "created_by", "created_at"}
+webhook_store = {}
+webhook_ids = itertools.count(1)
+# webhook_id -> [delivery, ...] oldest first (see queue_delivery)
+delivery_store = {}
+delivery_ids = itertools.count(1)
+milestone_ids = itertools.count(1)
+# user_id -> [notification, ...] oldest first (see notify_user)
+notification_store = {}
+notification_ids = itertools.count(1)
+# step_id -> the due date its step.overdue event was sent for
+overdue_announced = {}
+
+# -------------------------
+# Ids & lookup indexes (demo only)
+# -------------------------
+# prefix ("j", "s", "t", "u", ...) -> counter of new_id
+id_counters = {}
+# stage_id -> (journey, stage); step_id -> (journey, stage, step), for
+# the live stages/steps (not the ones in the trash; see index_stage)
+stage_index = {}
+step_index = {}
+
+# -------------------------
+# Report messages (read once, see report_catalog)
+# -------------------------
+# language -> its messages in report_messages.json
+catalog_cache = {}
+
+# -------------------------
+# In-memory data store (demo only)
+# -------------------------
+journey_store = {
+    "123": {
+        "journey_id": "123",
+        "name": "ISO27001 Readiness",
+        "completion_pct": 0,
+        "statuses": [
+            {"key": "NOT_STARTED", "label": "Not started", "color": "#374151", "weight": 0.0,
+             "counts_toward_completion": True,
+             "transitions": ["IN_PROGRESS", "BLOCKED", "NOT_APPLICABLE"]},
+            {"key": "IN_PROGRESS", "label": "In progress", "color": "#1d4ed8", "weight": 0.5,
+             "counts_toward_completion": True,
+             "transitions": ["NOT_STARTED", "BLOCKED", "IN_REVIEW", "COMPLETED"]},
+            {"key": "BLOCKED", "label": "Blocked", "color": "#b91c1c", "weight": 0.0,
+             "counts_toward_completion": True,
+             "transitions": ["NOT_STARTED", "IN_PROGRESS"]},
+            {"key": "IN_REVIEW", "label": "In review", "color": "#7c3aed", "weight": 0.75,
+             "counts_toward_completion": True,
+             "transitions": ["IN_PROGRESS", "COMPLETED"]},
+            {"key": "COMPLETED", "label": "Completed", "color": "#166534", "weight": 1.0,
+             "counts_toward_completion": True,
+             "transitions": ["IN_PROGRESS", "IN_REVIEW"]},
+            {"key": "NOT_APPLICABLE", "label": "Not applicable", "color": "#6b7280", "weight": 0.0,
+             "counts_toward_completion": False,
+             "transitions": ["NOT_STARTED"]},
+        ],
+        "members": [
+            member_entry(user_store["u1"], "owner"),
+            member_entry(user_store["u2"], "contributor"),
+            member_entry(user_store["u3"], "viewer"),
+        ],
+        "stages": [
+            {
+                "stage_id": "s1",
+                "name": "Initial Scoping",
+                "completion_pct": 0,
+                "steps": [
+                    {"step_id": "t1", "name": "Kickoff Call", "status": "COMPLETED", "effort": 1},
+                    {"step_id": "t2", "name": "Define Scope", "status": "IN_PROGRESS", "effort": 3,
+                     "assignees": ["u2"]},
+                ],
+            },
+            {
+                "stage_id": "s2",
+                "name": "Onboarding",
+                "completion_pct": 0,
+                "steps": [
+                    {"step_id": "t3", "name": "Connect AWS", "status": "NOT_STARTED",
+                     "depends_on": ["t2"], "effort": 15, "assignees": ["u1", "u2"],
+                     "checklist": [
+                         {"text": "Create a read-only IAM role", "done": False},
+                         {"text": "Share the role ARN", "done": False},
+                         {"text": "Verify the connection", "done": False},
+                     ]},
+                ],
+            },
+        ],
+    }
+}
+
+# The seed journey's history starts when the app starts
+for seed_journey in journey_store.values():
+    index_journey(seed_journey)
+    recompute(seed_journey)
+    record_snapshot(seed_journey)
+
+# New ids continue after the seed data's
+skip_ids("u", user_store)
+skip_ids("j", journey_store)
+skip_ids("s", stage_index)
+skip_ids("t", step_index)
+
+# -------------------------
+# Template library (demo only)
+# -------------------------
+# Starter templates ship with the app and can't be deleted:
+# (template_id, name, description, [(stage, [steps])])
+STARTER_TEMPLATES = [
+    ("tpl-iso27001", "ISO 27001 Readiness", "ISMS scoping through certification audit", [
+        ("Initial Scoping", ["Kickoff Call", "Define Scope", "Identify Interested Parties"]),
+        ("Onboarding", ["Connect AWS", "Connect Identity Provider", "Import Asset Inventory"]),
+        ("Risk Management", ["Risk Assessment", "Risk Treatment Plan", "Statement of Applicability"]),
+        ("Policies & Controls", ["Information Security Policy", "Access Control Policy",
+                                 "Implement Annex A Controls"]),
+        ("Internal Audit", ["Internal Audit", "Management Review", "Corrective Actions"]),
+        ("Certification", ["Stage 1 Audit", "Stage 2 Audit"]),
+    ]),
+    ("tpl-soc2", "SOC 2 Type II", "Trust Services Criteria readiness and observation period", [
+        ("Scoping", ["Kickoff Call", "Select Trust Services Criteria", "Define System Boundaries"]),
+        ("Readiness", ["Gap Assessment", "Remediation Plan", "Vendor Risk Review"]),
+        ("Policies", ["Security Policy Set", "Incident Response Plan", "Business Continuity Plan"]),
+        ("Observation Period", ["Evidence Collection", "Quarterly Access Reviews",
+                                "Security Awareness Training"]),
+        ("Audit", ["Auditor Fieldwork", "Management Response", "Report Issued"]),
+    ]),
+    ("tpl-gdpr", "GDPR Compliance", "Data protection programme for personal data processing", [
+        ("Discovery", ["Kickoff Call", "Data Inventory", "Records of Processing Activities"]),
+        ("Legal Basis", ["Lawful Basis Review", "Privacy Notices", "Consent Management"]),
+        ("Data Subject Rights", ["DSAR Procedure", "Retention Schedule"]),
+        ("Security & Vendors", ["DPIAs for High-Risk Processing", "Data Processing Agreements",
+                                "Breach Notification Procedure"]),
+    ]),
+]
+
+template_store = {
+    template_id: make_template(
+        template_id, name, description, DEFAULT_STATUSES,
+        [{"name": stage, "steps": [{"name": step} for step in steps]} for stage, steps in stages],
+        builtin=True,
+    )
+    for template_id, name, description, stages in STARTER_TEMPLATES
+}
+
+# -------------------------
+# Background tasks: webhook deliveries & overdue steps
+# -------------------------
+async def deliver_webhooks():
+    """
+    Works through the retry queue every WEBHOOK_POLL_SECONDS, one
+    delivery at a time (sent from a worker thread). Deliveries of a
+    paused webhook wait until it is active again.
+    """
+    while True:
+        await asyncio.sleep(WEBHOOK_POLL_SECONDS)
+        for delivery in due_deliveries(utc_now()):
+            webhook = webhook_store.get(delivery["webhook_id"])
+            if webhook and webhook["active"]:
+                record_attempt(delivery, await asyncio.to_thread(send_delivery, webhook, delivery))
+
+async def watch_overdue():
+    """
+    Looks for overdue steps every OVERDUE_CHECK_SECONDS. A check that
+    fails is logged; the next one runs as usual.
+    """
+    while True:
+        try:
+            check_overdue(utc_now().date())
+        except Exception:
+            logger.exception("Checking for overdue steps failed")
+        await asyncio.sleep(OVERDUE_CHECK_SECONDS)
+
+# Running tasks (kept so they aren't garbage-collected)
+background_tasks = set()
+
+@app.on_event("startup")
+async def start_background_tasks():
+    for task in (deliver_webhooks, watch_overdue):
+        background_tasks.add(asyncio.create_task(task()))
+
+# ======================================================
+# API ENDPOINTS
+# ======================================================
+
+# -------------------------
+# Create an account (signs it in)
+# -------------------------
+@app.post("/api/auth/register")
+def register(body: dict):
+    username = body.get("username") if isinstance(body.get("username"), str) else ""
+    username = username.strip().lower()
+    if not USERNAME_RE.match(username):
+        raise invalid(
+            "username",
+            "Username must be 3-32 characters: letters, digits, '.', '_' or '-'",
+        )
+    if find_user(username):
+        raise invalid("username", "That username is taken")
+
+    name = body.get("name") if isinstance(body.get("name"), str) else ""
+    name = name.strip() or username
+    if len(name) > MAX_ACTOR_LEN:
+        raise invalid("name", f"name is too long (max {MAX_ACTOR_LEN} characters)")
+
+    password = body.get("password") if isinstance(body.get("password"), str) else ""
+    if len(password) < MIN_PASSWORD_LEN:
+        raise invalid("password", f"Password must be at least {MIN_PASSWORD_LEN} characters")
+    if len(password) > MAX_PASSWORD_LEN:
+        raise invalid("password", f"Password is too long (max {MAX_PASSWORD_LEN} characters)")
+
+    user = make_user(new_id("u"), username, name, password)
+    user_store[user["user_id"]] = user
+    return {"ok": True, **issue_token(user)}
+
+# -------------------------
+# Sign in
+# -------------------------
+@app.post("/api/auth/login")
+def login(body: dict):
+    user = find_user(body.get("username"))
+    password = body.get("password") if isinstance(body.get("password"), str) else ""
+    if not user or not check_password(user, password[:MAX_PASSWORD_LEN]):
+        raise HTTPException(status_code=401, detail="Wrong username or password")
+    return {"ok": True, **issue_token(user)}
+
+# -------------------------
+# Sign out (the token stops working)
+# -------------------------
+@app.post("/api/auth/logout")
+def logout(authorization: Optional[str] = Header(default=None)):
+    token_store.pop(bearer_token(authorization), None)
+    return {"ok": True}
+
+# -------------------------
+# Who is signed in
+# -------------------------
+@app.get("/api/auth/me")
+def get_me(user: dict = Depends(current_user)):
+    return public_user(user)
+
+# -------------------------
+# My steps (assigned to me, across journeys)
+# -------------------------
+@app.get("/api/me/steps")
+def my_steps(user: dict = Depends(current_user)):
+    """
+    One entry per journey the user is a member of and has steps in:
+    {"journey_id", "name", "role", "statuses", "steps": [step + "stage_id", "stage_name"]}
+    """
+    journeys = []
+    for journey in journey_store.values():
+        role = role_of(journey, user)
+        if not role:
+            continue
+
+        steps = [
+            {**step, "stage_id": stage["stage_id"], "stage_name": stage["name"]}
+            for stage in journey["stages"]
+            for step in stage["steps"]
+            if user["user_id"] in step["assignees"]
+        ]
+        if steps:
+            journeys.append({
+                "journey_id": journey["journey_id"],
+                "name": journey["name"],
+                "role": role,
+                "statuses": journey["statuses"],
+                "steps": steps,
+            })
+    return journeys
+
+# -------------------------
+# My notifications (newest first)
+# -------------------------
+@app.get("/api/me/notifications")
+def my_notifications(limit: int = 50, user: dict = Depends(current_user)):
+    """
+    {"notifications": [newest first, at most `limit`], "unread": count of all unread}
+    """
+    notifications = notification_store.get(user["user_id"], [])
+    limit = max(1, min(limit, MAX_NOTIFICATIONS))
+    return {
+        "notifications": notifications[::-1][:limit],
+        "unread": sum(1 for n in notifications if not n["read"]),
+    }
+
+# -------------------------
+# Mark notifications read ({"notification_ids": [...]}; none given: all)
+# -------------------------
+@app.post("/api/me/notifications/read")
+def read_notifications(body: dict, user: dict = Depends(current_user)):
+    ids = body.get("notification_ids")
+    if ids is not None and (not isinstance(ids, list) or any(not isinstance(i, str) for i in ids)):
+        raise invalid("notification_ids", "notification_ids must be a list of ids")
+
+    notifications = notification_store.get(user["user_id"], [])
+    for notification in notifications:
+        if ids is None or notification["notification_id"] in ids:
+            notification["read"] = True
+    return {"ok": True, "unread": sum(1 for n in notifications if not n["read"])}
+
+# -------------------------
+# List journeys
+# -------------------------
+@app.get("/api/journeys")
+def list_journeys(user: dict = Depends(current_user)):
+    """
+    Only the journeys the user is a member of, with their role.
+    """
+    return [
+        {**journey_summary(j), "role": role_of(j, user)}
+        for j in journey_store.values()
+        if role_of(j, user)
+    ]
+
+# -------------------------
+# Create journey
+# -------------------------
+@app.post("/api/journeys")
+def add_journey(body: dict, user: dict = Depends(current_user)):
+    name = clean_fields({"name": body.get("name")}, {"name"}, "Journey")["name"]
+
+    journey_id = new_id("j")
+
+    journey_store[journey_id] = {
+        "journey_id": journey_id,
+        "name": name,
+        "completion_pct": 0,
+        "version": 1,
+        "statuses": copy.deepcopy(DEFAULT_STATUSES),
+        "members": [member_entry(user, "owner")],
+        "stages": [],
+    }
+    recompute(journey_store[journey_id])
+
+    log_event(journey_store[journey_id], "journey.created", user, name=name)
+    return {"ok": True, "journey_id": journey_id}
+
+# -------------------------
+# Get journey
+# -------------------------
+@app.get("/api/journeys/{journey_id}")
+def get_journey(journey_id: str, response: Response, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    # No recompute: every change ends with one (see touch)
+    response.headers["ETag"] = f'"{journey["version"]}"'
+    return journey
+
+# -------------------------
+# Get journey summary (stages without their steps)
+# -------------------------
+@app.get("/api/journeys/{journey_id}/summary")
+def get_journey_summary(journey_id: str, response: Response, user: dict = Depends(current_user)):
+    """
+    The journey without its steps, for journeys too large to load at
+    once: each stage has its percentage, dates, version and step_count;
+    its steps come from GET /api/stages/{stage_id}/steps.
+    """
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    response.headers["ETag"] = f'"{journey["version"]}"'
+    return {
+        **{k: v for k, v in journey.items() if k != "stages"},
+        "step_count": sum(len(stage["steps"]) for stage in journey["stages"]),
+        "stages": [
+            {
+                **{k: v for k, v in stage.items() if k != "steps"},
+                "step_count": len(stage["steps"]),
+            }
+            for stage in journey["stages"]
+        ],
+    }
+
+# -------------------------
+# Get a stage's steps (paginated)
+# -------------------------
+@app.get("/api/stages/{stage_id}/steps")
+def list_stage_steps(
+    stage_id: str,
+    offset: int = 0,
+    limit: int = DEFAULT_STEP_PAGE,
+    user: dict = Depends(current_user),
+):
+    """
+    One page of a stage's steps, in order:
+    {"steps": [...], "total", "offset", "limit", "stage_version"}.
+    """
+    journey, stage = find_journey_by_stage(stage_id)
+    if not stage:
+        raise HTTPException(status_code=404, detail="Stage not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    offset = max(0, offset)
+    limit = max(1, min(limit, MAX_STEP_PAGE))
+    return {
+        "steps": stage["steps"][offset:offset + limit],
+        "total": len(stage["steps"]),
+        "offset": offset,
+        "limit": limit,
+        "stage_version": stage["version"],
+    }
+
+# -------------------------
+# Get journey status workflow
+# -------------------------
+@app.get("/api/journeys/{journey_id}/statuses")
+def get_statuses(journey_id: str, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    return journey["statuses"]
+
+# -------------------------
+# Replace journey status workflow
+# -------------------------
+@app.put("/api/journeys/{journey_id}/statuses")
+def set_statuses(journey_id: str, body: dict, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "owner", "change the status workflow")
+
+    statuses = clean_statuses(body.get("statuses"))
+
+    # A status can't be removed while steps still use it
+    keys = {s["key"] for s in statuses}
+    in_use = {}
+    for stage in journey["stages"]:
+        for step in stage["steps"]:
+            if step.get("status") not in keys:
+                in_use[step.get("status")] = in_use.get(step.get("status"), 0) + 1
+    if in_use:
+        key, count = next(iter(in_use.items()))
+        raise HTTPException(
+            status_code=409,
+            detail=f"Status {key} is still used by {count} step(s)",
+        )
+
+    journey["statuses"] = statuses
+    versions = touch(journey)
+    log_event(journey, "workflow.updated", user, keys=[s["key"] for s in statuses])
+    return {"ok": True, "statuses": statuses, "versions": versions}
+
+# -------------------------
+# Journey members
+# -------------------------
+@app.get("/api/journeys/{journey_id}/members")
+def list_members(journey_id: str, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+    return journey["members"]
+
+# -------------------------
+# Add a member / change a member's role ({"username", "role"})
+# -------------------------
+@app.put("/api/journeys/{journey_id}/members")
+def set_member(journey_id: str, body: dict, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "owner", "manage members")
+
+    target = find_user(body.get("username"))
+    if not target:
+        raise invalid("username", "No user with that username")
+    role = body.get("role")
+    if role not in ROLES:
+        raise invalid("role", f"Role must be one of: {', '.join(ROLES)}")
+
+    members = journey["members"]
+    member = next((m for m in members if m["user_id"] == target["user_id"]), None)
+    old = member["role"] if member else None
+    if old == role:
+        return {"ok": True, "member": member, "versions": {"journey": journey["version"]}}
+
+    # A journey always keeps an owner
+    owners = [m for m in members if m["role"] == "owner"]
+    if old == "owner" and len(owners) == 1:
+        raise HTTPException(status_code=409, detail="A journey needs at least one owner")
+
+    if member:
+        member["role"] = role
+    else:
+        member = member_entry(target, role)
+        members.append(member)
+        link_owner(journey, member)
+
+    # Viewers can't work on steps
+    steps = unassign(journey, target["user_id"]) if role == "viewer" else []
+    versions = touch(journey, steps=steps)
+    log_event(journey, "member.role_changed" if old else "member.added", user,
+              name=target["name"], user_id=target["user_id"], old=old, new=role)
+    return {"ok": True, "member": member, "versions": versions}
+
+# -------------------------
+# Remove a member (owners remove anyone; anyone can leave)
+# -------------------------
+@app.delete("/api/journeys/{journey_id}/members/{user_id}")
+def remove_member(journey_id: str, user_id: str, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    if user_id != user["user_id"]:
+        require_role(journey, user, "owner", "manage members")
+
+    member = next((m for m in journey["members"] if m["user_id"] == user_id), None)
+    if not member:
+        raise HTTPException(status_code=404, detail="Member not found")
+    owners = [m for m in journey["members"] if m["role"] == "owner"]
+    if member["role"] == "owner" and len(owners) == 1:
+        raise HTTPException(status_code=409, detail="A journey needs at least one owner")
+
+    journey["members"] = [m for m in journey["members"] if m is not member]
+    versions = touch(journey, steps=unassign(journey, user_id))
+    log_event(journey, "member.removed", user, name=member["name"], user_id=user_id,
+              old=member["role"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Journey webhooks (owners only)
+# -------------------------
+@app.get("/api/journeys/{journey_id}/webhooks")
+def list_webhooks(journey_id: str, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "owner", "manage webhooks")
+    return [public_webhook(w) for w in webhook_store.values() if w["journey_id"] == journey_id]
+
+# -------------------------
+# Add a webhook ({"url", "events", "active"}; the secret is only shown now)
+# -------------------------
+@app.post("/api/journeys/{journey_id}/webhooks")
+def add_webhook(journey_id: str, body: dict, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "owner", "manage webhooks")
+
+    fields = clean_webhook(body)
+    if sum(1 for w in webhook_store.values() if w["journey_id"] == journey_id) >= MAX_WEBHOOKS:
+        raise HTTPException(status_code=400, detail=f"At most {MAX_WEBHOOKS} webhooks per journey")
+
+    webhook = {
+        "webhook_id": f"wh{next(webhook_ids)}",
+        "journey_id": journey_id,
+        **fields,
+        "secret": secrets.token_hex(32),
+        "created_by": user["name"],
+        "created_at": utc_now().isoformat(timespec="seconds"),
+    }
+    webhook_store[webhook["webhook_id"]] = webhook
+    return {"ok": True, "webhook": public_webhook(webhook), "secret": webhook["secret"]}
+
+# -------------------------
+# Update a webhook (url / events / active)
+# -------------------------
+@app.patch("/api/webhooks/{webhook_id}")
+def update_webhook(webhook_id: str, body: dict, user: dict = Depends(current_user)):
+    journey, webhook = find_webhook(webhook_id)
+    require_role(journey, user, "owner", "manage webhooks")
+
+    fields = clean_webhook(body, partial=True)
+    if not fields:
+        raise HTTPException(status_code=400, detail="Nothing to update")
+    webhook.update(fields)
+    return {"ok": True, "webhook": public_webhook(webhook)}
+
+# -------------------------
+# Delete a webhook (and its delivery log)
+# -------------------------
+@app.delete("/api/webhooks/{webhook_id}")
+def delete_webhook(webhook_id: str, user: dict = Depends(current_user)):
+    journey, webhook = find_webhook(webhook_id)
+    require_role(journey, user, "owner", "manage webhooks")
+
+    webhook_store.pop(webhook_id, None)
+    delivery_store.pop(webhook_id, None)
+    return {"ok": True}
+
+# -------------------------
+# Renew a webhook's secret (the old one stops matching right away)
+# -------------------------
+@app.post("/api/webhooks/{webhook_id}/secret")
+def renew_webhook_secret(webhook_id: str, user: dict = Depends(current_user)):
+    journey, webhook = find_webhook(webhook_id)
+    require_role(journey, user, "owner", "manage webhooks")
+
+    webhook["secret"] = secrets.token_hex(32)
+    return {"ok": True, "secret": webhook["secret"]}
+
+# -------------------------
+# Send a test event ("ping") to a webhook
+# -------------------------
+@app.post("/api/webhooks/{webhook_id}/test")
+def test_webhook(webhook_id: str, user: dict = Depends(current_user)):
+    journey, webhook = find_webhook(webhook_id)
+    require_role(journey, user, "owner", "manage webhooks")
+
+    event = {
+        "id": f"me{next(milestone_ids)}",
+        "type": "ping",
+        "at": utc_now().isoformat(timespec="seconds"),
+        "actor": user["name"],
+        "actor_id": user["user_id"],
+        "journey": {
+            "journey_id": journey["journey_id"],
+            "name": journey["name"],
+            "completion_pct": journey["completion_pct"],
+        },
+        "stage": None,
+        "step": None,
+    }
+    return {"ok": True, "delivery": queue_delivery(webhook, event)}
+
+# -------------------------
+# Webhook delivery log (newest first)
+# -------------------------
+@app.get("/api/webhooks/{webhook_id}/deliveries")
+def list_deliveries(webhook_id: str, user: dict = Depends(current_user)):
+    journey, webhook = find_webhook(webhook_id)
+    require_role(journey, user, "owner", "manage webhooks")
+    return delivery_store.get(webhook_id, [])[::-1]
+
+# -------------------------
+# Redeliver now (with a fresh set of retries; also for a delivered one)
+# -------------------------
+@app.post("/api/webhooks/{webhook_id}/deliveries/{delivery_id}/retry")
+def retry_delivery(webhook_id: str, delivery_id: str, user: dict = Depends(current_user)):
+    journey, webhook = find_webhook(webhook_id)
+    require_role(journey, user, "owner", "manage webhooks")
+
+    delivery = next((d for d in delivery_store.get(webhook_id, []) if d["delivery_id"] == delivery_id), None)
+    if not delivery:
+        raise HTTPException(status_code=404, detail="Delivery not found")
+
+    delivery["state"] = "pending"
+    delivery["retries"] = 0
+    delivery["next_attempt_at"] = utc_now().isoformat(timespec="seconds")
+    return {"ok": True, "delivery": delivery}
+
+# -------------------------
+# Update step (status and/or details)
+# -------------------------
+@app.patch("/api/steps/{step_id}")
+def update_step(
+    step_id: str,
+    body: dict,
+    user: dict = Depends(current_user),
+    if_match: Optional[str] = Header(default=None),
+):
+    # Prerequisites and assignees are validated against the journey below
+    body = dict(body)
+    depends_on = body.pop("depends_on", None)
+    assignees = body.pop("assignees", None)
+    fields = clean_fields(body, STEP_FIELDS, "Step")
+    if not fields and depends_on is None and assignees is None:
+        raise HTTPException(status_code=400, detail="Nothing to update")
+
+    journey, stage, step = find_journey_by_step(step_id)
+    if not step:
+        raise HTTPException(status_code=404, detail="Step not found")
+    require_role(journey, user, "contributor", "change steps")
+
+    check_version(step, if_match, "step")
+
+    if depends_on is not None:
+        fields["depends_on"] = clean_depends_on(journey, step, depends_on)
+    if assignees is not None:
+        fields["assignees"] = clean_assignees(journey, assignees)
+
+    if "status" in fields:
+        check_status(journey, fields["status"], step.get("status"))
+        if fields["status"] != step.get("status"):
+            check_not_blocked(journey, {**step, **fields}, fields["status"])
+            check_attachments(journey, {**step, **fields}, fields["status"])
+    check_date_range({**step, **fields})
+
+    # Log only what actually changed (status / rename / other details)
+    before = dict(step)
+    step.update(fields)
+    if "owner" in fields:
+        step["owner_id"] = owner_id_for(journey, step["owner"], user)
+    versions = touch(journey, steps=[step])
+
+    ids = {"stage_id": stage["stage_id"], "step_id": step_id, "name": step["name"]}
+    events = []
+    if before.get("status") != step["status"]:
+        events.append(("step.status_changed", {"old": before.get("status"), "new": step["status"], **ids}))
+    if before.get("name") != step["name"]:
+        events.append(("step.renamed", {"old": before.get("name"), "new": step["name"], **ids}))
+    changed = [f for f in fields if f not in ("status", "name") and before.get(f) != step[f]]
+    if changed:
+        events.append(("step.updated", {"fields": changed, **ids}))
+    if events:
+        log_events(journey, user, events)
+
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Update stage (rename / description / dates)
+# -------------------------
+@app.patch("/api/stages/{stage_id}")
+def update_stage(
+    stage_id: str,
+    body: dict,
+    user: dict = Depends(current_user),
+    if_match: Optional[str] = Header(default=None),
+):
+    fields = clean_fields(body, STAGE_FIELDS, "Stage")
+    if not fields:
+        raise HTTPException(status_code=400, detail="Nothing to update")
+
+    journey, stage = find_journey_by_stage(stage_id)
+    if not stage:
+        raise HTTPException(status_code=404, detail="Stage not found")
+    require_role(journey, user, "contributor", "change stages")
+
+    check_version(stage, if_match, "stage")
+    check_date_range({**stage, **fields})
+
+    before = dict(stage)
+    stage.update(fields)
+    versions = touch(journey, [stage])
+
+    ids = {"stage_id": stage_id, "name": stage["name"]}
+    events = []
+    if before.get("name") != stage["name"]:
+        events.append(("stage.renamed", {"old": before.get("name"), "new": stage["name"], **ids}))
+    changed = [f for f in fields if f != "name" and before.get(f) != stage.get(f)]
+    if changed:
+        events.append(("stage.updated", {"fields": changed, **ids}))
+    if events:
+        log_events(journey, user, events)
+
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Add stage
+# -------------------------
+@app.post("/api/journeys/{journey_id}/stages")
+def add_stage(journey_id: str, body: dict, user: dict = Depends(current_user)):
+    fields = clean_fields(body, STAGE_FIELDS, "Stage")
+    if not fields.get("name"):
+        raise invalid("name", "Stage name required")
+    check_date_range(fields)
+
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "contributor", "add stages")
+
+    stage_id = new_id("s")
+
+    stage = {
+        "stage_id": stage_id,
+        "name": "",
+        "description": "",
+        "start_date": None,
+        "due_date": None,
+        "completion_pct": 0,
+        "version": 1,
+        "steps": [],
+        **fields,
+    }
+    journey["stages"].append(stage)
+    index_stage(journey, stage)
+
+    versions = touch(journey)
+    log_event(journey, "stage.added", user, stage_id=stage_id, name=fields["name"])
+    return {"ok": True, "stage_id": stage_id, "versions": {**versions, "stages": {stage_id: 1}}}
+
+# -------------------------
+# Delete stage
+# -------------------------
+@app.delete("/api/stages/{stage_id}")
+def delete_stage(
+    stage_id: str,
+    user: dict = Depends(current_user),
+    if_match: Optional[str] = Header(default=None),
+):
+    journey, stage = find_journey_by_stage(stage_id)
+    if not stage:
+        raise HTTPException(status_code=404, detail="Stage not found")
+    require_role(journey, user, "owner", "delete stages")
+
+    check_version(stage, if_match, "stage")
+
+    index = journey["stages"].index(stage)
+    journey["stages"] = [s for s in journey["stages"] if s["stage_id"] != stage_id]
+    unindex_stage(stage)
+    put_in_trash("stage", stage_id, {
+        "journey_id": journey["journey_id"],
+        "index": index,
+        "item": stage,
+        "links": unlink_steps(journey, {s["step_id"] for s in stage["steps"]}),
+    })
+
+    versions = touch(journey)
+    log_event(journey, "stage.deleted", user, stage_id=stage_id, name=stage["name"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Restore a deleted stage (undo)
+# -------------------------
+@app.post("/api/stages/{stage_id}/restore")
+def restore_stage(stage_id: str, user: dict = Depends(current_user)):
+    entry = trash.get(("stage", stage_id))
+    if not entry:
+        raise HTTPException(status_code=404, detail="Deleted stage not found")
+
+    journey = journey_store.get(entry["journey_id"])
+    if not journey:
+        raise HTTPException(status_code=409, detail="The stage's journey no longer exists")
+    require_role(journey, user, "owner", "restore stages")
+
+    stage = entry["item"]
+    check_restorable_steps(journey, stage["steps"])
+
+    del trash[("stage", stage_id)]
+    journey["stages"].insert(min(entry["index"], len(journey["stages"])), stage)
+    index_stage(journey, stage)
+    relink_steps(journey, entry.get("links", {}))
+
+    versions = touch(journey, [stage])
+    log_event(journey, "stage.restored", user, stage_id=stage_id, name=stage["name"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Add step
+# -------------------------
+@app.post("/api/stages/{stage_id}/steps")
+def add_step(stage_id: str, body: dict, user: dict = Depends(current_user)):
+    body = dict(body)
+    depends_on = body.pop("depends_on", None)
+    assignees = body.pop("assignees", None)
+    fields = clean_fields(body, STEP_FIELDS, "Step")
+    if not fields.get("name"):
+        raise invalid("name", "Step name required")
+    check_date_range(fields)
+
+    journey, stage = find_journey_by_stage(stage_id)
+    if not stage:
+        raise HTTPException(status_code=404, detail="Stage not found")
+    require_role(journey, user, "contributor", "add steps")
+
+    # New steps may start in any status of the workflow (default: the first),
+    # unless their prerequisites aren't done yet or the status needs an
+    # attachment (a new step has none)
+    fields.setdefault("status", journey["statuses"][0]["key"])
+    check_status(journey, fields["status"])
+    fields["depends_on"] = clean_depends_on(journey, {"name": fields["name"]}, depends_on or [])
+    fields["assignees"] = clean_assignees(journey, assignees)
+    check_not_blocked(journey, fields, fields["status"])
+    check_attachments(journey, fields, fields["status"])
+
+    step_id = new_id("t")
+
+    step = {
+        "step_id": step_id,
+        "name": "",
+        "status": fields["status"],
+        "description": "",
+        "owner": "",
+        "start_date": None,
+        "due_date": None,
+        "notes": "",
+        "effort": DEFAULT_EFFORT,
+        "checklist": [],
+        "version": 1,
+        **fields,
+        "owner_id": owner_id_for(journey, fields.get("owner"), user),
+    }
+    stage["steps"].append(step)
+    index_step(journey, stage, step)
+
+    versions = touch(journey, [stage])
+    log_event(journey, "step.added", user, stage_id=stage_id, step_id=step_id,
+              name=fields["name"], new=fields["status"])
+    return {"ok": True, "step_id": step_id, "versions": {**versions, "steps": {step_id: 1}}}
+
+# -------------------------
+# Delete step
+# -------------------------
+@app.delete("/api/steps/{step_id}")
+def delete_step(
+    step_id: str,
+    user: dict = Depends(current_user),
+    if_match: Optional[str] = Header(default=None),
+):
+    journey, stage, step = find_journey_by_step(step_id)
+    if not step:
+        raise HTTPException(status_code=404, detail="Step not found")
+    require_role(journey, user, "contributor", "delete steps")
+
+    check_version(step, if_match, "step")
+
+    index = stage["steps"].index(step)
+    stage["steps"] = [s for s in stage["steps"] if s["step_id"] != step_id]
+    step_index.pop(step_id, None)
+    put_in_trash("step", step_id, {
+        "journey_id": journey["journey_id"],
+        "stage_id": stage["stage_id"],
+        "index": index,
+        "item": step,
+        "links": unlink_steps(journey, {step_id}),
+    })
+
+    versions = touch(journey, [stage])
+    log_event(journey, "step.deleted", user, stage_id=stage["stage_id"],
+              step_id=step_id, name=step["name"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Restore a deleted step (undo)
+# -------------------------
+@app.post("/api/steps/{step_id}/restore")
+def restore_step(step_id: str, user: dict = Depends(current_user)):
+    entry = trash.get(("step", step_id))
+    if not entry:
+        raise HTTPException(status_code=404, detail="Deleted step not found")
+
+    journey, stage = find_journey_by_stage(entry["stage_id"])
+    if not stage:
+        raise HTTPException(
+            status_code=409,
+            detail="The step's stage was deleted; restore the stage first",
+        )
+    require_role(journey, user, "contributor", "restore steps")
+
+    step = entry["item"]
+    check_restorable_steps(journey, [step])
+
+    del trash[("step", step_id)]
+    stage["steps"].insert(min(entry["index"], len(stage["steps"])), step)
+    index_step(journey, stage, step)
+    relink_steps(journey, entry.get("links", {}))
+
+    versions = touch(journey, [stage], [step])
+    log_event(journey, "step.restored", user, stage_id=stage["stage_id"],
+              step_id=step_id, name=step["name"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Move stage (reorder within its journey)
+# -------------------------
+@app.post("/api/stages/{stage_id}/move")
+def move_stage(stage_id: str, body: dict, user: dict = Depends(current_user)):
+    journey, stage = find_journey_by_stage(stage_id)
+    if not stage:
+        raise HTTPException(status_code=404, detail="Stage not found")
+    require_role(journey, user, "contributor", "move stages")
+
+    old_index = journey["stages"].index(stage)
+    stages = [s for s in journey["stages"] if s["stage_id"] != stage_id]
+    stages.insert(parse_index(body, len(stages)), stage)
+    journey["stages"] = stages
+
+    versions = touch(journey)
+    log_event(journey, "stage.moved", user, stage_id=stage_id, name=stage["name"],
+              old=old_index, new=stages.index(stage))
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Move step (reorder, or move to another stage of the same journey)
+# -------------------------
+@app.post("/api/steps/{step_id}/move")
+def move_step(step_id: str, body: dict, user: dict = Depends(current_user)):
+    journey, stage, step = find_journey_by_step(step_id)
+    if not step:
+        raise HTTPException(status_code=404, detail="Step not found")
+    require_role(journey, user, "contributor", "move steps")
+
+    target_id = body.get("stage_id") or stage["stage_id"]
+    target_journey, target = find_journey_by_stage(target_id)
+    if not target:
+        raise HTTPException(status_code=404, detail="Target stage not found")
+    if target_journey is not journey:
+        raise HTTPException(status_code=400, detail="Cannot move a step to another journey")
+
+    stage["steps"] = [s for s in stage["steps"] if s["step_id"] != step_id]
+    target["steps"].insert(parse_index(body, len(target["steps"])), step)
+    index_step(journey, target, step)
+
+    # Both source and target stage percentages change
+    versions = touch(journey, [stage, target])
+    log_event(journey, "step.moved", user, stage_id=target["stage_id"], step_id=step_id,
+              name=step["name"], old=stage["stage_id"], new=target["stage_id"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Batch step operations (bulk status / delete / move)
+# -------------------------
+@app.post("/api/journeys/{journey_id}/steps/batch")
+def batch_steps(journey_id: str, body: dict, user: dict = Depends(current_user)):
+    """
+    Applies a list of operations in order (see apply_batch_operation).
+    They are tried on a copy of the journey first: if any fails, nothing
+    changes and the response is 409 with one error per failed operation,
+    e.g. {"index": 2, "step_id": "t5", "status": 412, "message": "..."}.
+    """
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "contributor", "change steps")
+
+    operations = body.get("operations")
+    if not isinstance(operations, list) or not operations:
+        raise HTTPException(status_code=400, detail="operations must be a non-empty list")
+    if len(operations) > MAX_BATCH_OPERATIONS:
+        raise HTTPException(
+            status_code=400,
+            detail=f"A batch can have at most {MAX_BATCH_OPERATIONS} operations",
+        )
+
+    work = copy.deepcopy(journey)
+    located = {step["step_id"]: (stage, step) for stage in work["stages"] for step in stage["steps"]}
+    changes, errors = [], []
+    for index, op in enumerate(operations):
+        try:
+            change = apply_batch_operation(work, op, located)
+        except HTTPException as e:
+            detail = e.detail if isinstance(e.detail, dict) else {"message": e.detail}
+            errors.append({
+                "index": index,
+                "step_id": op.get("step_id") if isinstance(op, dict) else None,
+                "status": e.status_code,
+                **detail,
+            })
+            continue
+        if change:
+            changes.append(change)
+
+    if errors:
+        raise HTTPException(
+            status_code=409,
+            detail={
+                "message": f"{len(errors)} of {len(operations)} changes were rejected "
+                           f"(nothing was changed): {errors[0]['message']}",
+                "errors": errors,
+            },
+        )
+
+    # All good: the working copy becomes the journey (same dict, so
+    # references from journey_store and subscribers stay valid; it has
+    # the same keys, so the journey is never without one meanwhile);
+    # its stages and steps are new objects, so they are indexed again
+    journey.update(work)
+    for change in changes:
+        if change["op"] == "delete":
+            step_index.pop(change["step"]["step_id"], None)
+    index_journey(journey)
+
+    # Deleted steps are unlinked together; each keeps its own links
+    deleted = {c["step"]["step_id"] for c in changes if c["op"] == "delete"}
+    unlinked = unlink_steps(journey, deleted) if deleted else {}
+
+    stages, steps = [], []
+    for change in changes:
+        stages.append(change["stage"])
+        if change["op"] == "delete":
+            step_id = change["step"]["step_id"]
+            put_in_trash("step", step_id, {
+                "journey_id": journey_id,
+                "stage_id": change["stage"]["stage_id"],
+                "index": change["index"],
+                "item": change["step"],
+                "links": {d: [step_id] for d, gone in unlinked.items() if step_id in gone},
+            })
+        elif change["op"] == "move":
+            stages.append(change["target"])
+            steps.append(change["step"])
+        else:
+            steps.append(change["step"])
+
+    # Deleted steps may have been changed earlier in the batch
+    steps = list({s["step_id"]: s for s in steps if s["step_id"] not in deleted}.values())
+    versions = touch(journey, stages, steps)
+
+    events = []
+    for change in changes:
+        step, stage_id = change["step"], change["stage"]["stage_id"]
+        ids = {"step_id": step["step_id"], "name": step["name"]}
+        if change["op"] == "set_status":
+            events.append(("step.status_changed", {
+                "stage_id": stage_id, "old": change["old"], "new": step["status"], **ids,
+            }))
+        elif change["op"] == "delete":
+            events.append(("step.deleted", {"stage_id": stage_id, **ids}))
+        else:
+            target_id = change["target"]["stage_id"]
+            events.append(("step.moved", {
+                "stage_id": target_id, "old": stage_id, "new": target_id, **ids,
+            }))
+    if events:
+        log_events(journey, user, events)
+
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Journey activity (audit trail)
+# -------------------------
+@app.get("/api/journeys/{journey_id}/events")
+def list_events(
+    journey_id: str,
+    event_type: Optional[str] = Query(default=None, alias="type"),
+    stage_id: Optional[str] = None,
+    step_id: Optional[str] = None,
+    actor: Optional[str] = None,
+    limit: int = 200,
+    user: dict = Depends(current_user),
+):
+    """
+    Newest first. Filters:
+    - type: exact ("step.status_changed") or prefix ("step.")
+    - stage_id / step_id / actor: exact match
+    """
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    limit = max(1, min(limit, 1000))
+    events = []
+    for event in reversed(event_log):
+        if event["journey_id"] != journey_id:
+            continue
+        if event_type and event["type"] != event_type and not (
+            event_type.endswith(".") and event["type"].startswith(event_type)
+        ):
+            continue
+        if stage_id and event["stage_id"] != stage_id:
+            continue
+        if step_id and event["step_id"] != step_id:
+            continue
+        if actor and event["actor"] != actor:
+            continue
+        events.append(event)
+        if len(events) >= limit:
+            break
+
+    return events
+
+# -------------------------
+# Step history
+# -------------------------
+@app.get("/api/steps/{step_id}/events")
+def list_step_events(step_id: str, user: dict = Depends(current_user)):
+    events = [e for e in reversed(event_log) if e["step_id"] == step_id]
+
+    # A deleted step still has history; an unknown one doesn't
+    journey, stage, step = find_journey_by_step(step_id)
+    if not step and events:
+        journey = journey_store.get(events[0]["journey_id"])
+    if not journey:
+        raise HTTPException(status_code=404, detail="Step not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    return events
+
+# -------------------------
+# Step comments (oldest first)
+# -------------------------
+@app.get("/api/steps/{step_id}/comments")
+def list_comments(step_id: str, user: dict = Depends(current_user)):
+    journey, stage, step = find_journey_by_step(step_id)
+    if not step:
+        raise HTTPException(status_code=404, detail="Step not found")
+    require_role(journey, user, "viewer", "see this journey")
+    return comment_store.get(step_id, [])
+
+# -------------------------
+# Add a comment to a step
+# -------------------------
+@app.post("/api/steps/{step_id}/comments")
+def add_comment(step_id: str, body: dict, user: dict = Depends(current_user)):
+    journey, stage, step = find_journey_by_step(step_id)
+    if not step:
+        raise HTTPException(status_code=404, detail="Step not found")
+    require_role(journey, user, "contributor", "comment on steps")
+
+    text = body.get("text")
+    if not isinstance(text, str) or not text.strip():
+        raise invalid("text", "Comment text required")
+    if len(text.strip()) > MAX_COMMENT_LEN:
+        raise invalid("text", f"Comment is too long (max {MAX_COMMENT_LEN} characters)")
+
+    comments = comment_store.setdefault(step_id, [])
+    if len(comments) >= MAX_COMMENTS_PER_STEP:
+        raise invalid("text", f"At most {MAX_COMMENTS_PER_STEP} comments per step")
+
+    comment = {
+        "comment_id": f"c{next(comment_ids)}",
+        "step_id": step_id,
+        "text": text.strip(),
+        "author": user["name"],
+        "author_id": user["user_id"],
+        "created_at": utc_now().isoformat(timespec="seconds"),
+    }
+    comments.append(comment)
+    comment_steps[comment["comment_id"]] = step_id
+    step["comment_count"] = len(comments)
+
+    log_event(journey, "step.commented", user, stage_id=stage["stage_id"], step_id=step_id,
+              name=step["name"], comment_id=comment["comment_id"])
+    return {"ok": True, "comment": comment}
+
+# -------------------------
+# Delete a comment (restorable, see below)
+# -------------------------
+@app.delete("/api/comments/{comment_id}")
+def delete_comment(comment_id: str, user: dict = Depends(current_user)):
+    comments, comment = find_comment(comment_id)
+    journey, stage, step = find_journey_by_step(comment["step_id"]) if comment else (None, None, None)
+    if not step:
+        raise HTTPException(status_code=404, detail="Comment not found")
+
+    # Contributors delete their own comments, owners anyone's
+    role = require_role(journey, user, "contributor", "delete comments")
+    if comment.get("author_id") != user["user_id"] and role != "owner":
+        raise HTTPException(status_code=403, detail="Only owners can delete other people's comments")
+
+    index = comments.index(comment)
+    comments.remove(comment)
+    put_in_trash("comment", comment_id, {"step_id": comment["step_id"], "index": index, "item": comment})
+    step["comment_count"] = len(comments)
+
+    log_event(journey, "step.comment_deleted", user, stage_id=stage["stage_id"],
+              step_id=step["step_id"], name=step["name"], comment_id=comment_id)
+    return {"ok": True}
+
+# -------------------------
+# Restore a deleted comment (undo)
+# -------------------------
+@app.post("/api/comments/{comment_id}/restore")
+def restore_comment(comment_id: str, user: dict = Depends(current_user)):
+    entry = trash.get(("comment", comment_id))
+    if not entry:
+        raise HTTPException(status_code=404, detail="Deleted comment not found")
+
+    journey, stage, step = find_journey_by_step(entry["step_id"])
+    if not step:
+        raise HTTPException(status_code=409, detail="The comment's step was deleted; restore the step first")
+    role = require_role(journey, user, "contributor", "restore comments")
+    if entry["item"].get("author_id") != user["user_id"] and role != "owner":
+        raise HTTPException(status_code=403, detail="Only owners can restore other people's comments")
+
+    del trash[("comment", comment_id)]
+    comments = comment_store.setdefault(step["step_id"], [])
+    comments.insert(min(entry["index"], len(comments)), entry["item"])
+    step["comment_count"] = len(comments)
+
+    log_event(journey, "step.comment_restored", user, stage_id=stage["stage_id"],
+              step_id=step["step_id"], name=step["name"], comment_id=comment_id)
+    return {"ok": True, "comment": entry["item"]}
+
+# -------------------------
+# Upload an attachment to a step (multipart form, field "file")
+# -------------------------
+@app.post("/api/steps/{step_id}/attachments")
+def upload_attachment(
+    step_id: str,
+    file: UploadFile = File(...),
+    user: dict = Depends(current_user),
+):
+    journey, stage, step = find_journey_by_step(step_id)
+    if not step:
+        raise HTTPException(status_code=404, detail="Step not found")
+    require_role(journey, user, "contributor", "upload attachments")
+
+    if len(step["attachments"]) >= MAX_ATTACHMENTS_PER_STEP:
+        raise invalid("file", f"At most {MAX_ATTACHMENTS_PER_STEP} attachments per step")
+
+    # Read one byte more than allowed to tell "at the limit" from "over it"
+    content = file.file.read(MAX_ATTACHMENT_BYTES + 1)
+    if len(content) > MAX_ATTACHMENT_BYTES:
+        raise HTTPException(
+            status_code=413,
+            detail=f"The file is too large (max {MAX_ATTACHMENT_BYTES // (1024 * 1024)} MB)",
+        )
+    if not content:
+        raise invalid("file", "The file is empty")
+
+    attachment = {
+        "attachment_id": f"a{next(attachment_ids)}",
+        "filename": clean_filename(file.filename),
+        "content_type": file.content_type or "application/octet-stream",
+        "size": len(content),
+        "uploaded_by": user["name"],
+        "uploaded_at": utc_now().isoformat(timespec="seconds"),
+    }
+    ATTACHMENTS_DIR.mkdir(parents=True, exist_ok=True)
+    attachment_path(attachment["attachment_id"]).write_bytes(content)
+
+    step["attachments"].append(attachment)
+    attachment_steps[attachment["attachment_id"]] = step_id
+    versions = touch(journey, steps=[step])
+    log_event(journey, "step.attachment_added", user, stage_id=stage["stage_id"],
+              step_id=step_id, name=step["name"], filename=attachment["filename"])
+    return {"ok": True, "attachment": attachment, "versions": versions}
+
+# -------------------------
+# Download an attachment
+# -------------------------
+@app.get("/api/attachments/{attachment_id}")
+def download_attachment(attachment_id: str, user: dict = Depends(link_user)):
+    journey, stage, step, attachment = find_attachment(attachment_id)
+    path = attachment_path(attachment_id)
+    if not attachment or not path.is_file():
+        raise HTTPException(status_code=404, detail="Attachment not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    # Always a download (never rendered by the browser as a page)
+    return FileResponse(
+        path,
+        media_type=attachment["content_type"],
+        filename=attachment["filename"],
+        headers={"X-Content-Type-Options": "nosniff"},
+    )
+
+# -------------------------
+# Delete an attachment (restorable, see below)
+# -------------------------
+@app.delete("/api/attachments/{attachment_id}")
+def delete_attachment(attachment_id: str, user: dict = Depends(current_user)):
+    journey, stage, step, attachment = find_attachment(attachment_id)
+    if not attachment:
+        raise HTTPException(status_code=404, detail="Attachment not found")
+    require_role(journey, user, "contributor", "delete attachments")
+
+    # The step's status may need it (see check_attachments)
+    rule = next((s for s in journey["statuses"] if s["key"] == step["status"]), {})
+    if rule.get("requires_attachment") and len(step["attachments"]) == 1:
+        raise HTTPException(
+            status_code=409,
+            detail=f'"{step["name"]}" is {rule["label"]}, which needs at least one attachment',
+        )
+
+    index = step["attachments"].index(attachment)
+    step["attachments"] = [a for a in step["attachments"] if a is not attachment]
+    put_in_trash("attachment", attachment_id, {
+        "journey_id": journey["journey_id"],
+        "step_id": step["step_id"],
+        "index": index,
+        "item": attachment,
+    })
+
+    versions = touch(journey, steps=[step])
+    log_event(journey, "step.attachment_deleted", user, stage_id=stage["stage_id"],
+              step_id=step["step_id"], name=step["name"], filename=attachment["filename"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Restore a deleted attachment (undo)
+# -------------------------
+@app.post("/api/attachments/{attachment_id}/restore")
+def restore_attachment(attachment_id: str, user: dict = Depends(current_user)):
+    entry = trash.get(("attachment", attachment_id))
+    if not entry:
+        raise HTTPException(status_code=404, detail="Deleted attachment not found")
+
+    journey, stage, step = find_journey_by_step(entry["step_id"])
+    if not step:
+        raise HTTPException(status_code=409, detail="The attachment's step was deleted; restore the step first")
+    require_role(journey, user, "contributor", "restore attachments")
+
+    del trash[("attachment", attachment_id)]
+    step["attachments"].insert(min(entry["index"], len(step["attachments"])), entry["item"])
+
+    versions = touch(journey, steps=[step])
+    log_event(journey, "step.attachment_restored", user, stage_id=stage["stage_id"],
+              step_id=step["step_id"], name=step["name"], filename=entry["item"]["filename"])
+    return {"ok": True, "versions": versions}
+
+# -------------------------
+# Journey analytics (progress over time)
+# -------------------------
+@app.get("/api/journeys/{journey_id}/analytics")
+def journey_analytics(
+    journey_id: str,
+    weeks: int = DEFAULT_ANALYTICS_WEEKS,
+    user: dict = Depends(current_user),
+):
+    """
+    - snapshots: daily progress, oldest first (the last one is now)
+    - weekly: steps completed per week (see completed_per_week)
+    - status_time: time spent in each status, per step
+    - projection: projected completion date (see project_completion)
+    """
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    weeks = max(1, min(weeks, MAX_ANALYTICS_WEEKS))
+    now = utc_now()
+    today = now.date()
+
+    # Today's entry is the current state, even before the first change
+    current = take_snapshot(journey, now)
+    snapshots = [s for s in snapshot_store.get(journey_id, []) if s["date"] != current["date"]]
+    snapshots.append(current)
+
+    return {
+        "snapshots": snapshots,
+        "weekly": completed_per_week(journey, weeks, today),
+        "status_time": time_in_status(journey, now),
+        "projection": project_completion(journey, snapshots, today),
+    }
+
+# -------------------------
+# Live updates (Server-Sent Events)
+# -------------------------
+@app.get("/api/journeys/{journey_id}/stream")
+async def stream_journey(journey_id: str, request: Request, user: dict = Depends(link_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    queue = subscribe(journey_id)
+
+    async def messages():
+        try:
+            # Current version first, so a reconnecting tab can tell if it missed changes
+            yield f"event: hello\ndata: {json.dumps({'version': journey['version']})}\n\n"
+            while True:
+                try:
+                    message = await asyncio.wait_for(queue.get(), STREAM_HEARTBEAT_SECONDS)
+                except asyncio.TimeoutError:
+                    if await request.is_disconnected():
+                        break
+                    yield ": ping\n\n"
+                    continue
+                yield f"event: change\ndata: {json.dumps(message)}\n\n"
+        finally:
+            unsubscribe(journey_id, queue)
+
+    return StreamingResponse(
+        messages(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+# -------------------------
+# Export journey (json / csv / md download)
+# -------------------------
+@app.get("/api/journeys/{journey_id}/export")
+def export_journey(
+    journey_id: str,
+    export_format: str = Query(default="json", alias="format"),
+    user: dict = Depends(link_user),
+):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+    if export_format not in EXPORT_FORMATS:
+        raise HTTPException(status_code=400, detail="Format must be json, csv or md")
+
+    media_type, extension = EXPORT_FORMATS[export_format]
+    content = {
+        "json": export_json,
+        "csv": export_csv,
+        "md": export_markdown,
+    }[export_format](journey)
+
+    return Response(
+        content=content,
+        media_type=media_type,
+        headers={
+            "Content-Disposition": f'attachment; filename="{export_filename(journey, extension)}"'
+        },
+    )
+
+# -------------------------
+# Audit report (PDF download, same filters as the all-steps view)
+# -------------------------
+@app.get("/api/journeys/{journey_id}/report")
+def journey_report(
+    journey_id: str,
+    q: str = "",
+    status: str = "",
+    owner: str = "",
+    due: str = "",
+    state: str = "",
+    lang: str = "en",
+    user: dict = Depends(link_user),
+):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+
+    filters = report_filters(journey, q, status, owner, due, state)
+    content = report_pdf(journey, filters, user, utc_now(), lang if lang in REPORT_LANGUAGES else "en")
+
+    return Response(
+        content=content,
+        media_type="application/pdf",
+        headers={
+            "Content-Disposition": f'attachment; filename="{export_filename(journey, "pdf")}"'
+        },
+    )
+
+# -------------------------
+# Preview an import (validates only, creates nothing)
+# -------------------------
+@app.post("/api/journeys/import/preview")
+def preview_import(body: dict, user: dict = Depends(current_user)):
+    plan, errors = parse_import(body)
+
+    return {
+        "ok": not errors,
+        "errors": errors,
+        "name": plan["name"] if plan else "",
+        "stage_count": len(plan["stages"]) if plan else 0,
+        "step_count": sum(len(s["steps"]) for s in plan["stages"]) if plan else 0,
+        "stages": [
+            {
+                "name": stage["name"],
+                "steps": [{"name": t["name"], "status": t["status"]} for t in stage["steps"]],
+            }
+            for stage in (plan["stages"] if plan else [])
+        ],
+        "statuses": plan["statuses"] if plan else [],
+    }
+
+# -------------------------
+# Import journey (creates a new journey from a file)
+# -------------------------
+@app.post("/api/journeys/import")
+def import_journey(body: dict, user: dict = Depends(current_user)):
+    plan, errors = parse_import(body)
+    if errors:
+        raise HTTPException(
+            status_code=422,
+            detail={"message": f"The file has {len(errors)} error(s)", "errors": errors},
+        )
+
+    journey = build_journey(plan["name"], plan["statuses"], plan["stages"], user)
+    log_event(journey, "journey.created", user, name=plan["name"], source="import")
+    return {"ok": True, "journey_id": journey["journey_id"]}
+
+# -------------------------
+# List templates
+# -------------------------
+@app.get("/api/templates")
+def list_templates(user: dict = Depends(current_user)):
+    """
+    Starter templates and the user's own.
+    """
+    return [
+        template_summary(t) for t in template_store.values()
+        if t["builtin"] or t["created_by"] == user["user_id"]
+    ]
+
+# -------------------------
+# Get template
+# -------------------------
+@app.get("/api/templates/{template_id}")
+def get_template(template_id: str, user: dict = Depends(current_user)):
+    return find_template(template_id, user)
+
+# -------------------------
+# Create template from a structure (e.g. undoing a delete)
+# -------------------------
+@app.post("/api/templates")
+def add_template(body: dict, user: dict = Depends(current_user)):
+    name, description = clean_template_info(body)
+
+    errors = []
+    plan = parse_journey_data(body, errors)
+    if errors:
+        first = errors[0]
+        where = f"{first['row']}: " if first["row"] else ""
+        raise HTTPException(status_code=400, detail=f"{where}{first['message']}")
+
+    template_id = new_id("tpl")
+    template_store[template_id] = make_template(
+        template_id, name, description, plan["statuses"], plan["stages"],
+        created_by=user["user_id"],
+    )
+    return {"ok": True, "template_id": template_id}
+
+# -------------------------
+# Save a journey's structure as a template
+# -------------------------
+@app.post("/api/journeys/{journey_id}/template")
+def save_as_template(journey_id: str, body: dict, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "contributor", "save this journey as a template")
+
+    name, description = clean_template_info(body)
+
+    template_id = new_id("tpl")
+    template_store[template_id] = make_template(
+        template_id, name, description, journey["statuses"], journey["stages"],
+        created_by=user["user_id"],
+    )
+    return {"ok": True, "template_id": template_id}
+
+# -------------------------
+# Delete template
+# -------------------------
+@app.delete("/api/templates/{template_id}")
+def delete_template(template_id: str, user: dict = Depends(current_user)):
+    template = find_template(template_id, user)
+    if template["builtin"]:
+        raise HTTPException(status_code=409, detail="Starter templates can't be deleted")
+
+    del template_store[template_id]
+    return {"ok": True}
+
+# -------------------------
+# New journey from template
+# -------------------------
+@app.post("/api/templates/{template_id}/instantiate")
+def instantiate_template(template_id: str, body: dict, user: dict = Depends(current_user)):
+    template = find_template(template_id, user)
+
+    name = (body.get("name") or "").strip() if isinstance(body.get("name"), str) else ""
+    if not name:
+        raise invalid("name", "Journey name required")
+    if len(name) > FIELD_MAX_LEN["name"]:
+        raise invalid("name", f"name is too long (max {FIELD_MAX_LEN['name']} characters)")
+
+    # Every step starts in the same status (default: NOT_STARTED, else the first)
+    keys = [s["key"] for s in template["statuses"]]
+    status = body.get("status") or ("NOT_STARTED" if "NOT_STARTED" in keys else keys[0])
+    if status not in keys:
+        raise invalid("status", "Invalid status")
+
+    stages = [
+        {**stage, "steps": [{**step, "status": status} for step in stage["steps"]]}
+        for stage in copy.deepcopy(template["stages"])
+    ]
+    journey = build_journey(name, template["statuses"], stages, user)
+
+    log_event(journey, "journey.created", user, name=name,
+              source="template", template_id=template_id)
+    return {"ok": True, "journey_id": journey["journey_id"]}
+
+# -------------------------
+# List a journey's saved views
+# -------------------------
+@app.get("/api/journeys/{journey_id}/views")
+def list_views(journey_id: str, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "viewer", "see this journey")
+    return [v for v in view_store.values() if v["journey_id"] == journey_id]
+
+# -------------------------
+# Save a view (same name -> its filters are replaced)
+# -------------------------
+@app.post("/api/journeys/{journey_id}/views")
+def save_view(journey_id: str, body: dict, user: dict = Depends(current_user)):
+    journey = journey_store.get(journey_id)
+    if not journey:
+        raise HTTPException(status_code=404, detail="Journey not found")
+    require_role(journey, user, "contributor", "save views")
+
+    name = body.get("name") if isinstance(body.get("name"), str) else ""
+    name = name.strip()
+    if not name:
+        raise HTTPException(status_code=400, detail="View name required")
+    if len(name) > MAX_VIEW_NAME_LEN:
+        raise HTTPException(status_code=400, detail=f"name is too long (max {MAX_VIEW_NAME_LEN} characters)")
+    filters = clean_view_filters(journey, body.get("filters") or {})
+
+    views = [v for v in view_store.values() if v["journey_id"] == journey_id]
+    existing = next((v for v in views if v["name"].lower() == name.lower()), None)
+    if existing:
+        existing.update(name=name, filters=filters)
+        return {"ok": True, "view": existing}
+
+    if len(views) >= MAX_VIEWS:
+        raise HTTPException(status_code=409, detail=f"A journey can have at most {MAX_VIEWS} saved views")
+
+    view_id = new_id("v")
+    view_store[view_id] = {
+        "view_id": view_id,
+        "journey_id": journey_id,
+        "name": name,
+        "filters": filters,
+        "created_by": user["name"],
+        "created_at": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+    }
+    return {"ok": True, "view": view_store[view_id]}
+
+# -------------------------
+# Delete a saved view
+# -------------------------
+@app.delete("/api/views/{view_id}")
+def delete_view(view_id: str, user: dict = Depends(current_user)):
+    view = view_store.get(view_id)
+    journey = journey_store.get(view["journey_id"]) if view else None
+    if not journey:
+        raise HTTPException(status_code=404, detail="View not found")
+    require_role(journey, user, "contributor", "delete views")
+
+    del view_store[view_id]
+    return {"ok": True}
+# ======================================================
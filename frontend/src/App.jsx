@@ -1,41 +1,213 @@
 // React hooks used:
 // - useState: manage component state
+// - useReducer: client-side journey store (optimistic updates)
+// - useRef: keep the mutation queue across renders
 // - useEffect: run side effects (API calls on mount)
 // - useMemo: memoize derived data to avoid unnecessary recalculations
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useReducer, useRef, useState } from "react";
 
 // Global styles for layout and UI
 import "./App.css";
 
 // Reusable UI components
 import StatusTag from "./components/StatusTag";
+import BlockedBadge from "./components/BlockedBadge";
+import StepProgress from "./components/StepProgress";
 import UpdateStatusModal from "./components/UpdateStatusModal";
 import AddStageModal from "./components/AddStageModal";
 import AddStepModal from "./components/AddStepModal";
-
-// Hardcoded journey ID as per task requirements
-const JOURNEY_ID = "123";
+import AddJourneyModal from "./components/AddJourneyModal";
+import ImportJourneyModal from "./components/ImportJourneyModal";
+import ExportMenu from "./components/ExportMenu";
+import TemplateLibrary from "./components/TemplateLibrary";
+import SaveTemplateModal from "./components/SaveTemplateModal";
+import CommandPalette from "./components/CommandPalette";
+import ShortcutsModal from "./components/ShortcutsModal";
+import JourneyList from "./components/JourneyList";
+import JourneySwitcher from "./components/JourneySwitcher";
+import InlineEdit from "./components/InlineEdit";
+import StepDetailPanel from "./components/StepDetailPanel";
+import WorkflowModal from "./components/WorkflowModal";
+import JourneyTimeline from "./components/JourneyTimeline";
+import DependencyGraph from "./components/DependencyGraph";
+import GanttChart from "./components/GanttChart";
+import AnalyticsView from "./components/AnalyticsView";
+import ReportView from "./components/ReportView";
+import AllStepsView from "./components/AllStepsView";
+import MyStepsView from "./components/MyStepsView";
+import MembersModal from "./components/MembersModal";
+import WebhooksModal from "./components/WebhooksModal";
+import NotificationBell from "./components/NotificationBell";
+import Toasts from "./components/Toasts";
+import ConflictModal from "./components/ConflictModal";
+import SyncStatus from "./components/SyncStatus";
+import LocaleSwitcher from "./components/LocaleSwitcher";
+import OutboxModal from "./components/OutboxModal";
+import BulkActionBar from "./components/BulkActionBar";
+import SelectAllCheckbox from "./components/SelectAllCheckbox";
+
+// Non-blocking notifications (replaces alert/confirm)
+import useToasts from "./useToasts";
+
+// URL-based routing (journey + selected stage live in the URL)
+import {
+  graphPath,
+  journeyPath,
+  journeysPath,
+  myStepsPath,
+  navigate,
+  schedulePath,
+  analyticsPath,
+  stepsPath,
+  reportPath,
+  timelinePath,
+  useRoute,
+} from "./router";
+
+// Signed-in user and their role on the journey
+import { clearSession, hasRole, roleIn, useSession, withToken } from "./auth";
+
+// Live updates from other tabs/users (Server-Sent Events)
+import { clientId, useJourneyStream } from "./live";
+
+// Requests to the backend (typed errors, retries, cancellation)
+import {
+  ValidationError,
+  attachmentUrl,
+  getJourneySummary,
+  getJourneys,
+  getStageSteps,
+  isAborted,
+  journeyBatchUrl,
+  journeyStagesUrl,
+  journeyUrl,
+  journeyMembersUrl,
+  journeysUrl,
+  logout,
+  request,
+  stageStepsUrl,
+  stageUrl,
+  stepAttachmentsUrl,
+  stepUrl,
+} from "./api";
+
+// Offline copy of journeys + persistent queue of changes
+import { cacheJourney, clearUserData, getCachedJourney } from "./offline";
+import useOutbox, { isUnreachable } from "./useOutbox";
+
+// Notification center (milestones in the user's journeys)
+import useNotifications from "./useNotifications";
+
+// Long stage/step lists only render the rows on screen
+import useVirtualList from "./useVirtualList";
+
+// Client-side journey store (reducer + progress recalculation)
+import {
+  DEFAULT_EFFORT,
+  allowedStatuses,
+  assigneeNames,
+  blockingSteps,
+  findStage,
+  findStep,
+  isPartial,
+  isTempId,
+  journeyReducer,
+  loadProgress,
+  missingAttachment,
+  planStatusChange,
+  startsWork,
+  statusName,
+  tempId,
+} from "./journeyStore";
+
+// Overdue / due-soon flags
+import { dueLabel, dueState, formatDates, stageDueSummary } from "./schedule";
+
+// All-steps view filters (kept in the URL) and preset views
+import { PRESET_VIEWS, filtersToQuery, parseFilters, viewName } from "./filters";
+
+// Translations, locale-aware numbers / dates, RTL layout
+import { formatList, formatNumber, formatPercent, localeInfo, t, useLocale } from "./i18n";
+
+// Steps fetched per request (the server allows up to 500)
+const STEP_PAGE = 200;
+
+// Arrow keys between the stage list and the steps, mirrored for
+// right-to-left languages (the sidebar is on the right there)
+function sideArrows() {
+  return localeInfo().dir === "rtl"
+    ? { toSteps: "ArrowLeft", toStages: "ArrowRight" }
+    : { toSteps: "ArrowRight", toStages: "ArrowLeft" };
+}
 
 /**
  * Root component for Mini Milestone Journey UI
  * ------------------------------------------------
  * Responsibilities:
+ * - Route between the journeys index and a single journey
  * - Fetch journey data from API
- * - Manage selected stage
+ * - Manage selected stage (kept in the URL)
  * - Handle add/delete/update operations
  * - Control modal visibility
  * - Handle loading and error states
  */
 export default function App() {
+  /* ============================
+     ROUTING
+     ============================ */
+
+  // Current route parsed from the URL
+  const route = useRoute();
+
+  // Journey being viewed (null on the journeys index page)
+  const journeyId = route.name === "journey" ? route.journeyId : null;
+
+  // Stage selected in the sidebar, taken from the URL so that
+  // reloads and shared links land on the same stage
+  const selectedStageId = route.name === "journey" ? route.stageId : null;
+
+  // Activity timeline shown instead of a stage (/journeys/:id/timeline)
+  const showTimeline = route.name === "journey" && route.view === "timeline";
+
+  // Step dependency graph shown instead of a stage (/journeys/:id/graph)
+  const showGraph = route.name === "journey" && route.view === "graph";
+
+  // Gantt chart shown instead of a stage (/journeys/:id/schedule)
+  const showSchedule = route.name === "journey" && route.view === "schedule";
+
+  // Progress over time shown instead of a stage (/journeys/:id/analytics)
+  const showAnalytics = route.name === "journey" && route.view === "analytics";
+
+  // Every step of the journey, filtered (/journeys/:id/steps?q=...)
+  const showSteps = route.name === "journey" && route.view === "steps";
+
+  // Printable report, with the same filters (/journeys/:id/report?q=...)
+  const showReport = route.name === "journey" && route.view === "report";
+  const filters = useMemo(() => parseFilters(route.search), [route.search]);
+
+  // Any journey-wide view (no stage selected in the URL)
+  const showJourneyView =
+    showTimeline || showGraph || showSchedule || showAnalytics || showSteps || showReport;
+
+  // Journey-wide views made of every step (see neededStages)
+  const showEveryStep = showGraph || showSchedule || showSteps || showReport;
+
   /* ============================
      CORE DATA STATE
      ============================ */
 
-  // Stores the complete journey object returned by the API
-  const [journey, setJourney] = useState(null);
+  // Stores the complete journey object returned by the API.
+  // Mutations are applied here immediately and rolled back on failure.
+  const [journey, dispatch] = useReducer(journeyReducer, null);
 
-  // Tracks which stage is currently selected in the sidebar
-  const [selectedStageId, setSelectedStageId] = useState(null);
+  // Journey summaries for the index page and topbar switcher
+  const [journeys, setJourneys] = useState([]);
+
+  // Template summaries for the template library and "New Journey"
+  const [templates, setTemplates] = useState([]);
+
+  // Saved views of the current journey (all-steps filters)
+  const [savedViews, setSavedViews] = useState([]);
 
   /* ============================
      UI & FEEDBACK STATE
@@ -47,10 +219,48 @@ export default function App() {
   // Stores API error messages (if any)
   const [error, setError] = useState("");
 
-  // Indicates ongoing actions like add/update/delete
+  // Loading / error state for the journeys list
+  const [journeysLoading, setJourneysLoading] = useState(true);
+  const [journeysError, setJourneysError] = useState("");
+
+  // Loading state for the template library
+  const [templatesLoading, setTemplatesLoading] = useState(true);
+
+  // Indicates a blocking action (creating a journey and navigating to it)
   // Used to disable buttons and show overlay spinner
   const [actionLoading, setActionLoading] = useState(false);
 
+  // Signed-in user (AuthGate only renders the app once there is one)
+  const session = useSession();
+  const user = session?.user;
+
+  // Re-render in the new language when it is switched
+  useLocale();
+
+  // Toast notifications (errors, "Undo" actions)
+  const { toasts, notify, dismiss } = useToasts();
+
+  // The topbar bell's notifications (polled; reloaded on live changes)
+  const notifications = useNotifications();
+
+  // Mutations are queued in a persistent outbox and sent one at a time,
+  // in the order they were made; while the server is unreachable they
+  // wait there (also across reloads) and are replayed when it is back
+  const outbox = useOutbox({
+    userId: user.user_id,
+    sendChange: (entry) => sendChange(entry),
+    onDrained: () => staleRef.current && refreshJourney(),
+  });
+
+  // A reload from the server was requested while changes were queued
+  // (done once the outbox is empty, so it can't overwrite changes
+  // that haven't reached the server yet)
+  const staleRef = useRef(false);
+
+  // Newest versions this tab got back from its own changes
+  // (journey, stages/steps by id), sent as If-Match on edits/deletes
+  const versionsRef = useRef({ journey: 0, stages: {}, steps: {} });
+
   /* ============================
      MODAL STATE
      ============================ */
@@ -67,370 +277,2890 @@ export default function App() {
   // Controls Add Step modal
   const [addStepOpen, setAddStepOpen] = useState(false);
 
+  // Stage / step the server rejected after its modal closed (it was
+  // added optimistically): { values, errors }, so the modal can reopen
+  // with what was entered and the reason next to the field
+  const [stageDraft, setStageDraft] = useState(null);
+  const [stepDraft, setStepDraft] = useState(null);
+
+  // Controls New Journey modal
+  const [addJourneyOpen, setAddJourneyOpen] = useState(false);
+
+  // Template preselected in the New Journey modal ("" = blank journey)
+  const [newJourneyTemplateId, setNewJourneyTemplateId] = useState("");
+
+  // Controls Save as Template modal
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
+
+  // Why the server rejected the New Journey / Save as Template form, by field
+  const [journeyErrors, setJourneyErrors] = useState({});
+  const [templateErrors, setTemplateErrors] = useState({});
+
+  // Controls Import Journey modal
+  const [importOpen, setImportOpen] = useState(false);
+
+  // Controls Status Workflow editor
+  const [workflowOpen, setWorkflowOpen] = useState(false);
+
+  // Controls the journey members list
+  const [membersOpen, setMembersOpen] = useState(false);
+
+  // Controls the journey's webhook settings (owners)
+  const [webhooksOpen, setWebhooksOpen] = useState(false);
+
+  // Controls the Ctrl+K command palette and the "?" shortcut cheat-sheet
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+
+  // Change rejected because someone else changed the item first (412)
+  const [conflict, setConflict] = useState(null);
+
+  // Pending / rejected offline changes panel
+  const [outboxOpen, setOutboxOpen] = useState(false);
+
+  // Step shown in the detail panel (looked up from the store on render)
+  const [detailStepId, setDetailStepId] = useState(null);
+
+  // Why the server rejected the last change made in the detail panel:
+  // { stepId, errors } (errors by field)
+  const [detailErrors, setDetailErrors] = useState(null);
+
+  // Step whose name is being edited inline (dragging is paused meanwhile)
+  const [renamingStepId, setRenamingStepId] = useState(null);
+
   /* ============================
-     API: FETCH JOURNEY
+     SELECTION STATE
+     ============================ */
+
+  // Steps checked for a bulk action (ids), and the last one clicked
+  // (the other end of a Shift+click range)
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectAnchorRef = useRef(null);
+
+  // Why the server rejected the last bulk action, by step id
+  const [bulkErrors, setBulkErrors] = useState({});
+
+  /* ============================
+     DRAG & DROP STATE
      ============================ */
 
+  // Item being dragged: { kind: "stage" | "step", id }
+  const [drag, setDrag] = useState(null);
+
+  // Key of the element currently hovered as a drop target (for highlighting)
+  const [dropTarget, setDropTarget] = useState(null);
+
+  /* ============================
+     API: FETCH JOURNEYS
+     ============================ */
+
+  // Journeys list request in flight (cancelled when a newer one starts)
+  const journeysAbortRef = useRef(null);
+
   /**
-   * Fetches the full journey from backend
-   * - Handles loading & error states
-   * - Auto-selects the first stage if none is selected
+   * Fetches journey summaries for the index page and switcher
    */
-  async function fetchJourney() {
-    setLoading(true);
-    setError("");
+  async function fetchJourneys() {
+    journeysAbortRef.current?.abort();
+    const controller = new AbortController();
+    journeysAbortRef.current = controller;
+
+    setJourneysLoading(true);
+    setJourneysError("");
 
     try {
-      const res = await fetch(`/api/journeys/${JOURNEY_ID}`);
-      if (!res.ok) throw new Error(`API failed (${res.status})`);
+      setJourneys(await getJourneys({ signal: controller.signal }));
+    } catch (e) {
+      if (!isAborted(e)) setJourneysError(e.message || t("app.loadJourneysFailed"));
+    } finally {
+      if (!controller.signal.aborted) setJourneysLoading(false);
+    }
+  }
 
-      const data = await res.json();
-      setJourney(data);
+  // Refresh the list whenever the viewed journey changes
+  // (keeps index percentages and switcher names current)
+  useEffect(() => {
+    fetchJourneys();
+  }, [journeyId]);
 
-      // If previously selected stage no longer exists,
-      // fall back to selecting the first available stage
-      const stillExists = data.stages?.some(
-        (s) => s.stage_id === selectedStageId
-      );
+  /**
+   * Fetches template summaries (starter + saved templates)
+   */
+  async function fetchTemplates() {
+    setTemplatesLoading(true);
 
-      if (!stillExists && data.stages?.length) {
-        setSelectedStageId(data.stages[0].stage_id);
-      }
+    try {
+      setTemplates(await request("/api/templates", { failMessage: t("fail.loadTemplates") }));
     } catch (e) {
-      setError(e.message || "Failed to load journey");
+      notify({ kind: "error", message: e.message });
     } finally {
-      setLoading(false);
+      setTemplatesLoading(false);
     }
   }
 
-  // Fetch journey once when component mounts
   useEffect(() => {
-    fetchJourney();
+    fetchTemplates();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   /* ============================
-     DERIVED STATE
+     API: SAVED VIEWS
      ============================ */
 
-  /**
-   * Memoized lookup for currently selected stage
-   * Avoids recalculating unless journey or selectedStageId changes
-   */
-  const selectedStage = useMemo(() => {
-    if (!journey || !selectedStageId) return null;
-    return journey.stages.find(
-      (s) => s.stage_id === selectedStageId
-    ) || null;
-  }, [journey, selectedStageId]);
+  // Loads the journey's saved views (none while offline)
+  async function fetchViews(id = journeyId) {
+    try {
+      setSavedViews(await request(`${journeyUrl(id)}/views`, { failMessage: t("fail.loadViews") }));
+    } catch {
+      setSavedViews([]);
+    }
+  }
+
+  useEffect(() => {
+    if (journeyId) fetchViews(journeyId);
+    else setSavedViews([]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [journeyId]);
+
+  // Saves the current all-steps filters as a named view (same name: replaced)
+  async function saveView(name) {
+    try {
+      await send(
+        `${journeyUrl(journeyId)}/views`,
+        "POST",
+        { name, filters },
+        t("fail.saveView")
+      );
+      await fetchViews();
+      notify({ kind: "success", message: t("app.viewSaved", { name }) });
+    } catch (e) {
+      notify({ kind: "error", message: e.message });
+    }
+  }
+
+  // Deletes a saved view; "Undo" saves it again
+  async function deleteView(viewId) {
+    const view = savedViews.find((v) => v.view_id === viewId);
+    if (!view) return;
+
+    try {
+      await send(`/api/views/${encodeURIComponent(viewId)}`, "DELETE", null, t("fail.deleteView"));
+      await fetchViews();
+      notify({
+        message: t("app.viewDeleted", { name: view.name }),
+        action: {
+          label: t("common.undo"),
+          onClick: async () => {
+            try {
+              await send(
+                `${journeyUrl(view.journey_id)}/views`,
+                "POST",
+                { name: view.name, filters: view.filters },
+                t("fail.restoreView")
+              );
+              await fetchViews();
+            } catch (e) {
+              notify({ kind: "error", message: e.message });
+            }
+          },
+        },
+      });
+    } catch (e) {
+      notify({ kind: "error", message: e.message });
+    }
+  }
 
   /* ============================
-     STEP STATUS UPDATE
+     API: FETCH JOURNEY
      ============================ */
 
-  // Opens the update status modal for a selected step
-  function openUpdateModal(step) {
-    setActiveStep(step);
-    setModalOpen(true);
+  // Journey requests in flight: the full load (fetchJourney) and a
+  // background reload (refreshJourney, see refreshRef below)
+  const loadAbortRef = useRef(null);
+
+  // Cancels both, so a slow response for a journey that is no longer
+  // wanted can't overwrite what is on screen by the time it arrives
+  function cancelJourneyLoads() {
+    loadAbortRef.current?.abort();
+    refreshRef.current.controller?.abort();
+    pageLoadRef.current?.abort();
+    pageLoadRef.current = null;
   }
 
   /**
-   * Submits updated status for a step
-   * - PATCH request
-   * - Refreshes journey on success
+   * Loads a journey: its stages from the summary, each with the steps
+   * that `previous` (the copy on screen) had of it fetched again (all
+   * pages at once), so a reload keeps what is shown. The other stages'
+   * steps follow page by page once they are needed (see the page
+   * loader below).
    */
-  async function submitStatusUpdate(newStatus) {
-    if (!activeStep) return;
+  async function loadJourney(id, previous, signal) {
+    const summary = await getJourneySummary(id, { signal });
+    const before = new Map(
+      previous?.journey_id === id ? previous.stages.map((s) => [s.stage_id, s]) : []
+    );
+
+    const stages = await Promise.all(
+      summary.stages.map(async (stage) => {
+        const old = before.get(stage.stage_id);
+        // All of a stage it had in full, as much as it had of a partial one
+        let wanted = 0;
+        if (old) wanted = isPartial(old) ? Math.min(old.steps_loaded, stage.step_count) : stage.step_count;
+
+        const offsets = [];
+        for (let offset = 0; offset < wanted; offset += STEP_PAGE) offsets.push(offset);
+        const pages = await Promise.all(
+          offsets.map((offset) => getStageSteps(stage.stage_id, { offset, limit: STEP_PAGE }, { signal }))
+        );
+
+        // Pages may overlap if the stage changed between them
+        const steps = [...new Map(pages.flatMap((p) => p.steps).map((t) => [t.step_id, t])).values()];
+        const loaded = pages.reduce((sum, p) => sum + p.steps.length, 0);
+        return { ...stage, steps, steps_loaded: loaded };
+      })
+    );
+    return { ...summary, stages };
+  }
+
+  /**
+   * Fetches the journey from backend (see loadJourney)
+   * - Handles loading & error states
+   * - Cancels an earlier load still in flight (fast journey switching)
+   * - Server unreachable -> the copy saved on this device (if any)
+   * - Changes still queued from an earlier visit -> the saved copy
+   *   too (the server doesn't have them yet); reloaded once sent
+   * - Stage selection is reconciled separately (see effect below)
+   */
+  async function fetchJourney(id = journeyId) {
+    if (!id) return;
+
+    cancelJourneyLoads();
+    const controller = new AbortController();
+    loadAbortRef.current = controller;
+    const { signal } = controller;
+
+    setLoading(true);
+    setError("");
 
-    setActionLoading(true);
     try {
-      const res = await fetch(`/api/steps/${activeStep.step_id}`, {
-        method: "PATCH",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ status: newStatus }),
+      let unreachable = null;
+      const data = await loadJourney(id, journey, signal).catch((e) => {
+        if (isAborted(e) || !isUnreachable(e)) throw e;
+        unreachable = e;
+        return null;
       });
 
-      if (!res.ok) throw new Error(`Update failed (${res.status})`);
+      if (unreachable) {
+        const cached = await getCachedJourney(id, user.user_id);
+        if (!cached) throw unreachable;
+        if (signal.aborted) return;
+
+        dispatch({ type: "loaded", journey: cached });
+        staleRef.current = true;
+        outbox.markOffline();
+        return;
+      }
+
+      outbox.markOnline();
+      const cached = (await outbox.hasPendingFor(id)) ? await getCachedJourney(id, user.user_id) : null;
+      if (signal.aborted) return;
+      if (cached) staleRef.current = true;
 
-      setModalOpen(false);
-      setActiveStep(null);
-      await fetchJourney();
+      dispatch({ type: "loaded", journey: cached || data });
     } catch (e) {
-      alert(e.message || "Failed to update step");
+      if (!isAborted(e)) setError(e.message || t("app.loadJourneyFailed"));
     } finally {
-      setActionLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   }
 
-  /* ============================
-     STAGE OPERATIONS
-     ============================ */
+  // A background reload is running (and its AbortController) / another
+  // one was asked for meanwhile
+  const refreshRef = useRef({ running: false, again: false, controller: null });
 
-  // Adds a new stage to the journey
-  async function addStage(stageName) {
-    const name = (stageName || "").trim();
-    if (!name) return alert("Stage name required");
+  /**
+   * Reloads the journey in the background (no spinner, errors ignored)
+   * - Deferred while changes are queued (see staleRef)
+   * - Result dropped if a new change was made while it loaded
+   * - Server unreachable -> retried with the outbox
+   * - Requests made while one runs become a single follow-up reload
+   *   (e.g. one per step of someone else's bulk change)
+   * - Cancelled when the journey is switched or fully reloaded
+   */
+  async function refreshJourney() {
+    if (!journeyId) return;
+    if (outbox.isBusy()) {
+      staleRef.current = true;
+      return;
+    }
+    const refresh = refreshRef.current;
+    if (refresh.running) {
+      refresh.again = true;
+      return;
+    }
+    staleRef.current = false;
+    refresh.running = true;
+    refresh.controller = new AbortController();
+    const { signal } = refresh.controller;
 
-    setActionLoading(true);
     try {
-      const res = await fetch(`/api/journeys/${JOURNEY_ID}/stages`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ name }),
-      });
-
-      if (!res.ok) throw new Error(`Add stage failed (${res.status})`);
+      const data = await loadJourney(journeyId, journey, signal);
 
-      setAddStageOpen(false);
-      await fetchJourney();
+      outbox.markOnline();
+      if (outbox.isBusy()) staleRef.current = true;
+      else if (data.journey_id === journeyId) dispatch({ type: "loaded", journey: data });
     } catch (e) {
-      alert(e.message);
+      if (!isAborted(e) && isUnreachable(e)) {
+        staleRef.current = true;
+        outbox.markOffline();
+      }
+      // Otherwise the next change event (or reconnect) tries again
     } finally {
-      setActionLoading(false);
+      refresh.running = false;
+      refresh.controller = null;
+      if (refresh.again && !signal.aborted) {
+        refresh.again = false;
+        refreshJourney();
+      }
     }
   }
 
-  // Deletes a stage (and its steps) after confirmation
-  async function deleteStage(stageId) {
-    if (!confirm("Delete this stage (and all its steps)?")) return;
+  // Keep the device copy current (including changes not sent yet)
+  useEffect(() => {
+    if (journey && journey.journey_id === journeyId) cacheJourney(journey, user.user_id);
+  }, [journey, journeyId]);
+
+  // Fetch the journey whenever the journey in the URL changes
+  useEffect(() => {
+    cancelJourneyLoads();
+    dispatch({ type: "loaded", journey: null });
+    setPageError("");
+    versionsRef.current = { journey: 0, stages: {}, steps: {} };
+    refreshRef.current = { running: false, again: false, controller: null };
+    clearHistory();
+    if (journeyId) fetchJourney(journeyId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [journeyId]);
 
-    setActionLoading(true);
-    try {
-      const res = await fetch(`/api/stages/${stageId}`, {
-        method: "DELETE",
+  // Rejected fields belong to the step they were shown for
+  useEffect(() => {
+    setDetailErrors(null);
+  }, [detailStepId]);
+
+  // A selection belongs to the list it was made in
+  useEffect(() => {
+    clearSelection();
+  }, [journeyId, selectedStageId, showSteps, filters]);
+
+  /**
+   * Keeps the URL pointing at an existing stage:
+   * - no stage in the URL -> select the first stage
+   * - stage no longer exists (deleted / bad link) -> first stage
+   * - optimistic stage got its server id -> swap the temporary id
+   * Uses replace so the browser back button isn't polluted.
+   */
+  useEffect(() => {
+    if (!journey || journey.journey_id !== journeyId || showJourneyView) return;
+
+    const stillExists = journey.stages.some(
+      (s) => s.stage_id === selectedStageId
+    );
+    if (stillExists) return;
+
+    const confirmed = journey.stages.find((s) => s.temp_id === selectedStageId);
+    if (confirmed) {
+      navigate(journeyPath(journeyId, confirmed.stage_id), { replace: true });
+      return;
+    }
+
+    const fallback = journey.stages[0]?.stage_id || null;
+    navigate(journeyPath(journeyId, fallback), { replace: true });
+  }, [journey, journeyId, selectedStageId, showJourneyView]);
+
+  /* ============================
+     LIVE UPDATES
+     ============================ */
+
+  /**
+   * Reloads when someone else changes the journey
+   * - change: ignored when this tab made it (already applied locally);
+   *   someone else's change may also have notified this user
+   * - hello: sent on (re)connect; reload if changes were missed meanwhile
+   */
+  const liveStatus = useJourneyStream(journeyId, ({ type, data }) => {
+    if (!journey || journey.journey_id !== journeyId) return;
+
+    if (type === "hello") {
+      // Back online: send what was queued meanwhile
+      outbox.flush();
+      const known = Math.max(journey.version || 0, versionsRef.current.journey);
+      if (data.version > known) refreshJourney();
+    } else if (data.client_id !== clientId) {
+      refreshJourney();
+      notifications.refresh();
+    }
+  });
+
+  /* ============================
+     NAVIGATION
+     ============================ */
+
+  // Selects a stage by pushing its URL
+  function selectStage(stageId) {
+    navigate(journeyPath(journeyId, stageId));
+  }
+
+  // Opens the journey's activity timeline
+  function openTimeline() {
+    navigate(timelinePath(journeyId));
+  }
+
+  // Opens the journey's step dependency graph
+  function openGraph() {
+    navigate(graphPath(journeyId));
+  }
+
+  // Opens the journey's schedule (Gantt chart)
+  function openSchedule() {
+    navigate(schedulePath(journeyId));
+  }
+
+  // Opens the journey's analytics (burn-up chart and projection)
+  function openAnalytics() {
+    navigate(analyticsPath(journeyId));
+  }
+
+  /**
+   * Shows all steps with the given filters (in the URL)
+   * - replace: true while typing in the search box
+   */
+  function openSteps(nextFilters, { replace = false } = {}) {
+    navigate(stepsPath(journeyId, filtersToQuery(nextFilters || {})), { replace });
+  }
+
+  // Opens the printable report, optionally of the steps matching some filters
+  function openReport(nextFilters) {
+    navigate(reportPath(journeyId, filtersToQuery(nextFilters || {})));
+  }
+
+  // "/": opens the all-steps view (keeping its filters) and focuses the search box
+  function focusSearch() {
+    if (!journeyId) return;
+    if (!showSteps) openSteps();
+    requestAnimationFrame(() => document.getElementById("step-search")?.focus());
+  }
+
+  // Opens the steps assigned to the signed-in user
+  function openMySteps() {
+    navigate(myStepsPath());
+  }
+
+  /**
+   * Signs out (the sign-in form replaces the app, see AuthGate)
+   * Changes still waiting to be sent are dropped with the session (as
+   * are the journey copies kept for offline use), so ask first while
+   * there are any.
+   */
+  function signOut({ force = false } = {}) {
+    if (outbox.entries.length && !force) {
+      notify({
+        kind: "error",
+        message: t("app.unsentChanges", { count: outbox.entries.length }),
+        action: { label: t("app.signOutAnyway"), onClick: () => signOut({ force: true }) },
       });
+      return;
+    }
+    outbox.clear();
+    Promise.all([clearUserData(user.user_id), logout().catch(() => {})]).finally(clearSession);
+  }
 
-      if (!res.ok) throw new Error(`Delete stage failed (${res.status})`);
+  // Switches journey (null -> journeys index)
+  function openJourney(id) {
+    navigate(id ? journeyPath(id) : journeysPath());
+  }
 
-      // Clear selection if deleted stage was active
-      if (selectedStageId === stageId) {
-        setSelectedStageId(null);
-      }
+  /* ============================
+     JOURNEY OPERATIONS
+     ============================ */
+
+  // Opens the New Journey modal, optionally with a template preselected
+  function startNewJourney(templateId = "") {
+    setNewJourneyTemplateId(templateId);
+    setJourneyErrors({});
+    setAddJourneyOpen(true);
+  }
+
+  /**
+   * Creates a new journey and opens it
+   * - templateId: copy stages/steps from this template ("" = empty journey)
+   * - status: status every templated step starts in ("" = default)
+   */
+  async function addJourney({ name: journeyName, templateId, status }) {
+    const name = (journeyName || "").trim();
+    if (!name) return notify({ kind: "error", message: t("addJourney.nameRequired") });
 
-      await fetchJourney();
+    setActionLoading(true);
+    try {
+      const data = templateId
+        ? await send(
+            `/api/templates/${encodeURIComponent(templateId)}/instantiate`,
+            "POST",
+            { name, status: status || undefined },
+            t("fail.createJourney")
+          )
+        : await send(journeysUrl(), "POST", { name }, t("fail.createJourney"));
+
+      setAddJourneyOpen(false);
+      await fetchJourneys();
+      openJourney(data.journey_id);
     } catch (e) {
-      alert(e.message || "Delete failed");
+      if (isFieldError(e)) setJourneyErrors(fieldErrors(e));
+      else notify({ kind: "error", message: e.message });
     } finally {
       setActionLoading(false);
     }
   }
 
   /* ============================
-     STEP OPERATIONS
+     TEMPLATE OPERATIONS
      ============================ */
 
-  // Adds a step under the currently selected stage
-  async function addStep(stepName, status) {
-    const name = (stepName || "").trim();
-    if (!name) return alert("Step name required");
-
+  // Saves the current journey's stages/steps as a template
+  async function saveAsTemplate({ name, description }) {
     setActionLoading(true);
     try {
-      const res = await fetch(`/api/stages/${selectedStageId}/steps`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ name, status }),
-      });
-
-      if (!res.ok) throw new Error(`Add step failed (${res.status})`);
-
-      setAddStepOpen(false);
-      await fetchJourney();
+      await send(
+        `${journeyUrl(journeyId)}/template`,
+        "POST",
+        { name: name.trim(), description },
+        t("fail.saveTemplate")
+      );
+      setSaveTemplateOpen(false);
+      setTemplateErrors({});
+      await fetchTemplates();
+      notify({ kind: "success", message: t("app.templateSaved", { name: name.trim() }) });
     } catch (e) {
-      alert(e.message);
+      if (isFieldError(e)) setTemplateErrors(fieldErrors(e));
+      else notify({ kind: "error", message: e.message });
     } finally {
       setActionLoading(false);
     }
   }
 
-  // Deletes a step after confirmation
-  async function deleteStep(stepId) {
-    if (!confirm("Delete this step?")) return;
-
-    setActionLoading(true);
+  // Deletes a saved template; "Undo" re-creates it from the copy kept here
+  async function deleteTemplate(templateId) {
     try {
-      const res = await fetch(`/api/steps/${stepId}`, {
-        method: "DELETE",
+      const template = await send(
+        `/api/templates/${encodeURIComponent(templateId)}`,
+        "GET",
+        null,
+        t("fail.loadTemplate")
+      );
+      await send(
+        `/api/templates/${encodeURIComponent(templateId)}`,
+        "DELETE",
+        null,
+        t("fail.deleteTemplate")
+      );
+      await fetchTemplates();
+
+      notify({
+        message: t("app.templateDeleted", { name: template.name }),
+        action: {
+          label: t("common.undo"),
+          onClick: async () => {
+            try {
+              const { name, description, statuses, stages } = template;
+              await send(
+                "/api/templates",
+                "POST",
+                { name, description, statuses, stages },
+                t("fail.restoreTemplate")
+              );
+              await fetchTemplates();
+            } catch (e) {
+              notify({ kind: "error", message: e.message });
+            }
+          },
+        },
       });
+    } catch (e) {
+      notify({ kind: "error", message: e.message });
+    }
+  }
 
-      if (!res.ok) throw new Error("Delete failed");
+  // Validates an import file on the server (creates nothing)
+  function previewImport(payload) {
+    return send(`${journeysUrl()}/import/preview`, "POST", payload, t("fail.checkFile"));
+  }
 
-      await fetchJourney();
+  // Creates a journey from a validated import file and opens it
+  async function importJourney(payload) {
+    setActionLoading(true);
+    try {
+      const data = await send(`${journeysUrl()}/import`, "POST", payload, t("fail.import"));
+      setImportOpen(false);
+      await fetchJourneys();
+      openJourney(data.journey_id);
+      notify({ kind: "success", message: t("app.imported", { name: payload.name }) });
     } catch (e) {
-      alert(e.message);
+      notify({ kind: "error", message: e.message });
     } finally {
       setActionLoading(false);
     }
   }
 
   /* ============================
-     UI RENDER
+     DERIVED STATE
      ============================ */
 
+  /**
+   * Memoized lookup for currently selected stage
+   * Avoids recalculating unless journey or selectedStageId changes
+   */
+  const selectedStage = useMemo(() => {
+    if (!journey || journey.journey_id !== journeyId || !selectedStageId) {
+      return null;
+    }
+    return journey.stages.find(
+      (s) => s.stage_id === selectedStageId
+    ) || null;
+  }, [journey, journeyId, selectedStageId]);
+
+  // Overdue / due soon flag for the stage header
+  const selectedStageDue = selectedStage ? dueState(selectedStage, journey.statuses) : null;
+
+  // Checked steps that still exist, in journey order
+  const selectedSteps = useMemo(
+    () =>
+      (journey?.stages || []).flatMap((stage) =>
+        stage.steps.filter((step) => selectedIds.has(step.step_id))
+      ),
+    [journey, selectedIds]
+  );
 
-  return (
-    <div className="page">
-      {/* TOP BAR - page title & overall journey completion */}
-      <header className="topbar">
-        <div className="title">
-          Mini Milestone Journey UI
-          {journey?.name ? <span className="sub"> — {journey.name}</span> : null}
-        </div>
-        {journey ? <div className="journeyPct">{journey.completion_pct}% complete</div> : null}
-      </header>
+  // Rendered rows of the stage and step lists (see useVirtualList);
+  // the row being dragged stays rendered
+  const stageRows = useVirtualList(journey?.stages.length ?? 0, {
+    estimate: 64,
+    keep: drag?.kind === "stage" ? journey.stages.findIndex((s) => s.stage_id === drag.id) : -1,
+  });
+  const stepRows = useVirtualList(selectedStage?.steps?.length ?? 0, {
+    estimate: 96,
+    keep: drag?.kind === "step" ? (selectedStage?.steps || []).findIndex((s) => s.step_id === drag.id) : -1,
+  });
+
+  // The user's role on this journey: viewers only read, contributors
+  // change steps and stages, owners also manage the workflow and members
+  const myRole = roleIn(journey, user);
+  const canEdit = hasRole(myRole, "contributor");
+  const isOwner = hasRole(myRole, "owner");
 
-      <div className="layout">
-        {/* LEFT SIDEBAR - stages list and actions */}
-        <aside className="sidebar">
-          <div className="rowBetween">
-            <div className="sidebarHeading">Stages</div>
-            <button
-              className="iconBtn"
-              disabled={actionLoading}
-              onClick={() => setAddStageOpen(true)}
-              title="Add Stage"
-            >
-              +
-            </button>
-
-          </div>
-          {loading ? (
-            <div className="hint">Loading stages...</div>
-          ) : error ? (
-            <div className="errorBox">❌ {error}</div>
-          ) : (
-            <div className="stageList">
-              {journey.stages.map((stage) => {
-                const active = stage.stage_id === selectedStageId;
-                return (
-                  <button
-                    key={stage.stage_id}
-                    className={`stageItem ${active ? "active" : ""}`}
-                    onClick={() => setSelectedStageId(stage.stage_id)}
-                  >
-                    <div className="miniBarWrap">
-                      <div
-                        className="miniBarFill"
-                        style={{ width: `${stage.completion_pct}%` }}
-                      />
-                    </div>
-                    <div className="stageRow">
-                      <div className="stageName">{stage.name}</div>
+  /* ============================
+     OPTIMISTIC MUTATIONS
+     ============================ */
 
-                      <div className="smallActions">
-                        <div className="stagePct">{stage.completion_pct}%</div>
-                        <button
-                          className="iconBtn"
-                          title="Delete Stage"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            deleteStage(stage.stage_id);
-                          }}
-                        >
-                          🗑
-                        </button>
-                      </div>
-                    </div>
-                  </button>
-                );
-              })}
-            </div>
-          )}
-        </aside>
-
-        {/* RIGHT CONTENT */}
-        <main className="content">
-          {loading ? (
-            <div className="card">
-              <div className="spinner" />
-              <div className="hint">Fetching journey...</div>
-            </div>
-          ) : error ? (
-            <div className="card">
-              <div className="errorBox">
-                <div className="errorTitle">Could not load journey</div>
-                <div>Reason: {error}</div>
-                <button className="btn" onClick={fetchJourney} style={{ marginTop: 12 }}>
-                  Retry
-                </button>
-              </div>
-            </div>
-          ) : !selectedStage ? (
-            <div className="card">
-              <div className="hint">No stage selected.</div>
-            </div>
-          ) : (
-            <div className="card">
-              <div className="stageHeader">
-                <div className="h1">{selectedStage.name}</div>
-
-                <div className="progressBlock">
-                  <div className="barWrap">
-                    <div
-                      className="barFill"
-                      style={{ width: `${selectedStage.completion_pct}%` }}
-                    />
-                  </div>
-                  <div className="muted">{selectedStage.completion_pct}% complete</div>
-                </div>
-              </div>
+  /**
+   * Queues a change in the outbox (sent after all earlier ones)
+   * - change: { label, url, method, body, failMessage, version, versions }
+   *   version: ["steps" | "stages", id, base version] to send If-Match
+   *   versions: the same per operation of a batch (see sendChange)
+   * - rollback: called with the error if the server rejects it
+   *   (undoes the local change)
+   * - onConflict: called with the server's current item instead of an
+   *   error toast when the change was rejected with 412 (see send)
+   * - onInvalid: called with the ValidationError instead of an error
+   *   toast when the server rejected a field (shown in the form)
+   * Resolves with the response body, or null on failure. While offline
+   * it simply stays pending until the change could be sent.
+   */
+  function enqueue(change, rollback, { onConflict, onInvalid } = {}) {
+    return outbox.enqueue({ journeyId, ...change }).catch((e) => {
+      rollback(e);
+      if (e.discarded) {
+        // Dropped from the pending changes panel
+      } else if (e.status === 412 && onConflict) {
+        // Show their version behind the conflict prompt
+        onConflict(e.detail?.current || {});
+        staleRef.current = true;
+      } else if (isFieldError(e) && onInvalid) {
+        onInvalid(e);
+      } else {
+        notify({
+          kind: "error",
+          message: t("app.changeUndone", { error: e.message || t("fail.request") }),
+        });
+      }
+      return null;
+    });
+  }
+
+  // Sends a queued change (If-Match from the newest known version;
+  // a batch carries one version per operation in its body instead)
+  function sendChange({ url, method, body, failMessage, version, versions }) {
+    const operations = versions
+      ? body.operations.map((op, i) =>
+          versions[i] ? { ...op, version: versionFor(...versions[i]) } : op
+        )
+      : null;
+    return send(url, method, operations ? { ...body, operations } : body, failMessage, {
+      ifMatch: version ? versionFor(...version) : null,
+    });
+  }
+
+  /**
+   * Sends a JSON request (see api.js) and records the versions it returns
+   * - ifMatch: version the change is based on (412 if it is outdated)
+   * Throws an ApiError carrying the HTTP status, the response detail and,
+   * for a validation error, the rejected field.
+   */
+  async function send(url, method, body, failMessage, { ifMatch } = {}) {
+    const data = await request(url, { method, body, failMessage, ifMatch });
+    rememberVersions(data?.versions);
+    return data;
+  }
+
+  // Inline form errors for a rejected request ({ field: reason })
+  function fieldErrors(e) {
+    return { [e.field]: e.reason || e.message };
+  }
+
+  // True if the server rejected a form field (shown next to it
+  // rather than in a toast)
+  function isFieldError(e) {
+    return e instanceof ValidationError && Boolean(e.field);
+  }
+
+  /* ============================
+     VERSIONS & CONFLICTS
+     ============================ */
+
+  // Records the versions returned by a change (versions only increase)
+  function rememberVersions(versions) {
+    if (!versions) return;
+
+    const known = versionsRef.current;
+    known.journey = Math.max(known.journey, versions.journey || 0);
+    Object.assign(known.stages, versions.stages);
+    Object.assign(known.steps, versions.steps);
+  }
+
+  /**
+   * Version to send as If-Match for a stage/step
+   * - kind: "stages" | "steps"
+   * - base: version the change was made against (as loaded)
+   * Takes the newest known one, so this tab's own earlier changes
+   * don't count as someone else's. Call when the request runs.
+   */
+  function versionFor(kind, id, base) {
+    return Math.max(versionsRef.current[kind][id] || 0, base || 0) || null;
+  }
+
+  // Opens the conflict prompt; retry(version) re-applies the change
+  // on top of the server's current version
+  function conflictHandler(kind, action, name, changes, retry) {
+    return (current) => setConflict({ kind, action, name, changes, current, retry });
+  }
+
+  // "Overwrite with mine" / "Delete anyway"
+  function resolveConflict() {
+    const { retry, current } = conflict;
+    setConflict(null);
+    retry(current.version);
+  }
+
+  /* ============================
+     OFFLINE CHANGES
+     ============================ */
+
+  // Drops a queued change; changes from this visit are rolled back,
+  // ones from an earlier visit disappear when the journey is reloaded
+  function discardChange(id) {
+    staleRef.current = true;
+    outbox.discard(id);
+  }
+
+  // Sends a change the server rejected on replay again, overwriting
+  // whatever changed meanwhile (no version check)
+  function retryRejectedChange(id) {
+    staleRef.current = true;
+    outbox.retryRejected(id);
+  }
+
+  // Gives up on a rejected change: the journey is reloaded without it
+  function dismissRejectedChange(id) {
+    outbox.dismissRejected(id);
+    refreshJourney();
+  }
+
+  /* ============================
+     UNDO / REDO HISTORY
+     ============================ */
+
+  // Undoable changes (most recent last) and changes that were undone
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+
+  // Stack sizes mirrored in state so the topbar buttons re-render
+  const [historySize, setHistorySize] = useState({ undo: 0, redo: 0 });
+
+  // Latest undoable operations; history entries call these so they
+  // act on the current journey, not the one from when they were recorded
+  const opsRef = useRef(null);
+
+  function syncHistorySize() {
+    setHistorySize({
+      undo: undoStackRef.current.length,
+      redo: redoStackRef.current.length,
+    });
+  }
+
+  // History belongs to one journey; cleared when switching
+  function clearHistory() {
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    syncHistorySize();
+  }
+
+  /**
+   * Records an undoable change
+   * - entry: { label, undo, redo } (undo/redo must not record again)
+   * A new change clears the redo stack.
+   */
+  function remember(entry) {
+    undoStackRef.current.push(entry);
+    redoStackRef.current = [];
+    syncHistorySize();
+    return entry;
+  }
+
+  // Drops an entry whose request failed (its change was already rolled back)
+  function forget(entry) {
+    if (!entry) return;
+    undoStackRef.current = undoStackRef.current.filter((e) => e !== entry);
+    redoStackRef.current = redoStackRef.current.filter((e) => e !== entry);
+    syncHistorySize();
+  }
+
+  // Undoes a specific entry (toast "Undo" button) or the latest one
+  function undo(entry = undoStackRef.current.at(-1)) {
+    if (!entry || !undoStackRef.current.includes(entry)) return;
+
+    undoStackRef.current = undoStackRef.current.filter((e) => e !== entry);
+    redoStackRef.current.push(entry);
+    syncHistorySize();
+    entry.undo();
+  }
+
+  // Re-applies the most recently undone change
+  function redo() {
+    const entry = redoStackRef.current.pop();
+    if (!entry) return;
+
+    undoStackRef.current.push(entry);
+    syncHistorySize();
+    entry.redo();
+  }
+
+  // Offers an "Undo" button for a just-recorded change
+  function notifyUndoable(message, entry) {
+    notify({ message, action: { label: t("common.undo"), onClick: () => undo(entry) } });
+  }
+
+  // Step open in the detail panel (null if it was deleted or not found)
+  const detailStep = useMemo(
+    () => findStep(journey, detailStepId),
+    [journey, detailStepId]
+  );
+
+  /* ============================
+     STEP PAGES
+     ============================ */
+
+  // Page of steps being fetched (its AbortController) / why the last
+  // one failed (loading stops until retried) / bumped when one ends
+  const pageLoadRef = useRef(null);
+  const [pageError, setPageError] = useState("");
+  const [pageLoads, setPageLoads] = useState(0);
+
+  // Stages whose steps are needed, most urgent first: the open stage,
+  // the stages in view in the sidebar (for their due flags), then all
+  // of them for the views of every step and the step details (e.g.
+  // their prerequisites)
+  const neededStages = useMemo(() => {
+    const stages = journey?.stages || [];
+    const needAll = showEveryStep || Boolean(detailStepId);
+    const ids = [
+      selectedStageId,
+      ...stages.slice(stageRows.first, stageRows.last + 1).map((s) => s.stage_id),
+      ...(needAll ? stages.map((s) => s.stage_id) : []),
+    ];
+    return [...new Set(ids)].filter(Boolean).join(" ");
+  }, [journey, selectedStageId, stageRows.first, stageRows.last, showEveryStep, detailStepId]);
+
+  /**
+   * Fetches the next page of the first needed stage that is partial,
+   * one page at a time, until every needed stage is complete
+   * - Waits while changes are queued, so a page can't bring back a
+   *   step this tab deleted (or miss one it moved) before the server
+   *   has it
+   * - A page that arrives after a reload of the journey is dropped
+   *   (see "stepsLoaded")
+   */
+  useEffect(() => {
+    if (!journey || journey.journey_id !== journeyId || loading) return;
+    if (pageLoadRef.current || pageError || outbox.isBusy()) return;
+
+    const stage = neededStages
+      .split(" ")
+      .map((id) => findStage(journey, id)?.stage)
+      .find((s) => s && isPartial(s));
+    if (!stage) return;
+
+    const controller = new AbortController();
+    const offset = stage.steps_loaded;
+    pageLoadRef.current = controller;
+    getStageSteps(stage.stage_id, { offset, limit: STEP_PAGE }, { signal: controller.signal })
+      .then((page) =>
+        dispatch({
+          type: "stepsLoaded",
+          stageId: stage.stage_id,
+          offset,
+          steps: page.steps,
+          total: page.total,
+        })
+      )
+      .catch((e) => {
+        if (!isAborted(e)) setPageError(e.message || t("fail.loadSteps"));
+      })
+      .finally(() => {
+        if (pageLoadRef.current !== controller) return;
+        pageLoadRef.current = null;
+        setPageLoads((n) => n + 1);
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [journey, journeyId, loading, neededStages, pageError, pageLoads, outbox.entries.length]);
+
+  // "Loading steps..." while steps are still coming (progress: from
+  // loadProgress), or why they stopped coming, with a retry button
+  function stepsLoadingHint(progress) {
+    if (pageError) {
+      return (
+        <div className="errorBox">
+          ❌ {pageError}{" "}
+          <button className="btn" onClick={() => setPageError("")}>
+            {t("common.retry")}
+          </button>
+        </div>
+      );
+    }
+    return progress ? <div className="hint">{t("app.loadingSteps", progress)}</div> : null;
+  }
+
+  /* ============================
+     STEP STATUS UPDATE
+     ============================ */
+
+  // Opens the update status modal for a selected step
+  function openUpdateModal(step) {
+    setActiveStep(step);
+    setModalOpen(true);
+  }
+
+  /**
+   * Submits updated status for a step
+   * - Applied locally right away, PATCH sent in the background
+   * - Restores the previous status if the request fails
+   */
+  function submitStatusUpdate(newStatus) {
+    if (!activeStep) return;
+
+    setModalOpen(false);
+    setActiveStep(null);
+    setStepStatus(activeStep.step_id, newStatus);
+  }
+
+  /**
+   * Optimistically sets a step's status
+   * - record: false when called from undo/redo (not recorded again)
+   */
+  function setStepStatus(stepId, newStatus, { record = true, baseVersion } = {}) {
+    const found = findStep(journey, stepId);
+    if (!found || found.step.status === newStatus) return;
+
+    // Same rule as the backend (409): no starting before prerequisites are done
+    const waiting = blockingSteps(journey, found.step);
+    if (waiting.length && startsWork(journey.statuses, newStatus)) {
+      notify({
+        kind: "error",
+        message: t("app.stepBlocked", {
+          name: found.step.name,
+          steps: formatList(waiting.map((b) => `"${b.name}"`)),
+        }),
+      });
+      return;
+    }
+
+    // Same rule as the backend (409): some statuses need an attachment
+    if (missingAttachment(journey.statuses, found.step, newStatus)) {
+      const label = statusName(journey.statuses, newStatus);
+      notify({
+        kind: "error",
+        message: t("app.needsAttachment", { name: found.step.name, status: label }),
+      });
+      return;
+    }
+
+    const previous = found.step.status;
+    const base = baseVersion ?? found.step.version;
+    dispatch({ type: "stepStatusSet", stepId, status: newStatus });
+
+    const label = statusName(journey.statuses, newStatus);
+    const entry = record
+      ? remember({
+          label: t("changes.status", { name: found.step.name, status: label }),
+          undo: () => opsRef.current.setStepStatus(stepId, previous, { record: false }),
+          redo: () => opsRef.current.setStepStatus(stepId, newStatus, { record: false }),
+        })
+      : null;
+    if (entry) notifyUndoable(t("app.statusSet", { name: found.step.name, status: label }), entry);
+
+    enqueue(
+      {
+        label: t("changes.status", { name: found.step.name, status: label }),
+        url: stepUrl(stepId),
+        method: "PATCH",
+        body: { status: newStatus },
+        failMessage: t("fail.update"),
+        version: ["steps", stepId, base],
+      },
+      () => {
+        dispatch({
+          type: "stepStatusSet",
+          stepId,
+          status: previous,
+          from: newStatus,
+        });
+        forget(entry);
+      },
+      {
+        onConflict: conflictHandler(
+          "step",
+          "update",
+          found.step.name,
+          { status: newStatus },
+          (version) => opsRef.current.setStepStatus(stepId, newStatus, { baseVersion: version })
+        ),
+      }
+    );
+  }
+
+  /* ============================
+     DETAIL EDITS
+     ============================ */
+
+  // Copies the current values of the fields about to change (for rollback)
+  function previousValues(item, changes) {
+    return Object.fromEntries(
+      Object.keys(changes).map((field) => [field, item[field] ?? null])
+    );
+  }
+
+  /**
+   * Optimistically edits step fields (name, description, owner, due_date,
+   * notes, effort, checklist, depends_on)
+   * - A field the server rejects is shown in the detail panel (if the
+   *   step is open there), otherwise in a toast
+   * - baseVersion: step version the edit was made against
+   *   (defaults to the loaded one; the detail panel passes its own)
+   */
+  function updateStep(stepId, changes, { record = true, baseVersion } = {}) {
+    const found = findStep(journey, stepId);
+    if (!found) return;
+    if (detailErrors?.stepId === stepId) setDetailErrors(null);
+
+    const previous = previousValues(found.step, changes);
+    const base = baseVersion ?? found.step.version;
+    dispatch({ type: "stepUpdated", stepId, changes });
+
+    const entry = record
+      ? remember({
+          label: t("changes.edit", { name: found.step.name }),
+          undo: () => opsRef.current.updateStep(stepId, previous, { record: false }),
+          redo: () => opsRef.current.updateStep(stepId, changes, { record: false }),
+        })
+      : null;
+
+    enqueue(
+      {
+        label: t("changes.edit", { name: found.step.name }),
+        url: stepUrl(stepId),
+        method: "PATCH",
+        body: changes,
+        failMessage: t("fail.updateStep"),
+        version: ["steps", stepId, base],
+      },
+      () => {
+        dispatch({ type: "stepUpdated", stepId, changes: previous });
+        forget(entry);
+      },
+      {
+        onConflict: conflictHandler(
+          "step",
+          "update",
+          found.step.name,
+          changes,
+          (version) => opsRef.current.updateStep(stepId, changes, { baseVersion: version })
+        ),
+        // Rejected fields are shown in the detail panel when the change came from there
+        onInvalid:
+          detailStepId === stepId
+            ? (e) => setDetailErrors({ stepId, errors: fieldErrors(e) })
+            : undefined,
+      }
+    );
+  }
+
+  /**
+   * Optimistically edits stage fields (name, description, start_date, due_date)
+   * - baseVersion: stage version the edit was made against (defaults to
+   *   the loaded one; "Overwrite with mine" passes theirs)
+   */
+  function updateStage(stageId, changes, { record = true, baseVersion } = {}) {
+    const found = findStage(journey, stageId);
+    if (!found) return;
+
+    const previous = previousValues(found.stage, changes);
+    const base = baseVersion ?? found.stage.version;
+    dispatch({ type: "stageUpdated", stageId, changes });
+
+    const entry = record
+      ? remember({
+          label: t("changes.edit", { name: found.stage.name }),
+          undo: () => opsRef.current.updateStage(stageId, previous, { record: false }),
+          redo: () => opsRef.current.updateStage(stageId, changes, { record: false }),
+        })
+      : null;
+
+    enqueue(
+      {
+        label: t("changes.editStage", { name: found.stage.name }),
+        url: stageUrl(stageId),
+        method: "PATCH",
+        body: changes,
+        failMessage: t("fail.updateStage"),
+        version: ["stages", stageId, base],
+      },
+      () => {
+        dispatch({ type: "stageUpdated", stageId, changes: previous });
+        forget(entry);
+      },
+      {
+        onConflict: conflictHandler(
+          "stage",
+          "update",
+          found.stage.name,
+          changes,
+          (version) => opsRef.current.updateStage(stageId, changes, { baseVersion: version })
+        ),
+      }
+    );
+  }
+
+  // Sets a stage's start or due date from the stage header ("" clears it)
+  function setStageDate(stage, field, value) {
+    const dates = { start_date: stage.start_date, due_date: stage.due_date, [field]: value || null };
+    if (dates.start_date && dates.due_date && dates.start_date > dates.due_date) {
+      notify({ kind: "error", message: t("stepDetail.datesInvalid") });
+      return;
+    }
+    updateStage(stage.stage_id, { [field]: value || null });
+  }
+
+  /* ============================
+     STATUS WORKFLOW
+     ============================ */
+
+  /**
+   * Replaces the journey's status catalog
+   * - Not optimistic: the server may reject it (e.g. a removed status is in use)
+   * - Percentages are recomputed with the new weights
+   */
+  async function saveStatuses(statuses) {
+    setActionLoading(true);
+    try {
+      const data = await send(
+        `${journeyUrl(journeyId)}/statuses`,
+        "PUT",
+        { statuses },
+        t("fail.saveWorkflow")
+      );
+
+      dispatch({ type: "statusesSet", statuses: data.statuses });
+      setWorkflowOpen(false);
+    } catch (e) {
+      notify({ kind: "error", message: e.message });
+    } finally {
+      setActionLoading(false);
+    }
+  }
+
+  /* ============================
+     MEMBERS
+     ============================ */
+
+  /**
+   * Adds a member by username, or changes their role
+   * - Not optimistic: the server checks the user exists and that the
+   *   journey keeps an owner; rejects with the reason for the modal
+   * - Reloads the journey (a new viewer loses their assigned steps)
+   */
+  async function setMember(username, role) {
+    await send(journeyMembersUrl(journeyId), "PUT", { username, role }, t("fail.updateMember"));
+    refreshJourney();
+  }
+
+  /**
+   * Removes a member; removing yourself leaves the journey
+   * and goes back to the journeys index
+   */
+  async function removeMember(member) {
+    await send(
+      `${journeyMembersUrl(journeyId)}/${encodeURIComponent(member.user_id)}`,
+      "DELETE",
+      null,
+      t("fail.removeMember")
+    );
+
+    if (member.user_id !== user.user_id) {
+      refreshJourney();
+      return;
+    }
+    setMembersOpen(false);
+    notify({ message: t("app.left", { name: journey.name }) });
+    openJourney(null);
+    fetchJourneys();
+  }
+
+  /* ============================
+     STAGE OPERATIONS
+     ============================ */
+
+  /**
+   * Adds a new stage to the journey (shown immediately, id assigned later)
+   * If the server rejects the name, the Add Stage modal reopens with it
+   * and the reason.
+   */
+  async function addStage(stageName) {
+    const name = (stageName || "").trim();
+    if (!name) return notify({ kind: "error", message: t("addStage.nameRequired") });
+
+    const localId = tempId();
+    dispatch({ type: "stageAdded", stage: { stage_id: localId, name } });
+    setAddStageOpen(false);
+    setStageDraft(null);
+    selectStage(localId);
+
+    const data = await enqueue(
+      {
+        label: t("changes.addStage", { name }),
+        url: journeyStagesUrl(journeyId),
+        method: "POST",
+        body: { name },
+        failMessage: t("fail.addStage"),
+      },
+      () => dispatch({ type: "stageRemoved", stageId: localId }),
+      {
+        onInvalid: (e) => {
+          setStageDraft({ values: { name }, errors: fieldErrors(e) });
+          setAddStageOpen(true);
+        },
+      }
+    );
+
+    if (data) {
+      dispatch({ type: "stageIdAssigned", tempId: localId, stageId: data.stage_id });
+    }
+  }
+
+  /**
+   * Deletes a stage (and its steps)
+   * No confirmation: the toast offers "Undo", which restores the stage
+   * with its original id, position and steps.
+   */
+  function deleteStage(stageId, { record = true, baseVersion } = {}) {
+    const found = findStage(journey, stageId);
+    if (!found) return;
+
+    const base = baseVersion ?? found.stage.version;
+
+    // Selection falls back to the first stage once the
+    // journey no longer contains the deleted one
+    dispatch({ type: "stageRemoved", stageId });
+
+    const entry = record
+      ? remember({
+          label: t("changes.deleteStage", { name: found.stage.name }),
+          undo: () => opsRef.current.restoreStage(found),
+          redo: () => opsRef.current.deleteStage(stageId, { record: false }),
+        })
+      : null;
+    if (entry) notifyUndoable(t("app.stageDeleted", { name: found.stage.name }), entry);
+
+    enqueue(
+      {
+        label: t("changes.deleteStage", { name: found.stage.name }),
+        url: stageUrl(stageId),
+        method: "DELETE",
+        failMessage: t("fail.deleteStage"),
+        version: ["stages", stageId, base],
+      },
+      () => {
+        dispatch({ type: "stageAdded", stage: found.stage, index: found.index });
+        forget(entry);
+      },
+      {
+        onConflict: conflictHandler(
+          "stage",
+          "delete",
+          found.stage.name,
+          null,
+          (version) => opsRef.current.deleteStage(stageId, { baseVersion: version })
+        ),
+      }
+    );
+  }
+
+  // Puts a deleted stage back (found: { stage, index } captured at deletion)
+  function restoreStage(found) {
+    const stageId = found.stage.stage_id;
+    dispatch({ type: "stageAdded", stage: found.stage, index: found.index });
+
+    enqueue(
+      {
+        label: t("changes.restoreStage", { name: found.stage.name }),
+        url: `${stageUrl(stageId)}/restore`,
+        method: "POST",
+        failMessage: t("fail.restoreStage"),
+      },
+      () => dispatch({ type: "stageRemoved", stageId })
+    );
+  }
+
+  /* ============================
+     STEP OPERATIONS
+     ============================ */
+
+  /**
+   * Adds a step under the currently selected stage (or, when the Add
+   * Step modal was reopened after a rejection, the stage it was for)
+   * - fields: { name, status, description, owner, start_date, due_date, notes }
+   * If the server rejects a field, the modal reopens with what was
+   * entered and the reason next to that field.
+   */
+  async function addStep(fields) {
+    const name = (fields.name || "").trim();
+    if (!name) return notify({ kind: "error", message: t("addStep.nameRequired") });
+
+    // Same normalization as the backend (trimmed text)
+    const body = {
+      ...fields,
+      name,
+      description: (fields.description || "").trim(),
+      owner: (fields.owner || "").trim(),
+      notes: (fields.notes || "").trim(),
+    };
+
+    // A reopened modal adds to the stage it was first used for (if it still exists)
+    const stageId = findStage(journey, stepDraft?.stageId)?.stage.stage_id || selectedStageId;
+    const localId = tempId();
+    dispatch({
+      type: "stepAdded",
+      stageId,
+      step: { step_id: localId, ...body },
+    });
+    setAddStepOpen(false);
+    setStepDraft(null);
+
+    const data = await enqueue(
+      {
+        label: t("changes.addStep", { name }),
+        url: stageStepsUrl(stageId),
+        method: "POST",
+        body,
+        failMessage: t("fail.addStep"),
+      },
+      () => dispatch({ type: "stepRemoved", stepId: localId }),
+      {
+        onInvalid: (e) => {
+          setStepDraft({ stageId, values: fields, errors: fieldErrors(e) });
+          setAddStepOpen(true);
+        },
+      }
+    );
+
+    if (data) {
+      dispatch({ type: "stepIdAssigned", tempId: localId, stepId: data.step_id });
+    }
+  }
+
+  // Deletes a step (undoable from the toast or with Ctrl+Z)
+  function deleteStep(stepId, { record = true, baseVersion } = {}) {
+    const found = findStep(journey, stepId);
+    if (!found) return;
+
+    const base = baseVersion ?? found.step.version;
+
+    dispatch({ type: "stepRemoved", stepId });
+
+    const entry = record
+      ? remember({
+          label: t("changes.deleteStep", { name: found.step.name }),
+          undo: () => opsRef.current.restoreStep(found),
+          redo: () => opsRef.current.deleteStep(stepId, { record: false }),
+        })
+      : null;
+    if (entry) notifyUndoable(t("app.stepDeleted", { name: found.step.name }), entry);
+
+    enqueue(
+      {
+        label: t("changes.deleteStep", { name: found.step.name }),
+        url: stepUrl(stepId),
+        method: "DELETE",
+        failMessage: t("fail.delete"),
+        version: ["steps", stepId, base],
+      },
+      () => {
+        dispatch({
+          type: "stepAdded",
+          stageId: found.stage.stage_id,
+          step: found.step,
+          index: found.index,
+        });
+        forget(entry);
+      },
+      {
+        onConflict: conflictHandler(
+          "step",
+          "delete",
+          found.step.name,
+          null,
+          (version) => opsRef.current.deleteStep(stepId, { baseVersion: version })
+        ),
+      }
+    );
+  }
+
+  // Puts a deleted step back (found: { stage, step, index } captured at deletion)
+  function restoreStep(found) {
+    const stepId = found.step.step_id;
+    dispatch({
+      type: "stepAdded",
+      stageId: found.stage.stage_id,
+      step: found.step,
+      index: found.index,
+    });
+
+    enqueue(
+      {
+        label: t("changes.restoreStep", { name: found.step.name }),
+        url: `${stepUrl(stepId)}/restore`,
+        method: "POST",
+        failMessage: t("fail.restoreStep"),
+      },
+      () => dispatch({ type: "stepRemoved", stepId })
+    );
+  }
+
+  /* ============================
+     ATTACHMENTS
+     ============================ */
 
-              {/* STEPS LIST - shows steps and action buttons */}
-              <div className="stepsBlock">
-                <div className="rowBetween">
-                  <div className="h2">Steps</div>
+  /**
+   * Uploads a file to a step (not queued: needs the server)
+   * Rejects with the reason it failed, shown under the attachment list.
+   */
+  async function uploadAttachment(stepId, file) {
+    const form = new FormData();
+    form.append("file", file);
+
+    const data = await send(stepAttachmentsUrl(stepId), "POST", form, t("fail.upload", { name: file.name }));
+    dispatch({ type: "attachmentAdded", stepId, attachment: data.attachment });
+  }
+
+  // Deletes an attachment (undoable from the toast or with Ctrl+Z)
+  function deleteAttachment(stepId, attachment, { record = true } = {}) {
+    const found = findStep(journey, stepId);
+    if (!found) return;
+
+    // Same rule as the backend (409): the step's status may need it
+    const others = (found.step.attachments || []).filter(
+      (a) => a.attachment_id !== attachment.attachment_id
+    );
+    if (missingAttachment(journey.statuses, { attachments: others }, found.step.status)) {
+      const label = statusName(journey.statuses, found.step.status);
+      notify({
+        kind: "error",
+        message: t("app.keepAttachment", { name: found.step.name, status: label }),
+      });
+      return;
+    }
+
+    const index = (found.step.attachments || []).findIndex(
+      (a) => a.attachment_id === attachment.attachment_id
+    );
+    dispatch({ type: "attachmentRemoved", stepId, attachmentId: attachment.attachment_id });
+
+    const entry = record
+      ? remember({
+          label: t("changes.deleteAttachment", { name: attachment.filename }),
+          undo: () => opsRef.current.restoreAttachment(stepId, attachment, index),
+          redo: () => opsRef.current.deleteAttachment(stepId, attachment, { record: false }),
+        })
+      : null;
+    if (entry) notifyUndoable(t("app.attachmentDeleted", { name: attachment.filename }), entry);
+
+    enqueue(
+      {
+        label: t("changes.deleteAttachment", { name: attachment.filename }),
+        url: attachmentUrl(attachment.attachment_id),
+        method: "DELETE",
+        failMessage: t("fail.delete"),
+      },
+      () => {
+        dispatch({ type: "attachmentAdded", stepId, attachment, index });
+        forget(entry);
+      }
+    );
+  }
+
+  // Puts a deleted attachment back where it was
+  function restoreAttachment(stepId, attachment, index) {
+    dispatch({ type: "attachmentAdded", stepId, attachment, index });
+
+    enqueue(
+      {
+        label: t("changes.restoreAttachment", { name: attachment.filename }),
+        url: `${attachmentUrl(attachment.attachment_id)}/restore`,
+        method: "POST",
+        failMessage: t("fail.restoreAttachment"),
+      },
+      () => dispatch({ type: "attachmentRemoved", stepId, attachmentId: attachment.attachment_id })
+    );
+  }
+
+  /* ============================
+     REORDER / MOVE OPERATIONS
+     ============================ */
+
+  // Moves a stage to a new position in the sidebar
+  function moveStage(stageId, index, { record = true } = {}) {
+    const found = findStage(journey, stageId);
+    if (!found || index < 0 || index >= journey.stages.length) return;
+    if (found.index === index) return;
+
+    dispatch({ type: "stageMoved", stageId, index });
+
+    const entry = record
+      ? remember({
+          label: t("changes.moveStage", { name: found.stage.name }),
+          undo: () => opsRef.current.moveStage(stageId, found.index, { record: false }),
+          redo: () => opsRef.current.moveStage(stageId, index, { record: false }),
+        })
+      : null;
+
+    enqueue(
+      {
+        label: t("changes.moveStage", { name: found.stage.name }),
+        url: `${stageUrl(stageId)}/move`,
+        method: "POST",
+        body: { index },
+        failMessage: t("fail.moveStage"),
+      },
+      () => {
+        dispatch({ type: "stageMoved", stageId, index: found.index });
+        forget(entry);
+      }
+    );
+  }
+
+  /**
+   * Moves a step within its stage or into another stage
+   * - index omitted -> appended to the target stage
+   */
+  function moveStep(stepId, toStageId, index, { record = true } = {}) {
+    const found = findStep(journey, stepId);
+    const target = findStage(journey, toStageId);
+    if (!found || !target || isTempId(toStageId)) return;
+
+    const sameStage = found.stage.stage_id === toStageId;
+    const size = target.stage.steps.length - (sameStage ? 1 : 0);
+    const finalIndex = index === undefined ? size : Math.min(index, size);
+    if (finalIndex < 0 || (sameStage && finalIndex === found.index)) return;
+
+    dispatch({ type: "stepMoved", stepId, toStageId, index: finalIndex });
+
+    const fromStageId = found.stage.stage_id;
+    const entry = record
+      ? remember({
+          label: t("changes.moveStep", { name: found.step.name }),
+          undo: () =>
+            opsRef.current.moveStep(stepId, fromStageId, found.index, { record: false }),
+          redo: () =>
+            opsRef.current.moveStep(stepId, toStageId, finalIndex, { record: false }),
+        })
+      : null;
+
+    enqueue(
+      {
+        label: t("changes.moveStep", { name: found.step.name }),
+        url: `${stepUrl(stepId)}/move`,
+        method: "POST",
+        body: { stage_id: toStageId, index: finalIndex },
+        failMessage: t("fail.moveStep"),
+      },
+      () => {
+        dispatch({
+          type: "stepMoved",
+          stepId,
+          toStageId: fromStageId,
+          index: found.index,
+        });
+        forget(entry);
+      }
+    );
+  }
+
+  /* ============================
+     BULK SELECTION
+     ============================ */
+
+  /**
+   * Checks / unchecks a step
+   * - range: Shift+click; every step between the last clicked one and
+   *   this one (ids: the list's step ids, in order) follows this one
+   */
+  function toggleSelected(stepId, { range = false, ids = [] } = {}) {
+    const anchor = selectAnchorRef.current;
+    selectAnchorRef.current = stepId;
+
+    setSelectedIds((prev) => {
+      const from = ids.indexOf(anchor);
+      const to = ids.indexOf(stepId);
+      const span =
+        range && from !== -1 && to !== -1
+          ? ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+          : [stepId];
+      return withSelection(prev, span, !prev.has(stepId));
+    });
+  }
+
+  // Checks or unchecks several steps (a stage's "select all")
+  function selectSteps(ids, checked) {
+    setSelectedIds((prev) => withSelection(prev, ids, checked));
+  }
+
+  function withSelection(selected, ids, checked) {
+    const next = new Set(selected);
+    for (const id of ids) {
+      if (checked) next.add(id);
+      else next.delete(id);
+    }
+    return next;
+  }
+
+  function clearSelection() {
+    setSelectedIds(new Set());
+    setBulkErrors({});
+    selectAnchorRef.current = null;
+  }
+
+  // Steps of a list that can be selected (not the ones still being saved)
+  function selectableIds(steps) {
+    return steps.map((s) => s.step_id).filter((id) => !isTempId(id));
+  }
+
+  /* ============================
+     BULK OPERATIONS
+     ============================ */
+
+  /**
+   * Queues several step operations as one batch request: the server
+   * applies all of them or none (POST /api/journeys/:id/steps/batch)
+   * - ops: [{ op, step_id, ..., base }] in order; base is the version
+   *   the operation is based on (checked like If-Match)
+   * - rollback: restores the local state if the batch is rejected
+   * A rejected batch keeps its steps selected, with the server's reason
+   * next to each step it refused.
+   */
+  function enqueueBatch({ label, ops, failMessage }, rollback) {
+    setBulkErrors({});
+    return enqueue(
+      {
+        label,
+        url: journeyBatchUrl(journeyId),
+        method: "POST",
+        body: { operations: ops.map(({ base, ...op }) => op) },
+        failMessage,
+        versions: ops.map((op) => (op.base ? ["steps", op.step_id, op.base] : null)),
+      },
+      (e) => {
+        rollback();
+        const errors = e.detail?.errors;
+        if (!errors) return;
+        setSelectedIds(new Set(ops.map((op) => op.step_id)));
+        setBulkErrors(Object.fromEntries(errors.map((err) => [err.step_id, err.message])));
+      }
+    );
+  }
+
+  /**
+   * Sets the status of several steps in one batch
+   * - changes: [{ stepId, status }] in the order the server applies them
+   * - record: false when called from undo/redo (not recorded again)
+   * Returns the history entry (null if nothing changed or not recorded).
+   */
+  function setStepStatuses(changes, { record = true, label } = {}) {
+    const items = changes
+      .map((change) => ({ ...change, found: findStep(journey, change.stepId) }))
+      .filter(({ stepId, status, found }) => found && !isTempId(stepId) && found.step.status !== status);
+    if (!items.length) return null;
+
+    for (const { stepId, status } of items) dispatch({ type: "stepStatusSet", stepId, status });
+
+    const applied = items.map(({ stepId, status }) => ({ stepId, status }));
+    const previous = items.map(({ stepId, found }) => ({ stepId, status: found.step.status }));
+    const entry = record
+      ? remember({
+          label,
+          undo: () =>
+            opsRef.current.setStepStatuses([...previous].reverse(), { record: false, label }),
+          redo: () => opsRef.current.setStepStatuses(applied, { record: false, label }),
+        })
+      : null;
+
+    enqueueBatch(
+      {
+        label,
+        ops: items.map(({ stepId, status, found }) => ({
+          op: "set_status",
+          step_id: stepId,
+          status,
+          base: found.step.version,
+        })),
+        failMessage: t("fail.bulkUpdate"),
+      },
+      () => {
+        for (const { stepId, status, found } of [...items].reverse()) {
+          dispatch({ type: "stepStatusSet", stepId, status: found.step.status, from: status });
+        }
+        forget(entry);
+      }
+    );
+    return entry;
+  }
+
+  /**
+   * Deletes several steps in one batch (last ones first, so each saved
+   * index is still right when they are restored in reverse order)
+   */
+  function deleteSteps(stepIds, { record = true, label } = {}) {
+    const stageIndex = (stage) => journey.stages.indexOf(stage);
+    const found = stepIds
+      .map((id) => findStep(journey, id))
+      .filter((f) => f && !isTempId(f.step.step_id))
+      .sort((a, b) => stageIndex(b.stage) - stageIndex(a.stage) || b.index - a.index);
+    if (!found.length) return null;
+
+    for (const f of found) dispatch({ type: "stepRemoved", stepId: f.step.step_id });
+
+    const entry = record
+      ? remember({
+          label,
+          undo: () => opsRef.current.restoreSteps(found),
+          redo: () => opsRef.current.deleteSteps(stepIds, { record: false, label }),
+        })
+      : null;
+
+    enqueueBatch(
+      {
+        label,
+        ops: found.map((f) => ({ op: "delete", step_id: f.step.step_id, base: f.step.version })),
+        failMessage: t("fail.bulkDelete"),
+      },
+      () => {
+        for (const f of [...found].reverse()) {
+          dispatch({ type: "stepAdded", stageId: f.stage.stage_id, step: f.step, index: f.index });
+        }
+        forget(entry);
+      }
+    );
+    return entry;
+  }
+
+  // Puts back steps deleted together (found: as captured by deleteSteps)
+  function restoreSteps(found) {
+    for (const f of [...found].reverse()) restoreStep(f);
+  }
+
+  /**
+   * Moves several steps in one batch
+   * - moves: [{ stepId, stageId, index }] in order (no index -> appended)
+   * Undo puts every step back at its old position, front to back so
+   * the earlier positions stay right.
+   */
+  function moveSteps(moves, { record = true, label } = {}) {
+    const items = moves
+      .map((move) => ({ ...move, found: findStep(journey, move.stepId) }))
+      .filter(
+        ({ stepId, stageId, found }) =>
+          found && !isTempId(stepId) && !isTempId(stageId) && findStage(journey, stageId)
+      );
+    if (!items.length) return null;
+
+    const applied = items.map(({ stepId, stageId, index }) => ({ stepId, stageId, index }));
+    const stageIndex = (id) => findStage(journey, id).index;
+    const back = items
+      .map(({ stepId, found }) => ({ stepId, stageId: found.stage.stage_id, index: found.index }))
+      .sort((a, b) => stageIndex(a.stageId) - stageIndex(b.stageId) || a.index - b.index);
+
+    for (const m of applied) {
+      dispatch({ type: "stepMoved", stepId: m.stepId, toStageId: m.stageId, index: m.index });
+    }
+
+    const entry = record
+      ? remember({
+          label,
+          undo: () => opsRef.current.moveSteps(back, { record: false, label }),
+          redo: () => opsRef.current.moveSteps(applied, { record: false, label }),
+        })
+      : null;
+
+    enqueueBatch(
+      {
+        label,
+        ops: applied.map((m) => ({ op: "move", step_id: m.stepId, stage_id: m.stageId, index: m.index })),
+        failMessage: t("fail.bulkMove"),
+      },
+      () => {
+        for (const m of back) {
+          dispatch({ type: "stepMoved", stepId: m.stepId, toStageId: m.stageId, index: m.index });
+        }
+        forget(entry);
+      }
+    );
+    return entry;
+  }
+
+  // "N steps" for bulk labels and messages
+  function stepCount(n) {
+    return t("common.stepCount", { count: n });
+  }
+
+  /**
+   * Bulk "Set status" for the selected steps
+   * Steps that would start while still blocked are skipped (and stay
+   * selected); prerequisites finished in the same change don't block.
+   */
+  function bulkSetStatus(status) {
+    const changing = selectedSteps.filter((s) => s.status !== status);
+    const missing = changing.filter((s) => missingAttachment(journey.statuses, s, status));
+    const steps = changing.filter((s) => !missing.includes(s));
+    const { ordered, blocked } = planStatusChange(journey, steps, status);
+    const label = statusName(journey.statuses, status);
+
+    if (blocked.length) {
+      notify({
+        kind: "error",
+        message: t("app.skippedBlocked", {
+          steps: stepCount(blocked.length),
+          names: formatList(blocked.map((s) => `"${s.name}"`)),
+        }),
+      });
+    }
+    if (missing.length) {
+      notify({
+        kind: "error",
+        message: t("app.skippedAttachment", {
+          steps: stepCount(missing.length),
+          status: label,
+          names: formatList(missing.map((s) => `"${s.name}"`)),
+        }),
+      });
+    }
+    if (!ordered.length) return;
+
+    const entry = setStepStatuses(
+      ordered.map((s) => ({ stepId: s.step_id, status })),
+      { label: t("changes.status", { name: stepCount(ordered.length), status: label }) }
+    );
+    setSelectedIds(new Set([...blocked, ...missing].map((s) => s.step_id)));
+    if (entry) notifyUndoable(t("app.statusSet", { name: stepCount(ordered.length), status: label }), entry);
+  }
+
+  // Bulk "Move to stage" (appended to the stage, in journey order)
+  function bulkMove(stageId) {
+    const target = findStage(journey, stageId);
+    const moves = selectedSteps
+      .filter((s) => !target.stage.steps.includes(s))
+      .map((s) => ({ stepId: s.step_id, stageId }));
+    if (!moves.length) return;
+
+    const entry = moveSteps(moves, {
+      label: t("changes.moveSteps", { steps: stepCount(moves.length), stage: target.stage.name }),
+    });
+    clearSelection();
+    if (entry) {
+      notifyUndoable(t("app.stepsMoved", { steps: stepCount(moves.length), stage: target.stage.name }), entry);
+    }
+  }
+
+  // Bulk delete (undoable like a single delete)
+  function bulkDelete() {
+    const ids = selectedSteps.map((s) => s.step_id);
+    const entry = deleteSteps(ids, { label: t("changes.deleteSteps", { steps: stepCount(ids.length) }) });
+    clearSelection();
+    if (entry) notifyUndoable(t("app.stepsDeleted", { steps: stepCount(ids.length) }), entry);
+  }
+
+  // Latest versions of the undoable operations (see opsRef)
+  opsRef.current = {
+    setStepStatus,
+    updateStep,
+    updateStage,
+    deleteStage,
+    restoreStage,
+    deleteStep,
+    restoreStep,
+    deleteAttachment,
+    restoreAttachment,
+    moveStage,
+    moveStep,
+    setStepStatuses,
+    deleteSteps,
+    restoreSteps,
+    moveSteps,
+    undo,
+    redo,
+    focusSearch,
+  };
+
+  /**
+   * Global shortcuts:
+   * - Ctrl+K command palette (works while typing too)
+   * - ? shortcut cheat-sheet
+   * - / search all steps
+   * - Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo
+   * Ignored inside dialogs, and (except Ctrl+K) while typing,
+   * so text fields keep their native undo.
+   */
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.target.closest?.('[role="dialog"]')) return;
+
+      const key = e.key.toLowerCase();
+      const ctrl = e.ctrlKey || e.metaKey;
+      if (ctrl && key === "k") {
+        e.preventDefault();
+        setPaletteOpen(true);
+        return;
+      }
+
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+
+      if (e.key === "/" && !ctrl && !e.altKey) {
+        e.preventDefault();
+        opsRef.current.focusSearch();
+        return;
+      }
+      if (e.key === "?" && !ctrl && !e.altKey) {
+        e.preventDefault();
+        setShortcutsOpen(true);
+        return;
+      }
+      if (!ctrl) return;
+
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        opsRef.current.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        opsRef.current.redo();
+      }
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  /* ============================
+     DRAG & DROP HANDLERS
+     ============================ */
+
+  // Starts dragging a stage or step
+  function startDrag(e, kind, id) {
+    e.stopPropagation();
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", id); // required by Firefox
+    setDrag({ kind, id });
+  }
+
+  function endDrag() {
+    setDrag(null);
+    setDropTarget(null);
+  }
+
+  /**
+   * Marks an element as a valid drop target for the given drag kinds
+   * (preventDefault is what allows the drop)
+   */
+  function allowDrop(e, kinds, key) {
+    if (!drag || !kinds.includes(drag.kind)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = "move";
+    if (dropTarget !== key) setDropTarget(key);
+  }
+
+  // Stage item drop: reorder stages, or move a dragged step into this stage
+  function dropOnStage(e, stageId, index) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (drag?.kind === "stage") moveStage(drag.id, index);
+    if (drag?.kind === "step") moveStep(drag.id, stageId);
+    endDrag();
+  }
+
+  // Step drop: take the position of the step dropped onto
+  // (index omitted -> dropped on the list itself, append)
+  function dropOnStep(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (drag?.kind === "step") moveStep(drag.id, selectedStageId, index);
+    endDrag();
+  }
+
+  /**
+   * Keyboard alternative to dragging: Alt+ArrowUp / Alt+ArrowDown
+   * moves the focused stage or step one position
+   */
+  function reorderKeyDown(e, move, index) {
+    if (!e.altKey) return;
+    if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    move(index + (e.key === "ArrowUp" ? -1 : 1));
+  }
+
+  /* ============================
+     KEYBOARD NAVIGATION
+     ============================ */
+
+  /**
+   * Stage list keys (on a stage button):
+   * ↑/↓/Home/End move focus, → jumps to the steps (← in RTL),
+   * Delete removes the stage, Alt+↑/↓ reorders
+   */
+  function stageKeyDown(e, stage, index) {
+    if (isTempId(stage.stage_id)) return;
+    if (canEdit) reorderKeyDown(e, (to) => moveStage(stage.stage_id, to), index);
+    if (e.altKey || e.ctrlKey || e.metaKey || e.defaultPrevented) return;
+
+    const count = journey.stages.length;
+    const target = {
+      ArrowUp: index - 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: count - 1,
+    }[e.key];
+
+    if (target !== undefined) {
+      e.preventDefault();
+      stageRows.focus(target, ".stageSelect");
+    } else if (e.key === sideArrows().toSteps && stage.stage_id === selectedStageId) {
+      e.preventDefault();
+      stepRows.focus(0, ".stepRow");
+    } else if (e.key === "Delete" && isOwner) {
+      e.preventDefault();
+      stageRows.focus(index === count - 1 ? index - 1 : index + 1, ".stageSelect");
+      deleteStage(stage.stage_id);
+    }
+  }
+
+  /**
+   * Step row keys (when the row itself has focus):
+   * ↑/↓/Home/End move focus, ← back to the stage list (→ in RTL),
+   * S / Shift+S cycle the status, Enter opens details, F2 renames,
+   * X / Shift+X selects (a range), Delete removes the step, Alt+↑/↓ reorders
+   */
+  function stepKeyDown(e, step, index) {
+    if (isTempId(step.step_id)) return;
+    if (canEdit) reorderKeyDown(e, (to) => moveStep(step.step_id, selectedStage.stage_id, to), index);
+    if (e.target !== e.currentTarget) return;
+    if (e.altKey || e.ctrlKey || e.metaKey || e.defaultPrevented) return;
+
+    const count = selectedStage.steps.length;
+    const target = {
+      ArrowUp: index - 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: count - 1,
+    }[e.key];
+
+    if (target !== undefined) {
+      e.preventDefault();
+      stepRows.focus(target, ".stepRow");
+    } else if (e.key === sideArrows().toStages) {
+      e.preventDefault();
+      stageRows.focus(journey.stages.indexOf(selectedStage), ".stageSelect");
+    } else if (e.key.toLowerCase() === "s" && canEdit) {
+      e.preventDefault();
+      cycleStatus(step, e.shiftKey ? -1 : 1);
+    } else if (e.key.toLowerCase() === "x" && canEdit) {
+      e.preventDefault();
+      toggleSelected(step.step_id, { range: e.shiftKey, ids: selectableIds(selectedStage.steps) });
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      setDetailStepId(step.step_id);
+    } else if (e.key === "F2" && canEdit) {
+      e.preventDefault();
+      e.currentTarget.querySelector(".inlineEdit .linkBtn")?.click();
+    } else if (e.key === "Delete" && canEdit) {
+      e.preventDefault();
+      stepRows.focus(index === count - 1 ? index - 1 : index + 1, ".stepRow");
+      deleteStep(step.step_id);
+    }
+  }
+
+  // Moves a step to the next (+1) or previous (-1) status the workflow allows
+  function cycleStatus(step, direction) {
+    // A blocked step only cycles through statuses that don't start work,
+    // and a step without attachments skips the statuses that need one
+    const blocked = blockingSteps(journey, step).length > 0;
+    const options = allowedStatuses(journey.statuses, step.status).filter(
+      (s) =>
+        s.key === step.status ||
+        ((!blocked || !startsWork(journey.statuses, s.key)) &&
+          !missingAttachment(journey.statuses, step, s.key))
+    );
+    const current = options.findIndex((s) => s.key === step.status);
+    if (options.length < 2 || current === -1) return;
+
+    const next = options[(current + direction + options.length) % options.length];
+    setStepStatus(step.step_id, next.key);
+  }
+
+  /**
+   * Commands offered by the Ctrl+K palette for the current page
+   */
+  function paletteCommands() {
+    const commands = [];
+    const add = (id, label, run, hint) => commands.push({ id, label, run, hint });
+
+    if (journey && journey.journey_id === journeyId) {
+      if (canEdit && selectedStage && !isTempId(selectedStage.stage_id)) {
+        add("add-step", t("palette.cmd.addStep"), () => setAddStepOpen(true));
+      }
+      if (canEdit) add("add-stage", t("palette.cmd.addStage"), () => setAddStageOpen(true));
+      journey.stages
+        .filter((s) => !isTempId(s.stage_id))
+        .forEach((s) =>
+          add(`stage-${s.stage_id}`, t("palette.cmd.goToStage", { name: s.name }), () =>
+            selectStage(s.stage_id)
+          )
+        );
+      add("timeline", t("palette.cmd.timeline"), openTimeline);
+      add("graph", t("palette.cmd.graph"), openGraph);
+      add("schedule", t("palette.cmd.schedule"), openSchedule);
+      add("analytics", t("palette.cmd.analytics"), openAnalytics);
+      add("report", t("palette.cmd.report"), () => openReport());
+      add("search", t("shortcuts.keys.search"), focusSearch, "/");
+      [...PRESET_VIEWS, ...savedViews].forEach((view) =>
+        add(`view-${view.view_id || view.preset}`, t("palette.cmd.view", { name: viewName(view) }), () =>
+          openSteps(view.filters)
+        )
+      );
+      add("members", t("members.title"), () => setMembersOpen(true));
+      if (isOwner) add("workflow", t("palette.cmd.workflow"), () => setWorkflowOpen(true));
+      if (isOwner) add("webhooks", t("webhooks.title"), () => setWebhooksOpen(true));
+      if (canEdit) add("save-template", t("palette.cmd.saveTemplate"), () => setSaveTemplateOpen(true));
+      [
+        ["json", "JSON"],
+        ["csv", "CSV"],
+        ["md", "Markdown"],
+      ].forEach(([format, label]) =>
+        add(`export-${format}`, t("palette.cmd.export", { format: label }), () =>
+          window.location.assign(
+            withToken(`${journeyUrl(journeyId)}/export?format=${format}`)
+          )
+        )
+      );
+      if (canEdit && selectedStage && !showJourneyView && selectedStage.steps.length) {
+        add("select-all", t("app.selectStage"), () =>
+          selectSteps(selectableIds(selectedStage.steps), true)
+        );
+      }
+      if (selectedSteps.length) {
+        add("bulk-delete", t("palette.cmd.bulkDelete", { steps: stepCount(selectedSteps.length) }), bulkDelete);
+        add("clear-selection", t("bulk.clear"), clearSelection);
+      }
+      if (historySize.undo > 0) add("undo", t("common.undo"), () => undo(), "Ctrl+Z");
+      if (historySize.redo > 0) add("redo", t("shortcuts.keys.redo"), redo, "Ctrl+Shift+Z");
+    }
+
+    journeys
+      .filter((j) => j.journey_id !== journeyId)
+      .forEach((j) =>
+        add(`journey-${j.journey_id}`, t("palette.cmd.goToJourney", { name: j.name }), () =>
+          openJourney(j.journey_id)
+        )
+      );
+    add("journeys", t("switcher.all"), () => openJourney(null));
+    add("my-steps", t("mySteps.title"), openMySteps);
+    add("new-journey", t("journeys.new"), () => startNewJourney());
+    add("import", t("importJourney.title"), () => setImportOpen(true));
+    add("shortcuts", t("shortcuts.title"), () => setShortcutsOpen(true), "?");
+    add("sign-out", t("palette.cmd.signOut", { name: user.name }), () => signOut());
+
+    return commands;
+  }
+
+  // CSS classes for a draggable item (dragging / drop highlight)
+  function dndClass(kind, id, key) {
+    const dragging = drag?.kind === kind && drag.id === id ? "dragging" : "";
+    const over = dropTarget === key ? "dropOver" : "";
+    return `${dragging} ${over}`;
+  }
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+
+  return (
+    <div className="page">
+      {/* TOP BAR - page title & overall journey completion */}
+      <header className="topbar">
+        <div className="title">
+          <a href={journeysPath()} onClick={(e) => { e.preventDefault(); openJourney(null); }}>
+            {t("app.title")}
+          </a>
+          {journeyId && journey?.name ? <span className="sub"> — {journey.name}</span> : null}
+        </div>
+        <div className="topbarRight">
+          {journeyId ? (
+            <div className="smallActions2">
+              <button
+                className="iconBtn"
+                title={t("app.undoTitle")}
+                disabled={historySize.undo === 0}
+                onClick={() => undo()}
+              >
+                ↶
+              </button>
+              <button
+                className="iconBtn"
+                title={t("app.redoTitle")}
+                disabled={historySize.redo === 0}
+                onClick={redo}
+              >
+                ↷
+              </button>
+            </div>
+          ) : null}
+          <button
+            className="iconBtn"
+            title={t("app.shortcutsTitle")}
+            onClick={() => setShortcutsOpen(true)}
+          >
+            ⌨
+          </button>
+          <SyncStatus
+            liveStatus={journeyId ? liveStatus : null}
+            online={outbox.online}
+            pending={outbox.entries.length}
+            rejected={outbox.rejected.length}
+            onClick={() => setOutboxOpen(true)}
+          />
+          <NotificationBell
+            notifications={notifications.notifications}
+            unread={notifications.unread}
+            error={notifications.error}
+            onOpen={(n) => navigate(journeyPath(n.journey_id, n.stage_id))}
+            onMarkRead={notifications.markRead}
+          />
+          <details className="menu userMenu">
+            <summary className="btn ghost" title={t("app.signedInAs", { username: user.username })}>
+              {user.name} ▾
+            </summary>
+            <div className="menuList">
+              <a
+                className="menuItem"
+                href={myStepsPath()}
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.currentTarget.closest("details").open = false;
+                  openMySteps();
+                }}
+              >
+                {t("mySteps.title")}
+              </a>
+              <button type="button" className="menuItem" onClick={() => signOut()}>
+                {t("app.signOut")}
+              </button>
+            </div>
+          </details>
+          <LocaleSwitcher />
+          {journeyId && journey ? <ExportMenu journeyId={journeyId} /> : null}
+          <JourneySwitcher
+            journeys={journeys}
+            currentId={journeyId}
+            onSelect={openJourney}
+          />
+          {journeyId && journey ? <div className="journeyPct">{t("common.complete", { pct: formatPercent(journey.completion_pct) })}</div> : null}
+        </div>
+      </header>
+
+      {/* MY STEPS - steps assigned to the signed-in user (/my-steps) */}
+      {route.name === "mySteps" ? (
+        <div className="indexLayout">
+          <MyStepsView onOpenStage={(id, stageId) => navigate(journeyPath(id, stageId))} />
+        </div>
+      ) : /* JOURNEYS INDEX - shown on /journeys (and any unknown URL) */
+      !journeyId ? (
+        <div className="indexLayout">
+          <JourneyList
+            journeys={journeys}
+            loading={journeysLoading}
+            error={journeysError}
+            busy={actionLoading}
+            onOpen={openJourney}
+            onCreate={() => startNewJourney()}
+            onImport={() => setImportOpen(true)}
+            onRetry={fetchJourneys}
+          />
+          <TemplateLibrary
+            templates={templates}
+            loading={templatesLoading}
+            busy={actionLoading}
+            onUse={startNewJourney}
+            onDelete={deleteTemplate}
+          />
+        </div>
+      ) : (
+        <div className="layout">
+          {/* LEFT SIDEBAR - stages list and actions */}
+          <aside className="sidebar">
+            <div className="rowBetween">
+              <div className="sidebarHeading">{t("app.stages")}</div>
+              <div className="smallActions2">
+                <button
+                  className={`iconBtn ${showSteps ? "active" : ""}`}
+                  disabled={!journey}
+                  onClick={() => openSteps()}
+                  title={t("app.allStepsTitle")}
+                >
+                  🔎
+                </button>
+                <button
+                  className={`iconBtn ${showTimeline ? "active" : ""}`}
+                  disabled={!journey}
+                  onClick={openTimeline}
+                  title={t("timeline.title")}
+                >
+                  🕘
+                </button>
+                <button
+                  className={`iconBtn ${showGraph ? "active" : ""}`}
+                  disabled={!journey}
+                  onClick={openGraph}
+                  title={t("dependencies.title")}
+                >
+                  🔗
+                </button>
+                <button
+                  className={`iconBtn ${showSchedule ? "active" : ""}`}
+                  disabled={!journey}
+                  onClick={openSchedule}
+                  title={t("gantt.title")}
+                >
+                  📅
+                </button>
+                <button
+                  className={`iconBtn ${showAnalytics ? "active" : ""}`}
+                  disabled={!journey}
+                  onClick={openAnalytics}
+                  title={t("analytics.title")}
+                >
+                  📈
+                </button>
+                <button
+                  className={`iconBtn ${showReport ? "active" : ""}`}
+                  disabled={!journey}
+                  onClick={() => openReport()}
+                  title={t("report.title")}
+                >
+                  🖨
+                </button>
+                {canEdit ? (
+                  <button
+                    className="iconBtn"
+                    disabled={actionLoading || !journey}
+                    onClick={() => setSaveTemplateOpen(true)}
+                    title={t("saveTemplate.title")}
+                  >
+                    ⧉
+                  </button>
+                ) : null}
+                <button
+                  className="iconBtn"
+                  disabled={!journey}
+                  onClick={() => setMembersOpen(true)}
+                  title={t("members.title")}
+                >
+                  👥
+                </button>
+                {isOwner ? (
                   <button
                     className="iconBtn"
                     disabled={actionLoading}
-                    onClick={() => setAddStepOpen(true)}
-                    title="Add Step"
+                    onClick={() => setWorkflowOpen(true)}
+                    title={t("workflow.title")}
+                  >
+                    ⚙
+                  </button>
+                ) : null}
+                {isOwner ? (
+                  <button
+                    className="iconBtn"
+                    disabled={!journey}
+                    onClick={() => setWebhooksOpen(true)}
+                    title={t("webhooks.title")}
+                  >
+                    🔗
+                  </button>
+                ) : null}
+                {canEdit ? (
+                  <button
+                    className="iconBtn"
+                    disabled={actionLoading}
+                    onClick={() => setAddStageOpen(true)}
+                    title={t("addStage.title")}
                   >
                     +
                   </button>
+                ) : null}
+              </div>
 
+            </div>
+            {loading || !journey ? (
+              <div className="hint">{t("app.loadingStages")}</div>
+            ) : error ? (
+              <div className="errorBox">❌ {error}</div>
+            ) : (
+              <ul className="stageList" ref={stageRows.ref} aria-label={t("app.stages")}>
+                {stageRows.rows((index) => {
+                  const stage = journey.stages[index];
+                  const active = stage.stage_id === selectedStageId;
+                  const pending = isTempId(stage.stage_id);
+                  const dropKey = `stage:${stage.stage_id}`;
+                  const due = stageDueSummary(stage, journey.statuses);
+                  return (
+                    <li
+                      key={stage.temp_id || stage.stage_id}
+                      data-index={index}
+                      aria-posinset={index + 1}
+                      aria-setsize={journey.stages.length}
+                      className={`stageItem ${active ? "active" : ""} ${pending ? "pending" : ""} ${dndClass("stage", stage.stage_id, dropKey)}`}
+                      draggable={canEdit && !pending}
+                      onDragStart={(e) => startDrag(e, "stage", stage.stage_id)}
+                      onDragEnd={endDrag}
+                      onDragOver={(e) => !pending && allowDrop(e, ["stage", "step"], dropKey)}
+                      onDragLeave={() => setDropTarget(null)}
+                      onDrop={(e) => dropOnStage(e, stage.stage_id, index)}
+                    >
+                      <button
+                        className="stageSelect"
+                        aria-current={active ? "page" : undefined}
+                        title={t("app.stageDragTitle")}
+                        onClick={() => selectStage(stage.stage_id)}
+                        onKeyDown={(e) => stageKeyDown(e, stage, index)}
+                      >
+                        <div className="miniBarWrap">
+                          <div
+                            className="miniBarFill"
+                            style={{ width: `${stage.completion_pct}%` }}
+                          />
+                        </div>
+                        <div className="stageRow">
+                          <div className="stageName">{stage.name}</div>
+                          {due.overdue || due.soon ? (
+                            <div
+                              className={`dueFlag ${due.overdue ? "overdue" : "soon"}`}
+                              title={formatList(
+                                [
+                                  due.overdue ? t("gantt.overdue", { count: due.overdue }) : "",
+                                  due.soon ? t("gantt.soon", { count: due.soon }) : "",
+                                ].filter(Boolean)
+                              )}
+                            >
+                              {due.overdue ? `⚠ ${formatNumber(due.overdue)}` : `⏰ ${formatNumber(due.soon)}`}
+                            </div>
+                          ) : null}
+                          <div className="stagePct">{formatPercent(stage.completion_pct)}</div>
+                        </div>
+                      </button>
+
+                      {isOwner ? (
+                        <button
+                          className="iconBtn stageDelete"
+                          title={t("app.deleteStage")}
+                          aria-label={t("app.deleteStageName", { name: stage.name })}
+                          disabled={pending}
+                          onClick={() => deleteStage(stage.stage_id)}
+                        >
+                          🗑
+                        </button>
+                      ) : null}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </aside>
+
+          {/* RIGHT CONTENT */}
+          <main className="content">
+            {showEveryStep && journey && !loading ? stepsLoadingHint(loadProgress(journey)) : null}
+            {loading || (!error && !journey) ? (
+              <div className="card">
+                <div className="spinner" />
+                <div className="hint">{t("app.loadingJourney")}</div>
+              </div>
+            ) : error ? (
+              <div className="card">
+                <div className="errorBox">
+                  <div className="errorTitle">{t("app.loadJourneyError")}</div>
+                  <div>{t("common.reason", { reason: error })}</div>
+                  <button className="btn" onClick={() => fetchJourney()} style={{ marginTop: 12 }}>
+                    {t("common.retry")}
+                  </button>
+                </div>
+              </div>
+            ) : showTimeline ? (
+              <JourneyTimeline journey={journey} />
+            ) : showGraph ? (
+              <DependencyGraph journey={journey} onOpenStep={setDetailStepId} />
+            ) : showSteps ? (
+              <AllStepsView
+                journey={journey}
+                filters={filters}
+                me={user.name}
+                readOnly={!canEdit}
+                views={savedViews}
+                onFiltersChange={openSteps}
+                onOpenStep={setDetailStepId}
+                onUpdateStatus={openUpdateModal}
+                onSaveView={saveView}
+                onDeleteView={deleteView}
+                selected={selectedIds}
+                errors={bulkErrors}
+                onToggleSelect={toggleSelected}
+                onSelectSteps={selectSteps}
+                onOpenReport={() => openReport(filters)}
+                bulkBar={
+                  <BulkActionBar
+                    count={selectedSteps.length}
+                    statuses={journey.statuses}
+                    stages={journey.stages}
+                    onSetStatus={bulkSetStatus}
+                    onMove={bulkMove}
+                    onDelete={bulkDelete}
+                    onClear={clearSelection}
+                  />
+                }
+              />
+            ) : showAnalytics ? (
+              <AnalyticsView journey={journey} onOpenStep={setDetailStepId} />
+            ) : showReport ? (
+              <ReportView journey={journey} filters={filters} me={user.name} onEditFilters={openSteps} />
+            ) : showSchedule ? (
+              <GanttChart
+                journey={journey}
+                onOpenStep={setDetailStepId}
+                onReschedule={
+                  canEdit
+                    ? (kind, id, dates) => (kind === "step" ? updateStep(id, dates) : updateStage(id, dates))
+                    : null
+                }
+              />
+            ) : !selectedStage ? (
+              <div className="card">
+                <div className="hint">
+                  {journey.stages.length === 0 ? t("app.noStages") : t("app.noStageSelected")}
                 </div>
+              </div>
+            ) : (
+              <div className="card">
+                <div className="stageHeader">
+                  <InlineEdit
+                    className="h1"
+                    label={t("app.renameStage")}
+                    value={selectedStage.name}
+                    disabled={!canEdit || isTempId(selectedStage.stage_id)}
+                    onSave={(name) => updateStage(selectedStage.stage_id, { name })}
+                  />
+
+                  <div className="progressBlock">
+                    <div className="barWrap">
+                      <div
+                        className="barFill"
+                        style={{ width: `${selectedStage.completion_pct}%` }}
+                      />
+                    </div>
+                    <div className="muted">
+                      {t("common.complete", { pct: formatPercent(selectedStage.completion_pct) })}
+                    </div>
+                  </div>
 
-                {!selectedStage.steps || selectedStage.steps.length === 0 ? (
-                  <div className="hint">No tasks yet</div>
-                ) : (
-                  <ul className="stepsList">
-                    {selectedStage.steps.map((step) => (
-                      <li className="stepRow" key={step.step_id}>
-                        <div className="stepLeft">
-                          <div className="stepName">{step.name}</div>
-                          <StatusTag status={step.status} />
-                        </div>
+                  <div className="stageDates">
+                    <label className="muted">
+                      {t("app.start")}{" "}
+                      <input
+                        className="input"
+                        type="date"
+                        value={selectedStage.start_date || ""}
+                        disabled={!canEdit || isTempId(selectedStage.stage_id)}
+                        onChange={(e) => setStageDate(selectedStage, "start_date", e.target.value)}
+                      />
+                    </label>
+                    <label className="muted">
+                      {t("app.due")}{" "}
+                      <input
+                        className="input"
+                        type="date"
+                        value={selectedStage.due_date || ""}
+                        disabled={!canEdit || isTempId(selectedStage.stage_id)}
+                        onChange={(e) => setStageDate(selectedStage, "due_date", e.target.value)}
+                      />
+                    </label>
+                    {selectedStageDue ? (
+                      <span className={`dueFlag ${selectedStageDue}`}>{dueLabel(selectedStageDue)}</span>
+                    ) : null}
+                  </div>
+                </div>
 
-                        <div className="smallActions2">
-                          <button
-                            className="btn"
-                            disabled={actionLoading}
-                            onClick={() => openUpdateModal(step)}
-                          >
-                            {actionLoading ? "Working..." : "Update Status"}
-                          </button>
+                {/* STEPS LIST - shows steps and action buttons */}
+                <div className="stepsBlock">
+                  <div className="rowBetween">
+                    <div className="h2">
+                      {canEdit ? (
+                        <SelectAllCheckbox
+                          ids={selectableIds(selectedStage.steps)}
+                          selected={selectedIds}
+                          label={t("app.selectStage")}
+                          onChange={(checked) => selectSteps(selectableIds(selectedStage.steps), checked)}
+                        />
+                      ) : null}
+                      {t("app.steps")}
+                    </div>
+                    {canEdit ? (
+                      <button
+                        className="iconBtn"
+                        disabled={isTempId(selectedStage.stage_id)}
+                        onClick={() => setAddStepOpen(true)}
+                        title={t("addStep.title")}
+                      >
+                        +
+                      </button>
+                    ) : null}
 
-                          <button className="iconBtn" title="Delete Step" onClick={() => deleteStep(step.step_id)}>🗑</button>
-                        </div>
-                      </li>
-                    ))}
-                  </ul>
-                )}
+                  </div>
+
+                  {canEdit ? (
+                    <BulkActionBar
+                      count={selectedSteps.length}
+                      statuses={journey.statuses}
+                      stages={journey.stages}
+                      onSetStatus={bulkSetStatus}
+                      onMove={bulkMove}
+                      onDelete={bulkDelete}
+                      onClear={clearSelection}
+                    />
+                  ) : null}
+
+                  {!selectedStage.steps?.length ? (
+                    isPartial(selectedStage) ? null : <div className="hint">{t("app.noSteps")}</div>
+                  ) : (
+                    <ul
+                      className="stepsList"
+                      ref={stepRows.ref}
+                      aria-label={t("app.steps")}
+                      onDragOver={(e) => allowDrop(e, ["step"], "steps:end")}
+                      onDrop={(e) => dropOnStep(e)}
+                    >
+                      {stepRows.rows((index) => {
+                        const step = selectedStage.steps[index];
+                        // Steps that only exist locally can't be edited yet
+                        const pending = isTempId(step.step_id);
+                        const dropKey = `step:${step.step_id}`;
+                        const waiting = blockingSteps(journey, step);
+                        const due = dueState(step, journey.statuses);
+                        return (
+                          <li
+                            className={`stepRow ${pending ? "pending" : ""} ${selectedIds.has(step.step_id) ? "selected" : ""} ${dndClass("step", step.step_id, dropKey)}`}
+                            key={step.step_id}
+                            data-index={index}
+                            aria-posinset={index + 1}
+                            aria-setsize={selectedStage.steps.length}
+                            tabIndex={0}
+                            aria-keyshortcuts="S Shift+S Enter F2 X Shift+X Delete"
+                            title={t("app.stepDragTitle")}
+                            draggable={canEdit && !pending && renamingStepId !== step.step_id}
+                            onDragStart={(e) => startDrag(e, "step", step.step_id)}
+                            onDragEnd={endDrag}
+                            onDragOver={(e) => allowDrop(e, ["step"], dropKey)}
+                            onDragLeave={() => setDropTarget(null)}
+                            onDrop={(e) => dropOnStep(e, index)}
+                            onKeyDown={(e) => stepKeyDown(e, step, index)}
+                          >
+                            <div className="stepSelect">
+                              {canEdit ? (
+                                <input
+                                  type="checkbox"
+                                  className="selectBox"
+                                  aria-label={t("allSteps.selectStep", { name: step.name })}
+                                  title={t("allSteps.selectTitle")}
+                                  checked={selectedIds.has(step.step_id)}
+                                  disabled={pending}
+                                  onChange={(e) =>
+                                    toggleSelected(step.step_id, {
+                                      range: e.nativeEvent.shiftKey,
+                                      ids: selectableIds(selectedStage.steps),
+                                    })
+                                  }
+                                />
+                              ) : null}
+                              <div className="stepLeft">
+                                <InlineEdit
+                                  className="stepName"
+                                  label={t("app.renameStep")}
+                                  value={step.name}
+                                  disabled={!canEdit || pending}
+                                  onSave={(name) => updateStep(step.step_id, { name })}
+                                  onEditingChange={(editing) =>
+                                    setRenamingStepId(editing ? step.step_id : null)
+                                  }
+                                />
+                                <StatusTag status={step.status} statuses={journey.statuses} />
+                                <BlockedBadge blockers={waiting} statuses={journey.statuses} />
+                                {step.owner || step.assignees?.length || step.start_date || step.due_date ||
+                                waiting.length || step.checklist?.length || step.attachments?.length ||
+                                step.comment_count || (step.effort ?? DEFAULT_EFFORT) !== DEFAULT_EFFORT ? (
+                                  <div className="stepMeta">
+                                    {step.owner ? <span>👤 {step.owner}</span> : null}
+                                    {step.assignees?.length ? (
+                                      <span title={t("allSteps.assignedTo")}>👥 {formatList(assigneeNames(journey, step))}</span>
+                                    ) : null}
+                                    <StepProgress step={step} />
+                                    {step.start_date || step.due_date ? (
+                                      <span className={due ? `dueFlag ${due}` : ""}>
+                                        📅 {formatDates(step)}
+                                        {due ? ` · ${dueLabel(due)}` : ""}
+                                      </span>
+                                    ) : null}
+                                    {waiting.length ? (
+                                      <span>{t("app.waitingFor", { steps: formatList(waiting.map((b) => b.name)) })}</span>
+                                    ) : null}
+                                  </div>
+                                ) : null}
+                                {bulkErrors[step.step_id] ? (
+                                  <div className="fieldError" role="alert">{bulkErrors[step.step_id]}</div>
+                                ) : null}
+                              </div>
+                            </div>
+
+                            <div className="smallActions2">
+                              {/* Keyboard-friendly alternative to dragging onto a stage */}
+                              {canEdit && journey.stages.length > 1 ? (
+                                <select
+                                  className="select moveSelect"
+                                  value=""
+                                  disabled={pending}
+                                  aria-label={t("app.moveStep", { name: step.name })}
+                                  onChange={(e) => moveStep(step.step_id, e.target.value)}
+                                >
+                                  <option value="">{t("common.moveTo")}</option>
+                                  {journey.stages
+                                    .filter((s) => s.stage_id !== selectedStage.stage_id && !isTempId(s.stage_id))
+                                    .map((s) => (
+                                      <option key={s.stage_id} value={s.stage_id}>
+                                        {s.name}
+                                      </option>
+                                    ))}
+                                </select>
+                              ) : null}
+
+                              {canEdit ? (
+                                <button
+                                  className="btn"
+                                  disabled={pending}
+                                  onClick={() => openUpdateModal(step)}
+                                >
+                                  {pending ? t("app.saving") : t("updateStatus.title")}
+                                </button>
+                              ) : null}
+
+                              <button
+                                className="btn ghost"
+                                disabled={pending}
+                                onClick={() => setDetailStepId(step.step_id)}
+                              >
+                                {t("app.details")}
+                              </button>
+
+                              {canEdit ? (
+                                <button
+                                  className="iconBtn"
+                                  title={t("app.deleteStep")}
+                                  aria-label={t("app.deleteStepName", { name: step.name })}
+                                  disabled={pending}
+                                  onClick={() => deleteStep(step.step_id)}
+                                >
+                                  🗑
+                                </button>
+                              ) : null}
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                  {stepsLoadingHint(
+                    isPartial(selectedStage)
+                      ? { loaded: selectedStage.steps.length, total: selectedStage.step_count }
+                      : null
+                  )}
+                </div>
               </div>
-            </div>
-          )}
-        </main>
-      </div>
+            )}
+          </main>
+        </div>
+      )}
       {actionLoading && (
         <div className="actionOverlay">
           <div className="spinnerLarge" />
-          <div className="muted">Processing...</div>
+          <div className="muted">{t("app.processing")}</div>
         </div>
       )}
 
       <UpdateStatusModal
         open={modalOpen}
         step={activeStep}
+        statuses={journey?.statuses}
+        blockers={activeStep ? blockingSteps(journey, findStep(journey, activeStep.step_id)?.step) : []}
         onClose={() => {
           setModalOpen(false);
           setActiveStep(null);
@@ -439,17 +3169,130 @@ export default function App() {
       />
       <AddStageModal
         open={addStageOpen}
-        onClose={() => setAddStageOpen(false)}
+        values={stageDraft?.values}
+        errors={stageDraft?.errors}
+        onClose={() => {
+          setAddStageOpen(false);
+          setStageDraft(null);
+        }}
         onSubmit={addStage}
       />
 
       <AddStepModal
         open={addStepOpen}
-        stageName={selectedStage?.name}
-        onClose={() => setAddStepOpen(false)}
+        stageName={(findStage(journey, stepDraft?.stageId)?.stage || selectedStage)?.name}
+        statuses={journey?.statuses}
+        values={stepDraft?.values}
+        errors={stepDraft?.errors}
+        onClose={() => {
+          setAddStepOpen(false);
+          setStepDraft(null);
+        }}
         onSubmit={addStep}
       />
 
+      <StepDetailPanel
+        step={detailStep?.step || null}
+        stageName={detailStep?.stage.name}
+        statuses={journey?.statuses}
+        journey={journey}
+        onClose={() => setDetailStepId(null)}
+        onSave={(changes, baseVersion) => updateStep(detailStepId, changes, { baseVersion })}
+        onDependenciesChange={(depends_on) => updateStep(detailStepId, { depends_on })}
+        onChecklistChange={(checklist) => updateStep(detailStepId, { checklist })}
+        onAssigneesChange={(assignees) => updateStep(detailStepId, { assignees })}
+        onUpload={(file) => uploadAttachment(detailStepId, file)}
+        onDeleteAttachment={(attachment) => deleteAttachment(detailStepId, attachment)}
+        onCommentCountChange={(count) =>
+          dispatch({ type: "stepUpdated", stepId: detailStepId, changes: { comment_count: count } })
+        }
+        me={user.user_id}
+        isOwner={isOwner}
+        readOnly={!canEdit}
+        errors={detailErrors?.errors}
+      />
+
+      <WorkflowModal
+        open={workflowOpen}
+        statuses={journey?.statuses}
+        onClose={() => setWorkflowOpen(false)}
+        onSubmit={saveStatuses}
+      />
+
+      <MembersModal
+        open={membersOpen}
+        members={journey?.members}
+        me={user.user_id}
+        canManage={isOwner}
+        onSetRole={setMember}
+        onRemove={removeMember}
+        onClose={() => setMembersOpen(false)}
+      />
+
+      <WebhooksModal
+        open={webhooksOpen && isOwner}
+        journeyId={journeyId}
+        onClose={() => setWebhooksOpen(false)}
+      />
+
+      <AddJourneyModal
+        open={addJourneyOpen}
+        templates={templates}
+        initialTemplateId={newJourneyTemplateId}
+        errors={journeyErrors}
+        onClose={() => setAddJourneyOpen(false)}
+        onSubmit={addJourney}
+      />
+
+      <SaveTemplateModal
+        open={saveTemplateOpen}
+        journeyName={journey?.name}
+        errors={templateErrors}
+        onClose={() => {
+          setSaveTemplateOpen(false);
+          setTemplateErrors({});
+        }}
+        onSubmit={saveAsTemplate}
+      />
+
+      <ImportJourneyModal
+        open={importOpen}
+        busy={actionLoading}
+        onClose={() => setImportOpen(false)}
+        onPreview={previewImport}
+        onSubmit={importJourney}
+      />
+
+      <CommandPalette
+        open={paletteOpen}
+        commands={paletteOpen ? paletteCommands() : []}
+        onClose={() => setPaletteOpen(false)}
+      />
+
+      <ShortcutsModal open={shortcutsOpen} onClose={() => setShortcutsOpen(false)} />
+
+      <ConflictModal
+        conflict={conflict}
+        statuses={journey?.statuses}
+        onKeepTheirs={() => setConflict(null)}
+        onOverwrite={resolveConflict}
+      />
+
+      <OutboxModal
+        open={outboxOpen}
+        online={outbox.online}
+        entries={outbox.entries}
+        rejected={outbox.rejected}
+        journeys={journeys}
+        onClose={() => setOutboxOpen(false)}
+        onRetryNow={outbox.flush}
+        onDiscard={discardChange}
+        onRetry={retryRejectedChange}
+        onDismiss={dismissRejectedChange}
+      />
+
+      <Toasts toasts={toasts} onDismiss={dismiss} />
+
     </div>
   );
 }
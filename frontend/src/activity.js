@@ -0,0 +1,110 @@
+import { statusName } from "./journeyStore";
+import { formatDateTime, formatList, formatNumber, hasMessage, t } from "./i18n";
+
+/**
+ * Activity log helpers
+ * --------------------
+ * Turns backend events (GET /api/journeys/:id/events) into readable text
+ * in the current language, e.g. "Define Scope: In progress → Completed".
+ */
+
+// Event type filters offered in the timeline ("" = all); labelKey: catalog key
+export const EVENT_FILTERS = [
+  { value: "", labelKey: "activity.filters.all" },
+  { value: "step.status_changed", labelKey: "activity.filters.status" },
+  { value: "step.", labelKey: "activity.filters.steps" },
+  { value: "stage.", labelKey: "activity.filters.stages" },
+  { value: "workflow.updated", labelKey: "activity.filters.workflow" },
+  { value: "member.", labelKey: "activity.filters.members" },
+];
+
+// Readable names of changed fields ("due_date" -> "due date"); fields
+// without one (e.g. a new field) are shown as sent
+function fieldList(fields) {
+  return formatList(fields.map((f) => (hasMessage(`activity.fields.${f}`) ? t(`activity.fields.${f}`) : f)));
+}
+
+// Stage name from the current journey (deleted stages fall back to the id)
+function stageName(journey, stageId) {
+  return journey?.stages.find((s) => s.stage_id === stageId)?.name || stageId;
+}
+
+// Role name ("contributor" -> "Contributor" / "Mitwirkende*r")
+function roleName(role) {
+  return t(`roles.${role}`);
+}
+
+/**
+ * Human-readable description of an event
+ * - journey: current journey (status labels + stage names)
+ */
+export function describeEvent(event, journey) {
+  const statuses = journey?.statuses;
+  const name = event.name;
+  const e = (key, params) => t(`activity.events.${key}`, { name, ...params });
+
+  switch (event.type) {
+    case "step.status_changed":
+      return e("statusChanged", {
+        old: statusName(statuses, event.old),
+        new: statusName(statuses, event.new),
+      });
+    case "step.added":
+      return e("stepAdded", { status: statusName(statuses, event.new) });
+    case "step.deleted":
+      return e("stepDeleted");
+    case "step.restored":
+      return e("stepRestored");
+    case "step.renamed":
+      return e("stepRenamed", { old: event.old, new: event.new });
+    case "step.updated":
+      return e("stepUpdated", { fields: fieldList(event.fields) });
+    case "step.commented":
+      return e("commented");
+    case "step.comment_deleted":
+      return e("commentDeleted");
+    case "step.comment_restored":
+      return e("commentRestored");
+    case "step.attachment_added":
+      return e("attachmentAdded", { filename: event.filename });
+    case "step.attachment_deleted":
+      return e("attachmentDeleted", { filename: event.filename });
+    case "step.attachment_restored":
+      return e("attachmentRestored", { filename: event.filename });
+    case "step.moved":
+      return event.old === event.new
+        ? e("stepReordered")
+        : e("stepMoved", { stage: stageName(journey, event.new) });
+    case "stage.added":
+      return e("stageAdded");
+    case "stage.deleted":
+      return e("stageDeleted");
+    case "stage.restored":
+      return e("stageRestored");
+    case "stage.renamed":
+      return e("stageRenamed", { old: event.old, new: event.new });
+    case "stage.updated":
+      return e("stageUpdated", { fields: fieldList(event.fields) });
+    case "stage.moved":
+      return e("stageMoved", { position: formatNumber(event.new + 1) });
+    case "journey.created":
+      if (event.source === "import") return e("journeyImported");
+      if (event.source === "template") return e("journeyFromTemplate");
+      return e("journeyCreated");
+    case "workflow.updated":
+      return e("workflowUpdated");
+    case "member.added":
+      return e("memberAdded", { role: roleName(event.new) });
+    case "member.role_changed":
+      return e("memberRoleChanged", { old: roleName(event.old), new: roleName(event.new) });
+    case "member.removed":
+      return event.actor === name ? e("memberLeft") : e("memberRemoved");
+    default:
+      return event.type;
+  }
+}
+
+// Local date/time for an event timestamp
+export function formatEventTime(at) {
+  return formatDateTime(at);
+}
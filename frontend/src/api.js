@@ -0,0 +1,435 @@
+/**
+ * API client
+ * ----------
+ * Every request to the backend goes through request(): it sends JSON
+ * with the login token / client headers and turns a failed response
+ * into an error the UI can act on.
+ *
+ * - Errors are ApiError instances (a subclass per kind of failure)
+ *   carrying the HTTP status, the server's detail and its reason, so
+ *   the user reads "Add step failed: Step name required" instead of
+ *   "Add step failed (400)"
+ * - Validation errors name the request field they are about (when the
+ *   server says so), so forms can show them next to that input
+ * - Idempotent requests are retried with backoff while the server
+ *   can't be reached or is briefly unavailable
+ * - A request takes an AbortSignal; an aborted one rejects with an
+ *   AbortError (see isAborted) and is never retried
+ * - A 401 for a signed-in request means the token expired or was
+ *   revoked: the session is cleared, which shows the sign-in form
+ *
+ * Changes are queued by the outbox as plain data ({ url, method, body }),
+ * so the URL helpers below are used both here and when queuing.
+ */
+
+import { authHeaders, clearSession } from "./auth";
+import { clientHeaders } from "./live";
+import { hasMessage, t } from "./i18n";
+
+/* ============================
+   ERRORS
+   ============================ */
+
+/**
+ * A request the server rejected (or never answered)
+ * - status: HTTP status (0 when there was no response)
+ * - detail: the response's "detail" (string, object or null)
+ * - reason: the server's own message ("" if it gave none)
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, detail = null, reason = "" } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.detail = detail;
+    this.reason = reason;
+  }
+}
+
+// No response at all (offline, server down) or a gateway error (5xx)
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NetworkError";
+  }
+}
+
+// 400 / 422: invalid input; field is the request field it is about (or null)
+export class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "ValidationError";
+    this.field = options.field || null;
+  }
+}
+
+// 401: not signed in (or the session ended)
+export class AuthError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AuthError";
+  }
+}
+
+// 403: signed in, but the user's role on the journey doesn't allow it
+export class ForbiddenError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ForbiddenError";
+  }
+}
+
+// 404: the journey / stage / step doesn't exist (any more)
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NotFoundError";
+  }
+}
+
+// 409 / 412: the change clashes with the current state (blocked step,
+// workflow rule, or someone else changed the item meanwhile)
+export class ConflictError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ConflictError";
+  }
+}
+
+// True for a request cancelled with its AbortSignal
+export function isAborted(error) {
+  return error?.name === "AbortError";
+}
+
+// What to tell the user when the server gives no reason of its own
+// (translated; the server's own reasons are shown as it wrote them)
+function statusHint(status) {
+  const key = `errors.status.${status}`;
+  return hasMessage(key) ? t(key) : t("errors.unexpected", { status: String(status) });
+}
+
+/**
+ * Reads the reason and field out of a response detail:
+ * - "Stage not found" (HTTPException with a string)
+ * - { message, field?, ... } (HTTPException with an object)
+ * - [{ loc: ["body", "name"], msg }] (FastAPI request validation)
+ */
+function parseDetail(detail) {
+  if (typeof detail === "string") return { reason: detail, field: null };
+
+  if (Array.isArray(detail)) {
+    const first = detail[0] || {};
+    const loc = Array.isArray(first.loc) ? first.loc : [];
+    const field = loc[0] === "body" && typeof loc[1] === "string" ? loc[1] : null;
+    return { reason: first.msg || "", field };
+  }
+
+  return { reason: detail?.message || "", field: detail?.field || null };
+}
+
+// Error for a failed response (or for no response: status 0)
+function toError(failMessage, status, detail) {
+  const { reason, field } = parseDetail(detail);
+  const why = reason || statusHint(status);
+  const message = t("errors.failed", { action: failMessage, reason: why });
+  const options = { status, detail, reason, field };
+
+  if (!status || status >= 500) return new NetworkError(message, options);
+  if (status === 400 || status === 422) return new ValidationError(message, options);
+  if (status === 401) return new AuthError(message, options);
+  if (status === 403) return new ForbiddenError(message, options);
+  if (status === 404) return new NotFoundError(message, options);
+  if (status === 409 || status === 412) return new ConflictError(message, options);
+  return new ApiError(message, options);
+}
+
+/* ============================
+   REQUESTS
+   ============================ */
+
+// Methods that are safe to send twice. DELETE is left out on purpose:
+// repeating one that did reach the server answers 404. Other changes
+// aren't retried here either; the outbox replays them in order.
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT"];
+
+// Responses worth trying again after a pause (proxy / server restarting)
+const RETRY_STATUSES = [502, 503, 504];
+
+// Retries after the first attempt, and the first pause (doubled each time)
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+
+// Waits ms milliseconds (rejects with an AbortError if aborted meanwhile)
+function pause(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Sends a JSON request; resolves with the response body (null if empty)
+ * - method, body: body is sent as JSON when given (a FormData body,
+ *   e.g. a file upload, is sent as it is)
+ * - ifMatch: version the change is based on (412 if it is outdated)
+ * - signal: AbortSignal to cancel the request (and its retries)
+ * - failMessage: start of the error message ("Add step failed")
+ * - retries: how often to retry (default: MAX_RETRIES for idempotent
+ *   methods, 0 otherwise)
+ * Throws an ApiError subclass (see toError), or an AbortError.
+ */
+export async function request(
+  url,
+  { method = "GET", body, ifMatch, signal, failMessage = t("fail.request"), retries } = {}
+) {
+  const headers = { ...authHeaders(), ...clientHeaders() };
+  const isForm = typeof FormData !== "undefined" && body instanceof FormData;
+  if (body !== undefined && body !== null && !isForm) headers["Content-Type"] = "application/json";
+  if (ifMatch) headers["If-Match"] = `"${ifMatch}"`;
+
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(method) ? MAX_RETRIES : 0);
+
+  for (let attempt = 0; ; attempt += 1) {
+    let res = null;
+    try {
+      res = await fetch(url, {
+        method,
+        headers,
+        body: isForm ? body : headers["Content-Type"] ? JSON.stringify(body) : undefined,
+        signal,
+      });
+    } catch (e) {
+      if (isAborted(e)) throw e;
+    }
+
+    const failed = !res || RETRY_STATUSES.includes(res.status);
+    const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+    if (failed && attempt < maxRetries && !offline) {
+      // 0.5 s, 1 s, ... plus some jitter so tabs don't retry in lockstep
+      await pause(RETRY_BASE_MS * 2 ** attempt + Math.random() * 250, signal);
+      continue;
+    }
+
+    if (!res) throw toError(failMessage, 0, null);
+    if (res.status === 401 && headers.Authorization) clearSession();
+    if (!res.ok) {
+      const detail = (await res.json().catch(() => null))?.detail ?? null;
+      throw toError(failMessage, res.status, detail);
+    }
+
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
+  }
+}
+
+/* ============================
+   ACCOUNT ENDPOINTS
+   ============================ */
+
+// Signs in; resolves with { token, expires_at, user }
+export function login(username, password) {
+  return request("/api/auth/login", {
+    method: "POST",
+    body: { username, password },
+    failMessage: t("fail.signIn"),
+  });
+}
+
+// Creates an account (and signs it in); resolves like login()
+export function register({ username, name, password }) {
+  return request("/api/auth/register", {
+    method: "POST",
+    body: { username, name, password },
+    failMessage: t("fail.register"),
+  });
+}
+
+// Ends the session on the server (the token stops working)
+export function logout() {
+  return request("/api/auth/logout", { method: "POST", failMessage: t("fail.signOut") });
+}
+
+// Steps assigned to the signed-in user, grouped by journey
+export function getMySteps(options) {
+  return request("/api/me/steps", { failMessage: t("fail.loadMySteps"), ...options });
+}
+
+// The signed-in user's notifications: { notifications (newest first), unread }
+export function getNotifications(options) {
+  return request("/api/me/notifications", { failMessage: t("fail.loadNotifications"), ...options });
+}
+
+// Marks notifications read (no ids: all of them); resolves with { ok, unread }
+export function markNotificationsRead(notificationIds) {
+  return request("/api/me/notifications/read", {
+    method: "POST",
+    body: notificationIds ? { notification_ids: notificationIds } : {},
+    failMessage: t("fail.readNotifications"),
+  });
+}
+
+/* ============================
+   JOURNEY / STAGE / STEP ENDPOINTS
+   ============================ */
+
+const enc = encodeURIComponent;
+
+export const journeysUrl = () => "/api/journeys";
+export const journeyUrl = (journeyId) => `/api/journeys/${enc(journeyId)}`;
+export const journeyStagesUrl = (journeyId) => `${journeyUrl(journeyId)}/stages`;
+export const journeyBatchUrl = (journeyId) => `${journeyUrl(journeyId)}/steps/batch`;
+export const journeyMembersUrl = (journeyId) => `${journeyUrl(journeyId)}/members`;
+export const journeyReportUrl = (journeyId) => `${journeyUrl(journeyId)}/report`;
+export const journeyWebhooksUrl = (journeyId) => `${journeyUrl(journeyId)}/webhooks`;
+export const webhookUrl = (webhookId) => `/api/webhooks/${enc(webhookId)}`;
+export const stageUrl = (stageId) => `/api/stages/${enc(stageId)}`;
+export const stageStepsUrl = (stageId) => `${stageUrl(stageId)}/steps`;
+export const stepUrl = (stepId) => `/api/steps/${enc(stepId)}`;
+export const stepAttachmentsUrl = (stepId) => `${stepUrl(stepId)}/attachments`;
+export const stepCommentsUrl = (stepId) => `${stepUrl(stepId)}/comments`;
+export const attachmentUrl = (attachmentId) => `/api/attachments/${enc(attachmentId)}`;
+export const commentUrl = (commentId) => `/api/comments/${enc(commentId)}`;
+
+// Journey summaries for the index page and switcher
+export function getJourneys(options) {
+  return request(journeysUrl(), { failMessage: t("fail.loadJourneys"), ...options });
+}
+
+// One journey with its stages and status workflow, but not their steps:
+// each stage has step_count instead (see getStageSteps)
+export function getJourneySummary(journeyId, options) {
+  return request(`${journeyUrl(journeyId)}/summary`, {
+    failMessage: t("fail.loadJourney"),
+    ...options,
+  });
+}
+
+// One page of a stage's steps, in order: { steps, total, offset, limit }
+export function getStageSteps(stageId, { offset = 0, limit } = {}, options) {
+  const params = new URLSearchParams({ offset });
+  if (limit) params.set("limit", limit);
+  return request(`${stageStepsUrl(stageId)}?${params}`, {
+    failMessage: t("fail.loadSteps"),
+    ...options,
+  });
+}
+
+// A journey's activity events (params: URLSearchParams of filters)
+export function getJourneyEvents(journeyId, params, options) {
+  return request(`${journeyUrl(journeyId)}/events?${params}`, {
+    failMessage: t("fail.loadActivity"),
+    ...options,
+  });
+}
+
+// Progress over time: snapshots, completed steps per week, time in
+// status and the projected completion date
+export function getJourneyAnalytics(journeyId, weeks, options) {
+  return request(`${journeyUrl(journeyId)}/analytics?weeks=${weeks}`, {
+    failMessage: t("fail.loadAnalytics"),
+    ...options,
+  });
+}
+
+// One step's activity events
+export function getStepEvents(stepId, options) {
+  return request(`${stepUrl(stepId)}/events`, { failMessage: t("fail.loadHistory"), ...options });
+}
+
+// One step's comment thread, oldest first
+export function getStepComments(stepId, options) {
+  return request(stepCommentsUrl(stepId), { failMessage: t("fail.loadComments"), ...options });
+}
+
+// Adds a comment to a step; resolves with { ok, comment }
+export function addStepComment(stepId, text) {
+  return request(stepCommentsUrl(stepId), {
+    method: "POST",
+    body: { text },
+    failMessage: t("fail.addComment"),
+  });
+}
+
+// Deletes a comment (restoreComment() puts it back)
+export function deleteComment(commentId) {
+  return request(commentUrl(commentId), { method: "DELETE", failMessage: t("fail.deleteComment") });
+}
+
+export function restoreComment(commentId) {
+  return request(`${commentUrl(commentId)}/restore`, {
+    method: "POST",
+    failMessage: t("fail.restoreComment"),
+  });
+}
+
+/* ============================
+   WEBHOOK ENDPOINTS (owners)
+   ============================ */
+
+// A journey's webhooks (without their secrets)
+export function getWebhooks(journeyId, options) {
+  return request(journeyWebhooksUrl(journeyId), { failMessage: t("fail.loadWebhooks"), ...options });
+}
+
+// Adds a webhook ({ url, events }); resolves with { ok, webhook, secret }
+export function addWebhook(journeyId, { url, events }) {
+  return request(journeyWebhooksUrl(journeyId), {
+    method: "POST",
+    body: { url, events },
+    failMessage: t("fail.addWebhook"),
+  });
+}
+
+// Changes a webhook's url / events / active; resolves with { ok, webhook }
+export function updateWebhook(webhookId, changes) {
+  return request(webhookUrl(webhookId), {
+    method: "PATCH",
+    body: changes,
+    failMessage: t("fail.updateWebhook"),
+  });
+}
+
+export function deleteWebhook(webhookId) {
+  return request(webhookUrl(webhookId), { method: "DELETE", failMessage: t("fail.deleteWebhook") });
+}
+
+// Replaces a webhook's signing secret; resolves with { ok, secret }
+export function renewWebhookSecret(webhookId) {
+  return request(`${webhookUrl(webhookId)}/secret`, {
+    method: "POST",
+    failMessage: t("fail.renewSecret"),
+  });
+}
+
+// Queues a "ping" delivery; resolves with { ok, delivery }
+export function testWebhook(webhookId) {
+  return request(`${webhookUrl(webhookId)}/test`, {
+    method: "POST",
+    failMessage: t("fail.testWebhook"),
+  });
+}
+
+// A webhook's delivery log, newest first
+export function getWebhookDeliveries(webhookId, options) {
+  return request(`${webhookUrl(webhookId)}/deliveries`, {
+    failMessage: t("fail.loadDeliveries"),
+    ...options,
+  });
+}
+
+// Sends a delivery again now; resolves with { ok, delivery }
+export function retryWebhookDelivery(webhookId, deliveryId) {
+  return request(`${webhookUrl(webhookId)}/deliveries/${enc(deliveryId)}/retry`, {
+    method: "POST",
+    failMessage: t("fail.retryDelivery"),
+  });
+}
@@ -0,0 +1,104 @@
+// useSyncExternalStore lets components re-render on sign-in / sign-out
+import { useSyncExternalStore } from "react";
+
+/**
+ * Signed-in user
+ * --------------
+ * Signing in returns a token that is sent as "Authorization: Bearer …"
+ * on every request. The session ({ token, expires_at, user }) is kept
+ * in localStorage so a reload stays signed in, and is cleared on sign-out
+ * or once the server stops accepting the token (401, see api.js).
+ */
+
+const STORAGE_KEY = "milestone.session";
+
+// Custom event fired when this tab signs in or out (other tabs get "storage")
+const SESSION_EVENT = "app:session";
+
+// Reads the saved session (null if none / unreadable)
+function load() {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return session?.token && session.user ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+// Kept in memory too, so signing in works without storage (private mode)
+let current = load();
+
+// Current session, or null when signed out
+export function getSession() {
+  return current;
+}
+
+// Saves the session (null -> signed out)
+export function setSession(session) {
+  current = session;
+  try {
+    if (session) localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage disabled: the session lasts until the tab is closed
+  }
+  window.dispatchEvent(new Event(SESSION_EVENT));
+}
+
+export function clearSession() {
+  if (current) setSession(null);
+}
+
+function subscribe(callback) {
+  // Signing in / out in another tab
+  const onStorage = (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    current = load();
+    callback();
+  };
+
+  window.addEventListener(SESSION_EVENT, callback);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener(SESSION_EVENT, callback);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+// Hook: the current session (re-renders when it changes)
+export function useSession() {
+  return useSyncExternalStore(subscribe, getSession);
+}
+
+// Headers identifying the user on a request
+export function authHeaders() {
+  return current ? { Authorization: `Bearer ${current.token}` } : {};
+}
+
+// URL the browser opens itself (download link, event stream), which
+// can't carry headers: the token goes into the query string instead
+// (the server only takes it there on those endpoints)
+export function withToken(url) {
+  if (!current) return url;
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}access_token=${encodeURIComponent(current.token)}`;
+}
+
+/* ============================
+   ROLES
+   ============================ */
+
+// Roles on a journey, least to most allowed (same as the backend):
+// viewers read, contributors change steps and stages, owners also
+// delete stages, edit the workflow and manage members
+export const ROLES = ["viewer", "contributor", "owner"];
+
+// The user's role on a journey (null if not a member / not loaded)
+export function roleIn(journey, user) {
+  return journey?.members?.find((m) => m.user_id === user?.user_id)?.role || null;
+}
+
+// True if `role` allows what `needed` allows
+export function hasRole(role, needed) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
@@ -0,0 +1,23 @@
+import { describeEvent, formatEventTime } from "../activity";
+
+// List of activity events (newest first).
+// Props:
+// - events: events from the API
+// - journey: current journey (for status labels / stage names)
+// - emptyText: shown when there are no events
+export default function ActivityList({ events, journey, emptyText }) {
+  if (!events.length) return <div className="hint">{emptyText}</div>;
+
+  return (
+    <ul className="activityList">
+      {events.map((e) => (
+        <li className="activityItem" key={e.event_id}>
+          <div className="activityText">{describeEvent(e, journey)}</div>
+          <div className="activityMeta">
+            {e.actor} · <time dateTime={e.at}>{formatEventTime(e.at)}</time>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import FieldError from "./FieldError";
+import { statusLabel, t } from "../i18n";
+
+// Modal to create a new journey, either empty or from a template.
+// Props:
+// - open: modal visibility
+// - templates: template summaries (GET /api/templates)
+// - initialTemplateId: template preselected when opened ("" = blank journey)
+// - errors: why the server rejected the last submission, by field
+//   ({ name: "..." }); the modal stays open so it can be corrected
+// - onClose: callback to close the modal
+// - onSubmit: callback invoked with { name, templateId, status }
+export default function AddJourneyModal({
+  open,
+  templates = [],
+  initialTemplateId = "",
+  errors,
+  onClose,
+  onSubmit,
+}) {
+  // Local input state for journey name
+  const [name, setName] = useState("");
+
+  // Template to start from ("" = blank) and the status every step starts in
+  const [templateId, setTemplateId] = useState("");
+  const [status, setStatus] = useState("");
+
+  // Errors shown under the fields (a field's error clears once it is edited)
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Start empty, with the preselected template, each time the modal opens
+  useEffect(() => {
+    if (open) {
+      setName("");
+      setTemplateId(initialTemplateId);
+      setStatus("");
+    }
+  }, [open, initialTemplateId]);
+
+  useEffect(() => {
+    setFieldErrors(errors || {});
+  }, [errors]);
+
+  const template = templates.find((tpl) => tpl.template_id === templateId);
+
+  return (
+    <Modal
+      open={open}
+      title={t("addJourney.title")}
+      onClose={onClose}
+      onSubmit={() => {
+        if (!name.trim()) return setFieldErrors({ name: t("addJourney.nameRequired") });
+        onSubmit({ name, templateId, status });
+      }}
+      actions={
+        <>
+          <button type="button" className="btn ghost" onClick={onClose}>{t("common.cancel")}</button>
+          <button type="submit" className="btn">{t("common.create")}</button>
+        </>
+      }
+    >
+      <label className="label" htmlFor="new-journey-name">{t("addJourney.name")}</label>
+      <input
+        id="new-journey-name"
+        className="input"
+        value={name}
+        onChange={(e) => {
+          setName(e.target.value);
+          setFieldErrors((errs) => ({ ...errs, name: "" }));
+        }}
+        placeholder={t("addJourney.namePlaceholder")}
+        aria-invalid={Boolean(fieldErrors.name)}
+        aria-describedby="new-journey-name-error"
+      />
+      <FieldError id="new-journey-name-error" message={fieldErrors.name} />
+
+      <label className="label" htmlFor="new-journey-template">{t("addJourney.startFrom")}</label>
+      <select
+        id="new-journey-template"
+        className="input"
+        value={templateId}
+        onChange={(e) => {
+          setTemplateId(e.target.value);
+          setStatus("");
+          setFieldErrors((errs) => ({ ...errs, status: "" }));
+        }}
+      >
+        <option value="">{t("addJourney.blank")}</option>
+        {templates.map((tpl) => (
+          <option key={tpl.template_id} value={tpl.template_id}>
+            {t("addJourney.templateOption", {
+              name: tpl.name,
+              stages: t("common.stageCount", { count: tpl.stage_count }),
+              steps: t("common.stepCount", { count: tpl.step_count }),
+            })}
+          </option>
+        ))}
+      </select>
+
+      {template ? (
+        <>
+          <label className="label" htmlFor="new-journey-status">{t("addJourney.startStatus")}</label>
+          <select
+            id="new-journey-status"
+            className="input"
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setFieldErrors((errs) => ({ ...errs, status: "" }));
+            }}
+            aria-invalid={Boolean(fieldErrors.status)}
+            aria-describedby="new-journey-status-error"
+          >
+            <option value="">{t("addJourney.defaultStatus", { status: t("statuses.NOT_STARTED") })}</option>
+            {template.statuses.map((s) => (
+              <option key={s.key} value={s.key}>
+                {statusLabel(s)}
+              </option>
+            ))}
+          </select>
+          <FieldError id="new-journey-status-error" message={fieldErrors.status} />
+        </>
+      ) : null}
+    </Modal>
+  );
+}
@@ -1,44 +1,62 @@
-import { useState } from "react";
-
-// Modal to add a new stage to the journey.
-// Props:
-// - open: modal visibility
-// - onClose: callback to close the modal
-// - onSubmit: callback invoked with the stage name
-export default function AddStageModal({ open, onClose, onSubmit }) {
-  // Local input state for stage name
-  const [name, setName] = useState("");
-
-  if (!open) return null;
-
-  return (
-    <div className="modalOverlay" onClick={onClose}>
-      <div className="modal" onClick={(e) => e.stopPropagation()}>
-        <div className="modalTitle">Add Stage</div>
-
-        <div className="modalBody">
-          <label className="label">Stage Name</label>
-          <input
-            className="input"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            placeholder="e.g., Risk Assessment"
-          />
-        </div>
-
-        <div className="modalActions">
-          <button className="btn ghost" onClick={onClose}>Cancel</button>
-          <button
-            className="btn"
-            onClick={() => {
-              onSubmit(name);
-              setName("");
-            }}
-          >
-            Add
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-}
\ No newline at end of file
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import FieldError from "./FieldError";
+import { t } from "../i18n";
+
+// Modal to add a new stage to the journey.
+// Props:
+// - open: modal visibility
+// - values: { name } to start from (reopened after the server rejected
+//   the stage), or null for an empty form
+// - errors: why the server rejected it, by field ({ name: "..." })
+// - onClose: callback to close the modal
+// - onSubmit: callback invoked with the stage name
+export default function AddStageModal({ open, values, errors, onClose, onSubmit }) {
+  // Local input state for stage name
+  const [name, setName] = useState("");
+
+  // Errors shown under the fields (a field's error clears once it is edited)
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Start from the rejected values (if any) each time the modal opens
+  useEffect(() => {
+    if (!open) return;
+    if (values) setName(values.name || "");
+    setFieldErrors(errors || {});
+  }, [open, values, errors]);
+
+  return (
+    <Modal
+      open={open}
+      title={t("addStage.title")}
+      onClose={onClose}
+      onSubmit={() => {
+        if (!name.trim()) return setFieldErrors({ name: t("addStage.nameRequired") });
+        onSubmit(name);
+        setName("");
+      }}
+      actions={
+        <>
+          <button type="button" className="btn ghost" onClick={onClose}>{t("common.cancel")}</button>
+          <button type="submit" className="btn">{t("common.add")}</button>
+        </>
+      }
+    >
+      <label className="label" htmlFor="add-stage-name">{t("addStage.name")}</label>
+      <input
+        id="add-stage-name"
+        className="input"
+        value={name}
+        onChange={(e) => {
+          setName(e.target.value);
+          setFieldErrors({});
+        }}
+        placeholder={t("addStage.namePlaceholder")}
+        aria-invalid={Boolean(fieldErrors.name)}
+        aria-describedby="add-stage-name-error"
+      />
+      <FieldError id="add-stage-name-error" message={fieldErrors.name} />
+    </Modal>
+  );
+}
@@ -1,110 +1,250 @@
-// useState is used to manage local form state inside the modal
-import { useState } from "react";
-
-/**
- * AddStepModal Component
- * ---------------------
- * A controlled modal used to add a new step under a selected stage.
- *
- * Props:
- * - open (boolean): controls whether the modal is visible
- * - stageName (string): name of the currently selected stage (display only)
- * - onClose (function): called when the modal should be closed
- * - onSubmit (function): called with (name, status) when user adds a step
- */
-export default function AddStepModal({ open, stageName, onClose, onSubmit }) {
-  /* ============================
-     LOCAL FORM STATE
-     ============================ */
-
-  // Stores the step name entered by the user
-  const [name, setName] = useState("");
-
-  // Stores the selected initial status for the step
-  const [status, setStatus] = useState("NOT_STARTED");
-
-  /* ============================
-     VISIBILITY CONTROL
-     ============================ */
-
-  // If modal is not open, render nothing
-  // This prevents unnecessary DOM nodes
-  if (!open) return null;
-
-  /* ============================
-     UI RENDER
-     ============================ */
-
-  return (
-    // Full-screen semi-transparent overlay
-    // Clicking on it closes the modal
-    <div className="modalOverlay" onClick={onClose}>
-      
-      {/* 
-        Modal container
-        stopPropagation prevents overlay click
-        from closing modal when clicking inside it
-      */}
-      <div className="modal" onClick={(e) => e.stopPropagation()}>
-        
-        {/* Modal title */}
-        <div className="modalTitle">Add Step</div>
-
-        {/* Modal body containing form fields */}
-        <div className="modalBody">
-          
-          {/* Display current stage name (read-only info) */}
-          <div className="muted">
-            Stage: <b>{stageName || "-"}</b>
-          </div>
-
-          {/* Step name input */}
-          <label className="label">Step Name</label>
-          <input
-            className="input"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            placeholder="e.g., Connect Azure"
-          />
-
-          {/* Initial status dropdown */}
-          <label className="label">Initial Status</label>
-          <select
-            className="select"
-            value={status}
-            onChange={(e) => setStatus(e.target.value)}
-          >
-            <option value="NOT_STARTED">NOT_STARTED</option>
-            <option value="IN_PROGRESS">IN_PROGRESS</option>
-            <option value="COMPLETED">COMPLETED</option>
-          </select>
-        </div>
-
-        {/* Modal footer action buttons */}
-        <div className="modalActions">
-          
-          {/* Cancel button closes the modal without submitting */}
-          <button className="btn ghost" onClick={onClose}>
-            Cancel
-          </button>
-
-          {/* 
-            Add button:
-            - Calls parent submit handler
-            - Resets local form state after submission
-          */}
-          <button
-            className="btn"
-            onClick={() => {
-              onSubmit(name, status);
-              setName("");
-              setStatus("NOT_STARTED");
-            }}
-          >
-            Add
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-}
+// useState is used to manage local form state inside the modal;
+// useEffect refills it when the modal is reopened after a rejection
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import FieldError from "./FieldError";
+import { statusLabel, t } from "../i18n";
+
+// Optional fields (collapsed under "More details")
+const DETAIL_FIELDS = ["description", "owner", "start_date", "due_date", "notes"];
+
+/**
+ * AddStepModal Component
+ * ---------------------
+ * A controlled modal used to add a new step under a selected stage.
+ *
+ * Props:
+ * - open (boolean): controls whether the modal is visible
+ * - stageName (string): name of the currently selected stage (display only)
+ * - statuses (array): the journey's status catalog (first one is the default)
+ * - values (object|null): fields to start from (the modal is reopened
+ *   with them after the server rejected the step), null for an empty form
+ * - errors (object): why the server rejected them, by field
+ * - onClose (function): called when the modal should be closed
+ * - onSubmit (function): called with the new step's fields
+ *   { name, status, description, owner, start_date, due_date, notes } when user adds a step
+ */
+export default function AddStepModal({
+  open,
+  stageName,
+  statuses,
+  values,
+  errors,
+  onClose,
+  onSubmit,
+}) {
+  /* ============================
+     LOCAL FORM STATE
+     ============================ */
+
+  // Stores the step name entered by the user
+  const [name, setName] = useState("");
+
+  // Default initial status: first status of the workflow
+  const defaultStatus = statuses?.[0]?.key || "";
+
+  // Stores the selected initial status for the step ("" = default)
+  const [status, setStatus] = useState("");
+
+  // Optional details (collapsed under "More details")
+  const [description, setDescription] = useState("");
+  const [owner, setOwner] = useState("");
+  const [startDate, setStartDate] = useState("");
+  const [dueDate, setDueDate] = useState("");
+  const [notes, setNotes] = useState("");
+
+  // "More details" expanded
+  const [showDetails, setShowDetails] = useState(false);
+
+  // Errors shown under the fields (a field's error clears once it is edited)
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Start from the rejected values (if any) each time the modal opens,
+  // expanding the details when one of them was rejected
+  useEffect(() => {
+    if (!open) return;
+    if (values) {
+      setName(values.name || "");
+      setStatus(values.status || "");
+      setDescription(values.description || "");
+      setOwner(values.owner || "");
+      setStartDate(values.start_date || "");
+      setDueDate(values.due_date || "");
+      setNotes(values.notes || "");
+    }
+    setFieldErrors(errors || {});
+    setShowDetails(DETAIL_FIELDS.some((field) => errors?.[field]));
+  }, [open, values, errors]);
+
+  // Updates a field and clears its error
+  function edit(field, setter) {
+    return (e) => {
+      setter(e.target.value);
+      setFieldErrors((errs) => ({ ...errs, [field]: "" }));
+    };
+  }
+
+  // Links a field to its error (focused first when the modal reopens with one)
+  function errorProps(field) {
+    return {
+      "aria-invalid": Boolean(fieldErrors[field]),
+      "aria-describedby": `add-step-${field}-error`,
+      "data-autofocus": errors?.[field] ? true : undefined,
+    };
+  }
+
+  // Clears every field after a submission
+  function reset() {
+    setName("");
+    setStatus("");
+    setDescription("");
+    setOwner("");
+    setStartDate("");
+    setDueDate("");
+    setNotes("");
+  }
+
+  // Sends the new step to the parent, then clears the form
+  function submit() {
+    if (!name.trim()) return setFieldErrors({ name: t("addStep.nameRequired") });
+    onSubmit({
+      name,
+      status: status || defaultStatus,
+      description,
+      owner,
+      start_date: startDate || null,
+      due_date: dueDate || null,
+      notes,
+    });
+    reset();
+  }
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    // Dialog shell: overlay, focus handling, Escape to close, Enter to submit
+    <Modal
+      open={open}
+      title={t("addStep.title")}
+      onClose={onClose}
+      onSubmit={submit}
+      actions={
+        <>
+          {/* Cancel button closes the modal without submitting */}
+          <button type="button" className="btn ghost" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+
+          {/* Add button submits the form (also triggered by Enter) */}
+          <button type="submit" className="btn">
+            {t("common.add")}
+          </button>
+        </>
+      }
+    >
+      {/* Display current stage name (read-only info) */}
+      <div className="muted">
+        {t("stepFields.stage")} <b>{stageName || "-"}</b>
+      </div>
+
+      {/* Step name input */}
+      <label className="label" htmlFor="add-step-name">{t("addStep.name")}</label>
+      <input
+        id="add-step-name"
+        className="input"
+        value={name}
+        onChange={edit("name", setName)}
+        placeholder={t("addStep.namePlaceholder")}
+        {...errorProps("name")}
+      />
+      <FieldError id="add-step-name-error" message={fieldErrors.name} />
+
+      {/* Initial status dropdown */}
+      <label className="label" htmlFor="add-step-status">{t("addStep.status")}</label>
+      <select
+        id="add-step-status"
+        className="select"
+        value={status || defaultStatus}
+        onChange={edit("status", setStatus)}
+        {...errorProps("status")}
+      >
+        {(statuses || []).map((s) => (
+          <option key={s.key} value={s.key}>
+            {statusLabel(s)}
+          </option>
+        ))}
+      </select>
+      <FieldError id="add-step-status-error" message={fieldErrors.status} />
+
+      {/* Optional details - can also be edited later in the detail panel */}
+      <details
+        className="moreDetails"
+        open={showDetails}
+        onToggle={(e) => setShowDetails(e.currentTarget.open)}
+      >
+        <summary className="label">{t("addStep.moreDetails")}</summary>
+
+        <div className="modalBody">
+          <label className="label" htmlFor="add-step-description">{t("common.description")}</label>
+          <textarea
+            id="add-step-description"
+            className="input textarea"
+            rows={2}
+            value={description}
+            onChange={edit("description", setDescription)}
+            {...errorProps("description")}
+          />
+          <FieldError id="add-step-description-error" message={fieldErrors.description} />
+
+          <label className="label" htmlFor="add-step-owner">{t("stepFields.owner")}</label>
+          <input
+            id="add-step-owner"
+            className="input"
+            value={owner}
+            onChange={edit("owner", setOwner)}
+            {...errorProps("owner")}
+          />
+          <FieldError id="add-step-owner-error" message={fieldErrors.owner} />
+
+          <label className="label" htmlFor="add-step-start">{t("stepFields.startDate")}</label>
+          <input
+            id="add-step-start"
+            className="input"
+            type="date"
+            value={startDate}
+            max={dueDate || undefined}
+            onChange={edit("start_date", setStartDate)}
+            {...errorProps("start_date")}
+          />
+          <FieldError id="add-step-start_date-error" message={fieldErrors.start_date} />
+
+          <label className="label" htmlFor="add-step-due">{t("stepFields.dueDate")}</label>
+          <input
+            id="add-step-due"
+            className="input"
+            type="date"
+            value={dueDate}
+            min={startDate || undefined}
+            onChange={edit("due_date", setDueDate)}
+            {...errorProps("due_date")}
+          />
+          <FieldError id="add-step-due_date-error" message={fieldErrors.due_date} />
+
+          <label className="label" htmlFor="add-step-notes">{t("stepFields.notes")}</label>
+          <textarea
+            id="add-step-notes"
+            className="input textarea"
+            rows={2}
+            value={notes}
+            onChange={edit("notes", setNotes)}
+            {...errorProps("notes")}
+          />
+          <FieldError id="add-step-notes-error" message={fieldErrors.notes} />
+        </div>
+      </details>
+    </Modal>
+  );
+}
@@ -0,0 +1,356 @@
+// useState holds the "save view" form; useMemo the filtered steps
+import { useMemo, useState } from "react";
+
+import StatusTag from "./StatusTag";
+import BlockedBadge from "./BlockedBadge";
+import SelectAllCheckbox from "./SelectAllCheckbox";
+import StepProgress from "./StepProgress";
+import { DEFAULT_EFFORT, assigneeNames, blockingSteps, isTempId } from "../journeyStore";
+import { dueLabel, dueState, formatDates } from "../schedule";
+import {
+  EMPTY_FILTERS,
+  ME,
+  PRESET_VIEWS,
+  filterSteps,
+  hasFilters,
+  journeyOwners,
+  sameFilters,
+  viewName as nameOf,
+} from "../filters";
+import { formatList, statusLabel, t } from "../i18n";
+
+/**
+ * AllStepsView Component
+ * ----------------------
+ * Every step of the journey in one list, grouped by stage, with a
+ * search box and filters (status, owner, due date, open/done).
+ * The filters come from the URL (see filters.js), so the parent
+ * navigates when they change. Views can be saved under a name.
+ * Steps can be checked for bulk actions (Shift+click for a range,
+ * across stages; a checkbox per stage selects all its matches).
+ *
+ * Props:
+ * - journey (object): current journey
+ * - filters (object): active filters (parsed from the URL)
+ * - me (string): signed-in user's name (for the "Me" owner filter)
+ * - readOnly (boolean): only browse (no selecting, status changes or
+ *   saving views)
+ * - views (array): saved views { view_id, name, filters }
+ * - onFiltersChange (function): (filters, { replace }) replace is
+ *   true while typing, so each keystroke isn't a history entry
+ * - onOpenStep (function): opens a step's details (by step id)
+ * - onUpdateStatus (function): opens the status dialog for a step
+ * - onSaveView (function): saves the current filters under a name
+ * - onDeleteView (function): deletes a saved view (by view id)
+ * - selected (Set): checked step ids
+ * - errors (object): why the last bulk action failed, by step id
+ * - onToggleSelect (function): (step id, { range, ids }) ids: the
+ *   listed steps in order (for a Shift+click range)
+ * - onSelectSteps (function): (step ids, checked)
+ * - bulkBar (node): bulk actions for the checked steps
+ * - onOpenReport (function): opens the printable report of the listed steps
+ */
+export default function AllStepsView({
+  journey,
+  filters,
+  me,
+  readOnly = false,
+  views,
+  onFiltersChange,
+  onOpenStep,
+  onUpdateStatus,
+  onSaveView,
+  onDeleteView,
+  selected,
+  errors,
+  onToggleSelect,
+  onSelectSteps,
+  bulkBar,
+  onOpenReport,
+}) {
+  const groups = useMemo(() => filterSteps(journey, filters, me), [journey, filters, me]);
+  const owners = useMemo(() => journeyOwners(journey), [journey]);
+
+  const total = journey.stages.reduce((sum, s) => sum + s.steps.length, 0);
+  const shown = groups.reduce((sum, g) => sum + g.steps.length, 0);
+
+  // Listed steps that can be checked (not the ones still being saved)
+  const selectable = (steps) => steps.map((s) => s.step_id).filter((id) => !isTempId(id));
+  const listedIds = groups.flatMap((g) => selectable(g.steps));
+
+  // "Save view" form (null while closed)
+  const [viewName, setViewName] = useState(null);
+
+  function setFilter(field, value, options) {
+    onFiltersChange({ ...filters, [field]: value }, options);
+  }
+
+  function toggleStatus(key) {
+    const status = filters.status.includes(key)
+      ? filters.status.filter((s) => s !== key)
+      : [...filters.status, key];
+    setFilter("status", status);
+  }
+
+  function saveView() {
+    if (!viewName?.trim()) return;
+    onSaveView(viewName.trim());
+    setViewName(null);
+  }
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    <div className="card">
+      <div className="rowBetween">
+        <h1 className="h1">{t("allSteps.title")}</h1>
+        <div className="smallActions2">
+          <div className="muted" role="status">
+            {hasFilters(filters)
+              ? t("allSteps.shownOf", { shown, count: total })
+              : t("common.stepCount", { count: total })}
+          </div>
+          <button type="button" className="linkBtn" title={t("allSteps.reportTitle")} onClick={onOpenReport}>
+            🖨 {t("allSteps.report")}
+          </button>
+        </div>
+      </div>
+
+      {/* Preset and saved views */}
+      <div className="viewChips" aria-label={t("allSteps.views")}>
+        {[...PRESET_VIEWS, ...views].map((view) => (
+          <span
+            key={view.view_id || view.preset}
+            className={`viewChip ${sameFilters(view.filters, filters) ? "active" : ""}`}
+          >
+            <button
+              type="button"
+              className="linkBtn"
+              aria-pressed={sameFilters(view.filters, filters)}
+              onClick={() => onFiltersChange({ ...EMPTY_FILTERS, ...view.filters })}
+            >
+              {nameOf(view)}
+            </button>
+            {view.view_id && !readOnly ? (
+              <button
+                type="button"
+                className="viewChipDelete"
+                title={t("allSteps.deleteView")}
+                aria-label={t("allSteps.deleteViewName", { name: view.name })}
+                onClick={() => onDeleteView(view.view_id)}
+              >
+                ×
+              </button>
+            ) : null}
+          </span>
+        ))}
+
+        {readOnly ? null : viewName === null ? (
+          <button
+            type="button"
+            className="btn ghost"
+            disabled={!hasFilters(filters)}
+            title={hasFilters(filters) ? t("allSteps.saveViewTitle") : t("allSteps.noFilters")}
+            onClick={() => setViewName("")}
+          >
+            {t("allSteps.saveView")}
+          </button>
+        ) : (
+          <form
+            className="viewSave"
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveView();
+            }}
+          >
+            <input
+              className="input"
+              autoFocus
+              aria-label={t("allSteps.viewName")}
+              placeholder={t("allSteps.viewName")}
+              maxLength={100}
+              value={viewName}
+              onChange={(e) => setViewName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Escape") setViewName(null);
+              }}
+            />
+            <button type="submit" className="btn" disabled={!viewName.trim()}>
+              {t("common.save")}
+            </button>
+            <button type="button" className="btn ghost" onClick={() => setViewName(null)}>
+              {t("common.cancel")}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Filter bar */}
+      <div className="filterBar">
+        <input
+          id="step-search"
+          className="input"
+          type="search"
+          placeholder={t("allSteps.searchPlaceholder")}
+          aria-label={t("allSteps.search")}
+          value={filters.q}
+          onChange={(e) => setFilter("q", e.target.value, { replace: true })}
+        />
+
+        <select
+          className="select"
+          aria-label={t("stepFields.owner")}
+          value={filters.owner}
+          onChange={(e) => setFilter("owner", e.target.value)}
+        >
+          <option value="">{t("allSteps.anyOwner")}</option>
+          <option value={ME}>{me ? t("allSteps.meNamed", { name: me }) : t("allSteps.me")}</option>
+          {owners.map((o) => (
+            <option key={o} value={o}>
+              {o}
+            </option>
+          ))}
+          {filters.owner && filters.owner !== ME && !owners.includes(filters.owner) ? (
+            <option value={filters.owner}>{filters.owner}</option>
+          ) : null}
+        </select>
+
+        <select
+          className="select"
+          aria-label={t("allSteps.dueDate")}
+          value={filters.due}
+          onChange={(e) => setFilter("due", e.target.value)}
+        >
+          <option value="">{t("allSteps.anyDueDate")}</option>
+          <option value="overdue">{t("dates.overdue")}</option>
+          <option value="soon">{t("dates.soon")}</option>
+          <option value="none">{t("allSteps.noDueDate")}</option>
+        </select>
+
+        <select
+          className="select"
+          aria-label={t("allSteps.state")}
+          value={filters.state}
+          onChange={(e) => setFilter("state", e.target.value)}
+        >
+          <option value="">{t("allSteps.openAndDone")}</option>
+          <option value="open">{t("allSteps.open")}</option>
+          <option value="done">{t("allSteps.done")}</option>
+        </select>
+      </div>
+
+      <div className="statusChips" aria-label={t("allSteps.statuses")}>
+        {journey.statuses.map((s) => (
+          <button
+            key={s.key}
+            type="button"
+            className={`statusChip ${filters.status.includes(s.key) ? "active" : ""}`}
+            aria-pressed={filters.status.includes(s.key)}
+            style={{ "--chip-color": s.color }}
+            onClick={() => toggleStatus(s.key)}
+          >
+            {statusLabel(s)}
+          </button>
+        ))}
+        {hasFilters(filters) ? (
+          <button type="button" className="linkBtn" onClick={() => onFiltersChange(EMPTY_FILTERS)}>
+            {t("allSteps.clearFilters")}
+          </button>
+        ) : null}
+      </div>
+
+      {bulkBar}
+
+      {/* Results, grouped by stage */}
+      {!groups.length ? (
+        <div className="hint">{total ? t("allSteps.noMatches") : t("allSteps.empty")}</div>
+      ) : (
+        groups.map(({ stage, steps }) => (
+          <section key={stage.stage_id} className="resultGroup" aria-label={stage.name}>
+            <div className="h2">
+              {readOnly ? null : (
+                <SelectAllCheckbox
+                  ids={selectable(steps)}
+                  selected={selected}
+                  label={t("allSteps.selectStage", { name: stage.name })}
+                  onChange={(checked) => onSelectSteps(selectable(steps), checked)}
+                />
+              )}
+              {stage.name} <span className="muted">({steps.length})</span>
+            </div>
+            <ul className="stepsList">
+              {steps.map((step) => {
+                const pending = isTempId(step.step_id);
+                const due = dueState(step, journey.statuses);
+                return (
+                  <li
+                    key={step.step_id}
+                    className={`stepRow ${pending ? "pending" : ""} ${selected.has(step.step_id) ? "selected" : ""}`}
+                  >
+                    <div className="stepSelect">
+                      {readOnly ? null : (
+                        <input
+                          type="checkbox"
+                          className="selectBox"
+                          aria-label={t("allSteps.selectStep", { name: step.name })}
+                          title={t("allSteps.selectTitle")}
+                          checked={selected.has(step.step_id)}
+                          disabled={pending}
+                          onChange={(e) =>
+                            onToggleSelect(step.step_id, { range: e.nativeEvent.shiftKey, ids: listedIds })
+                          }
+                        />
+                      )}
+                      <div className="stepLeft">
+                        <button
+                          type="button"
+                          className="linkBtn stepName"
+                          disabled={pending}
+                          onClick={() => onOpenStep(step.step_id)}
+                        >
+                          {step.name}
+                        </button>
+                        <StatusTag status={step.status} statuses={journey.statuses} />
+                        <BlockedBadge blockers={blockingSteps(journey, step)} statuses={journey.statuses} />
+                        {step.owner || step.assignees?.length || step.start_date || step.due_date ||
+                        step.checklist?.length || step.attachments?.length || step.comment_count ||
+                        (step.effort ?? DEFAULT_EFFORT) !== DEFAULT_EFFORT ? (
+                          <div className="stepMeta">
+                            {step.owner ? <span>👤 {step.owner}</span> : null}
+                            {step.assignees?.length ? (
+                              <span title={t("allSteps.assignedTo")}>👥 {formatList(assigneeNames(journey, step))}</span>
+                            ) : null}
+                            <StepProgress step={step} />
+                            {step.start_date || step.due_date ? (
+                              <span className={due ? `dueFlag ${due}` : ""}>
+                                📅 {formatDates(step)}
+                                {due ? ` · ${dueLabel(due)}` : ""}
+                              </span>
+                            ) : null}
+                          </div>
+                        ) : null}
+                        {errors[step.step_id] ? (
+                          <div className="fieldError" role="alert">{errors[step.step_id]}</div>
+                        ) : null}
+                      </div>
+                    </div>
+
+                    {readOnly ? null : (
+                      <div className="smallActions2">
+                        <button className="btn" disabled={pending} onClick={() => onUpdateStatus(step)}>
+                          {t("updateStatus.title")}
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,368 @@
+// useState / useEffect load the journey's analytics; useMemo the chart
+import { useEffect, useMemo, useState } from "react";
+
+import { findStatus } from "../journeyStore";
+import { addDays, dayNumber, fromDayNumber, todayIso } from "../schedule";
+import { getJourneyAnalytics, isAborted } from "../api";
+import { formatDate, formatNumber, formatPercent, statusLabel, t } from "../i18n";
+
+// Wait this long after the last change before refetching
+const REFRESH_DELAY_MS = 400;
+
+// Weeks of completed-steps counts offered
+const WEEK_OPTIONS = [4, 12, 26, 52];
+
+// Burn-up chart size (SVG units; the chart scales to the card width)
+const CHART_W = 640;
+const CHART_H = 220;
+const PAD = { top: 12, right: 12, bottom: 24, left: 40 };
+
+// Stage progress is compared with this many days ago
+const TREND_DAYS = 7;
+
+// Date label for a "YYYY-MM-DD" date ("Mar 2"), in UTC like the day numbers
+function dateLabel(iso) {
+  return formatDate(iso, { month: "short", day: "numeric" });
+}
+
+// "45m", "5h", "3d 4h" ("" for nothing)
+function formatDuration(seconds) {
+  if (!seconds) return "";
+  if (seconds < 3600) return t("analytics.minutes", { count: Math.max(1, Math.round(seconds / 60)) });
+  if (seconds < 86400) return t("analytics.hours", { count: Math.round(seconds / 3600) });
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.round((seconds % 86400) / 3600);
+  return hours ? t("analytics.daysHours", { days, hours }) : t("analytics.days", { count: days });
+}
+
+// "12.5" -> "12.5", "3" -> "3" (effort totals)
+function formatEffort(value) {
+  return formatNumber(value, { maximumFractionDigits: 1 });
+}
+
+// +5 -> "+5%", -3 -> "-3%" (change in percentage points)
+function formatChange(points) {
+  return formatNumber(points / 100, { style: "percent", signDisplay: "exceptZero" });
+}
+
+// What the projection card says
+function projectionText(projection) {
+  switch (projection.state) {
+    case "complete":
+      return t("analytics.complete");
+    case "projected":
+      return dateLabel(projection.date);
+    case "stalled":
+      return t("analytics.stalled");
+    default:
+      return t("analytics.noHistory");
+  }
+}
+
+/**
+ * Burn-up chart geometry: done and scope (total effort) lines over the
+ * days of history, extended by a dashed projection up to the projected
+ * completion date (when there is one).
+ */
+function burnUp(snapshots, projection) {
+  const first = dayNumber(snapshots[0].date);
+  const last = dayNumber(snapshots[snapshots.length - 1].date);
+  const end = projection.state === "projected" ? dayNumber(projection.date) : last;
+  const maxY = Math.max(1, ...snapshots.map((s) => s.total_effort));
+
+  const x = (day) =>
+    PAD.left + ((day - first) / Math.max(1, end - first)) * (CHART_W - PAD.left - PAD.right);
+  const y = (value) => CHART_H - PAD.bottom - (value / maxY) * (CHART_H - PAD.top - PAD.bottom);
+  const line = (field) =>
+    snapshots.map((s) => `${x(dayNumber(s.date)).toFixed(1)},${y(s[field]).toFixed(1)}`).join(" ");
+
+  const latest = snapshots[snapshots.length - 1];
+  return {
+    done: line("done_effort"),
+    scope: line("total_effort"),
+    latest: { x: x(last), y: y(latest.done_effort) },
+    projection:
+      end > last
+        ? { x1: x(last), y1: y(latest.done_effort), x2: x(end), y2: y(latest.total_effort) }
+        : null,
+    axis: { x0: PAD.left, x1: CHART_W - PAD.right, y0: CHART_H - PAD.bottom, y1: PAD.top },
+    labels: { first: fromDayNumber(first), last: fromDayNumber(end), maxY },
+  };
+}
+
+// A stage's progress on the latest snapshot on or before `date` (or null)
+function stagePctOn(snapshots, stageId, date) {
+  const before = snapshots.filter((s) => s.date <= date);
+  const snapshot = before[before.length - 1];
+  return snapshot ? (snapshot.stages[stageId] ?? null) : null;
+}
+
+/**
+ * AnalyticsView Component
+ * -----------------------
+ * How the journey progresses over time (for the weekly status report):
+ * - headline numbers: completion, pace and projected completion date
+ * - burn-up chart: effort done vs. total effort, per day
+ * - steps completed per week
+ * - stage progress compared with a week ago
+ * - how long each step spent in each status
+ * Data comes from GET /api/journeys/:id/analytics.
+ *
+ * Props:
+ * - journey (object): current journey (reloads when it changes)
+ * - onOpenStep (function): opens a step's details (by step id)
+ */
+export default function AnalyticsView({ journey, onOpenStep }) {
+  /* ============================
+     LOCAL STATE
+     ============================ */
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [weeks, setWeeks] = useState(12);
+
+  // Refetch when the number of weeks changes, and shortly after any edit
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const timer = setTimeout(async () => {
+      try {
+        setData(await getJourneyAnalytics(journey.journey_id, weeks, { signal: controller.signal }));
+        setError("");
+      } catch (e) {
+        if (!isAborted(e)) setError(e.message);
+      }
+    }, REFRESH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [journey, weeks]);
+
+  const chart = useMemo(
+    () => (data?.snapshots.length ? burnUp(data.snapshots, data.projection) : null),
+    [data]
+  );
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  if (error) {
+    return (
+      <div className="card">
+        <h1 className="h1">{t("analytics.title")}</h1>
+        <div className="errorBox">❌ {error}</div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="card">
+        <h1 className="h1">{t("analytics.title")}</h1>
+        <div className="hint">{t("analytics.loading")}</div>
+      </div>
+    );
+  }
+
+  const { snapshots, weekly, projection } = data;
+  const latest = snapshots[snapshots.length - 1];
+  const weekAgo = addDays(todayIso(), -TREND_DAYS);
+  const maxWeekly = Math.max(1, ...weekly.map((w) => w.completed));
+
+  // Statuses with any time recorded, in workflow order (then unknown ones)
+  const spentIn = new Set(data.status_time.flatMap((row) => Object.keys(row.seconds)));
+  const statusKeys = [
+    ...journey.statuses.map((s) => s.key).filter((key) => spentIn.has(key)),
+    ...[...spentIn].filter((key) => !journey.statuses.some((s) => s.key === key)),
+  ];
+
+  return (
+    <div className="card">
+      <div className="rowBetween">
+        <h1 className="h1">{t("analytics.title")}</h1>
+        <div className="muted">
+          {snapshots.length > 1
+            ? t("analytics.since", { date: dateLabel(snapshots[0].date) })
+            : t("analytics.startsToday")}
+        </div>
+      </div>
+
+      {/* Headline numbers */}
+      <div className="analyticsCards">
+        <div className="analyticsCard">
+          <div className="muted">{t("analytics.complete")}</div>
+          <div className="analyticsValue">{formatPercent(latest.completion_pct)}</div>
+          <div className="muted">
+            {t("analytics.stepsDone", { done: latest.done_steps, count: latest.step_count })}
+          </div>
+        </div>
+
+        <div className="analyticsCard">
+          <div className="muted">{t("analytics.pace")}</div>
+          <div className="analyticsValue">
+            {projection.pace_per_week === null ? "–" : formatEffort(projection.pace_per_week)}
+          </div>
+          <div className="muted">{t("analytics.paceWindow", { count: projection.window_days })}</div>
+        </div>
+
+        <div className="analyticsCard">
+          <div className="muted">{t("analytics.projected")}</div>
+          <div className={`analyticsValue ${projection.late ? "dueFlag overdue" : ""}`}>
+            {projectionText(projection)}
+          </div>
+          <div className="muted">
+            {projection.due_date
+              ? t(projection.late ? "analytics.dueLate" : "analytics.due", {
+                  date: dateLabel(projection.due_date),
+                })
+              : t("analytics.effortLeft", { effort: formatEffort(projection.remaining_effort) })}
+          </div>
+        </div>
+      </div>
+
+      {/* Burn-up chart */}
+      <section className="analyticsSection" aria-label={t("analytics.burnUpChart")}>
+        <div className="h2">{t("analytics.burnUp")}</div>
+        <svg
+          className="burnUp"
+          dir="ltr"
+          viewBox={`0 0 ${CHART_W} ${CHART_H}`}
+          role="img"
+          aria-label={t("analytics.burnUpLabel", {
+            done: formatEffort(latest.done_effort),
+            total: formatEffort(latest.total_effort),
+          })}
+        >
+          <line className="burnUpAxis" x1={chart.axis.x0} y1={chart.axis.y0} x2={chart.axis.x1} y2={chart.axis.y0} />
+          <line className="burnUpAxis" x1={chart.axis.x0} y1={chart.axis.y0} x2={chart.axis.x0} y2={chart.axis.y1} />
+          <text className="burnUpLabel" x={chart.axis.x0 - 6} y={chart.axis.y1 + 4} textAnchor="end">
+            {formatEffort(chart.labels.maxY)}
+          </text>
+          <text className="burnUpLabel" x={chart.axis.x0 - 6} y={chart.axis.y0} textAnchor="end">
+            {formatNumber(0)}
+          </text>
+          <text className="burnUpLabel" x={chart.axis.x0} y={CHART_H - 6}>
+            {dateLabel(chart.labels.first)}
+          </text>
+          <text className="burnUpLabel" x={chart.axis.x1} y={CHART_H - 6} textAnchor="end">
+            {dateLabel(chart.labels.last)}
+          </text>
+
+          <polyline className="burnUpScope" points={chart.scope} />
+          <polyline className="burnUpDone" points={chart.done} />
+          {chart.projection ? <line className="burnUpProjection" {...chart.projection} /> : null}
+          <circle className="burnUpPoint" cx={chart.latest.x} cy={chart.latest.y} r="4" />
+        </svg>
+        <div className="burnUpLegend muted">
+          <span className="legendDone">{t("analytics.effortDone")}</span>
+          <span className="legendScope">{t("analytics.totalEffort")}</span>
+          {chart.projection ? <span className="legendProjection">{t("analytics.projection")}</span> : null}
+        </div>
+      </section>
+
+      {/* Steps completed per week */}
+      <section className="analyticsSection" aria-label={t("analytics.weekly")}>
+        <div className="rowBetween">
+          <div className="h2">{t("analytics.weekly")}</div>
+          <select
+            className="select"
+            aria-label={t("analytics.weeksShown")}
+            value={weeks}
+            onChange={(e) => setWeeks(Number(e.target.value))}
+          >
+            {WEEK_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {t("analytics.lastWeeks", { count: n })}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="weeklyBars" dir="ltr">
+          {weekly.map((w) => (
+            <div
+              key={w.week}
+              className="weeklyBar"
+              title={t("analytics.weekOf", { date: dateLabel(w.week), count: w.completed })}
+            >
+              <div className="weeklyCount">{w.completed ? formatNumber(w.completed) : ""}</div>
+              <div className="weeklyFill" style={{ height: `${(w.completed / maxWeekly) * 100}%` }} />
+              <div className="weeklyLabel muted">{dateLabel(w.week)}</div>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      {/* Stage progress, now vs. a week ago */}
+      <section className="analyticsSection" aria-label={t("analytics.stageProgress")}>
+        <div className="h2">{t("analytics.stages")}</div>
+        <table className="analyticsTable">
+          <thead>
+            <tr>
+              <th scope="col">{t("analytics.stage")}</th>
+              <th scope="col">{t("analytics.now")}</th>
+              <th scope="col">{t("analytics.daysAgo", { count: TREND_DAYS })}</th>
+              <th scope="col">{t("analytics.change")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {journey.stages.map((stage) => {
+              const now = latest.stages[stage.stage_id] ?? stage.completion_pct;
+              const before = stagePctOn(snapshots, stage.stage_id, weekAgo);
+              const change = before === null ? null : now - before;
+              return (
+                <tr key={stage.stage_id}>
+                  <th scope="row">{stage.name}</th>
+                  <td>{formatPercent(now)}</td>
+                  <td>{before === null ? "–" : formatPercent(before)}</td>
+                  <td>{change === null ? "–" : formatChange(change)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </section>
+
+      {/* Time spent in each status */}
+      <section className="analyticsSection" aria-label={t("analytics.timeInStatus")}>
+        <div className="h2">{t("analytics.timeInEachStatus")}</div>
+        {!data.status_time.length ? (
+          <div className="hint">{t("allSteps.empty")}</div>
+        ) : (
+          <div className="analyticsScroll">
+            <table className="analyticsTable">
+              <thead>
+                <tr>
+                  <th scope="col">{t("analytics.step")}</th>
+                  {statusKeys.map((key) => (
+                    <th key={key} scope="col">
+                      {statusLabel(findStatus(journey.statuses, key), key)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.status_time.map((row) => (
+                  <tr key={row.step_id}>
+                    <th scope="row">
+                      <button type="button" className="linkBtn" onClick={() => onOpenStep(row.step_id)}>
+                        {row.name}
+                      </button>
+                    </th>
+                    {statusKeys.map((key) => (
+                      <td key={key} className={key === row.status ? "currentStatus" : ""}>
+                        {formatDuration(row.seconds[key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
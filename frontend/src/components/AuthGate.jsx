@@ -0,0 +1,142 @@
+// useState holds the sign-in / create-account form
+import { Fragment, useState } from "react";
+
+import FieldError from "./FieldError";
+import LocaleSwitcher from "./LocaleSwitcher";
+import { setSession, useSession } from "../auth";
+import { login, register } from "../api";
+import { t, useLocale } from "../i18n";
+
+const EMPTY_FORM = { username: "", name: "", password: "" };
+
+/**
+ * AuthGate Component
+ * ------------------
+ * Shows a sign-in form (or "create an account") until someone is
+ * signed in, then its children. The children are mounted per user, so
+ * nothing from the previous user's session stays on screen. The form
+ * comes back on sign-out or when the session ends (see auth.js).
+ *
+ * Props:
+ * - children (node): the app
+ */
+export default function AuthGate({ children }) {
+  const session = useSession();
+
+  // The app below re-renders in the new language (its element doesn't change)
+  useLocale();
+
+  // "signin" | "register"
+  const [mode, setMode] = useState("signin");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+
+  // Why the last attempt failed, by field ("form": not about one field)
+  const [errors, setErrors] = useState({});
+
+  if (session) return <Fragment key={session.user.user_id}>{children}</Fragment>;
+
+  const registering = mode === "register";
+
+  function setField(field, value) {
+    setForm((f) => ({ ...f, [field]: value }));
+    setErrors({});
+  }
+
+  function switchMode() {
+    setMode(registering ? "signin" : "register");
+    setErrors({});
+  }
+
+  async function submit() {
+    if (!form.username.trim()) return setErrors({ username: t("auth.usernameRequired") });
+    if (!form.password) return setErrors({ password: t("auth.passwordRequired") });
+
+    setBusy(true);
+    try {
+      const data = registering
+        ? await register(form)
+        : await login(form.username.trim(), form.password);
+      setForm(EMPTY_FORM);
+      setSession({ token: data.token, expires_at: data.expires_at, user: data.user });
+    } catch (e) {
+      setErrors({ [e.field || "form"]: e.reason || e.message });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Links a field to its error message (see FieldError)
+  function describedBy(field) {
+    return { "aria-invalid": Boolean(errors[field]), "aria-describedby": `auth-${field}-error` };
+  }
+
+  return (
+    <div className="authPage">
+      <form
+        className="card authCard"
+        aria-label={registering ? t("auth.createAccount") : t("auth.signIn")}
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit();
+        }}
+      >
+        <div className="rowBetween">
+          <div className="h1">{t("app.title")}</div>
+          <LocaleSwitcher />
+        </div>
+        <div className="muted">{registering ? t("auth.createAccount") : t("auth.signInToContinue")}</div>
+
+        <label className="label" htmlFor="auth-username">{t("common.username")}</label>
+        <input
+          id="auth-username"
+          className="input"
+          autoComplete="username"
+          autoFocus
+          value={form.username}
+          onChange={(e) => setField("username", e.target.value)}
+          {...describedBy("username")}
+        />
+        <FieldError id="auth-username-error" message={errors.username} />
+
+        {registering ? (
+          <>
+            <label className="label" htmlFor="auth-name">{t("auth.displayName")}</label>
+            <input
+              id="auth-name"
+              className="input"
+              autoComplete="name"
+              placeholder={t("auth.displayNamePlaceholder")}
+              value={form.name}
+              onChange={(e) => setField("name", e.target.value)}
+              {...describedBy("name")}
+            />
+            <FieldError id="auth-name-error" message={errors.name} />
+          </>
+        ) : null}
+
+        <label className="label" htmlFor="auth-password">{t("auth.password")}</label>
+        <input
+          id="auth-password"
+          className="input"
+          type="password"
+          autoComplete={registering ? "new-password" : "current-password"}
+          value={form.password}
+          onChange={(e) => setField("password", e.target.value)}
+          {...describedBy("password")}
+        />
+        <FieldError id="auth-password-error" message={errors.password} />
+        <FieldError id="auth-form-error" message={errors.form} />
+
+        <div className="modalActions">
+          <button type="button" className="linkBtn" onClick={switchMode}>
+            {registering ? t("auth.haveAccount") : t("auth.createAccount")}
+          </button>
+          <button type="submit" className="btn" disabled={busy}>
+            {busy ? t("auth.wait") : registering ? t("auth.register") : t("auth.signIn")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
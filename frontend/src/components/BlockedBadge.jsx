@@ -0,0 +1,17 @@
+import { statusName } from "../journeyStore";
+import { formatList, t } from "../i18n";
+
+// Presentational badge shown next to a step's StatusTag while it has
+// unfinished prerequisites (`blockers`: the steps it is waiting for).
+// Renders nothing when the step isn't blocked.
+export default function BlockedBadge({ blockers, statuses }) {
+  if (!blockers?.length) return null;
+
+  const waiting = formatList(blockers.map((b) => `${b.name} (${statusName(statuses, b.status)})`));
+
+  return (
+    <span className="blockedBadge" title={t("blocked.waitingFor", { steps: waiting })}>
+      ⛔ {t("blocked.badge")}
+    </span>
+  );
+}
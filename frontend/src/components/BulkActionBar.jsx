@@ -0,0 +1,67 @@
+import { isTempId } from "../journeyStore";
+import { statusLabel, t } from "../i18n";
+
+/**
+ * BulkActionBar Component
+ * -----------------------
+ * Shown while steps are checked: sets their status, moves them to a
+ * stage or deletes them, all in one change (see the batch endpoint).
+ *
+ * Props:
+ * - count (number): selected steps
+ * - statuses (array): the journey's status catalog
+ * - stages (array): stages the steps can be moved to
+ * - onSetStatus (function): (status key)
+ * - onMove (function): (stage id)
+ * - onDelete (function): deletes the selected steps
+ * - onClear (function): clears the selection
+ */
+export default function BulkActionBar({ count, statuses, stages, onSetStatus, onMove, onDelete, onClear }) {
+  if (!count) return null;
+
+  return (
+    <div className="bulkBar" role="toolbar" aria-label={t("bulk.label")}>
+      <b>{t("bulk.selected", { count })}</b>
+
+      <select
+        className="select"
+        value=""
+        aria-label={t("bulk.setStatusLabel")}
+        onChange={(e) => e.target.value && onSetStatus(e.target.value)}
+      >
+        <option value="">{t("bulk.setStatus")}</option>
+        {statuses.map((s) => (
+          <option key={s.key} value={s.key}>
+            {statusLabel(s)}
+          </option>
+        ))}
+      </select>
+
+      {stages.length > 1 ? (
+        <select
+          className="select"
+          value=""
+          aria-label={t("bulk.moveLabel")}
+          onChange={(e) => e.target.value && onMove(e.target.value)}
+        >
+          <option value="">{t("common.moveTo")}</option>
+          {stages
+            .filter((s) => !isTempId(s.stage_id))
+            .map((s) => (
+              <option key={s.stage_id} value={s.stage_id}>
+                {s.name}
+              </option>
+            ))}
+        </select>
+      ) : null}
+
+      <button type="button" className="btn" onClick={onDelete}>
+        {t("common.delete")}
+      </button>
+
+      <button type="button" className="linkBtn" onClick={onClear}>
+        {t("bulk.clear")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// useState / useEffect hold the search text and highlighted command
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import { t } from "../i18n";
+
+// Keeps commands whose label contains every typed word
+function matches(command, query) {
+  const label = command.label.toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => label.includes(word));
+}
+
+/**
+ * CommandPalette Component
+ * ------------------------
+ * Ctrl+K launcher: type to filter, ↑/↓ to highlight, Enter to run.
+ * Uses the ARIA combobox pattern (input + listbox).
+ *
+ * Props:
+ * - open (boolean): visibility
+ * - commands (array): { id, label, hint?, run }
+ * - onClose (function): closes the palette (also called before running a command)
+ */
+export default function CommandPalette({ open, commands, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+
+  // Start with an empty search every time it opens
+  useEffect(() => {
+    if (open) {
+      setQuery("");
+      setActive(0);
+    }
+  }, [open]);
+
+  const results = commands.filter((c) => matches(c, query));
+  const current = Math.min(active, results.length - 1);
+
+  // Closes the palette, then runs the command
+  function run(command) {
+    if (!command) return;
+    onClose();
+    command.run();
+  }
+
+  // Arrow keys move the highlight (focus stays in the input)
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + results.length) % Math.max(results.length, 1));
+    }
+  }
+
+  return (
+    <Modal
+      open={open}
+      title={t("palette.title")}
+      onClose={onClose}
+      onSubmit={() => run(results[current])}
+    >
+      <input
+        className="input"
+        role="combobox"
+        aria-label={t("palette.search")}
+        aria-expanded="true"
+        aria-controls="command-list"
+        aria-activedescendant={results[current] ? `command-${results[current].id}` : undefined}
+        aria-autocomplete="list"
+        placeholder={t("palette.placeholder")}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+        }}
+        onKeyDown={handleKeyDown}
+      />
+
+      <ul className="commandList" id="command-list" role="listbox" aria-label={t("palette.commands")}>
+        {results.map((c, i) => (
+          <li
+            key={c.id}
+            id={`command-${c.id}`}
+            role="option"
+            aria-selected={i === current}
+            className={`commandItem ${i === current ? "active" : ""}`}
+            onMouseEnter={() => setActive(i)}
+            onClick={() => run(c)}
+          >
+            <span>{c.label}</span>
+            {c.hint ? <kbd className="kbd" dir="ltr">{c.hint}</kbd> : null}
+          </li>
+        ))}
+        {results.length === 0 ? <li className="hint">{t("palette.empty")}</li> : null}
+      </ul>
+    </Modal>
+  );
+}
@@ -0,0 +1,109 @@
+import Modal from "./Modal";
+import StatusTag from "./StatusTag";
+import { formatDate, t } from "../i18n";
+
+// Fields a conflicting edit may touch (labels: conflict.fields.<field>)
+const FIELDS = [
+  "name",
+  "status",
+  "description",
+  "owner",
+  "start_date",
+  "due_date",
+  "notes",
+  "effort",
+  "checklist",
+  "depends_on",
+  "assignees",
+];
+
+const DATE_FIELDS = ["start_date", "due_date"];
+
+/**
+ * ConflictModal Component
+ * -----------------------
+ * Shown when the server rejected a change with 412 because someone
+ * else changed the step/stage since it was loaded. Your change has
+ * already been undone locally; the user picks which version wins.
+ *
+ * Props:
+ * - conflict (object|null): { kind, action, name, changes, current } (hidden when null)
+ *   - kind: "step" | "stage"
+ *   - action: "update" | "delete"
+ *   - changes: the fields you tried to save (update only)
+ *   - current: the item as it is on the server now
+ * - statuses (array): journey status catalog (for status values)
+ * - onKeepTheirs (function): discard your change
+ * - onOverwrite (function): apply your change on top of theirs
+ */
+export default function ConflictModal({ conflict, statuses, onKeepTheirs, onOverwrite }) {
+  if (!conflict) return null;
+
+  const { kind, action, name, changes = {}, current = {} } = conflict;
+  const fields = Object.keys(changes || {}).filter((f) => FIELDS.includes(f));
+
+  // Status keys are shown as tags, prerequisite / assignee lists as a
+  // count, checklists as "done of total", empty values as a dash
+  function show(field, value) {
+    if (field === "status") return <StatusTag status={value} statuses={statuses} />;
+    if (field === "checklist" && value?.length) {
+      value = t("conflict.checklist", { done: value.filter((item) => item.done).length, count: value.length });
+    } else if (field === "assignees") {
+      value = value?.length ? t("conflict.people", { count: value.length }) : "";
+    } else if (Array.isArray(value)) {
+      value = value.length ? t("common.stepCount", { count: value.length }) : "";
+    } else if (DATE_FIELDS.includes(field)) {
+      value = formatDate(value);
+    }
+    return value ? String(value) : <span className="muted">—</span>;
+  }
+
+  return (
+    <Modal
+      open
+      title={t(`conflict.title.${kind}`)}
+      wide={action === "update"}
+      onClose={onKeepTheirs}
+      onSubmit={onOverwrite}
+      actions={
+        <>
+          <button type="button" className="btn ghost" data-autofocus onClick={onKeepTheirs}>
+            {t("conflict.keepTheirs")}
+          </button>
+          <button type="submit" className="btn">
+            {action === "delete" ? t("conflict.deleteAnyway") : t("conflict.overwrite")}
+          </button>
+        </>
+      }
+    >
+      {action === "delete" ? (
+        <p>{t("conflict.deleteText", { name: current.name || name })}</p>
+      ) : (
+        <>
+          <p>{t("conflict.updateText", { name })}</p>
+
+          <table className="conflictTable">
+            <thead>
+              <tr>
+                <th scope="col">{t("conflict.field")}</th>
+                <th scope="col">{t("conflict.theirs")}</th>
+                <th scope="col">{t("conflict.yours")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((field) => (
+                <tr key={field}>
+                  <th scope="row">{t(`conflict.fields.${field}`)}</th>
+                  <td>{show(field, current[field])}</td>
+                  <td>{show(field, changes[field])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <div className="hint">{t("conflict.reloaded")}</div>
+    </Modal>
+  );
+}
@@ -0,0 +1,218 @@
+// useMemo keeps the layout until the journey changes
+import { useMemo } from "react";
+
+import StatusTag from "./StatusTag";
+import { findStatus } from "../journeyStore";
+import { statusLabel, t } from "../i18n";
+
+// Node size and spacing (SVG units)
+const NODE_W = 190;
+const NODE_H = 46;
+const GAP_X = 70;
+const GAP_Y = 18;
+const PAD = 12;
+
+// Longest names are cut to fit a node
+const MAX_NAME = 24;
+
+// Fallback color for statuses missing from the catalog
+const UNKNOWN_COLOR = "#374151";
+
+function shorten(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Lays out the steps that take part in a dependency in columns:
+ * a step sits one column right of its furthest prerequisite
+ * (longest path), so every edge points left to right.
+ * Within a column, steps keep their journey order.
+ */
+function layout(journey) {
+  const steps = journey.stages.flatMap((stage) =>
+    stage.steps.map((step) => ({ step, stage }))
+  );
+  const byId = new Map(steps.map((item) => [item.step.step_id, item]));
+
+  // Edges prerequisite -> dependent (prerequisites deleted meanwhile are skipped)
+  const edges = steps.flatMap(({ step }) =>
+    (step.depends_on || [])
+      .filter((id) => byId.has(id))
+      .map((id) => ({ from: id, to: step.step_id }))
+  );
+
+  const linked = new Set(edges.flatMap((e) => [e.from, e.to]));
+
+  // Column of each step (the backend rejects cycles; `visiting` guards anyway)
+  const columns = new Map();
+  const visiting = new Set();
+  function column(id) {
+    if (columns.has(id)) return columns.get(id);
+    if (visiting.has(id)) return 0;
+
+    visiting.add(id);
+    const deps = (byId.get(id).step.depends_on || []).filter((d) => byId.has(d));
+    const value = deps.length ? 1 + Math.max(...deps.map(column)) : 0;
+    visiting.delete(id);
+
+    columns.set(id, value);
+    return value;
+  }
+
+  const rows = [];
+  const nodes = steps
+    .filter(({ step }) => linked.has(step.step_id))
+    .map((item) => {
+      const col = column(item.step.step_id);
+      const row = rows[col] || 0;
+      rows[col] = row + 1;
+      return {
+        ...item,
+        x: PAD + col * (NODE_W + GAP_X),
+        y: PAD + row * (NODE_H + GAP_Y),
+      };
+    });
+
+  const width = PAD * 2 + rows.length * (NODE_W + GAP_X) - GAP_X;
+  const height = PAD * 2 + Math.max(0, ...rows) * (NODE_H + GAP_Y) - GAP_Y;
+
+  return { nodes, edges, width, height };
+}
+
+/**
+ * DependencyGraph Component
+ * -------------------------
+ * Which steps wait for which (across stages), drawn as a graph with
+ * prerequisites on the left. Blocked steps are outlined in red.
+ *
+ * Props:
+ * - journey (object): current journey
+ * - onOpenStep (function): opens a step's details (by step id)
+ */
+export default function DependencyGraph({ journey, onOpenStep }) {
+  const { nodes, edges, width, height } = useMemo(() => layout(journey), [journey]);
+  const byId = new Map(nodes.map((n) => [n.step.step_id, n]));
+
+  const blockedCount = nodes.filter((n) => n.step.blocked_by?.length).length;
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    <div className="card">
+      <div className="rowBetween">
+        <h1 className="h1">{t("dependencies.title")}</h1>
+        {nodes.length ? (
+          <div className="muted">
+            {t("dependencies.blockedCount", { count: blockedCount })}
+          </div>
+        ) : null}
+      </div>
+
+      {!nodes.length ? (
+        <div className="hint">{t("dependencies.empty")}</div>
+      ) : (
+        <>
+          <div className="hint">{t("dependencies.hint")}</div>
+
+          {/* Laid out left to right (prerequisites first) in every language */}
+          <div className="graphScroll" dir="ltr">
+            <svg
+              className="depGraph"
+              width={width}
+              height={height}
+              viewBox={`0 0 ${width} ${height}`}
+              role="img"
+              aria-label={t("dependencies.graph")}
+            >
+              <defs>
+                <marker
+                  id="depArrow"
+                  viewBox="0 0 10 10"
+                  refX="10"
+                  refY="5"
+                  markerWidth="7"
+                  markerHeight="7"
+                  orient="auto-start-reverse"
+                >
+                  <path d="M 0 0 L 10 5 L 0 10 z" className="depArrow" />
+                </marker>
+              </defs>
+
+              {edges.map(({ from, to }) => {
+                const a = byId.get(from);
+                const b = byId.get(to);
+                const x1 = a.x + NODE_W;
+                const y1 = a.y + NODE_H / 2;
+                const x2 = b.x;
+                const y2 = b.y + NODE_H / 2;
+                const bend = Math.max(30, (x2 - x1) / 2);
+                const waiting = b.step.blocked_by?.includes(from);
+
+                return (
+                  <path
+                    key={`${from}-${to}`}
+                    className={`depEdge ${waiting ? "waiting" : ""}`}
+                    d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+                    markerEnd="url(#depArrow)"
+                  />
+                );
+              })}
+
+              {nodes.map(({ step, stage, x, y }) => {
+                const status = findStatus(journey.statuses, step.status);
+                const blocked = step.blocked_by?.length > 0;
+                const label = statusLabel(status, step.status);
+                return (
+                  <g
+                    key={step.step_id}
+                    className={`depNode ${blocked ? "blocked" : ""}`}
+                    transform={`translate(${x} ${y})`}
+                    role="button"
+                    tabIndex={0}
+                    aria-label={t(blocked ? "dependencies.nodeBlocked" : "dependencies.node", {
+                      name: step.name,
+                      status: label,
+                    })}
+                    onClick={() => onOpenStep(step.step_id)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter" || e.key === " ") {
+                        e.preventDefault();
+                        onOpenStep(step.step_id);
+                      }
+                    }}
+                  >
+                    <title>{`${step.name} — ${stage.name}`}</title>
+                    <rect width={NODE_W} height={NODE_H} rx="8" />
+                    <rect
+                      className="depNodeStatus"
+                      width="6"
+                      height={NODE_H}
+                      rx="3"
+                      fill={status?.color || UNKNOWN_COLOR}
+                    />
+                    <text x="14" y="19" className="depNodeName">
+                      {blocked ? "⛔ " : ""}
+                      {shorten(step.name, MAX_NAME)}
+                    </text>
+                    <text x="14" y="36" className="depNodeMeta">
+                      {shorten(`${stage.name} · ${label}`, MAX_NAME + 6)}
+                    </text>
+                  </g>
+                );
+              })}
+            </svg>
+          </div>
+
+          <div className="depLegend">
+            {journey.statuses.map((s) => (
+              <StatusTag key={s.key} status={s.key} statuses={journey.statuses} />
+            ))}
+            <span className="blockedBadge">⛔ {t("blocked.badge")}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { withToken } from "../auth";
+import { t } from "../i18n";
+
+// Download formats offered in the menu (labels: export.formats.<value>)
+const FORMATS = ["json", "csv", "md"];
+
+/**
+ * ExportMenu Component
+ * --------------------
+ * Topbar dropdown that downloads the current journey.
+ * The backend sets the file name (Content-Disposition); the links
+ * carry the login token, as the browser downloads them itself.
+ *
+ * Props:
+ * - journeyId (string): journey to export
+ */
+export default function ExportMenu({ journeyId }) {
+  const base = `/api/journeys/${encodeURIComponent(journeyId)}/export`;
+
+  return (
+    <details className="menu">
+      <summary className="btn ghost">{t("export.menu")} ▾</summary>
+      <div className="menuList">
+        {FORMATS.map((format) => (
+          <a key={format} className="menuItem" href={withToken(`${base}?format=${format}`)} download>
+            {t(`export.formats.${format}`)}
+          </a>
+        ))}
+      </div>
+    </details>
+  );
+}
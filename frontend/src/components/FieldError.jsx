@@ -0,0 +1,13 @@
+// Presentational error shown under a form field (`message`: why the
+// value was rejected, by the form itself or by the server). The `id`
+// is referenced by the field's aria-describedby. Renders nothing
+// without a message.
+export default function FieldError({ id, message }) {
+  if (!message) return null;
+
+  return (
+    <div id={id} className="fieldError" role="alert">
+      {message}
+    </div>
+  );
+}
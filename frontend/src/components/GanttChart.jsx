@@ -0,0 +1,333 @@
+// useState holds the zoom level and the bar being dragged
+import { useMemo, useState } from "react";
+
+import { findStatus, isTempId } from "../journeyStore";
+import { dayNumber, dueLabel, dueState, fromDayNumber, todayIso } from "../schedule";
+import { formatDate, formatNumber, t } from "../i18n";
+
+// Width of the name column and of one day at each zoom level (px)
+const LABEL_W = 220;
+const ZOOMS = { day: 32, week: 12, month: 4 };
+
+// Empty days shown before the first and after the last date
+const MARGIN_BEFORE = 3;
+const MARGIN_AFTER = 10;
+
+// Fallback color for statuses missing from the catalog
+const UNKNOWN_COLOR = "#374151";
+
+// Zoom that fits a span of days on a typical screen
+function defaultZoom(days) {
+  if (days > 120) return "month";
+  if (days > 40) return "week";
+  return "day";
+}
+
+// Date label for a day number ("Mar 2"), in UTC like the day numbers
+function dayLabel(day, options) {
+  return formatDate(fromDayNumber(day), options);
+}
+
+/**
+ * Span of a stage/step in day numbers ({ start, end }, inclusive),
+ * or null when it has no dates. An item with only one date lasts a day.
+ */
+function span(item) {
+  const start = item.start_date || item.due_date;
+  const end = item.due_date || item.start_date;
+  return start ? { start: dayNumber(start), end: dayNumber(end) } : null;
+}
+
+/**
+ * Rows of the chart: each stage followed by its steps. A stage without
+ * dates of its own spans its steps (shown as a dashed "derived" bar).
+ */
+function buildRows(journey, today) {
+  const rows = [];
+  for (const stage of journey.stages) {
+    const stepRows = stage.steps.map((step) => ({
+      kind: "step",
+      id: step.step_id,
+      item: step,
+      span: span(step),
+      state: dueState(step, journey.statuses, today),
+    }));
+
+    let stageSpan = span(stage);
+    const derived = !stageSpan;
+    const stepSpans = stepRows.map((r) => r.span).filter(Boolean);
+    if (derived && stepSpans.length) {
+      stageSpan = {
+        start: Math.min(...stepSpans.map((s) => s.start)),
+        end: Math.max(...stepSpans.map((s) => s.end)),
+      };
+    }
+
+    rows.push({
+      kind: "stage",
+      id: stage.stage_id,
+      item: stage,
+      span: stageSpan,
+      derived,
+      state: dueState(stage, journey.statuses, today),
+    });
+    rows.push(...stepRows);
+  }
+  return rows;
+}
+
+// Applies a drag/key change of `delta` days to a span
+// - mode: "start" / "end" (one edge) or "move" (both)
+function shift(s, mode, delta) {
+  if (mode === "start") return { start: Math.min(s.start + delta, s.end), end: s.end };
+  if (mode === "end") return { start: s.start, end: Math.max(s.end + delta, s.start) };
+  return { start: s.start + delta, end: s.end + delta };
+}
+
+/**
+ * GanttChart Component
+ * --------------------
+ * Time-based view of the journey: one bar per stage and per step from
+ * its start to its due date, a "today" line, and overdue / due-soon
+ * items highlighted. Drag a bar's edges to change its start or due
+ * date, or the bar itself to move both (keyboard: ← / → moves a
+ * focused bar by a day, Shift+← / → changes its due date).
+ *
+ * Props:
+ * - journey (object): current journey
+ * - onOpenStep (function): opens a step's details (by step id)
+ * - onReschedule (function): (kind, id, { start_date, due_date }) where
+ *   kind is "stage" | "step"; without it the bars can't be moved
+ *   (read-only journey)
+ */
+export default function GanttChart({ journey, onOpenStep, onReschedule }) {
+  const today = todayIso();
+  const todayDay = dayNumber(today);
+  const rows = useMemo(() => buildRows(journey, today), [journey, today]);
+
+  // Visible range: every date in the journey plus today, with some margin
+  const spans = rows.map((r) => r.span).filter(Boolean);
+  const first = Math.min(todayDay, ...spans.map((s) => s.start)) - MARGIN_BEFORE;
+  const last = Math.max(todayDay, ...spans.map((s) => s.end)) + MARGIN_AFTER;
+
+  const [zoom, setZoom] = useState(null);
+  const activeZoom = zoom || defaultZoom(last - first);
+  const dayW = ZOOMS[activeZoom];
+
+  // Bar being dragged: { key, mode, x (pointer start), delta (days) }
+  const [drag, setDrag] = useState(null);
+
+  const overdue = rows.filter((r) => r.state === "overdue").length;
+  const soon = rows.filter((r) => r.state === "soon").length;
+
+  /* ============================
+     AXIS
+     ============================ */
+
+  // Labeled ticks: every day, every Monday or every 1st of the month
+  const ticks = [];
+  for (let day = first; day <= last; day += 1) {
+    const date = new Date(fromDayNumber(day));
+    if (activeZoom === "day") {
+      ticks.push({ day, label: formatNumber(date.getUTCDate()), major: date.getUTCDate() === 1 });
+    } else if (activeZoom === "week" && date.getUTCDay() === 1) {
+      ticks.push({ day, label: dayLabel(day, { month: "short", day: "numeric" }) });
+    } else if (activeZoom === "month" && date.getUTCDate() === 1) {
+      ticks.push({ day, label: dayLabel(day, { month: "short", year: "2-digit" }), major: true });
+    }
+  }
+
+  const x = (day) => (day - first) * dayW;
+
+  /* ============================
+     RESCHEDULING
+     ============================ */
+
+  // Sends the new dates of a row (both dates are set, even if only one was before)
+  function reschedule(row, s) {
+    onReschedule(row.kind, row.id, {
+      start_date: fromDayNumber(s.start),
+      due_date: fromDayNumber(s.end),
+    });
+  }
+
+  function startDrag(e, row, mode) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ key: `${row.kind}:${row.id}`, mode, x: e.clientX, delta: 0 });
+  }
+
+  function moveDrag(e) {
+    if (!drag) return;
+    const delta = Math.round((e.clientX - drag.x) / dayW);
+    if (delta !== drag.delta) setDrag({ ...drag, delta });
+  }
+
+  // Dropping applies the change; a click without moving opens a step
+  function endDrag(row) {
+    if (!drag) return;
+    setDrag(null);
+
+    if (drag.delta) reschedule(row, shift(row.span, drag.mode, drag.delta));
+    else if (row.kind === "step" && drag.mode === "move") onOpenStep(row.id);
+  }
+
+  function barKeyDown(e, row) {
+    if (e.key === "Enter" && row.kind === "step") {
+      onOpenStep(row.id);
+      return;
+    }
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+
+    e.preventDefault();
+    const delta = e.key === "ArrowLeft" ? -1 : 1;
+    reschedule(row, shift(row.span, e.shiftKey ? "end" : "move", delta));
+  }
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  function renderBar(row) {
+    const key = `${row.kind}:${row.id}`;
+    const dragging = drag?.key === key;
+    const s = dragging ? shift(row.span, drag.mode, drag.delta) : row.span;
+    const editable = Boolean(onReschedule) && !isTempId(row.id);
+    const openable = !editable && row.kind === "step" && !isTempId(row.id);
+
+    const status = row.kind === "step" ? findStatus(journey.statuses, row.item.status) : null;
+    const color = row.kind === "step" ? status?.color || UNKNOWN_COLOR : undefined;
+    const range = t("dates.range", {
+      start: formatDate(fromDayNumber(s.start)),
+      due: formatDate(fromDayNumber(s.end)),
+    });
+    const state = row.state ? dueLabel(row.state) : "";
+
+    return (
+      <div
+        className={`ganttBar ${row.kind} ${row.state || ""} ${row.derived ? "derived" : ""} ${dragging ? "dragging" : ""}`}
+        style={{ left: x(s.start), width: (s.end - s.start + 1) * dayW, "--bar-color": color }}
+        tabIndex={editable ? 0 : -1}
+        title={t(state ? "gantt.barTitleState" : "gantt.barTitle", { name: row.item.name, range, state })}
+        aria-label={
+          t(state ? "gantt.barTitleState" : "gantt.barTitle", { name: row.item.name, range, state }) +
+          (editable ? ` ${t("gantt.barKeys")}` : "")
+        }
+        onPointerDown={editable ? (e) => startDrag(e, row, "move") : undefined}
+        onPointerMove={moveDrag}
+        onPointerUp={() => endDrag(row)}
+        onPointerCancel={() => setDrag(null)}
+        onKeyDown={editable ? (e) => barKeyDown(e, row) : undefined}
+        onClick={openable ? () => onOpenStep(row.id) : undefined}
+      >
+        {row.kind === "stage" ? (
+          <div className="ganttBarFill" style={{ width: `${row.item.completion_pct}%` }} />
+        ) : null}
+        {editable ? (
+          <>
+            <span
+              className="ganttHandle start"
+              title={t("gantt.dragStart")}
+              onPointerDown={(e) => startDrag(e, row, "start")}
+            />
+            <span
+              className="ganttHandle end"
+              title={t("gantt.dragEnd")}
+              onPointerDown={(e) => startDrag(e, row, "end")}
+            />
+          </>
+        ) : null}
+        {dragging ? <span className="ganttDragLabel">{range}</span> : null}
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="rowBetween">
+        <h1 className="h1">{t("gantt.title")}</h1>
+        <div className="smallActions2">
+          {overdue || soon ? (
+            <div className="muted">
+              {overdue ? (
+                <span className="dueFlag overdue">{t("gantt.overdue", { count: overdue })}</span>
+              ) : null}{" "}
+              {soon ? <span className="dueFlag soon">{t("gantt.soon", { count: soon })}</span> : null}
+            </div>
+          ) : null}
+          <select
+            className="select ganttZoom"
+            aria-label={t("gantt.zoom")}
+            value={activeZoom}
+            onChange={(e) => setZoom(e.target.value)}
+          >
+            <option value="day">{t("gantt.days")}</option>
+            <option value="week">{t("gantt.weeks")}</option>
+            <option value="month">{t("gantt.months")}</option>
+          </select>
+        </div>
+      </div>
+
+      {!spans.length ? (
+        <div className="hint">{t("gantt.empty")}</div>
+      ) : (
+        <div className="hint">
+          {onReschedule ? t("gantt.hintEditable") : t("gantt.hint")}
+        </div>
+      )}
+
+      {/* Time runs left to right in every language */}
+      <div className="ganttScroll" dir="ltr">
+        <div
+          className="ganttInner"
+          style={{ width: LABEL_W + (last - first + 1) * dayW, "--label-w": `${LABEL_W}px` }}
+        >
+          <div className="ganttRow ganttHeader">
+            <div className="ganttLabel">{t("gantt.rows")}</div>
+            <div className="ganttTrack">
+              {ticks.map((tick) => (
+                <div
+                  key={tick.day}
+                  className={`ganttTick ${tick.major ? "major" : ""}`}
+                  style={{ left: x(tick.day) }}
+                >
+                  {tick.label}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {rows.map((row) => (
+            <div key={`${row.kind}:${row.id}`} className={`ganttRow ${row.kind}`}>
+              <div className="ganttLabel">
+                {row.kind === "step" ? (
+                  <button
+                    type="button"
+                    className="linkBtn"
+                    disabled={isTempId(row.id)}
+                    onClick={() => onOpenStep(row.id)}
+                  >
+                    {row.item.name}
+                  </button>
+                ) : (
+                  <b>{row.item.name}</b>
+                )}
+              </div>
+              <div className="ganttTrack">
+                {row.span ? renderBar(row) : <span className="ganttNoDates">{t("gantt.noDates")}</span>}
+              </div>
+            </div>
+          ))}
+
+          <div
+            className="ganttToday"
+            style={{ left: LABEL_W + x(todayDay) + dayW / 2 }}
+            title={t("gantt.today", { date: formatDate(today) })}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+// useState / useEffect hold the chosen file and its server-side preview
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import StatusTag from "./StatusTag";
+import { t } from "../i18n";
+
+// File extension -> import format understood by the backend
+const FORMAT_BY_EXTENSION = { json: "json", csv: "csv" };
+
+// Journey name suggested from a file name ("soc2-plan.csv" -> "soc2 plan")
+function nameFromFile(fileName) {
+  return fileName.replace(/\.[^.]+$/, "").replace(/[-_]+/g, " ").trim();
+}
+
+/**
+ * ImportJourneyModal Component
+ * ----------------------------
+ * Creates a journey from a JSON or CSV file.
+ *
+ * The file is validated by the server first (nothing is created):
+ * the preview lists the stages and steps it would create, or the
+ * errors row by row. Importing is only possible without errors.
+ *
+ * Props:
+ * - open (boolean): modal visibility
+ * - busy (boolean): import in progress
+ * - onClose (function): closes the modal
+ * - onPreview (function): called with {format, content, name}, resolves to the preview
+ * - onSubmit (function): called with {format, content, name} to create the journey
+ */
+export default function ImportJourneyModal({ open, busy, onClose, onPreview, onSubmit }) {
+  /* ============================
+     LOCAL STATE
+     ============================ */
+
+  // { format, content } of the chosen file
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState("");
+
+  // Start over every time the modal opens
+  useEffect(() => {
+    if (!open) return;
+    setFile(null);
+    setName("");
+    setPreview(null);
+    setError("");
+  }, [open]);
+
+  // Reads the chosen file and asks the server for a preview
+  async function chooseFile(chosen) {
+    setPreview(null);
+    setError("");
+    if (!chosen) return setFile(null);
+
+    const extension = chosen.name.split(".").pop().toLowerCase();
+    const format = FORMAT_BY_EXTENSION[extension];
+    if (!format) {
+      setFile(null);
+      return setError(t("importJourney.wrongType"));
+    }
+
+    const next = { format, content: await chosen.text() };
+    setFile(next);
+
+    // JSON files carry their own name; CSV rows don't
+    const journeyName = name.trim() || (format === "csv" ? nameFromFile(chosen.name) : "");
+    setChecking(true);
+    try {
+      const result = await onPreview({ ...next, name: journeyName || undefined });
+      setPreview(result);
+      setName(result.name || journeyName);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setChecking(false);
+    }
+  }
+
+  const canImport = file && preview?.ok && name.trim() && !checking && !busy;
+
+  // Enter / Import button (ignored until the file checks out)
+  function submit() {
+    if (canImport) onSubmit({ format: file.format, content: file.content, name: name.trim() });
+  }
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    <Modal
+      open={open}
+      title={t("importJourney.title")}
+      wide
+      onClose={onClose}
+      onSubmit={submit}
+      actions={
+        <>
+          <button type="button" className="btn ghost" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+          <button type="submit" className="btn" disabled={!canImport}>
+            {t("importJourney.submit")}
+          </button>
+        </>
+      }
+    >
+      <label className="label" htmlFor="import-file">{t("importJourney.file")}</label>
+      <input
+        id="import-file"
+        className="input"
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        onChange={(e) => chooseFile(e.target.files[0])}
+      />
+
+      <label className="label" htmlFor="import-name">{t("addJourney.name")}</label>
+      <input
+        id="import-name"
+        className="input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder={t("addJourney.namePlaceholder")}
+      />
+
+      {error ? <div className="errorBox" role="alert">❌ {error}</div> : null}
+      {checking ? <div className="hint" role="status">{t("importJourney.checking")}</div> : null}
+
+      {preview && preview.errors.length > 0 ? (
+        <div className="errorBox" role="alert">
+          <div className="errorTitle">
+            {t("importJourney.problems", { count: preview.errors.length })}
+          </div>
+          <table className="importErrors">
+            <thead>
+              <tr>
+                <th>{t("importJourney.row")}</th>
+                <th>{t("importJourney.problem")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.errors.map((e, i) => (
+                <tr key={i}>
+                  <td>{e.row ?? t("importJourney.wholeFile")}</td>
+                  <td>{e.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+
+      {preview && preview.stages.length > 0 ? (
+        <div className="importPreview">
+          <div className="muted">
+            {t("importJourney.willCreate", {
+              stages: t("common.stageCount", { count: preview.stage_count }),
+              steps: t("common.stepCount", { count: preview.step_count }),
+            })}
+          </div>
+          {preview.stages.map((stage, i) => (
+            <div key={i} className="importStage">
+              <b>{stage.name}</b>
+              <ul>
+                {stage.steps.map((step, j) => (
+                  <li key={j}>
+                    {step.name} <StatusTag status={step.status} statuses={preview.statuses} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </Modal>
+  );
+}
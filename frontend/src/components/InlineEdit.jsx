@@ -0,0 +1,75 @@
+import { useState } from "react";
+
+/**
+ * InlineEdit Component
+ * --------------------
+ * Shows a text value that turns into an input on double-click
+ * (or via the ✎ button).
+ *
+ * - Enter / blur saves (only if the value changed and is not empty)
+ * - Escape cancels
+ *
+ * Props:
+ * - value (string): current value
+ * - label (string): accessible name, e.g. "Rename step"
+ * - className (string): class for the read-only text
+ * - disabled (boolean): editing not allowed (e.g. item still saving)
+ * - onSave (function): called with the new trimmed value
+ * - onEditingChange (function, optional): called with true/false
+ */
+export default function InlineEdit({
+  value,
+  label,
+  className,
+  disabled,
+  onSave,
+  onEditingChange,
+}) {
+  // Draft value while editing (null = not editing)
+  const [draft, setDraft] = useState(null);
+
+  function start() {
+    if (disabled) return;
+    setDraft(value || "");
+    onEditingChange?.(true);
+  }
+
+  function finish(save) {
+    const next = (draft || "").trim();
+    setDraft(null);
+    onEditingChange?.(false);
+    if (save && next && next !== value) onSave(next);
+  }
+
+  if (draft === null) {
+    return (
+      <span className="inlineEdit">
+        <span className={className} onDoubleClick={start}>
+          {value}
+        </span>
+        {!disabled ? (
+          <button className="linkBtn" title={label} aria-label={label} onClick={start}>
+            ✎
+          </button>
+        ) : null}
+      </span>
+    );
+  }
+
+  return (
+    <input
+      className="input inlineInput"
+      aria-label={label}
+      autoFocus
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => finish(true)}
+      onKeyDown={(e) => {
+        // Keep keys (e.g. Alt+Arrow reordering) from reaching the row
+        e.stopPropagation();
+        if (e.key === "Enter") finish(true);
+        if (e.key === "Escape") finish(false);
+      }}
+    />
+  );
+}
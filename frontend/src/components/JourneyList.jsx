@@ -0,0 +1,86 @@
+import { formatPercent, t } from "../i18n";
+
+/**
+ * JourneyList Component
+ * ---------------------
+ * Journeys index page: one card per journey the user is a member of,
+ * with its overall progress and the user's role.
+ *
+ * Props:
+ * - journeys (array): journey summaries from GET /api/journeys
+ *   (with the user's role)
+ * - loading (boolean): list is being fetched
+ * - error (string): fetch error message, if any
+ * - busy (boolean): an action is in progress (disables buttons)
+ * - onOpen (function): called with a journey id
+ * - onCreate (function): opens the "new journey" flow
+ * - onImport (function): opens the "import journey" flow
+ * - onRetry (function): refetches the list after an error
+ */
+export default function JourneyList({
+  journeys,
+  loading,
+  error,
+  busy,
+  onOpen,
+  onCreate,
+  onImport,
+  onRetry,
+}) {
+  return (
+    <div className="card">
+      <div className="rowBetween">
+        <div className="h1">{t("journeys.title")}</div>
+        <div className="smallActions2">
+          <button className="btn ghost" disabled={busy} onClick={onImport}>
+            {t("journeys.import")}
+          </button>
+          <button className="btn" disabled={busy} onClick={onCreate}>
+            + {t("journeys.new")}
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div>
+          <div className="spinner" />
+          <div className="hint">{t("journeys.loading")}</div>
+        </div>
+      ) : error ? (
+        <div className="errorBox" style={{ marginTop: 12 }}>
+          <div className="errorTitle">{t("journeys.loadFailed")}</div>
+          <div>{t("common.reason", { reason: error })}</div>
+          <button className="btn" onClick={onRetry} style={{ marginTop: 12 }}>
+            {t("common.retry")}
+          </button>
+        </div>
+      ) : journeys.length === 0 ? (
+        <div className="hint">{t("journeys.empty")}</div>
+      ) : (
+        <div className="journeyGrid">
+          {journeys.map((j) => (
+            <button
+              key={j.journey_id}
+              className="journeyCard"
+              onClick={() => onOpen(j.journey_id)}
+            >
+              <div className="journeyName">{j.name}</div>
+              <div className="muted">
+                {t("common.stageCount", { count: j.stage_count })} ·{" "}
+                {t("common.stepCount", { count: j.step_count })}
+                {j.role ? <span className="roleTag">{t(`roles.${j.role}`)}</span> : null}
+              </div>
+              <div className="miniBarWrap">
+                <div
+                  className="miniBarFill"
+                  style={{ width: `${j.completion_pct}%` }}
+                />
+              </div>
+              <div className="muted">{t("common.complete", { pct: formatPercent(j.completion_pct) })}</div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
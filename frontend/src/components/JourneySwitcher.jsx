@@ -0,0 +1,24 @@
+import { t } from "../i18n";
+
+// Topbar dropdown for jumping between journeys.
+// Props:
+// - journeys: journey summaries ({ journey_id, name })
+// - currentId: id of the journey being viewed (null on the index page)
+// - onSelect: called with a journey id, or null for "All journeys"
+export default function JourneySwitcher({ journeys, currentId, onSelect }) {
+  return (
+    <select
+      className="select switcher"
+      value={currentId || ""}
+      onChange={(e) => onSelect(e.target.value || null)}
+      title={t("switcher.title")}
+    >
+      <option value="">{t("switcher.all")}</option>
+      {journeys.map((j) => (
+        <option key={j.journey_id} value={j.journey_id}>
+          {j.name}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,128 @@
+// useState / useEffect load the journey's events and keep the filters
+import { useEffect, useState } from "react";
+
+import ActivityList from "./ActivityList";
+import { EVENT_FILTERS } from "../activity";
+import { getJourneyEvents, isAborted } from "../api";
+import { t } from "../i18n";
+
+// Wait this long after the last change before refetching the log
+const REFRESH_DELAY_MS = 400;
+
+/**
+ * JourneyTimeline Component
+ * -------------------------
+ * Journey-wide audit trail: who changed what and when, newest first.
+ * Can be filtered by kind of change, actor and stage.
+ *
+ * Props:
+ * - journey (object): current journey (reloads when it changes)
+ */
+export default function JourneyTimeline({ journey }) {
+  /* ============================
+     LOCAL STATE
+     ============================ */
+
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Filters (sent to GET /api/journeys/:id/events)
+  const [type, setType] = useState("");
+  const [actor, setActor] = useState("");
+  const [stageId, setStageId] = useState("");
+
+  // Bumped by the Refresh button
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Refetch when filters change, and shortly after any edit to the journey
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const timer = setTimeout(async () => {
+      const params = new URLSearchParams();
+      if (type) params.set("type", type);
+      if (actor.trim()) params.set("actor", actor.trim());
+      if (stageId) params.set("stage_id", stageId);
+
+      setLoading(true);
+      try {
+        setEvents(await getJourneyEvents(journey.journey_id, params, { signal: controller.signal }));
+        setError("");
+      } catch (e) {
+        if (!isAborted(e)) setError(e.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, REFRESH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [journey, type, actor, stageId, reloadKey]);
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    <div className="card">
+      <div className="rowBetween">
+        <h1 className="h1">{t("timeline.title")}</h1>
+        <button className="btn ghost" onClick={() => setReloadKey((k) => k + 1)}>
+          {t("common.refresh")}
+        </button>
+      </div>
+
+      <div className="timelineFilters">
+        <select
+          className="input"
+          aria-label={t("timeline.kind")}
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        >
+          {EVENT_FILTERS.map((f) => (
+            <option key={f.value} value={f.value}>
+              {t(f.labelKey)}
+            </option>
+          ))}
+        </select>
+
+        <select
+          className="input"
+          aria-label={t("timeline.stage")}
+          value={stageId}
+          onChange={(e) => setStageId(e.target.value)}
+        >
+          <option value="">{t("timeline.allStages")}</option>
+          {journey.stages.map((s) => (
+            <option key={s.stage_id} value={s.stage_id}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+
+        <input
+          className="input"
+          aria-label={t("timeline.actor")}
+          placeholder={t("timeline.actorPlaceholder")}
+          value={actor}
+          onChange={(e) => setActor(e.target.value)}
+        />
+      </div>
+
+      {error ? (
+        <div className="errorBox">❌ {error}</div>
+      ) : loading && events.length === 0 ? (
+        <div className="hint">{t("timeline.loading")}</div>
+      ) : (
+        <ActivityList
+          events={events}
+          journey={journey}
+          emptyText={t("timeline.empty")}
+        />
+      )}
+    </div>
+  );
+}
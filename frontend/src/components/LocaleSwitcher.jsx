@@ -0,0 +1,24 @@
+import { LOCALES, setLocale, t, useLocale } from "../i18n";
+
+// Dropdown for the interface language (topbar and sign-in page).
+// Each language is listed under its own name; the choice is saved
+// for the next visit (see i18n.js).
+export default function LocaleSwitcher() {
+  const locale = useLocale();
+
+  return (
+    <select
+      className="select localeSwitcher"
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      title={t("locale.title")}
+      aria-label={t("locale.title")}
+    >
+      {LOCALES.map((l) => (
+        <option key={l.code} value={l.code} lang={l.code}>
+          {l.name}
+        </option>
+      ))}
+    </select>
+  );
+}
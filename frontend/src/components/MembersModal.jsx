@@ -0,0 +1,161 @@
+// useState holds the "add member" form and the last error
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import FieldError from "./FieldError";
+import { ROLES } from "../auth";
+import { t } from "../i18n";
+
+// "contributor" -> "Contributor" (translated)
+const roleLabel = (role) => t(`roles.${role}`);
+
+/**
+ * MembersModal Component
+ * ----------------------
+ * Who can see and change the journey, with their role. Owners add
+ * people by username, change roles and remove members; everyone else
+ * sees the list and can leave the journey.
+ *
+ * Props:
+ * - open (boolean): visibility
+ * - members (array): { user_id, username, name, role }
+ * - me (string): user id of the signed-in user
+ * - canManage (boolean): the user is an owner of the journey
+ * - onSetRole (function): (username, role) adds a member or changes
+ *   their role; resolves when saved, rejects with the reason it failed
+ * - onRemove (function): removes a member (yourself: leave); resolves
+ *   / rejects like onSetRole
+ * - onClose (function): closes the modal
+ */
+export default function MembersModal({ open, members = [], me, canManage, onSetRole, onRemove, onClose }) {
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("contributor");
+  const [busy, setBusy] = useState(false);
+
+  // Why the last change failed, by field ("form": not about the add form)
+  const [errors, setErrors] = useState({});
+
+  // Start with an empty form each time the modal opens
+  useEffect(() => {
+    if (!open) return;
+    setUsername("");
+    setRole("contributor");
+    setErrors({});
+  }, [open]);
+
+  // Runs a change; its error is shown under the list or the add form
+  async function run(change, field = "form") {
+    setBusy(true);
+    setErrors({});
+    try {
+      await change();
+      return true;
+    } catch (e) {
+      setErrors({ [e.field === "username" ? "username" : field]: e.reason || e.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function add() {
+    if (!username.trim()) return setErrors({ username: t("members.usernameRequired") });
+    if (await run(() => onSetRole(username.trim(), role), "username")) setUsername("");
+  }
+
+  return (
+    <Modal
+      open={open}
+      title={t("members.title")}
+      onClose={onClose}
+      onSubmit={canManage ? add : onClose}
+      actions={
+        canManage ? (
+          <>
+            <button type="button" className="btn ghost" onClick={onClose}>{t("common.close")}</button>
+            <button type="submit" className="btn" disabled={busy}>{t("common.add")}</button>
+          </>
+        ) : (
+          <button type="submit" className="btn">{t("common.close")}</button>
+        )
+      }
+    >
+      <ul className="memberList" aria-label={t("members.title")}>
+        {members.map((m) => {
+          const self = m.user_id === me;
+          return (
+            <li key={m.user_id} className="memberItem">
+              <div>
+                <div>
+                  {m.name} {self ? <span className="muted">{t("members.you")}</span> : null}
+                </div>
+                <div className="muted">@{m.username}</div>
+              </div>
+              <div className="smallActions2">
+                {canManage ? (
+                  <select
+                    className="select"
+                    value={m.role}
+                    disabled={busy}
+                    aria-label={t("members.roleOf", { name: m.name })}
+                    onChange={(e) => run(() => onSetRole(m.username, e.target.value))}
+                  >
+                    {ROLES.map((r) => (
+                      <option key={r} value={r}>{roleLabel(r)}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="roleTag">{roleLabel(m.role)}</span>
+                )}
+                {canManage || self ? (
+                  <button
+                    type="button"
+                    className="btn ghost"
+                    disabled={busy}
+                    onClick={() => run(() => onRemove(m))}
+                  >
+                    {self ? t("members.leave") : t("members.remove")}
+                  </button>
+                ) : null}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <FieldError id="members-form-error" message={errors.form} />
+
+      {canManage ? (
+        <>
+          <label className="label" htmlFor="add-member-username">{t("members.add")}</label>
+          <div className="memberAdd">
+            <input
+              id="add-member-username"
+              className="input"
+              placeholder={t("common.username")}
+              value={username}
+              onChange={(e) => {
+                setUsername(e.target.value);
+                setErrors({});
+              }}
+              aria-invalid={Boolean(errors.username)}
+              aria-describedby="add-member-username-error"
+            />
+            <select
+              className="select"
+              value={role}
+              aria-label={t("members.newRole")}
+              onChange={(e) => setRole(e.target.value)}
+            >
+              {ROLES.map((r) => (
+                <option key={r} value={r}>{roleLabel(r)}</option>
+              ))}
+            </select>
+          </div>
+          <FieldError id="add-member-username-error" message={errors.username} />
+        </>
+      ) : null}
+
+      <div className="hint">{t("members.hint")}</div>
+    </Modal>
+  );
+}
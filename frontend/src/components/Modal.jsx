@@ -0,0 +1,122 @@
+// useId links the dialog to its title; useRef/useEffect manage focus
+import { useEffect, useId, useRef } from "react";
+
+// Elements that can receive keyboard focus inside the dialog
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+  'textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+// Form fields preferred for initial focus
+const FIELDS = "input:not([disabled]), select:not([disabled]), textarea:not([disabled])";
+
+// Focusable elements that are currently visible (skips closed <details>)
+function focusableIn(root) {
+  return [...root.querySelectorAll(FOCUSABLE)].filter((el) => el.getClientRects().length > 0);
+}
+
+/**
+ * Modal Component
+ * ---------------
+ * Accessible dialog shell shared by every modal:
+ * - role="dialog" + aria-modal, labelled by its title
+ * - focuses the first field (or [data-autofocus]) on open and gives
+ *   focus back to the previously focused element on close
+ * - keeps Tab / Shift+Tab inside the dialog
+ * - Escape or a click on the overlay closes it
+ * - Enter submits (the body is a <form>; use type="button" for
+ *   buttons that shouldn't submit)
+ *
+ * Props:
+ * - open (boolean): visibility
+ * - title (string): dialog title
+ * - wide (boolean): wider layout (editors, previews)
+ * - bodyClassName (string): extra class for the body
+ * - onClose (function): closes the dialog
+ * - onSubmit (function): called on Enter / submit button
+ * - actions (node): footer buttons (the primary one type="submit")
+ */
+export default function Modal({
+  open,
+  title,
+  wide,
+  bodyClassName = "",
+  onClose,
+  onSubmit,
+  actions,
+  children,
+}) {
+  const titleId = useId();
+  const dialogRef = useRef(null);
+
+  // Move focus into the dialog, and restore it afterwards
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const previous = document.activeElement;
+    const dialog = dialogRef.current;
+    const target =
+      dialog.querySelector("[data-autofocus]") ||
+      focusableIn(dialog).find((el) => el.matches(FIELDS)) ||
+      dialog;
+    target.focus();
+
+    return () => {
+      if (previous && document.contains(previous)) previous.focus();
+    };
+  }, [open]);
+
+  if (!open) return null;
+
+  // Escape closes; Tab wraps around the first/last focusable element
+  function handleKeyDown(e) {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== "Tab") return;
+
+    const items = focusableIn(dialogRef.current);
+    if (items.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <form
+        ref={dialogRef}
+        className={`modal ${wide ? "wide" : ""}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSubmit?.();
+        }}
+      >
+        <div className="modalTitle" id={titleId}>
+          {title}
+        </div>
+
+        <div className={`modalBody ${bodyClassName}`}>{children}</div>
+
+        {actions ? <div className="modalActions">{actions}</div> : null}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// useState / useEffect load the user's steps; useMemo sorts them
+import { useEffect, useMemo, useState } from "react";
+
+import StatusTag from "./StatusTag";
+import StepProgress from "./StepProgress";
+import { isDone } from "../journeyStore";
+import { dueLabel, dueState, formatDates } from "../schedule";
+import { getMySteps, isAborted } from "../api";
+import { journeyPath } from "../router";
+import { t } from "../i18n";
+
+// Steps without a due date are listed after the ones with one
+const NO_DUE_DATE = "9999-12-31";
+
+/**
+ * MyStepsView Component
+ * ---------------------
+ * The steps assigned to the signed-in user in every journey they are
+ * a member of, grouped by journey, soonest due date first. Done steps
+ * are hidden unless asked for. Loads its own data (GET /api/me/steps).
+ *
+ * Props:
+ * - onOpenStage (function): (journeyId, stageId) opens a step's stage
+ */
+export default function MyStepsView({ onOpenStage }) {
+  const [journeys, setJourneys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Bumped by the Retry button
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [showDone, setShowDone] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError("");
+
+    getMySteps({ signal: controller.signal })
+      .then(setJourneys)
+      .catch((e) => {
+        if (!isAborted(e)) setError(e.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [reloadKey]);
+
+  // Per journey: its steps to show (open ones, unless showDone) and how many are done
+  const groups = useMemo(
+    () =>
+      journeys.map((j) => {
+        const open = j.steps.filter((s) => !isDone(j.statuses, s.status));
+        const steps = (showDone ? j.steps : open)
+          .slice()
+          .sort((a, b) => (a.due_date || NO_DUE_DATE).localeCompare(b.due_date || NO_DUE_DATE));
+        return { ...j, steps, done: j.steps.length - open.length };
+      }),
+    [journeys, showDone]
+  );
+
+  const shown = groups.reduce((sum, g) => sum + g.steps.length, 0);
+
+  return (
+    <div className="card">
+      <div className="rowBetween">
+        <h1 className="h1">{t("mySteps.title")}</h1>
+        <label className="muted">
+          <input type="checkbox" checked={showDone} onChange={(e) => setShowDone(e.target.checked)} />{" "}
+          {t("mySteps.showDone")}
+        </label>
+      </div>
+
+      {loading ? (
+        <div>
+          <div className="spinner" />
+          <div className="hint">{t("mySteps.loading")}</div>
+        </div>
+      ) : error ? (
+        <div className="errorBox" style={{ marginTop: 12 }}>
+          <div className="errorTitle">{t("mySteps.loadFailed")}</div>
+          <div>{t("common.reason", { reason: error })}</div>
+          <button className="btn" onClick={() => setReloadKey((k) => k + 1)} style={{ marginTop: 12 }}>
+            {t("common.retry")}
+          </button>
+        </div>
+      ) : !shown ? (
+        <div className="hint">
+          {journeys.length ? t("mySteps.allDone") : t("mySteps.empty")}
+        </div>
+      ) : (
+        groups
+          .filter((g) => g.steps.length)
+          .map((g) => (
+            <section key={g.journey_id} className="resultGroup" aria-label={g.name}>
+              <div className="h2">
+                {g.name}{" "}
+                <span className="muted">
+                  {!showDone && g.done
+                    ? t("mySteps.countWithDone", { count: g.steps.length, done: g.done })
+                    : t("mySteps.count", { count: g.steps.length })}
+                </span>
+              </div>
+              <ul className="stepsList">
+                {g.steps.map((step) => {
+                  const due = dueState(step, g.statuses);
+                  return (
+                    <li key={step.step_id} className="stepRow">
+                      <div className="stepLeft">
+                        <a
+                          className="stepName"
+                          href={journeyPath(g.journey_id, step.stage_id)}
+                          onClick={(e) => {
+                            e.preventDefault();
+                            onOpenStage(g.journey_id, step.stage_id);
+                          }}
+                        >
+                          {step.name}
+                        </a>
+                        <StatusTag status={step.status} statuses={g.statuses} />
+                        <div className="stepMeta">
+                          <span>{step.stage_name}</span>
+                          <StepProgress step={step} />
+                          {step.start_date || step.due_date ? (
+                            <span className={due ? `dueFlag ${due}` : ""}>
+                              📅 {formatDates(step)}
+                              {due ? ` · ${dueLabel(due)}` : ""}
+                            </span>
+                          ) : null}
+                        </div>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </section>
+          ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { formatDate, formatDateTime, formatNumber, statusLabel, t } from "../i18n";
+
+// More unread than this shows as "99+"
+const MAX_BADGE = 99;
+
+// What happened, e.g. "Sam Patel moved Define Scope to Completed"
+function describe(n) {
+  switch (n.type) {
+    case "step.status_changed":
+      return t("notifications.events.statusChanged", {
+        actor: n.actor,
+        name: n.step_name,
+        new: statusLabel({ key: n.new, label: n.new_label }),
+      });
+    case "stage.completed":
+      return t("notifications.events.stageCompleted", { name: n.stage_name });
+    case "journey.completed":
+      return t("notifications.events.journeyCompleted", { name: n.journey_name });
+    case "step.overdue":
+      return t("notifications.events.overdue", { name: n.step_name, date: formatDate(n.due_date) });
+    default:
+      return n.type;
+  }
+}
+
+/**
+ * NotificationBell Component
+ * --------------------------
+ * Topbar bell with the number of unread notifications; opens a list of
+ * the recent ones (see useNotifications). Unread ones are highlighted.
+ * Clicking one marks it read and opens its journey (at the stage).
+ *
+ * Props:
+ * - notifications (array): newest first
+ * - unread (number): unread notifications (all, not just the listed ones)
+ * - error (string): why the last load failed ("" if it didn't)
+ * - onOpen (function): (notification) shows what it is about
+ * - onMarkRead (function): (ids) marks notifications read; no ids: all
+ */
+export default function NotificationBell({ notifications, unread, error, onOpen, onMarkRead }) {
+  const badge = unread > MAX_BADGE ? `${formatNumber(MAX_BADGE)}+` : formatNumber(unread);
+
+  function open(e, notification) {
+    e.currentTarget.closest("details").open = false;
+    if (!notification.read) onMarkRead([notification.notification_id]);
+    onOpen(notification);
+  }
+
+  return (
+    <details className="menu notificationMenu">
+      <summary
+        className="iconBtn bell"
+        title={t("notifications.title")}
+        aria-label={unread ? t("notifications.unreadLabel", { count: unread }) : t("notifications.title")}
+      >
+        🔔
+        {unread ? <span className="bellCount" aria-hidden="true">{badge}</span> : null}
+      </summary>
+      <div className="menuList notificationList">
+        <div className="rowBetween notificationHeader">
+          <strong>{t("notifications.title")}</strong>
+          {unread ? (
+            <button type="button" className="linkBtn" onClick={() => onMarkRead()}>
+              {t("notifications.markAllRead")}
+            </button>
+          ) : null}
+        </div>
+        {error ? <div className="fieldError">{error}</div> : null}
+        {notifications.length ? (
+          <ul className="notificationItems">
+            {notifications.map((n) => (
+              <li key={n.notification_id}>
+                <button
+                  type="button"
+                  className={`menuItem notificationItem ${n.read ? "" : "unread"}`}
+                  onClick={(e) => open(e, n)}
+                >
+                  <div>{describe(n)}</div>
+                  <div className="activityMeta">
+                    {n.journey_name} · {formatDateTime(n.at)}
+                    {n.read ? null : <span className="visuallyHidden"> · {t("notifications.unread")}</span>}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="hint">{t("notifications.empty")}</div>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,120 @@
+import Modal from "./Modal";
+import { formatDateTime, t } from "../i18n";
+
+/**
+ * OutboxModal Component
+ * ---------------------
+ * Lists changes waiting to be sent (offline) and changes the server
+ * rejected when they were replayed after a reload.
+ *
+ * Props:
+ * - open (boolean): modal visibility
+ * - online (boolean): server reachable
+ * - entries (array): queued changes, oldest first (see useOutbox)
+ * - rejected (array): { entry, error } replays the server refused
+ * - journeys (array): journey summaries (to name other journeys)
+ * - onClose (function): closes the modal
+ * - onRetryNow (function): tries to send the queue right away
+ * - onDiscard (function): drops a queued change (by entry id)
+ * - onRetry (function): sends a rejected change again, overwriting (by entry id)
+ * - onDismiss (function): gives up on a rejected change (by entry id)
+ */
+export default function OutboxModal({
+  open,
+  online,
+  entries,
+  rejected,
+  journeys,
+  onClose,
+  onRetryNow,
+  onDiscard,
+  onRetry,
+  onDismiss,
+}) {
+  // "in <journey name>" for context (changes may belong to several journeys)
+  function journeyName(journeyId) {
+    return journeys.find((j) => j.journey_id === journeyId)?.name || journeyId;
+  }
+
+  return (
+    <Modal
+      open={open}
+      title={t("outbox.title")}
+      wide
+      onClose={onClose}
+      onSubmit={onClose}
+      actions={
+        <>
+          <button
+            type="button"
+            className="btn ghost"
+            disabled={!entries.length}
+            onClick={onRetryNow}
+          >
+            {t("outbox.retryNow")}
+          </button>
+          <button type="submit" className="btn">
+            {t("common.close")}
+          </button>
+        </>
+      }
+    >
+      <div className="hint">
+        {online ? t("outbox.online") : t("outbox.offline")}
+      </div>
+
+      {rejected.length ? (
+        <>
+          <h3 className="outboxHeading">{t("outbox.rejected")}</h3>
+          <ul className="outboxList">
+            {rejected.map(({ entry, error }) => (
+              <li className="outboxItem" key={entry.id}>
+                <div>
+                  <div>{entry.label}</div>
+                  <div className="muted">
+                    {error.detail?.message || error.message} · {journeyName(entry.journeyId)}
+                  </div>
+                </div>
+                <div className="smallActions2">
+                  <button type="button" className="btn ghost" onClick={() => onDismiss(entry.id)}>
+                    {t("common.discard")}
+                  </button>
+                  <button type="button" className="btn" onClick={() => onRetry(entry.id)}>
+                    {error.status === 412 ? t("outbox.overwrite") : t("common.retry")}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : null}
+
+      <h3 className="outboxHeading">{t("outbox.waiting")}</h3>
+      {entries.length ? (
+        <ol className="outboxList">
+          {entries.map((entry, i) => (
+            <li className="outboxItem" key={entry.id}>
+              <div>
+                <div>{entry.label}</div>
+                <div className="muted">
+                  {formatDateTime(entry.createdAt)} · {journeyName(entry.journeyId)}
+                </div>
+              </div>
+              <button
+                type="button"
+                className="btn ghost"
+                title={t("outbox.discardTitle")}
+                disabled={online && i === 0}
+                onClick={() => onDiscard(entry.id)}
+              >
+                {t("common.discard")}
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div className="muted">{t("outbox.empty")}</div>
+      )}
+    </Modal>
+  );
+}
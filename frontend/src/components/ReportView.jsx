@@ -0,0 +1,245 @@
+// useMemo groups the steps and counts them by status
+import { useMemo } from "react";
+
+import StatusTag from "./StatusTag";
+import { assigneeNames } from "../journeyStore";
+import { dueLabel, dueState, formatDates } from "../schedule";
+import { describeFilters, filterSteps, filtersToQuery, hasFilters } from "../filters";
+import { journeyReportUrl } from "../api";
+import { withToken } from "../auth";
+import {
+  formatDateTime,
+  formatList,
+  formatNumber,
+  formatPercent,
+  getLocale,
+  localeInfo,
+  statusLabel,
+  t,
+} from "../i18n";
+
+// Characters of the PDF's fonts (WinAnsi) beyond Latin-1, and the arrows
+// the server draws as a dash
+const PDF_EXTRA_CHARS = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ→←";
+
+// True if the server's PDF can show every character of the texts
+// (mirrors pdf_can_show in main.py)
+function pdfCanShow(texts) {
+  return texts.every((text) =>
+    [...(text || "")].every(
+      (c) => c <= "\u007f" || (c >= "\u00a0" && c <= "\u00ff") || PDF_EXTRA_CHARS.includes(c)
+    )
+  );
+}
+
+/**
+ * ReportView Component
+ * --------------------
+ * The whole journey on one page, for audits: a summary (overall
+ * completion, steps by status, when the report was made and which
+ * filters apply), then every stage with its progress bar and a table
+ * of its steps. Print it (the print styles in App.css leave out the
+ * rest of the app) or download the same report as a PDF, which the
+ * server makes in the current language (GET /api/journeys/:id/report).
+ * The PDF's fonts only have Western European letters: for text in other
+ * scripts (e.g. Arabic) and right-to-left languages the PDF button opens
+ * the print dialog instead, to save the page as a PDF.
+ *
+ * Props:
+ * - journey (object): current journey
+ * - filters (object): step filters (from the URL, as in the all-steps view)
+ * - me (string): signed-in user's name (for the "Me" owner filter)
+ * - onEditFilters (function): opens the all-steps view with these filters
+ */
+export default function ReportView({ journey, filters, me, onEditFilters }) {
+  const filtered = hasFilters(filters);
+
+  // [{ number, stage, steps }]; when filtered, stages without matches are left out
+  const groups = useMemo(() => {
+    const numbered = (stage) => journey.stages.indexOf(stage) + 1;
+    const matches = filtered
+      ? filterSteps(journey, filters, me)
+      : journey.stages.map((stage) => ({ stage, steps: stage.steps }));
+    return matches.map(({ stage, steps }) => ({ number: numbered(stage), stage, steps }));
+  }, [journey, filters, me, filtered]);
+
+  const shown = groups.flatMap((g) => g.steps);
+  const total = journey.stages.reduce((sum, s) => sum + s.steps.length, 0);
+
+  // Shown steps per status (only the statuses in use) and deadline counts
+  const byStatus = journey.statuses
+    .map((status) => ({ status, count: shown.filter((s) => s.status === status.key).length }))
+    .filter((row) => row.count);
+  const due = shown.map((step) => dueState(step, journey.statuses));
+  const overdue = due.filter((d) => d === "overdue").length;
+  const soon = due.filter((d) => d === "soon").length;
+
+  // When the report was made (refreshed with the data it shows)
+  const generatedAt = useMemo(() => new Date().toISOString(), [journey, filters]);
+
+  const described = describeFilters(filters, journey.statuses, me);
+  const locale = getLocale();
+  const query = [filtersToQuery(filters), `lang=${locale}`].filter(Boolean).join("&");
+  const pdfUrl = withToken(`${journeyReportUrl(journey.journey_id)}?${query}`);
+
+  // Everything the PDF would show, in the current language
+  const pdfReady =
+    localeInfo(locale).dir === "ltr" &&
+    pdfCanShow([
+      journey.name,
+      me,
+      t("report.title"),
+      ...described,
+      ...journey.statuses.map((status) => statusLabel(status)),
+      ...groups.flatMap(({ stage, steps }) => [
+        stage.name,
+        stage.description,
+        ...steps.flatMap((step) => [step.name, step.owner, ...assigneeNames(journey, step)]),
+      ]),
+    ]);
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    <div className="card report">
+      <div className="rowBetween">
+        <div>
+          <h1 className="h1">{journey.name}</h1>
+          <div className="muted">{t("report.title")}</div>
+        </div>
+        <div className="reportActions noPrint">
+          <button type="button" className="linkBtn" onClick={() => onEditFilters(filters)}>
+            {t("report.editFilters")}
+          </button>
+          {pdfReady ? (
+            <a className="btn ghost" href={pdfUrl} download title={t("report.pdfTitle")}>
+              {t("report.pdf")}
+            </a>
+          ) : (
+            <button
+              type="button"
+              className="btn ghost"
+              onClick={() => window.print()}
+              title={t("report.savePdfTitle")}
+            >
+              {t("report.savePdf")}
+            </button>
+          )}
+          <button type="button" className="btn" onClick={() => window.print()}>
+            {t("report.print")}
+          </button>
+        </div>
+      </div>
+
+      <div className="reportMeta">
+        <div>{t("report.generated", { date: formatDateTime(generatedAt), name: me })}</div>
+        <div>
+          {described.length
+            ? t("report.filtered", { filters: formatList(described) })
+            : t("report.noFilters")}
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="reportSummary">
+        <div>
+          <div className="rowBetween">
+            <span className="h2">{t("report.overall")}</span>
+            <span className="analyticsValue">{formatPercent(journey.completion_pct)}</span>
+          </div>
+          <div className="reportBar">
+            <div style={{ width: `${journey.completion_pct}%` }} />
+          </div>
+          <div className="muted">
+            {formatList(
+              [
+                t("common.stageCount", { count: journey.stages.length }),
+                filtered
+                  ? t("allSteps.shownOf", { shown: shown.length, count: total })
+                  : t("common.stepCount", { count: total }),
+                overdue ? t("gantt.overdue", { count: overdue }) : "",
+                soon ? t("gantt.soon", { count: soon }) : "",
+              ].filter(Boolean)
+            )}
+          </div>
+        </div>
+
+        <div>
+          <div className="h2">{t("report.byStatus")}</div>
+          {byStatus.length ? (
+            <ul className="reportStatusList">
+              {byStatus.map(({ status, count }) => (
+                <li key={status.key}>
+                  <span>{statusLabel(status)}</span>
+                  <span>{formatNumber(count)}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="hint">{filtered ? t("allSteps.noMatches") : t("allSteps.empty")}</div>
+          )}
+        </div>
+      </div>
+
+      {/* Stages */}
+      {groups.map(({ number, stage, steps }) => (
+        <section key={stage.stage_id} className="reportStage" aria-label={stage.name}>
+          <div className="reportStageHeader">
+            <div className="rowBetween">
+              <h2 className="h2">
+                {formatNumber(number)}. {stage.name}
+              </h2>
+              <span className="h2">{formatPercent(stage.completion_pct)}</span>
+            </div>
+            <div className="reportBar thin">
+              <div style={{ width: `${stage.completion_pct}%` }} />
+            </div>
+            {stage.start_date || stage.due_date ? <div className="muted">📅 {formatDates(stage)}</div> : null}
+            {stage.description ? <div className="muted">{stage.description}</div> : null}
+          </div>
+
+          {steps.length ? (
+            <table className="reportTable">
+              <thead>
+                <tr>
+                  <th scope="col">{t("report.step")}</th>
+                  <th scope="col">{t("report.status")}</th>
+                  <th scope="col">{t("report.people")}</th>
+                  <th scope="col">{t("report.dates")}</th>
+                  <th scope="col" className="num">{t("report.progress")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {steps.map((step) => {
+                  const state = dueState(step, journey.statuses);
+                  const people = [step.owner, ...assigneeNames(journey, step)].filter(Boolean);
+                  return (
+                    <tr key={step.step_id}>
+                      <th scope="row">
+                        {step.name}
+                        {step.description ? <div className="muted">{step.description}</div> : null}
+                      </th>
+                      <td>
+                        <StatusTag status={step.status} statuses={journey.statuses} />
+                      </td>
+                      <td>{formatList([...new Set(people)])}</td>
+                      <td className={state ? `dueFlag ${state}` : ""}>
+                        {formatDates(step)}
+                        {state ? ` · ${dueLabel(state)}` : ""}
+                      </td>
+                      <td className="num">{formatPercent(step.progress_pct)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <div className="hint">{t("allSteps.empty")}</div>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import FieldError from "./FieldError";
+import { t } from "../i18n";
+
+// Modal to save the current journey's stages/steps as a template.
+// Statuses, owners, due dates and notes are not part of the template.
+// Props:
+// - open: modal visibility
+// - journeyName: used to suggest a template name
+// - errors: why the server rejected the last submission, by field
+// - onClose: callback to close the modal
+// - onSubmit: callback invoked with { name, description }
+export default function SaveTemplateModal({ open, journeyName, errors, onClose, onSubmit }) {
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+
+  // Errors shown under the fields (a field's error clears once it is edited)
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Suggest the journey name each time the modal opens
+  useEffect(() => {
+    if (open) {
+      setName(journeyName || "");
+      setDescription("");
+    }
+  }, [open, journeyName]);
+
+  useEffect(() => {
+    setFieldErrors(errors || {});
+  }, [errors]);
+
+  // Updates a field and clears its error
+  function edit(field, setter) {
+    return (e) => {
+      setter(e.target.value);
+      setFieldErrors((errs) => ({ ...errs, [field]: "" }));
+    };
+  }
+
+  return (
+    <Modal
+      open={open}
+      title={t("saveTemplate.title")}
+      onClose={onClose}
+      onSubmit={() => name.trim() && onSubmit({ name, description })}
+      actions={
+        <>
+          <button type="button" className="btn ghost" onClick={onClose}>{t("common.cancel")}</button>
+          <button type="submit" className="btn" disabled={!name.trim()}>
+            {t("common.save")}
+          </button>
+        </>
+      }
+    >
+      <label className="label" htmlFor="template-name">{t("saveTemplate.name")}</label>
+      <input
+        id="template-name"
+        className="input"
+        value={name}
+        onChange={edit("name", setName)}
+        placeholder={t("addJourney.namePlaceholder")}
+        aria-invalid={Boolean(fieldErrors.name)}
+        aria-describedby="template-name-error"
+      />
+      <FieldError id="template-name-error" message={fieldErrors.name} />
+
+      <label className="label" htmlFor="template-description">{t("common.description")}</label>
+      <textarea
+        id="template-description"
+        className="input textarea"
+        rows={3}
+        value={description}
+        onChange={edit("description", setDescription)}
+        placeholder={t("common.optional")}
+        aria-invalid={Boolean(fieldErrors.description)}
+        aria-describedby="template-description-error"
+      />
+      <FieldError id="template-description-error" message={fieldErrors.description} />
+
+      <div className="hint">{t("saveTemplate.hint")}</div>
+    </Modal>
+  );
+}
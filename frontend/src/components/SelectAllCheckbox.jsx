@@ -0,0 +1,22 @@
+// Checkbox that checks / unchecks a whole list of steps (`ids`), shown
+// half-checked while only some of them are in `selected` (a Set).
+// onChange(checked) gets the new state for all of them.
+export default function SelectAllCheckbox({ ids, selected, label, onChange }) {
+  const count = ids.filter((id) => selected.has(id)).length;
+  const all = ids.length > 0 && count === ids.length;
+
+  return (
+    <input
+      type="checkbox"
+      className="selectBox"
+      aria-label={label}
+      title={label}
+      checked={all}
+      disabled={!ids.length}
+      ref={(el) => {
+        if (el) el.indeterminate = count > 0 && !all;
+      }}
+      onChange={() => onChange(!all)}
+    />
+  );
+}
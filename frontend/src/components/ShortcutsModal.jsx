@@ -0,0 +1,87 @@
+import Modal from "./Modal";
+import { localeInfo, t } from "../i18n";
+
+// Shortcut groups shown in the cheat-sheet: [keys, description key].
+// "→" / "←" are "towards the steps" / "back to the stages", which
+// swap in a right-to-left layout (see stageKeyDown in App.jsx).
+const SHORTCUTS = [
+  {
+    title: "anywhere",
+    keys: [
+      ["Ctrl+K", "palette"],
+      ["?", "cheatSheet"],
+      ["/", "search"],
+      ["Ctrl+Z", "undo"],
+      ["Ctrl+Shift+Z / Ctrl+Y", "redo"],
+      ["Esc", "close"],
+    ],
+  },
+  {
+    title: "stageList",
+    keys: [
+      ["↑ / ↓", "stagePrevNext"],
+      ["Enter", "openStage"],
+      ["→", "toSteps"],
+      ["Alt+↑ / Alt+↓", "moveStage"],
+      ["Delete", "deleteStage"],
+    ],
+  },
+  {
+    title: "steps",
+    keys: [
+      ["↑ / ↓", "stepPrevNext"],
+      ["←", "toStages"],
+      ["S / Shift+S", "status"],
+      ["Enter", "openDetails"],
+      ["F2", "rename"],
+      ["X / Shift+X", "select"],
+      ["Alt+↑ / Alt+↓", "moveStep"],
+      ["Delete", "deleteStep"],
+    ],
+  },
+];
+
+// Mirrors the horizontal arrows for right-to-left languages
+function arrows(keys) {
+  if (localeInfo().dir !== "rtl") return keys;
+  return keys.replace(/[←→]/g, (a) => (a === "←" ? "→" : "←"));
+}
+
+// Modal listing the keyboard shortcuts (opened with "?").
+// Props:
+// - open: modal visibility
+// - onClose: callback to close the modal
+export default function ShortcutsModal({ open, onClose }) {
+  return (
+    <Modal
+      open={open}
+      title={t("shortcuts.title")}
+      wide
+      onClose={onClose}
+      onSubmit={onClose}
+      actions={
+        <button type="submit" className="btn" data-autofocus>
+          {t("common.close")}
+        </button>
+      }
+    >
+      <div className="shortcutGroups">
+        {SHORTCUTS.map((group) => (
+          <section key={group.title}>
+            <div className="h2">{t(`shortcuts.groups.${group.title}`)}</div>
+            <dl className="shortcutList">
+              {group.keys.map(([keys, description]) => (
+                <div key={keys} className="shortcutRow">
+                  <dt>
+                    <kbd className="kbd" dir="ltr">{arrows(keys)}</kbd>
+                  </dt>
+                  <dd>{t(`shortcuts.keys.${description}`)}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        ))}
+      </div>
+    </Modal>
+  );
+}
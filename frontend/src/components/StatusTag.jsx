@@ -1,13 +1,22 @@
-// Presentational component mapping a step `status` string to a CSS tag class
-// and rendering the status text.
-export default function StatusTag({ status }) {
-  // Determine CSS class based on status value
-  const cls =
-    status === "COMPLETED"
-      ? "tag completed"
-      : status === "IN_PROGRESS"
-      ? "tag progress"
-      : "tag notstarted";
-
-  return <span className={cls}>{status}</span>;
-}
\ No newline at end of file
+import { findStatus } from "../journeyStore";
+import { statusLabel, t } from "../i18n";
+
+// Fallback color for statuses missing from the catalog
+const UNKNOWN_COLOR = "#374151";
+
+// Presentational component rendering a step `status` as a colored tag,
+// using the label and color from the journey's status catalog.
+export default function StatusTag({ status, statuses }) {
+  const def = findStatus(statuses, status);
+  const color = def?.color || UNKNOWN_COLOR;
+
+  return (
+    <span
+      className="tag"
+      style={{ color, background: `${color}1f` }}
+      title={def && !def.counts_toward_completion ? t("statusTag.notCounted") : undefined}
+    >
+      {statusLabel(def, status)}
+    </span>
+  );
+}
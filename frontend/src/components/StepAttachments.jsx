@@ -0,0 +1,146 @@
+// useState tracks the upload in progress; useRef the hidden file input
+import { useRef, useState } from "react";
+
+import FieldError from "./FieldError";
+import { isTempId } from "../journeyStore";
+import { formatEventTime } from "../activity";
+import { attachmentUrl } from "../api";
+import { withToken } from "../auth";
+import { formatList, formatNumber, statusLabel, t } from "../i18n";
+
+// Same limits as the backend
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_STEP = 20;
+
+// "830 byte", "12 kB", "3.4 MB" (units and decimals as the locale writes them)
+function formatSize(bytes) {
+  const [value, unit] =
+    bytes < 1024
+      ? [bytes, "byte"]
+      : bytes < 1024 * 1024
+        ? [Math.round(bytes / 1024), "kilobyte"]
+        : [bytes / (1024 * 1024), "megabyte"];
+  return formatNumber(value, { style: "unit", unit, maximumFractionDigits: 1 });
+}
+
+/**
+ * StepAttachments Component
+ * -------------------------
+ * A step's files (e.g. evidence documents): download, upload, delete.
+ * Shows which statuses need an attachment while the step has none.
+ *
+ * Props:
+ * - step (object): step whose attachments are listed
+ * - statuses (array): journey status catalog (requires_attachment)
+ * - onUpload (function): uploads one File; resolves when done, rejects
+ *   with the reason it failed (shown under the list)
+ * - onDelete (function): deletes an attachment (undoable)
+ */
+export default function StepAttachments({ step, statuses, onUpload, onDelete }) {
+  const attachments = step.attachments || [];
+  const inputRef = useRef(null);
+
+  // Name of the file being uploaded ("" when idle)
+  const [uploading, setUploading] = useState("");
+
+  // Why the last upload failed
+  const [error, setError] = useState("");
+
+  // Statuses this step can't be set to until it has an attachment
+  const needed = attachments.length
+    ? []
+    : (statuses || []).filter((s) => s.requires_attachment).map((s) => statusLabel(s));
+
+  const full = attachments.length >= MAX_ATTACHMENTS_PER_STEP;
+
+  // Uploads the chosen files one after another (stops at the first failure)
+  async function upload(files) {
+    setError("");
+    try {
+      for (const file of files) {
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+          throw new Error(
+            t("attachments.tooLarge", { name: file.name, max: formatSize(MAX_ATTACHMENT_BYTES) })
+          );
+        }
+        setUploading(file.name);
+        await onUpload(file);
+      }
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setUploading("");
+      if (inputRef.current) inputRef.current.value = "";
+    }
+  }
+
+  return (
+    <>
+      <div className="rowBetween">
+        <label className="label" htmlFor="step-attachment-input">{t("attachments.title")}</label>
+        <input
+          ref={inputRef}
+          id="step-attachment-input"
+          className="visuallyHidden"
+          type="file"
+          multiple
+          disabled={Boolean(uploading) || full || isTempId(step.step_id)}
+          aria-describedby="step-attachments-error"
+          onChange={(e) => upload([...e.target.files])}
+        />
+        <button
+          type="button"
+          className="btn ghost"
+          disabled={Boolean(uploading) || full || isTempId(step.step_id)}
+          title={
+            full
+              ? t("attachments.full", { max: MAX_ATTACHMENTS_PER_STEP })
+              : t("attachments.maxSize", { max: formatSize(MAX_ATTACHMENT_BYTES) })
+          }
+          onClick={() => inputRef.current?.click()}
+        >
+          {uploading ? t("attachments.uploading") : t("attachments.upload")}
+        </button>
+      </div>
+
+      {attachments.length ? (
+        <ul className="attachmentList" aria-label={t("attachments.title")}>
+          {attachments.map((a) => (
+            <li key={a.attachment_id} className="attachmentItem">
+              <div>
+                <a href={withToken(attachmentUrl(a.attachment_id))} download={a.filename}>
+                  📎 {a.filename}
+                </a>
+                <div className="muted">
+                  {formatSize(a.size)} · {a.uploaded_by}, {formatEventTime(a.uploaded_at)}
+                </div>
+              </div>
+              <button
+                className="iconBtn"
+                title={t("attachments.delete")}
+                aria-label={t("attachments.deleteName", { name: a.filename })}
+                onClick={() => onDelete(a)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="muted">{t("attachments.empty")}</div>
+      )}
+
+      {uploading ? (
+        <div className="hint" role="status">
+          {t("attachments.uploadingName", { name: uploading })}
+        </div>
+      ) : null}
+      <FieldError id="step-attachments-error" message={error} />
+      {needed.length ? (
+        <div className="hint">
+          {t("attachments.needed", { statuses: formatList(needed, "disjunction") })}
+        </div>
+      ) : null}
+    </>
+  );
+}
@@ -0,0 +1,194 @@
+// useState / useEffect load the step's comment thread and hold the draft
+import { useEffect, useState } from "react";
+
+import FieldError from "./FieldError";
+import { formatEventTime } from "../activity";
+import { isTempId } from "../journeyStore";
+import { t } from "../i18n";
+import {
+  addStepComment,
+  deleteComment,
+  getStepComments,
+  isAborted,
+  restoreComment,
+} from "../api";
+
+// Wait this long after the last change before refetching the thread
+const COMMENTS_DELAY_MS = 400;
+
+// Same limit as the backend
+const MAX_COMMENT_LEN = 2000;
+
+/**
+ * StepComments Component
+ * ----------------------
+ * A step's comment thread (oldest first) with a box to add one.
+ * Comments aren't part of the journey, so the thread loads and sends
+ * its own requests; a deleted comment can be restored from its row.
+ * Mount with key={step_id} so a draft doesn't carry over to another step.
+ *
+ * Props:
+ * - step (object): step whose comments are shown (reloads when it changes)
+ * - onCountChange (function): called with the new number of comments
+ *   after this tab added, deleted or restored one
+ * - me (string): user id of the signed-in user (can delete their own comments)
+ * - moderator (boolean): can delete anyone's comment (journey owner)
+ * - readOnly (boolean): hide the box to add one (viewers)
+ */
+export default function StepComments({ step, onCountChange, me, moderator = false, readOnly = false }) {
+  const [comments, setComments] = useState([]);
+  const [loadError, setLoadError] = useState("");
+
+  // Draft of the new comment, and why sending it failed
+  const [text, setText] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+
+  // Deleted here, can still be restored ({ comment, index } or null)
+  const [deleted, setDeleted] = useState(null);
+
+  // Reload shortly after the step changes (someone else may have commented)
+  useEffect(() => {
+    if (isTempId(step.step_id)) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setComments(await getStepComments(step.step_id, { signal: controller.signal }));
+        setLoadError("");
+      } catch (e) {
+        if (e.status === 404) setComments([]);
+        else if (!isAborted(e)) setLoadError(e.message);
+      }
+    }, COMMENTS_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [step]);
+
+  function update(next) {
+    setComments(next);
+    onCountChange(next.length);
+  }
+
+  async function send() {
+    if (!text.trim() || sending) return;
+
+    setSending(true);
+    try {
+      const data = await addStepComment(step.step_id, text);
+      update([...comments, data.comment]);
+      setText("");
+      setError("");
+    } catch (e) {
+      setError(e.reason || e.message);
+    } finally {
+      setSending(false);
+    }
+  }
+
+  async function remove(comment) {
+    try {
+      await deleteComment(comment.comment_id);
+      setDeleted({ comment, index: comments.indexOf(comment) });
+      update(comments.filter((c) => c !== comment));
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  async function restore() {
+    try {
+      await restoreComment(deleted.comment.comment_id);
+      const next = [...comments];
+      next.splice(Math.min(deleted.index, next.length), 0, deleted.comment);
+      update(next);
+      setDeleted(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  return (
+    <>
+      <label className="label" htmlFor="step-comment-text">
+        {t("comments.title")}{" "}
+        {comments.length ? <span className="muted">({comments.length})</span> : null}
+      </label>
+
+      {loadError ? (
+        <div className="errorBox">❌ {loadError}</div>
+      ) : comments.length ? (
+        <ul className="commentList" aria-label={t("comments.title")}>
+          {comments.map((c) => (
+            <li key={c.comment_id} className="commentItem">
+              <div className="rowBetween">
+                <span className="muted">
+                  <b>{c.author}</b> · {formatEventTime(c.created_at)}
+                </span>
+                {!readOnly && (moderator || c.author_id === me) ? (
+                  <button
+                    className="iconBtn"
+                    title={t("comments.delete")}
+                    aria-label={t("comments.deleteBy", { name: c.author })}
+                    onClick={() => remove(c)}
+                  >
+                    ×
+                  </button>
+                ) : null}
+              </div>
+              <div className="commentText">{c.text}</div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="muted">{t("comments.empty")}</div>
+      )}
+
+      {deleted ? (
+        <div className="hint" role="status">
+          {t("comments.deleted")}{" "}
+          <button type="button" className="linkBtn" onClick={restore}>
+            {t("common.undo")}
+          </button>
+        </div>
+      ) : null}
+
+      {readOnly ? null : (
+        <form
+          className="commentAdd"
+          onSubmit={(e) => {
+            e.preventDefault();
+            send();
+          }}
+        >
+          <textarea
+            id="step-comment-text"
+            className="input textarea"
+            rows={2}
+            placeholder={t("comments.placeholder")}
+            maxLength={MAX_COMMENT_LEN}
+            value={text}
+            disabled={isTempId(step.step_id)}
+            aria-invalid={Boolean(error)}
+            aria-describedby="step-comment-error"
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                send();
+              }
+            }}
+          />
+          <button type="submit" className="btn" disabled={!text.trim() || sending || isTempId(step.step_id)}>
+            {sending ? t("comments.sending") : t("comments.send")}
+          </button>
+        </form>
+      )}
+      <FieldError id="step-comment-error" message={error} />
+    </>
+  );
+}
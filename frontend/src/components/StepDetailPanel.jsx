@@ -0,0 +1,615 @@
+// useState / useEffect keep a local copy of the form while editing
+// and load the step's activity history
+import { useEffect, useState } from "react";
+
+import StatusTag from "./StatusTag";
+import BlockedBadge from "./BlockedBadge";
+import ActivityList from "./ActivityList";
+import FieldError from "./FieldError";
+import StepAttachments from "./StepAttachments";
+import StepComments from "./StepComments";
+import { DEFAULT_EFFORT, blockingSteps, isTempId, stepsById, wouldCycle } from "../journeyStore";
+import { getStepEvents, isAborted } from "../api";
+import { formatList, formatPercent, t } from "../i18n";
+
+// Wait this long after the last change before refetching the history
+const HISTORY_DELAY_MS = 400;
+
+// Same limits as the backend
+const MAX_EFFORT = 1000;
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_CHECKLIST_TEXT_LEN = 200;
+
+// Editable detail fields (besides status, which has its own modal)
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  owner: "",
+  start_date: "",
+  due_date: "",
+  notes: "",
+  effort: String(DEFAULT_EFFORT),
+};
+
+// Fields sent as null when cleared
+const DATE_FIELDS = ["start_date", "due_date"];
+
+// No rejected fields
+const NO_ERRORS = {};
+
+// Copies the editable fields from a step into form values
+function toForm(step) {
+  return {
+    name: step?.name || "",
+    description: step?.description || "",
+    owner: step?.owner || "",
+    start_date: step?.start_date || "",
+    due_date: step?.due_date || "",
+    notes: step?.notes || "",
+    effort: String(step?.effort ?? DEFAULT_EFFORT),
+  };
+}
+
+/**
+ * StepDetailPanel Component
+ * -------------------------
+ * Side panel for editing a step's details, with its assignees,
+ * attachments, comment thread and activity history. Read-only for
+ * viewers of the journey.
+ *
+ * Props:
+ * - step (object|null): step being viewed (panel hidden when null)
+ * - stageName (string): owning stage name (display only)
+ * - statuses (array): journey status catalog (for the status tag)
+ * - journey (object): current journey (history events, prerequisites)
+ * - onClose (function): closes the panel
+ * - onSave (function): called with only the fields that changed and the
+ *   step version they were edited against (for conflict detection)
+ * - onDependenciesChange (function): called with the new list of
+ *   prerequisite step ids (applied right away, not on Save)
+ * - onChecklistChange (function): called with the whole new checklist
+ *   ([{ text, done }]) when an item is ticked, added or removed
+ *   (applied right away, not on Save)
+ * - onAssigneesChange (function): called with the new list of assigned
+ *   user ids (applied right away, not on Save)
+ * - onUpload (function): uploads a File as an attachment (see StepAttachments)
+ * - onDeleteAttachment (function): deletes an attachment (undoable)
+ * - onCommentCountChange (function): called with the step's number of
+ *   comments after this tab changed its thread
+ * - me (string): user id of the signed-in user (their own comments)
+ * - isOwner (boolean): the user owns the journey (can delete any comment)
+ * - readOnly (boolean): show the step without letting it be changed
+ * - errors (object): why the server rejected the last change to this
+ *   step, by field ({ name: "...", checklist: "..." })
+ */
+export default function StepDetailPanel({
+  step,
+  stageName,
+  statuses,
+  journey,
+  onClose,
+  onSave,
+  onDependenciesChange,
+  onChecklistChange,
+  onUpload,
+  onDeleteAttachment,
+  onCommentCountChange,
+  onAssigneesChange,
+  me,
+  isOwner = false,
+  readOnly = false,
+  errors = NO_ERRORS,
+}) {
+  /* ============================
+     LOCAL FORM STATE
+     ============================ */
+
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  // Values and version the form started from; edits are the fields
+  // that differ from these (not from the live step, which may have
+  // been changed by someone else meanwhile)
+  const [base, setBase] = useState({ stepId: null, form: EMPTY_FORM, version: null });
+
+  // Reset the form when a different step is opened
+  useEffect(() => {
+    setForm(toForm(step));
+    setBase({ stepId: step?.step_id, form: toForm(step), version: step?.version ?? null });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [step?.step_id]);
+
+  // Someone else changed the open step: take their values for fields
+  // you haven't edited. The base version only moves forward when none
+  // of your edited fields changed, so a real clash still conflicts on save.
+  useEffect(() => {
+    if (!step || step.step_id !== base.stepId || step.version === base.version) return;
+
+    const theirs = toForm(step);
+    const edited = Object.keys(form).filter((f) => form[f] !== base.form[f]);
+
+    setForm({ ...theirs, ...Object.fromEntries(edited.map((f) => [f, form[f]])) });
+    if (edited.every((f) => theirs[f] === base.form[f])) {
+      setBase({ stepId: step.step_id, form: theirs, version: step.version });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [step?.version]);
+
+  // A rejected save was rolled back: the form keeps your values, now
+  // shown as unsaved edits again (compared with the restored step)
+  useEffect(() => {
+    if (step && Object.keys(errors).length) setBase((b) => ({ ...b, form: toForm(step) }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [errors]);
+
+  /* ============================
+     HISTORY
+     ============================ */
+
+  const [history, setHistory] = useState([]);
+  const [historyError, setHistoryError] = useState("");
+
+  // Bumped by the Refresh button
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Text of the checklist item being added
+  const [newItem, setNewItem] = useState("");
+
+  // Reload when another step is opened, and shortly after this one changes
+  useEffect(() => {
+    if (!step) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setHistory(await getStepEvents(step.step_id, { signal: controller.signal }));
+        setHistoryError("");
+      } catch (e) {
+        // A step created a moment ago may not exist on the server yet
+        if (e.status === 404) setHistory([]);
+        else if (!isAborted(e)) setHistoryError(e.message);
+      }
+    }, HISTORY_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [step, reloadKey]);
+
+  // Don't show the previous step's history while the new one loads
+  useEffect(() => {
+    setHistory([]);
+    setHistoryError("");
+    setNewItem("");
+  }, [step?.step_id]);
+
+  if (!step) return null;
+
+  // Updates a single form field
+  function setField(field, value) {
+    setForm((f) => ({ ...f, [field]: value }));
+  }
+
+  // Links a field to the server's error about it (see FieldError)
+  function describedBy(field) {
+    return { "aria-invalid": Boolean(errors[field]), "aria-describedby": `step-${field}-error` };
+  }
+
+  // Collects changed fields (an empty date means "no date")
+  function changedFields() {
+    const changes = {};
+    for (const field of Object.keys(form)) {
+      if (form[field] !== base.form[field]) {
+        changes[field] = DATE_FIELDS.includes(field) ? form[field] || null : form[field];
+      }
+    }
+    if ("effort" in changes) changes.effort = Number(changes.effort);
+    return changes;
+  }
+
+  // Same rule as the backend: a step can't start after it is due
+  const datesInvalid = Boolean(form.start_date && form.due_date && form.start_date > form.due_date);
+
+  // Effort must be a number above 0 (and at most MAX_EFFORT)
+  const effort = Number(form.effort);
+  const effortInvalid = form.effort.trim() === "" || !(effort > 0 && effort <= MAX_EFFORT);
+
+  /* ============================
+     CHECKLIST
+     ============================ */
+
+  const checklist = step.checklist || [];
+  const doneCount = checklist.filter((item) => item.done).length;
+
+  function toggleItem(index) {
+    onChecklistChange(
+      checklist.map((item, i) => (i === index ? { ...item, done: !item.done } : item))
+    );
+  }
+
+  function removeItem(index) {
+    onChecklistChange(checklist.filter((_, i) => i !== index));
+  }
+
+  function addItem() {
+    const text = newItem.trim();
+    if (!text || checklist.length >= MAX_CHECKLIST_ITEMS) return;
+    onChecklistChange([...checklist, { text, done: false }]);
+    setNewItem("");
+  }
+
+  /* ============================
+     ASSIGNEES
+     ============================ */
+
+  const members = journey.members || [];
+  const assignees = step.assignees || [];
+
+  // Members who can be assigned: not viewers, not assigned already
+  const assignable = members.filter((m) => m.role !== "viewer" && !assignees.includes(m.user_id));
+
+  function memberName(userId) {
+    return members.find((m) => m.user_id === userId)?.name || t("stepDetail.formerMember");
+  }
+
+  /* ============================
+     DEPENDENCIES
+     ============================ */
+
+  const byId = stepsById(journey);
+
+  // Prerequisites that still exist (deleted ones are unlinked by the server)
+  const dependsOn = (step.depends_on || []).filter((id) => byId.has(id));
+
+  // Steps waiting for this one
+  const neededBy = [...byId.values()].filter((s) => (s.depends_on || []).includes(step.step_id));
+
+  // Steps that can be added: not itself, not already chosen, saved on
+  // the server, and not (indirectly) depending on this step already
+  function candidates(stage) {
+    return stage.steps.filter(
+      (s) =>
+        s.step_id !== step.step_id &&
+        !dependsOn.includes(s.step_id) &&
+        !isTempId(s.step_id) &&
+        !wouldCycle(journey, step.step_id, s.step_id)
+    );
+  }
+
+  // Stage name of a step (prerequisites may live in other stages)
+  function stageOf(stepId) {
+    return journey.stages.find((st) => st.steps.some((s) => s.step_id === stepId))?.name;
+  }
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    <aside
+      className="detailPanel"
+      aria-label={t("stepDetail.title")}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") onClose();
+      }}
+    >
+      <div className="rowBetween">
+        <div className="modalTitle">{t("stepDetail.title")}</div>
+        <button className="iconBtn" title={t("common.close")} onClick={onClose}>
+          ×
+        </button>
+      </div>
+
+      <div className="modalBody">
+        <div className="muted">
+          {t("stepFields.stage")} <b>{stageName || "-"}</b> · <StatusTag status={step.status} statuses={statuses} />{" "}
+          <BlockedBadge blockers={blockingSteps(journey, step)} statuses={statuses} />
+        </div>
+
+        <fieldset className="plainFieldset" disabled={readOnly}>
+          <label className="label">{t("stepFields.name")}</label>
+          <input
+            className="input"
+            value={form.name}
+            onChange={(e) => setField("name", e.target.value)}
+            {...describedBy("name")}
+          />
+          <FieldError id="step-name-error" message={errors.name} />
+
+          <label className="label">{t("common.description")}</label>
+          <textarea
+            className="input textarea"
+            rows={3}
+            value={form.description}
+            onChange={(e) => setField("description", e.target.value)}
+            {...describedBy("description")}
+          />
+          <FieldError id="step-description-error" message={errors.description} />
+
+          <label className="label">{t("stepFields.owner")}</label>
+          <input
+            className="input"
+            value={form.owner}
+            onChange={(e) => setField("owner", e.target.value)}
+            placeholder={t("stepDetail.ownerPlaceholder")}
+            {...describedBy("owner")}
+          />
+          <FieldError id="step-owner-error" message={errors.owner} />
+
+          <label className="label" htmlFor="add-assignee">{t("stepDetail.assignees")}</label>
+          {assignees.length ? (
+            <ul className="assigneeList" aria-label={t("stepDetail.assignees")}>
+              {assignees.map((id) => (
+                <li key={id} className="assigneeChip">
+                  {memberName(id)}
+                  <button
+                    className="iconBtn"
+                    title={t("stepDetail.unassign")}
+                    aria-label={t("stepDetail.unassignName", { name: memberName(id) })}
+                    disabled={isTempId(step.step_id)}
+                    onClick={() => onAssigneesChange(assignees.filter((a) => a !== id))}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="muted">{t("stepDetail.noAssignees")}</div>
+          )}
+          {readOnly ? null : (
+            <select
+              id="add-assignee"
+              className="select"
+              value=""
+              {...describedBy("assignees")}
+              disabled={isTempId(step.step_id) || !assignable.length}
+              onChange={(e) => {
+                if (e.target.value) onAssigneesChange([...assignees, e.target.value]);
+              }}
+            >
+              <option value="">{assignable.length ? t("stepDetail.assign") : t("stepDetail.allAssigned")}</option>
+              {assignable.map((m) => (
+                <option key={m.user_id} value={m.user_id}>
+                  {m.name} (@{m.username})
+                </option>
+              ))}
+            </select>
+          )}
+          <FieldError id="step-assignees-error" message={errors.assignees} />
+
+          <div className="dateFields">
+            <div>
+              <label className="label">{t("stepFields.startDate")}</label>
+              <input
+                className="input"
+                type="date"
+                value={form.start_date}
+                onChange={(e) => setField("start_date", e.target.value)}
+                {...describedBy("start_date")}
+              />
+            </div>
+            <div>
+              <label className="label">{t("stepFields.dueDate")}</label>
+              <input
+                className="input"
+                type="date"
+                value={form.due_date}
+                onChange={(e) => setField("due_date", e.target.value)}
+                {...describedBy("due_date")}
+              />
+            </div>
+          </div>
+          {datesInvalid ? (
+            <div className="fieldError">{t("stepDetail.datesInvalid")}</div>
+          ) : null}
+          <FieldError id="step-start_date-error" message={errors.start_date} />
+          <FieldError id="step-due_date-error" message={errors.due_date} />
+
+          <label className="label" htmlFor="step-effort">{t("stepDetail.effort")}</label>
+          <input
+            id="step-effort"
+            className="input"
+            type="number"
+            min="0.5"
+            max={MAX_EFFORT}
+            step="0.5"
+            value={form.effort}
+            onChange={(e) => setField("effort", e.target.value)}
+            aria-invalid={effortInvalid || Boolean(errors.effort)}
+            aria-describedby="step-effort-hint step-effort-error"
+          />
+          <div id="step-effort-hint" className="hint">
+            {t("stepDetail.effortHint")}
+          </div>
+          {effortInvalid ? (
+            <div className="fieldError">{t("stepDetail.effortInvalid", { max: MAX_EFFORT })}</div>
+          ) : null}
+          <FieldError id="step-effort-error" message={errors.effort} />
+
+          <div className="rowBetween">
+            <label className="label" htmlFor="add-checklist-item">{t("stepDetail.checklist")}</label>
+            {checklist.length ? (
+              <span className="muted">
+                {t("stepDetail.checklistDone", {
+                  done: doneCount,
+                  count: checklist.length,
+                  pct: formatPercent(step.progress_pct),
+                })}
+              </span>
+            ) : null}
+          </div>
+          {checklist.length ? (
+            <ul className="checklist" aria-label={t("stepDetail.checklist")}>
+              {checklist.map((item, index) => (
+                <li key={index} className={`checklistItem ${item.done ? "done" : ""}`}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={item.done}
+                      disabled={isTempId(step.step_id)}
+                      onChange={() => toggleItem(index)}
+                    />{" "}
+                    {item.text}
+                  </label>
+                  <button
+                    className="iconBtn"
+                    title={t("stepDetail.removeItem")}
+                    aria-label={t("stepDetail.removeItemName", { text: item.text })}
+                    disabled={isTempId(step.step_id)}
+                    onClick={() => removeItem(index)}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="muted">{t("stepDetail.noChecklist")}</div>
+          )}
+          <form
+            className="checklistAdd"
+            onSubmit={(e) => {
+              e.preventDefault();
+              addItem();
+            }}
+          >
+            <input
+              id="add-checklist-item"
+              className="input"
+              placeholder={t("stepDetail.addItem")}
+              maxLength={MAX_CHECKLIST_TEXT_LEN}
+              value={newItem}
+              disabled={isTempId(step.step_id) || checklist.length >= MAX_CHECKLIST_ITEMS}
+              onChange={(e) => setNewItem(e.target.value)}
+            />
+            <button type="submit" className="btn" disabled={!newItem.trim() || isTempId(step.step_id)}>
+              {t("common.add")}
+            </button>
+          </form>
+          <FieldError id="step-checklist-error" message={errors.checklist} />
+
+          <label className="label" htmlFor="add-prerequisite">{t("stepDetail.dependsOn")}</label>
+          {dependsOn.length ? (
+            <ul className="depList" aria-label={t("stepDetail.prerequisites")}>
+              {dependsOn.map((id) => {
+                const dep = byId.get(id);
+                return (
+                  <li className="depItem" key={id}>
+                    <div>
+                      <div>{dep.name}</div>
+                      <div className="muted">{stageOf(id)}</div>
+                    </div>
+                    <div className="smallActions2">
+                      <StatusTag status={dep.status} statuses={statuses} />
+                      <button
+                        className="iconBtn"
+                        title={t("stepDetail.removePrerequisite")}
+                        aria-label={t("stepDetail.removePrerequisiteName", { name: dep.name })}
+                        onClick={() => onDependenciesChange(dependsOn.filter((d) => d !== id))}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <div className="muted">{t("stepDetail.noPrerequisites")}</div>
+          )}
+          <select
+            id="add-prerequisite"
+            className="select"
+            value=""
+            {...describedBy("depends_on")}
+            disabled={isTempId(step.step_id)}
+            onChange={(e) => {
+              if (e.target.value) onDependenciesChange([...dependsOn, e.target.value]);
+            }}
+          >
+            <option value="">{t("stepDetail.addPrerequisite")}</option>
+            {journey.stages.map((stage) => {
+              const options = candidates(stage);
+              return options.length ? (
+                <optgroup key={stage.stage_id} label={stage.name}>
+                  {options.map((s) => (
+                    <option key={s.step_id} value={s.step_id}>
+                      {s.name}
+                    </option>
+                  ))}
+                </optgroup>
+              ) : null;
+            })}
+          </select>
+          <FieldError id="step-depends_on-error" message={errors.depends_on} />
+          {neededBy.length ? (
+            <div className="hint">
+              {t("stepDetail.neededBy", { steps: formatList(neededBy.map((s) => s.name)) })}
+            </div>
+          ) : null}
+
+          <label className="label">{t("stepFields.notes")}</label>
+          <textarea
+            className="input textarea"
+            rows={5}
+            value={form.notes}
+            onChange={(e) => setField("notes", e.target.value)}
+            {...describedBy("notes")}
+          />
+          <FieldError id="step-notes-error" message={errors.notes} />
+
+          <StepAttachments
+            key={`attachments-${step.step_id}`}
+            step={step}
+            statuses={statuses}
+            onUpload={onUpload}
+            onDelete={onDeleteAttachment}
+          />
+        </fieldset>
+
+        <StepComments
+          key={`comments-${step.step_id}`}
+          step={step}
+          onCountChange={onCommentCountChange}
+          me={me}
+          moderator={isOwner}
+          readOnly={readOnly}
+        />
+
+        <div className="rowBetween">
+          <label className="label">{t("stepDetail.history")}</label>
+          <button className="btn ghost" onClick={() => setReloadKey((k) => k + 1)}>
+            {t("common.refresh")}
+          </button>
+        </div>
+        {historyError ? (
+          <div className="errorBox">❌ {historyError}</div>
+        ) : (
+          <ActivityList events={history} journey={journey} emptyText={t("stepDetail.noHistory")} />
+        )}
+      </div>
+
+      <div className="modalActions">
+        <button className="btn ghost" onClick={onClose}>
+          {t("common.close")}
+        </button>
+        {readOnly ? null : (
+          <button
+            className="btn"
+            disabled={!form.name.trim() || datesInvalid || effortInvalid}
+            onClick={() => {
+              const changes = changedFields();
+              if (!Object.keys(changes).length) return;
+
+              onSave(changes, base.version);
+              setBase((b) => ({ ...b, form }));
+            }}
+          >
+            {t("common.save")}
+          </button>
+        )}
+      </div>
+    </aside>
+  );
+}
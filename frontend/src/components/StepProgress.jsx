@@ -0,0 +1,39 @@
+import { DEFAULT_EFFORT } from "../journeyStore";
+import { formatNumber, formatPercent, t } from "../i18n";
+
+// Presentational summary of a step's checklist ("☑ 2/5"), effort
+// ("effort 3", only when it differs from the default), attachments
+// ("📎 2") and comments ("💬 4"), shown in the step's meta line.
+// Renders nothing for a plain step.
+export default function StepProgress({ step }) {
+  const items = step.checklist || [];
+  const effort = step.effort ?? DEFAULT_EFFORT;
+  const done = items.filter((item) => item.done).length;
+
+  return (
+    <>
+      {items.length ? (
+        <span
+          title={t("progress.checklistTitle", {
+            done,
+            count: items.length,
+            pct: formatPercent(step.progress_pct),
+          })}
+        >
+          ☑ {formatNumber(done)}/{formatNumber(items.length)}
+        </span>
+      ) : null}
+      {effort !== DEFAULT_EFFORT ? (
+        <span title={t("progress.effortTitle")}>⚖ {t("progress.effort", { effort })}</span>
+      ) : null}
+      {step.attachments?.length ? (
+        <span title={step.attachments.map((a) => a.filename).join(", ")}>
+          📎 {formatNumber(step.attachments.length)}
+        </span>
+      ) : null}
+      {step.comment_count ? (
+        <span title={t("progress.comments")}>💬 {formatNumber(step.comment_count)}</span>
+      ) : null}
+    </>
+  );
+}
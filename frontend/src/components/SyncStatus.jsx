@@ -0,0 +1,48 @@
+import { t } from "../i18n";
+
+// Live update connection states (see useJourneyStream); their label
+// and tooltip are sync.<state> and sync.<state>Title in the catalogs
+const LIVE_STATES = ["connecting", "live", "offline"];
+
+/**
+ * SyncStatus Component
+ * --------------------
+ * Topbar indicator: offline (with pending changes) / rejected
+ * offline changes / live connection. While online, changes are
+ * sent right away, so the pending count isn't shown (no flicker).
+ * Opens the pending changes panel when clicked.
+ *
+ * Props:
+ * - liveStatus (string|null): "connecting" | "live" | "offline" (null off a journey)
+ * - online (boolean): server reachable
+ * - pending (number): changes waiting to be sent
+ * - rejected (number): replayed changes the server refused
+ * - onClick (function): opens the pending changes panel
+ */
+export default function SyncStatus({ liveStatus, online, pending, rejected, onClick }) {
+  const known = LIVE_STATES.includes(liveStatus);
+
+  let kind = liveStatus;
+  let label = known ? t(`sync.${liveStatus}`) : null;
+  let title = known ? t(`sync.${liveStatus}Title`) : null;
+
+  if (!online) {
+    kind = "offline";
+    label = pending ? t("sync.offlinePending", { count: pending }) : t("sync.offline");
+    title = t("sync.unreachableTitle");
+  } else if (rejected) {
+    kind = "offline";
+    label = `⚠ ${t("sync.rejected", { count: rejected })}`;
+    title = t("sync.rejectedTitle");
+  }
+
+  // Nothing worth showing on the journeys index when all is well
+  if (!label) return null;
+
+  return (
+    <button type="button" className={`liveStatus ${kind}`} title={title} onClick={onClick}>
+      <span className="liveDot" aria-hidden="true" />
+      <span role="status">{label}</span>
+    </button>
+  );
+}
@@ -0,0 +1,62 @@
+import { formatNumber, t } from "../i18n";
+
+/**
+ * TemplateLibrary Component
+ * -------------------------
+ * Journey templates on the index page: bundled starter templates
+ * and templates saved from existing journeys.
+ *
+ * Props:
+ * - templates (array): template summaries from GET /api/templates
+ * - loading (boolean): list is being fetched
+ * - busy (boolean): an action is in progress (disables buttons)
+ * - onUse (function): called with a template id ("New journey from template")
+ * - onDelete (function): called with a template id (saved templates only)
+ */
+export default function TemplateLibrary({ templates, loading, busy, onUse, onDelete }) {
+  return (
+    <div className="card">
+      <div className="h1">{t("templates.title")}</div>
+
+      {loading ? (
+        <div className="hint">{t("templates.loading")}</div>
+      ) : templates.length === 0 ? (
+        <div className="hint">{t("templates.empty")}</div>
+      ) : (
+        <div className="templateList">
+          {templates.map((template) => (
+            <div key={template.template_id} className="templateRow">
+              <div>
+                <div className="journeyName">
+                  {template.name}{" "}
+                  {template.builtin ? <span className="badge">{t("templates.starter")}</span> : null}
+                </div>
+                {template.description ? <div className="muted">{template.description}</div> : null}
+                <div className="muted">
+                  {t("common.stageCount", { count: template.stage_count })} ·{" "}
+                  {t("common.stepCount", { count: template.step_count })}
+                </div>
+              </div>
+
+              <div className="smallActions2">
+                <button className="btn ghost" disabled={busy} onClick={() => onUse(template.template_id)}>
+                  {t("templates.use")}
+                </button>
+                {!template.builtin ? (
+                  <button
+                    className="iconBtn"
+                    title={t("templates.delete")}
+                    disabled={busy}
+                    onClick={() => onDelete(template.template_id)}
+                  >
+                    🗑
+                  </button>
+                ) : null}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
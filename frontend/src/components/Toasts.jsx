@@ -0,0 +1,37 @@
+import { t } from "../i18n";
+
+// Stack of non-blocking notifications (see useToasts).
+// Props:
+// - toasts: [{ id, message, kind, action }]
+// - onDismiss: called with a toast id
+export default function Toasts({ toasts, onDismiss }) {
+  return (
+    <div className="toastStack" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`toast ${toast.kind}`}
+          role={toast.kind === "error" ? "alert" : "status"}
+        >
+          <span>{toast.message}</span>
+
+          {toast.action ? (
+            <button
+              className="linkBtn toastAction"
+              onClick={() => {
+                toast.action.onClick();
+                onDismiss(toast.id);
+              }}
+            >
+              {toast.action.label}
+            </button>
+          ) : null}
+
+          <button className="linkBtn" title={t("common.dismiss")} onClick={() => onDismiss(toast.id)}>
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
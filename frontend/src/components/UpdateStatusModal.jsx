@@ -1,54 +1,93 @@
-import { useEffect, useState } from "react";
-
-// Options available for step status
-const OPTIONS = ["NOT_STARTED", "IN_PROGRESS", "COMPLETED"];
-
-// Modal for updating a step's status.
-// Props:
-// - open: whether the modal is visible
-// - step: the step object being edited (provides current name/status)
-// - onClose: close handler
-// - onSubmit: submit handler receiving the new status
-export default function UpdateStatusModal({ open, step, onClose, onSubmit }) {
-  // Local state for the select value
-  const [value, setValue] = useState("NOT_STARTED");
-
-  // When a different step prop is provided, initialize the select value
-  useEffect(() => {
-    if (step?.status) setValue(step.status);
-  }, [step]);
-
-  if (!open) return null;
-
-  return (
-    <div className="modalOverlay" onClick={onClose}>
-      <div className="modal" onClick={(e) => e.stopPropagation()}>
-        <div className="modalTitle">Update Status</div>
-
-        <div className="modalBody">
-          <div className="muted">
-            Step: <b>{step?.name || "-"}</b>
-          </div>
-
-          <label className="label">New Status</label>
-          <select className="select" value={value} onChange={(e) => setValue(e.target.value)}>
-            {OPTIONS.map((o) => (
-              <option key={o} value={o}>
-                {o}
-              </option>
-            ))}
-          </select>
-        </div>
-
-        <div className="modalActions">
-          <button className="btn ghost" onClick={onClose}>
-            Cancel
-          </button>
-          <button className="btn" onClick={() => onSubmit(value)}>
-            Save
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-}
\ No newline at end of file
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+
+// Options are limited to the transitions the workflow allows
+import { allowedStatuses, missingAttachment, startsWork, statusName } from "../journeyStore";
+import { formatList, statusLabel, t } from "../i18n";
+
+// Modal for updating a step's status.
+// Props:
+// - open: whether the modal is visible
+// - step: the step object being edited (provides current name/status/attachments)
+// - statuses: the journey's status catalog
+// - blockers: unfinished prerequisites of the step (it can't start until they're done)
+// - onClose: close handler
+// - onSubmit: submit handler receiving the new status
+export default function UpdateStatusModal({ open, step, statuses, blockers = [], onClose, onSubmit }) {
+  // Local state for the select value
+  const [value, setValue] = useState("");
+
+  // Statuses the step can't be set to until it has an attachment
+  const needsAttachment = allowedStatuses(statuses, step?.status).filter(
+    (s) => s.key !== step?.status && missingAttachment(statuses, step, s.key)
+  );
+
+  // When a different step prop is provided, initialize the select value
+  useEffect(() => {
+    if (step?.status) setValue(step.status);
+  }, [step]);
+
+  return (
+    <Modal
+      open={open}
+      title={t("updateStatus.title")}
+      onClose={onClose}
+      onSubmit={() => onSubmit(value)}
+      actions={
+        <>
+          <button type="button" className="btn ghost" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+          <button type="submit" className="btn">
+            {t("common.save")}
+          </button>
+        </>
+      }
+    >
+      <div className="muted">
+        {t("updateStatus.step")} <b>{step?.name || "-"}</b>
+      </div>
+
+      {blockers.length ? (
+        <div className="blockedNotice">
+          ⛔{" "}
+          {t("updateStatus.blocked", {
+            steps: formatList(blockers.map((b) => `${b.name} (${statusName(statuses, b.status)})`)),
+          })}
+        </div>
+      ) : null}
+
+      {needsAttachment.length ? (
+        <div className="hint">
+          📎{" "}
+          {t("updateStatus.needsAttachment", {
+            statuses: formatList(needsAttachment.map((s) => statusLabel(s))),
+            count: needsAttachment.length,
+          })}
+        </div>
+      ) : null}
+
+      <label className="label" htmlFor="update-status">{t("updateStatus.newStatus")}</label>
+      <select
+        id="update-status"
+        className="select"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+      >
+        {allowedStatuses(statuses, step?.status).map((o) => (
+          <option
+            key={o.key}
+            value={o.key}
+            disabled={
+              o.key !== step?.status &&
+              ((blockers.length > 0 && startsWork(statuses, o.key)) || needsAttachment.includes(o))
+            }
+          >
+            {statusLabel(o)}
+          </option>
+        ))}
+      </select>
+    </Modal>
+  );
+}
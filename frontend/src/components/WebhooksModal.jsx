@@ -0,0 +1,363 @@
+// useState / useEffect load the webhooks and the delivery log shown
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import FieldError from "./FieldError";
+import {
+  addWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhooks,
+  isAborted,
+  renewWebhookSecret,
+  retryWebhookDelivery,
+  testWebhook,
+  updateWebhook,
+} from "../api";
+import { formatDateTime, formatList, formatNumber, t } from "../i18n";
+
+// Events a webhook can subscribe to (MILESTONE_EVENTS on the server)
+const EVENTS = [
+  { value: "step.status_changed", labelKey: "webhooks.events.statusChanged" },
+  { value: "stage.completed", labelKey: "webhooks.events.stageCompleted" },
+  { value: "journey.completed", labelKey: "webhooks.events.journeyCompleted" },
+  { value: "step.overdue", labelKey: "webhooks.events.overdue" },
+];
+
+// "stage.completed" -> "Stage completed"; "ping" is a test delivery
+function eventLabel(type) {
+  const event = EVENTS.find((e) => e.value === type);
+  return event ? t(event.labelKey) : type === "ping" ? t("webhooks.events.ping") : type;
+}
+
+// Delivery state ("pending" | "delivered" | "failed") -> label
+const stateLabel = (state) => t(`webhooks.states.${state}`);
+
+// Outcome of a delivery attempt: "HTTP 200 (84 ms)" / "Connection refused (3 ms)"
+function attemptText(attempt) {
+  if (!attempt) return "—";
+  return t("webhooks.response", {
+    response: attempt.error || `HTTP ${attempt.status_code}`,
+    ms: attempt.duration_ms,
+  });
+}
+
+/**
+ * WebhooksModal Component
+ * -----------------------
+ * Owners' settings for the journey's outgoing webhooks: add one (URL and
+ * the milestone events it wants), pause it, renew its signing secret,
+ * send a test event, delete it, and inspect its delivery log (state,
+ * attempts, last response; failed deliveries can be sent again). The
+ * secret is shown once, when the webhook is added or the secret renewed.
+ * Loads its own data (GET /api/journeys/:id/webhooks).
+ *
+ * Props:
+ * - open (boolean): visibility
+ * - journeyId (string): journey whose webhooks are shown
+ * - onClose (function): closes the modal
+ */
+export default function WebhooksModal({ open, journeyId, onClose }) {
+  const [webhooks, setWebhooks] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // "Add webhook" form
+  const [url, setUrl] = useState("");
+  const [events, setEvents] = useState(EVENTS.map((e) => e.value));
+  const [busy, setBusy] = useState(false);
+
+  // Why the last change failed, by field ("form": not about the add form)
+  const [errors, setErrors] = useState({});
+
+  // Secret to show once: { webhookId, value }
+  const [secret, setSecret] = useState(null);
+
+  // Webhook awaiting a second click on "Delete"
+  const [deleting, setDeleting] = useState(null);
+
+  // Delivery log of one webhook: its id, entries (newest first), loading
+  const [logFor, setLogFor] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [logLoading, setLogLoading] = useState(false);
+
+  // Fresh list and an empty form each time the modal opens
+  useEffect(() => {
+    if (!open) return undefined;
+    const controller = new AbortController();
+    setUrl("");
+    setEvents(EVENTS.map((e) => e.value));
+    setErrors({});
+    setSecret(null);
+    setDeleting(null);
+    setLogFor(null);
+    setLoading(true);
+
+    getWebhooks(journeyId, { signal: controller.signal })
+      .then(setWebhooks)
+      .catch((e) => {
+        if (!isAborted(e)) setErrors({ form: e.message });
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [open, journeyId]);
+
+  // Loads the delivery log shown
+  useEffect(() => {
+    if (!logFor) return undefined;
+    const controller = new AbortController();
+    setLogLoading(true);
+
+    getWebhookDeliveries(logFor, { signal: controller.signal })
+      .then(setDeliveries)
+      .catch((e) => {
+        if (!isAborted(e)) setErrors({ form: e.message });
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLogLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [logFor]);
+
+  // Runs a change; its error is shown under the list or the add form
+  async function run(change, field = "form") {
+    setBusy(true);
+    setErrors({});
+    try {
+      await change();
+      return true;
+    } catch (e) {
+      setErrors({ [["url", "events"].includes(e.field) ? e.field : field]: e.reason || e.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Puts a changed webhook in place of the old one
+  function replace(webhook) {
+    setWebhooks((list) => list.map((w) => (w.webhook_id === webhook.webhook_id ? webhook : w)));
+  }
+
+  function toggleEvent(value, checked) {
+    setEvents((list) => EVENTS.map((e) => e.value).filter((v) => (v === value ? checked : list.includes(v))));
+    setErrors({});
+  }
+
+  async function add() {
+    if (!url.trim()) return setErrors({ url: t("webhooks.urlRequired") });
+    if (!events.length) return setErrors({ events: t("webhooks.eventsRequired") });
+
+    await run(async () => {
+      const data = await addWebhook(journeyId, { url: url.trim(), events });
+      setWebhooks((list) => [...list, data.webhook]);
+      setSecret({ webhookId: data.webhook.webhook_id, value: data.secret });
+      setUrl("");
+    }, "url");
+  }
+
+  function setActive(webhook, active) {
+    run(async () => replace((await updateWebhook(webhook.webhook_id, { active })).webhook));
+  }
+
+  function renewSecret(webhook) {
+    run(async () => {
+      const data = await renewWebhookSecret(webhook.webhook_id);
+      setSecret({ webhookId: webhook.webhook_id, value: data.secret });
+    });
+  }
+
+  // Queues a test event and shows the log, where it appears
+  function sendTest(webhook) {
+    run(async () => {
+      const data = await testWebhook(webhook.webhook_id);
+      replace({ ...webhook, last_delivery: { state: data.delivery.state, at: data.delivery.created_at } });
+      if (logFor === webhook.webhook_id) setDeliveries((list) => [data.delivery, ...list]);
+      else setLogFor(webhook.webhook_id);
+    });
+  }
+
+  function remove(webhook) {
+    if (deleting !== webhook.webhook_id) return setDeleting(webhook.webhook_id);
+    run(async () => {
+      await deleteWebhook(webhook.webhook_id);
+      setWebhooks((list) => list.filter((w) => w.webhook_id !== webhook.webhook_id));
+      if (logFor === webhook.webhook_id) setLogFor(null);
+    });
+  }
+
+  function redeliver(delivery) {
+    run(async () => {
+      const data = await retryWebhookDelivery(delivery.webhook_id, delivery.delivery_id);
+      setDeliveries((list) => list.map((d) => (d.delivery_id === delivery.delivery_id ? data.delivery : d)));
+    });
+  }
+
+  return (
+    <Modal
+      open={open}
+      title={t("webhooks.title")}
+      wide
+      onClose={onClose}
+      onSubmit={add}
+      actions={
+        <>
+          <button type="button" className="btn ghost" onClick={onClose}>{t("common.close")}</button>
+          <button type="submit" className="btn" disabled={busy}>{t("webhooks.add")}</button>
+        </>
+      }
+    >
+      <div className="hint">{t("webhooks.hint")}</div>
+
+      {loading ? (
+        <div className="spinner" />
+      ) : webhooks.length ? (
+        <ul className="memberList" aria-label={t("webhooks.title")}>
+          {webhooks.map((w) => (
+            <li key={w.webhook_id} className="webhookItem">
+              <div className="rowBetween">
+                <div className="webhookUrl">{w.url}</div>
+                <label className="muted">
+                  <input
+                    type="checkbox"
+                    checked={w.active}
+                    disabled={busy}
+                    onChange={(e) => setActive(w, e.target.checked)}
+                  />{" "}
+                  {t("webhooks.active")}
+                </label>
+              </div>
+              <div className="muted">{formatList(w.events.map(eventLabel))}</div>
+              <div className="activityMeta">
+                {w.last_delivery
+                  ? t("webhooks.lastDelivery", {
+                      state: stateLabel(w.last_delivery.state),
+                      date: formatDateTime(w.last_delivery.at),
+                    })
+                  : t("webhooks.noDeliveries")}
+              </div>
+
+              {secret?.webhookId === w.webhook_id ? (
+                <div className="webhookSecret">
+                  <div>{t("webhooks.secretOnce")}</div>
+                  <code>{secret.value}</code>
+                </div>
+              ) : null}
+
+              <div className="smallActions2">
+                <button
+                  type="button"
+                  className="linkBtn"
+                  aria-expanded={logFor === w.webhook_id}
+                  onClick={() => setLogFor(logFor === w.webhook_id ? null : w.webhook_id)}
+                >
+                  {logFor === w.webhook_id ? t("webhooks.hideDeliveries") : t("webhooks.deliveries")}
+                </button>
+                <button type="button" className="linkBtn" disabled={busy} onClick={() => sendTest(w)}>
+                  {t("webhooks.test")}
+                </button>
+                <button type="button" className="linkBtn" disabled={busy} onClick={() => renewSecret(w)}>
+                  {t("webhooks.renewSecret")}
+                </button>
+                <button type="button" className="linkBtn danger" disabled={busy} onClick={() => remove(w)}>
+                  {deleting === w.webhook_id ? t("webhooks.confirmDelete") : t("common.delete")}
+                </button>
+              </div>
+
+              {logFor === w.webhook_id ? (
+                logLoading ? (
+                  <div className="spinner" />
+                ) : deliveries.length ? (
+                  <div className="deliveryLog">
+                    <table className="analyticsTable">
+                      <thead>
+                        <tr>
+                          <th scope="col">{t("webhooks.event")}</th>
+                          <th scope="col">{t("webhooks.state")}</th>
+                          <th scope="col">{t("webhooks.attempts")}</th>
+                          <th scope="col">{t("webhooks.lastResponse")}</th>
+                          <th scope="col"><span className="visuallyHidden">{t("webhooks.redeliver")}</span></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {deliveries.map((d) => (
+                          <tr key={d.delivery_id}>
+                            <th scope="row">
+                              {eventLabel(d.type)}
+                              <div className="activityMeta">{formatDateTime(d.created_at)}</div>
+                            </th>
+                            <td>
+                              <span className={`deliveryState ${d.state}`}>{stateLabel(d.state)}</span>
+                              {d.state === "pending" && d.attempts.length ? (
+                                <div className="activityMeta">
+                                  {t("webhooks.nextAttempt", { date: formatDateTime(d.next_attempt_at) })}
+                                </div>
+                              ) : null}
+                            </td>
+                            <td>{formatNumber(d.attempts.length)}</td>
+                            <td>{attemptText(d.attempts[d.attempts.length - 1])}</td>
+                            <td>
+                              {d.state !== "pending" ? (
+                                <button
+                                  type="button"
+                                  className="linkBtn"
+                                  disabled={busy}
+                                  onClick={() => redeliver(d)}
+                                >
+                                  {t("webhooks.redeliver")}
+                                </button>
+                              ) : null}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <div className="hint">{t("webhooks.noDeliveries")}</div>
+                )
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="hint">{t("webhooks.empty")}</div>
+      )}
+      <FieldError id="webhooks-form-error" message={errors.form} />
+
+      <label className="label" htmlFor="webhook-url">{t("webhooks.url")}</label>
+      <input
+        id="webhook-url"
+        className="input"
+        inputMode="url"
+        placeholder="https://example.com/hooks/milestones"
+        value={url}
+        onChange={(e) => {
+          setUrl(e.target.value);
+          setErrors({});
+        }}
+        aria-invalid={Boolean(errors.url)}
+        aria-describedby="webhook-url-error"
+      />
+      <FieldError id="webhook-url-error" message={errors.url} />
+
+      <fieldset className="plainFieldset" aria-describedby="webhook-events-error">
+        <legend className="label">{t("webhooks.eventsLabel")}</legend>
+        {EVENTS.map((e) => (
+          <label key={e.value} className="webhookEvent">
+            <input
+              type="checkbox"
+              checked={events.includes(e.value)}
+              onChange={(ev) => toggleEvent(e.value, ev.target.checked)}
+            />{" "}
+            {t(e.labelKey)}
+          </label>
+        ))}
+      </fieldset>
+      <FieldError id="webhook-events-error" message={errors.events} />
+    </Modal>
+  );
+}
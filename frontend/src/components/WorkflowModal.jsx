@@ -0,0 +1,235 @@
+// useState / useEffect keep an editable copy of the catalog while open
+import { useEffect, useState } from "react";
+
+import Modal from "./Modal";
+import StatusTag from "./StatusTag";
+import { statusLabel, t } from "../i18n";
+
+// Template for a status added from the editor
+const NEW_STATUS = {
+  key: "",
+  label: "",
+  color: "#6b7280",
+  weight: 0,
+  counts_toward_completion: true,
+  transitions: null,
+  requires_attachment: false,
+};
+
+/**
+ * WorkflowModal Component
+ * -----------------------
+ * Editor for a journey's status workflow.
+ *
+ * Each status has a label, color, progress weight, whether it counts
+ * toward completion, whether a step needs an attachment to be set to
+ * it, and the statuses a step may move to next.
+ * Keys of existing statuses are read-only (steps refer to them).
+ *
+ * Props:
+ * - open (boolean): modal visibility
+ * - statuses (array): current catalog
+ * - onClose (function): closes without saving
+ * - onSubmit (function): called with the edited catalog
+ */
+export default function WorkflowModal({ open, statuses, onClose, onSubmit }) {
+  /* ============================
+     LOCAL DRAFT STATE
+     ============================ */
+
+  const [draft, setDraft] = useState([]);
+
+  // Start from a fresh copy every time the modal opens
+  useEffect(() => {
+    if (open) setDraft((statuses || []).map((s) => ({ ...s, isNew: false })));
+  }, [open, statuses]);
+
+  if (!open) return null;
+
+  // Updates a field of the status at index i
+  function setField(i, field, value) {
+    setDraft((d) => d.map((s, j) => (j === i ? { ...s, [field]: value } : s)));
+  }
+
+  // Changes the key of a new status, keeping transitions that point at it
+  function setKey(i, raw) {
+    const oldKey = draft[i].key;
+    const key = raw.toUpperCase().replace(/[^A-Z0-9_]/g, "_");
+    setDraft((d) =>
+      d.map((s, j) => ({
+        ...s,
+        key: j === i ? key : s.key,
+        transitions: s.transitions && s.transitions.map((k) => (k === oldKey ? key : k)),
+      }))
+    );
+  }
+
+  // Adds or removes `key` from the allowed transitions of status i
+  function toggleTransition(i, key) {
+    const current = draft[i].transitions || [];
+    setField(
+      i,
+      "transitions",
+      current.includes(key) ? current.filter((k) => k !== key) : [...current, key]
+    );
+  }
+
+  // Removes status i (and any transitions pointing at it)
+  function remove(i) {
+    const key = draft[i].key;
+    setDraft((d) =>
+      d
+        .filter((_, j) => j !== i)
+        .map((s) => ({
+          ...s,
+          transitions: s.transitions && s.transitions.filter((k) => k !== key),
+        }))
+    );
+  }
+
+  // Strips editor-only fields before submitting
+  function submit() {
+    onSubmit(
+      draft.map(({ isNew, ...s }) => ({ ...s, weight: Number(s.weight) }))
+    );
+  }
+
+  /* ============================
+     UI RENDER
+     ============================ */
+
+  return (
+    <Modal
+      open={open}
+      title={t("workflow.title")}
+      wide
+      bodyClassName="workflowList"
+      onClose={onClose}
+      onSubmit={submit}
+      actions={
+        <>
+          <button type="button" className="btn ghost" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+          <button type="submit" className="btn">
+            {t("common.save")}
+          </button>
+        </>
+      }
+    >
+      {draft.map((s, i) => (
+        <div className="workflowRow" key={i}>
+          <div className="rowBetween">
+            <StatusTag status={s.key} statuses={draft} />
+            <button
+              type="button"
+              className="iconBtn"
+              title={t("workflow.remove")}
+              disabled={draft.length === 1}
+              onClick={() => remove(i)}
+            >
+              🗑
+            </button>
+          </div>
+
+          <div className="workflowFields">
+            <label className="label">
+              {t("workflow.key")}
+              <input
+                className="input"
+                value={s.key}
+                disabled={!s.isNew}
+                placeholder="e.g., IN_REVIEW"
+                onChange={(e) => setKey(i, e.target.value)}
+              />
+            </label>
+
+            <label className="label">
+              {t("workflow.label")}
+              <input
+                className="input"
+                value={s.label}
+                onChange={(e) => setField(i, "label", e.target.value)}
+              />
+            </label>
+
+            <label className="label">
+              {t("workflow.color")}
+              <input
+                className="input colorInput"
+                type="color"
+                value={s.color}
+                onChange={(e) => setField(i, "color", e.target.value)}
+              />
+            </label>
+
+            <label className="label">
+              {t("workflow.weight")}
+              <input
+                className="input"
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={s.weight}
+                onChange={(e) => setField(i, "weight", e.target.value)}
+              />
+            </label>
+          </div>
+
+          <label className="checkRow">
+            <input
+              type="checkbox"
+              checked={s.counts_toward_completion}
+              onChange={(e) => setField(i, "counts_toward_completion", e.target.checked)}
+            />
+            {t("workflow.counts")}
+          </label>
+
+          <label className="checkRow">
+            <input
+              type="checkbox"
+              checked={Boolean(s.requires_attachment)}
+              onChange={(e) => setField(i, "requires_attachment", e.target.checked)}
+            />
+            {t("workflow.requiresAttachment")}
+          </label>
+
+          <div className="transitions">
+            <span className="label">{t("workflow.canMoveTo")}</span>
+            <label className="checkRow">
+              <input
+                type="checkbox"
+                checked={s.transitions == null}
+                onChange={(e) => setField(i, "transitions", e.target.checked ? null : [])}
+              />
+              {t("workflow.any")}
+            </label>
+            {s.transitions != null
+              ? draft
+                  .filter((target) => target.key && target.key !== s.key)
+                  .map((target) => (
+                    <label className="checkRow" key={target.key}>
+                      <input
+                        type="checkbox"
+                        checked={s.transitions.includes(target.key)}
+                        onChange={() => toggleTransition(i, target.key)}
+                      />
+                      {statusLabel(target) || target.key}
+                    </label>
+                  ))
+              : null}
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="btn ghost"
+        onClick={() => setDraft((d) => [...d, { ...NEW_STATUS, isNew: true }])}
+      >
+        {t("workflow.add")}
+      </button>
+    </Modal>
+  );
+}
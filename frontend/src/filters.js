@@ -0,0 +1,160 @@
+/**
+ * Step filters (all-steps view)
+ * -----------------------------
+ * Filters live in the URL query string so a filtered view can be
+ * shared or bookmarked, e.g.
+ *   /journeys/123/steps?q=aws&status=IN_PROGRESS,NOT_STARTED&owner=@me&due=overdue
+ *
+ * - q: words that must all appear in the step (name, description,
+ *   notes, owner, checklist items or stage name), case-insensitive
+ * - status: status keys (any of them)
+ * - owner: exact owner name (case-insensitive), or ME for whoever looks
+ * - due: "overdue" | "soon" | "none" (no due date)
+ * - state: "open" (not done) | "done"
+ *
+ * Saved views store the same object (see POST /api/journeys/:id/views).
+ */
+
+import { isDone, statusName } from "./journeyStore";
+import { dueLabel, dueState, todayIso } from "./schedule";
+import { formatList, t } from "./i18n";
+
+// Owner filter value meaning "the signed-in user" (see auth.js)
+export const ME = "@me";
+
+export const EMPTY_FILTERS = { q: "", status: [], owner: "", due: "", state: "" };
+
+// Views offered without saving anything (named in the catalogs, see viewName)
+export const PRESET_VIEWS = [
+  { preset: "mine", filters: { owner: ME, state: "open" } },
+  { preset: "overdue", filters: { due: "overdue" } },
+  { preset: "soon", filters: { due: "soon" } },
+];
+
+// Display name of a preset (translated) or saved view
+export function viewName(view) {
+  return view.preset ? t(`views.${view.preset}`) : view.name;
+}
+
+// Reads filters from a query string ("?q=...")
+export function parseFilters(search) {
+  const params = new URLSearchParams(search);
+  return {
+    q: params.get("q") || "",
+    status: (params.get("status") || "").split(",").filter(Boolean),
+    owner: params.get("owner") || "",
+    due: params.get("due") || "",
+    state: params.get("state") || "",
+  };
+}
+
+// Query string for filters (without "?"; only the filters that are set)
+export function filtersToQuery(filters) {
+  const params = new URLSearchParams();
+  const f = { ...EMPTY_FILTERS, ...filters };
+  if (f.q.trim()) params.set("q", f.q);
+  if (f.status.length) params.set("status", f.status.join(","));
+  if (f.owner) params.set("owner", f.owner);
+  if (f.due) params.set("due", f.due);
+  if (f.state) params.set("state", f.state);
+  // "," and "@" are fine in a query string and keep shared links readable
+  return params.toString().replace(/%2C/g, ",").replace(/%40/g, "@");
+}
+
+// True if any filter is set
+export function hasFilters(filters) {
+  return filtersToQuery(filters) !== "";
+}
+
+/**
+ * The filters that are set, in words (report header), e.g.
+ * ["Search: “aws”", "Status: In progress or Blocked", "Owner: Alex"]
+ * - me: signed-in user's name (for the "Me" owner filter)
+ */
+export function describeFilters(filters, statuses, me) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const parts = [];
+  if (f.q.trim()) parts.push(t("report.filters.q", { q: f.q.trim() }));
+  if (f.status.length) {
+    const names = f.status.map((key) => statusName(statuses, key));
+    parts.push(t("report.filters.status", { statuses: formatList(names, "disjunction") }));
+  }
+  if (f.owner) parts.push(t("report.filters.owner", { owner: f.owner === ME ? me : f.owner }));
+  if (f.due) parts.push(f.due === "none" ? t("allSteps.noDueDate") : dueLabel(f.due));
+  if (f.state) parts.push(t(`report.filters.${f.state}`));
+  return parts;
+}
+
+// True if two filter sets select the same steps (for highlighting a view)
+export function sameFilters(a, b) {
+  const sorted = (f) => ({ ...EMPTY_FILTERS, ...f, status: [...(f.status || [])].sort() });
+  return filtersToQuery(sorted(a)) === filtersToQuery(sorted(b));
+}
+
+/**
+ * True if a step matches every filter that is set
+ * - context: { statuses, me (signed-in user's name), today }
+ */
+export function matchesStep(step, stage, filters, { statuses, me, today }) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+
+  if (f.q.trim()) {
+    const text = [
+      step.name,
+      step.description,
+      step.notes,
+      step.owner,
+      ...(step.checklist || []).map((item) => item.text),
+      stage.name,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    const words = f.q.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.every((w) => text.includes(w))) return false;
+  }
+
+  if (f.status.length && !f.status.includes(step.status)) return false;
+
+  if (f.owner) {
+    const owner = f.owner === ME ? me : f.owner;
+    if (!owner || (step.owner || "").toLowerCase() !== owner.toLowerCase()) return false;
+  }
+
+  if (f.due === "none" && step.due_date) return false;
+  if ((f.due === "overdue" || f.due === "soon") && dueState(step, statuses, today) !== f.due) {
+    return false;
+  }
+
+  if (f.state === "open" && isDone(statuses, step.status)) return false;
+  if (f.state === "done" && !isDone(statuses, step.status)) return false;
+
+  return true;
+}
+
+/**
+ * Steps of the whole journey matching the filters, grouped by stage
+ * (stages without matches are left out): [{ stage, steps }]
+ */
+export function filterSteps(journey, filters, me) {
+  const context = { statuses: journey.statuses, me, today: todayIso() };
+  return journey.stages
+    .map((stage) => ({
+      stage,
+      steps: stage.steps.filter((step) => matchesStep(step, stage, filters, context)),
+    }))
+    .filter((group) => group.steps.length);
+}
+
+// Distinct owners in the journey, sorted (for the owner filter; the
+// filter ignores case, so "priya" and "Priya" are listed once)
+export function journeyOwners(journey) {
+  const owners = new Map();
+  for (const stage of journey.stages) {
+    for (const step of stage.steps) {
+      const owner = (step.owner || "").trim();
+      if (owner && !owners.has(owner.toLowerCase())) owners.set(owner.toLowerCase(), owner);
+    }
+  }
+  return [...owners.values()].sort((a, b) => a.localeCompare(b));
+}
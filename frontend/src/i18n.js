@@ -0,0 +1,200 @@
+// useSyncExternalStore lets components re-render when the language changes
+import { useSyncExternalStore } from "react";
+
+import en from "./locales/en";
+import de from "./locales/de";
+import ar from "./locales/ar";
+
+/**
+ * Translations & locale-aware formatting
+ * --------------------------------------
+ * UI text comes from a catalog per language (src/locales/*.js), looked
+ * up by key: t("app.noSteps"), t("app.stepDeleted", { name }).
+ * Placeholders are written {name}. A message with a `count` parameter
+ * may have plural forms ({ one, other }, plus zero / two / few / many
+ * where the language has them), picked with Intl.PluralRules.
+ * Keys missing from a catalog fall back to English, then to the key.
+ *
+ * Numbers, percentages and dates are formatted for the current locale
+ * (Intl). The chosen language is kept in localStorage; it also sets
+ * <html lang> and <html dir>, so right-to-left languages mirror the
+ * layout (see the logical properties in App.css).
+ */
+
+// Offered languages: code, own name (for the switcher), text direction
+export const LOCALES = [
+  { code: "en", name: "English", dir: "ltr" },
+  { code: "de", name: "Deutsch", dir: "ltr" },
+  { code: "ar", name: "العربية", dir: "rtl" },
+];
+
+const CATALOGS = { en, de, ar };
+
+const STORAGE_KEY = "milestone.locale";
+
+// Custom event fired when the language changes
+const LOCALE_EVENT = "app:locale";
+
+// Saved choice, else the browser's language if offered, else English
+function initialLocale() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    // Storage disabled: use the browser's language
+  }
+  if (CATALOGS[saved]) return saved;
+
+  const preferred = (navigator.languages || [navigator.language || ""]).map((l) => l.slice(0, 2));
+  return preferred.find((l) => CATALOGS[l]) || "en";
+}
+
+let current = initialLocale();
+applyToDocument();
+
+// Language and direction of the page (screen readers, RTL layout)
+function applyToDocument() {
+  document.documentElement.lang = current;
+  document.documentElement.dir = localeInfo().dir;
+}
+
+// Code of the current language ("en", "de", "ar")
+export function getLocale() {
+  return current;
+}
+
+// { code, name, dir } of the current language
+export function localeInfo(code = current) {
+  return LOCALES.find((l) => l.code === code) || LOCALES[0];
+}
+
+// Switches the language (saved for the next visit)
+export function setLocale(code) {
+  if (!CATALOGS[code] || code === current) return;
+  current = code;
+  try {
+    localStorage.setItem(STORAGE_KEY, code);
+  } catch {
+    // Storage disabled: the choice lasts until the tab is closed
+  }
+  formatters.clear();
+  applyToDocument();
+  window.dispatchEvent(new Event(LOCALE_EVENT));
+}
+
+function subscribe(callback) {
+  window.addEventListener(LOCALE_EVENT, callback);
+  return () => window.removeEventListener(LOCALE_EVENT, callback);
+}
+
+// Hook: the current language code (re-renders when it changes)
+export function useLocale() {
+  return useSyncExternalStore(subscribe, getLocale);
+}
+
+/* ============================
+   MESSAGES
+   ============================ */
+
+// Message (or plural forms) at a dotted key, e.g. "app.noSteps"
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node == null ? node : node[part]), catalog);
+}
+
+/**
+ * Translated text for a key
+ * - params: values for the {placeholders}; `count` also picks the
+ *   plural form and is inserted as a formatted number
+ */
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[current], key) ?? lookup(en, key);
+  if (message == null) return key;
+
+  if (typeof message === "object") {
+    const form = typeof params.count === "number" ? pluralRules().select(params.count) : "other";
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value ?? "");
+  });
+}
+
+// True if the catalogs have a message for this key
+export function hasMessage(key) {
+  return lookup(en, key) != null;
+}
+
+/* ============================
+   FORMATTING
+   ============================ */
+
+// Intl formatters are slow to create: one per locale + options
+const formatters = new Map();
+
+function cached(kind, options, create) {
+  const id = `${kind}:${JSON.stringify(options)}`;
+  if (!formatters.has(id)) formatters.set(id, create());
+  return formatters.get(id);
+}
+
+function pluralRules() {
+  return cached("plural", {}, () => new Intl.PluralRules(current));
+}
+
+// 1234.5 -> "1,234.5" / "1.234,5" / "١٬٢٣٤٫٥"
+export function formatNumber(value, options = {}) {
+  return cached("number", options, () => new Intl.NumberFormat(current, options)).format(value);
+}
+
+// 40 (a percentage as the API sends it) -> "40%" / "40 %" / "٤٠٪"
+export function formatPercent(pct) {
+  return formatNumber((pct || 0) / 100, { style: "percent", maximumFractionDigits: 0 });
+}
+
+/**
+ * "YYYY-MM-DD" -> localized date, e.g. "Mar 31, 2026" / "31.03.2026"
+ * - options: Intl.DateTimeFormat options (default: medium date)
+ * Calendar dates are formatted in UTC so the day can't shift.
+ */
+export function formatDate(iso, options = { dateStyle: "medium" }) {
+  if (!iso) return "";
+  const [y, m, d] = iso.split("-").map(Number);
+  const format = cached("date", options, () =>
+    new Intl.DateTimeFormat(current, { ...options, timeZone: "UTC" })
+  );
+  return format.format(new Date(Date.UTC(y, m - 1, d)));
+}
+
+// Timestamp (ISO string) -> local date and time
+export function formatDateTime(at) {
+  const format = cached("datetime", {}, () =>
+    new Intl.DateTimeFormat(current, { dateStyle: "medium", timeStyle: "short" })
+  );
+  return format.format(new Date(at));
+}
+
+// Joins names as a list: "A, B and C" / "A, B und C" / "A وB وC"
+// - type: "conjunction" (and) or "disjunction" (or)
+export function formatList(items, type = "conjunction") {
+  return cached("list", { type }, () => new Intl.ListFormat(current, { type })).format(items);
+}
+
+/* ============================
+   STATUS LABELS
+   ============================ */
+
+/**
+ * Label of a status from the journey catalog. The built-in statuses
+ * (still labeled as the server created them) are translated; a label
+ * an owner changed in the workflow editor is shown as typed.
+ * - status: catalog entry ({ key, label }), or null
+ * - key: shown when the status isn't in the catalog
+ */
+export function statusLabel(status, key) {
+  if (!status) return key ?? "";
+  const builtIn = lookup(en, `statuses.${status.key}`);
+  return builtIn && builtIn === status.label ? t(`statuses.${status.key}`) : status.label;
+}
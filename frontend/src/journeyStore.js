@@ -0,0 +1,514 @@
+/**
+ * Client-side journey store
+ * --------------------------
+ * A reducer that owns the journey currently on screen.
+ *
+ * Mutations are applied locally first (optimistic UI) and the
+ * completion percentages are recomputed here with the same rules
+ * as the backend, so the UI never has to wait for a refetch.
+ *
+ * If the server rejects a change, the caller rolls it back by
+ * dispatching the inverse action (e.g. "stepRemoved" for a failed
+ * "stepAdded"), using the lookup helpers at the bottom to capture
+ * what is needed before the change is applied.
+ *
+ * A journey is loaded as its stages first; each stage's steps follow
+ * page by page ("stepsLoaded"). Until all of them are there the stage
+ * is partial (see isPartial) and keeps the server's percentages.
+ */
+
+import { statusLabel } from "./i18n";
+
+/* ============================
+   STATUS WORKFLOW
+   ============================ */
+
+// Each journey carries its own status catalog (journey.statuses):
+// { key, label, color, weight, counts_toward_completion, transitions }
+
+// Finds a status definition by key (null if unknown)
+export function findStatus(statuses, key) {
+  return (statuses || []).find((s) => s.key === key) || null;
+}
+
+// Display label of a status key (translated if built in, see i18n.js)
+export function statusName(statuses, key) {
+  return statusLabel(findStatus(statuses, key), key);
+}
+
+/**
+ * Statuses a step may move to from `current`
+ * (including `current` itself, so it can be shown as selected).
+ * transitions === null means any status is allowed.
+ */
+export function allowedStatuses(statuses, current) {
+  const from = findStatus(statuses, current);
+  if (!from || from.transitions == null) return statuses || [];
+
+  return (statuses || []).filter(
+    (s) => s.key === current || from.transitions.includes(s.key)
+  );
+}
+
+// True if moving to this status starts work (weight above 0), which
+// a step with unfinished prerequisites isn't allowed to do
+export function startsWork(statuses, key) {
+  return (findStatus(statuses, key)?.weight ?? 0) > 0;
+}
+
+// True if a step can't be set to this status yet: the status needs an
+// attachment (e.g. the evidence for Completed) and the step has none
+export function missingAttachment(statuses, step, key) {
+  return Boolean(findStatus(statuses, key)?.requires_attachment) && !step?.attachments?.length;
+}
+
+// Prefix for ids created locally before the server assigns a real one
+const TEMP_PREFIX = "tmp-";
+let tempCounter = 0;
+
+// Differs per page load, so temporary ids kept in the offline copy
+// of a journey can't clash with ones created after a reload
+const TEMP_SESSION = Date.now().toString(36);
+
+// Generates a temporary id for an optimistic stage/step
+export function tempId() {
+  tempCounter += 1;
+  return `${TEMP_PREFIX}${TEMP_SESSION}-${tempCounter}`;
+}
+
+// True while an item only exists locally (request still in flight)
+export function isTempId(id) {
+  return typeof id === "string" && id.startsWith(TEMP_PREFIX);
+}
+
+/* ============================
+   PROGRESS CALCULATION
+   ============================ */
+
+// Rounds like Python's round() (halves go to the even neighbour),
+// so percentages match the backend exactly
+function roundHalfEven(x) {
+  const r = Math.round(x);
+  return x % 1 === 0.5 && r % 2 !== 0 ? r - 1 : r;
+}
+
+// Effort of a step without one (mirrors DEFAULT_EFFORT in the backend)
+export const DEFAULT_EFFORT = 1;
+
+/**
+ * Progress of one step (0..1): its status weight, or the share of its
+ * checklist that is done when that is higher.
+ * Mirrors step_progress() in the backend.
+ */
+export function stepProgress(step, statuses) {
+  const weight = findStatus(statuses, step.status)?.weight ?? 0;
+  const items = step.checklist || [];
+  if (!items.length) return weight;
+  return Math.max(weight, items.filter((item) => item.done).length / items.length);
+}
+
+/**
+ * Calculates completion percentage: the average progress of the steps,
+ * weighted by their effort.
+ * Steps whose status doesn't count toward completion are ignored.
+ * Mirrors calc_pct() in the backend.
+ */
+export function calcPct(steps, statuses) {
+  const counted = (steps || []).filter(
+    (step) => findStatus(statuses, step.status)?.counts_toward_completion ?? true
+  );
+  const effort = (step) => step.effort ?? DEFAULT_EFFORT;
+
+  const totalEffort = counted.reduce((sum, step) => sum + effort(step), 0);
+  if (!totalEffort) return 0;
+
+  const done = counted.reduce((sum, step) => sum + effort(step) * stepProgress(step, statuses), 0);
+  return roundHalfEven((done / totalEffort) * 100);
+}
+
+/**
+ * True while some of a stage's steps haven't been fetched yet:
+ * steps_loaded (how far its pages got) is below step_count (the
+ * server's count). Stages without them came with all their steps.
+ */
+export function isPartial(stage) {
+  return stage.steps_loaded !== undefined && stage.steps_loaded < stage.step_count;
+}
+
+// Steps fetched so far and in all, or null once every stage is complete
+export function loadProgress(journey) {
+  const stages = journey?.stages || [];
+  if (!stages.some(isPartial)) return null;
+  return {
+    loaded: stages.reduce((sum, s) => sum + s.steps.length, 0),
+    total: stages.reduce((sum, s) => sum + (isPartial(s) ? s.step_count : s.steps.length), 0),
+  };
+}
+
+/**
+ * Returns a copy of the journey with step progress, stage and journey
+ * completion percentages recalculated.
+ * Mirrors recompute() in the backend. While stages are partial, their
+ * (and the journey's) percentages and the blockers among steps not
+ * fetched yet stay as the server sent them.
+ */
+export function recompute(journey) {
+  const statuses = journey.statuses || [];
+  const partial = (journey.stages || []).some(isPartial);
+
+  const stages = (journey.stages || []).map((stage) => {
+    const steps = (stage.steps || []).map((step) => ({
+      ...step,
+      progress_pct: roundHalfEven(stepProgress(step, statuses) * 100),
+    }));
+    const completion = isPartial(stage) ? stage.completion_pct : calcPct(steps, statuses);
+    return { ...stage, steps, completion_pct: completion };
+  });
+
+  const allSteps = stages.flatMap((stage) => stage.steps);
+
+  // Prerequisites that aren't done yet (ids), like the backend
+  const byId = new Map(allSteps.map((step) => [step.step_id, step]));
+  const waiting = (step, id) =>
+    byId.has(id) ? !isDone(statuses, byId.get(id).status) : partial && (step.blocked_by || []).includes(id);
+  const withBlockers = stages.map((stage) => ({
+    ...stage,
+    steps: stage.steps.map((step) => ({
+      ...step,
+      depends_on: step.depends_on || [],
+      blocked_by: (step.depends_on || []).filter((id) => waiting(step, id)),
+    })),
+  }));
+
+  return {
+    ...journey,
+    statuses,
+    stages: withBlockers,
+    completion_pct: partial ? journey.completion_pct : calcPct(allSteps, statuses),
+  };
+}
+
+/* ============================
+   DEPENDENCIES
+   ============================ */
+
+/**
+ * A prerequisite is done when its status is fully complete (weight 1)
+ * or doesn't count toward completion (e.g. "Not applicable").
+ * Mirrors is_done() in the backend.
+ */
+export function isDone(statuses, key) {
+  const status = findStatus(statuses, key);
+  if (!status) return false;
+  return status.weight >= 1 || !status.counts_toward_completion;
+}
+
+// All steps of the journey by id (across stages)
+export function stepsById(journey) {
+  return new Map(
+    (journey?.stages || []).flatMap((stage) => stage.steps.map((step) => [step.step_id, step]))
+  );
+}
+
+// Display names of the members assigned to a step (former members skipped)
+export function assigneeNames(journey, step) {
+  const members = journey?.members || [];
+  return (step?.assignees || [])
+    .map((id) => members.find((m) => m.user_id === id)?.name)
+    .filter(Boolean);
+}
+
+// Steps that keep this step from starting (unfinished prerequisites)
+export function blockingSteps(journey, step) {
+  const byId = stepsById(journey);
+  return (step?.blocked_by || []).map((id) => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * True if making stepId depend on depId would create a cycle,
+ * i.e. depId already (indirectly) depends on stepId.
+ * Mirrors find_cycle() in the backend.
+ */
+export function wouldCycle(journey, stepId, depId) {
+  const byId = stepsById(journey);
+  const seen = new Set();
+  const pending = [depId];
+
+  while (pending.length) {
+    const current = pending.pop();
+    if (current === stepId) return true;
+    if (seen.has(current) || !byId.has(current)) continue;
+
+    seen.add(current);
+    pending.push(...(byId.get(current).depends_on || []));
+  }
+  return false;
+}
+
+/**
+ * Order in which to give several steps the same status (bulk change):
+ * a step that would start waits for its prerequisites, which count as
+ * finished when they get a done status earlier in the same change.
+ * Returns { ordered, blocked } (blocked: steps that still can't start).
+ */
+export function planStatusChange(journey, steps, status) {
+  const starting = startsWork(journey.statuses, status);
+  const finishing = isDone(journey.statuses, status);
+
+  const ordered = [];
+  const placed = new Set();
+  let pending = steps;
+  while (pending.length) {
+    const ready = pending.filter(
+      (step) =>
+        !starting ||
+        blockingSteps(journey, step).every((b) => finishing && placed.has(b.step_id))
+    );
+    if (!ready.length) break;
+
+    for (const step of ready) {
+      ordered.push(step);
+      placed.add(step.step_id);
+    }
+    pending = pending.filter((step) => !placed.has(step.step_id));
+  }
+  return { ordered, blocked: pending };
+}
+
+/* ============================
+   REDUCER
+   ============================ */
+
+// Applies fn to the stage with the given id
+function mapStage(journey, stageId, fn) {
+  return {
+    ...journey,
+    stages: journey.stages.map((s) => (s.stage_id === stageId ? fn(s) : s)),
+  };
+}
+
+// Applies fn to every stage's steps list
+function mapSteps(journey, fn) {
+  return {
+    ...journey,
+    stages: journey.stages.map((s) => ({ ...s, steps: fn(s.steps, s) })),
+  };
+}
+
+/**
+ * A step left a stage: while the stage is partial, the server's list
+ * up to steps_loaded (where the next page starts) is one shorter.
+ * Steps that only exist locally were never part of it.
+ */
+function stepLeft(stage, stepId) {
+  if (!isPartial(stage) || isTempId(stepId)) return stage;
+  return { ...stage, steps_loaded: stage.steps_loaded - 1, step_count: stage.step_count - 1 };
+}
+
+// Inserts an item at index (clamped to the list bounds)
+function insertAt(list, index, item) {
+  const i = Math.max(0, Math.min(index ?? list.length, list.length));
+  return [...list.slice(0, i), item, ...list.slice(i)];
+}
+
+/**
+ * Journey reducer
+ * - state: the journey object (or null when nothing is loaded)
+ */
+export function journeyReducer(journey, action) {
+  // Replacing the whole journey (fetch result / reset) needs no prior state
+  if (action.type === "loaded") {
+    return action.journey ? recompute(action.journey) : null;
+  }
+
+  if (!journey) return journey;
+
+  let next;
+
+  switch (action.type) {
+    // action.from (optional): only apply if the step still has that
+    // status, so a late rollback can't clobber a newer change
+    case "stepStatusSet":
+      next = mapSteps(journey, (steps) =>
+        steps.map((t) =>
+          t.step_id === action.stepId &&
+          (action.from === undefined || t.status === action.from)
+            ? { ...t, status: action.status }
+            : t
+        )
+      );
+      break;
+
+    // Replaces the journey's status workflow
+    case "statusesSet":
+      next = { ...journey, statuses: action.statuses };
+      break;
+
+    // Merges edited fields (name, description, owner, ...) into a step
+    case "stepUpdated":
+      next = mapSteps(journey, (steps) =>
+        steps.map((t) =>
+          t.step_id === action.stepId ? { ...t, ...action.changes } : t
+        )
+      );
+      break;
+
+    case "stageUpdated":
+      next = mapStage(journey, action.stageId, (s) => ({
+        ...s,
+        ...action.changes,
+      }));
+      break;
+
+    case "stageAdded":
+      next = {
+        ...journey,
+        stages: insertAt(journey.stages, action.index, {
+          steps: [],
+          completion_pct: 0,
+          ...action.stage,
+        }),
+      };
+      break;
+
+    case "stageRemoved":
+      next = {
+        ...journey,
+        stages: journey.stages.filter((s) => s.stage_id !== action.stageId),
+      };
+      break;
+
+    // temp_id is kept so a URL still pointing at the temporary
+    // id can be redirected to the real one
+    case "stageIdAssigned":
+      next = mapStage(journey, action.tempId, (s) => ({
+        ...s,
+        stage_id: action.stageId,
+        temp_id: action.tempId,
+      }));
+      break;
+
+    case "stepAdded":
+      next = mapStage(journey, action.stageId, (s) => ({
+        ...s,
+        steps: insertAt(s.steps, action.index, action.step),
+      }));
+      break;
+
+    case "stepRemoved": {
+      const found = findStep(journey, action.stepId);
+      if (!found) return journey;
+
+      next = mapStage(journey, found.stage.stage_id, (s) => ({
+        ...stepLeft(s, action.stepId),
+        steps: s.steps.filter((t) => t.step_id !== action.stepId),
+      }));
+      break;
+    }
+
+    // A page of a stage's steps, fetched from `offset`: ignored unless
+    // it continues where the stage's loaded steps end (a reload or
+    // another page came first); steps already here are skipped
+    case "stepsLoaded":
+      next = mapStage(journey, action.stageId, (s) => {
+        if (s.steps_loaded !== action.offset) return s;
+        const known = new Set(s.steps.map((t) => t.step_id));
+        return {
+          ...s,
+          steps: [...s.steps, ...action.steps.filter((t) => !known.has(t.step_id))],
+          steps_loaded: action.offset + action.steps.length,
+          step_count: action.total,
+        };
+      });
+      break;
+
+    // An uploaded (or restored) attachment; index: where it was before
+    case "attachmentAdded":
+      next = mapSteps(journey, (steps) =>
+        steps.map((t) =>
+          t.step_id === action.stepId
+            ? { ...t, attachments: insertAt(t.attachments || [], action.index, action.attachment) }
+            : t
+        )
+      );
+      break;
+
+    case "attachmentRemoved":
+      next = mapSteps(journey, (steps) =>
+        steps.map((t) =>
+          t.step_id === action.stepId
+            ? {
+                ...t,
+                attachments: (t.attachments || []).filter(
+                  (a) => a.attachment_id !== action.attachmentId
+                ),
+              }
+            : t
+        )
+      );
+      break;
+
+    // Prerequisite lists pointing at the temporary id follow along
+    case "stepIdAssigned":
+      next = mapSteps(journey, (steps) =>
+        steps.map((t) => ({
+          ...t,
+          step_id: t.step_id === action.tempId ? action.stepId : t.step_id,
+          depends_on: (t.depends_on || []).map((id) =>
+            id === action.tempId ? action.stepId : id
+          ),
+        }))
+      );
+      break;
+
+    // Reorder: remove the stage, then insert it at the new index
+    case "stageMoved": {
+      const found = findStage(journey, action.stageId);
+      if (!found) return journey;
+
+      const rest = journey.stages.filter((s) => s.stage_id !== action.stageId);
+      next = { ...journey, stages: insertAt(rest, action.index, found.stage) };
+      break;
+    }
+
+    // Reorder within a stage, or move to another stage (toStageId)
+    case "stepMoved": {
+      const found = findStep(journey, action.stepId);
+      if (!found) return journey;
+
+      const removed = mapStage(journey, found.stage.stage_id, (s) => ({
+        ...stepLeft(s, action.stepId),
+        steps: s.steps.filter((t) => t.step_id !== action.stepId),
+      }));
+      next = mapStage(removed, action.toStageId, (s) => ({
+        ...s,
+        steps: insertAt(s.steps, action.index, found.step),
+      }));
+      break;
+    }
+
+    default:
+      return journey;
+  }
+
+  return recompute(next);
+}
+
+/* ============================
+   LOOKUP HELPERS
+   ============================ */
+
+// Finds a stage and its position in the journey
+export function findStage(journey, stageId) {
+  const index = journey?.stages.findIndex((s) => s.stage_id === stageId) ?? -1;
+  return index === -1 ? null : { stage: journey.stages[index], index };
+}
+
+// Finds a step, its owning stage and its position within that stage
+export function findStep(journey, stepId) {
+  for (const stage of journey?.stages || []) {
+    const index = stage.steps.findIndex((t) => t.step_id === stepId);
+    if (index !== -1) return { stage, step: stage.steps[index], index };
+  }
+  return null;
+}
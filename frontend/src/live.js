@@ -0,0 +1,72 @@
+// useState exposes the connection status; useRef keeps the latest handler
+import { useEffect, useRef, useState } from "react";
+
+import { withToken } from "./auth";
+
+/**
+ * Live journey updates
+ * --------------------
+ * Each browser tab gets a random client id, sent as X-Client-Id on
+ * every change. The server pushes every change of the open journey
+ * over Server-Sent Events (GET /api/journeys/:id/stream) together
+ * with the id of the tab that made it, so a tab can ignore its own
+ * changes (already applied optimistically) and reload on others'.
+ */
+
+// Random id of this tab (not stored: every tab is its own client)
+export const clientId =
+  globalThis.crypto?.randomUUID?.() ||
+  `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Header identifying this tab on a mutating request
+export function clientHeaders() {
+  return { "X-Client-Id": clientId };
+}
+
+/**
+ * Subscribes to a journey's change stream while journeyId is set
+ * - onMessage({ type: "hello" | "change", data }) gets parsed messages:
+ *   hello  -> { version } sent on every (re)connect
+ *   change -> { event, version, client_id } for every change
+ * Returns the connection status: "connecting" | "live" | "offline".
+ * EventSource reconnects by itself after network errors.
+ */
+export function useJourneyStream(journeyId, onMessage) {
+  const [status, setStatus] = useState("connecting");
+
+  // Latest handler, so reconnecting isn't needed when it changes
+  const handlerRef = useRef(onMessage);
+  handlerRef.current = onMessage;
+
+  useEffect(() => {
+    if (!journeyId || typeof EventSource === "undefined") {
+      setStatus("offline");
+      return undefined;
+    }
+
+    setStatus("connecting");
+    const source = new EventSource(
+      withToken(`/api/journeys/${encodeURIComponent(journeyId)}/stream`)
+    );
+
+    function listen(type) {
+      source.addEventListener(type, (e) => {
+        try {
+          handlerRef.current({ type, data: JSON.parse(e.data) });
+        } catch {
+          // Ignore malformed messages
+        }
+      });
+    }
+
+    source.onopen = () => setStatus("live");
+    source.onerror = () =>
+      setStatus(source.readyState === EventSource.CLOSED ? "offline" : "connecting");
+    listen("hello");
+    listen("change");
+
+    return () => source.close();
+  }, [journeyId]);
+
+  return status;
+}
@@ -0,0 +1,896 @@
+/**
+ * Arabic messages (right to left)
+ * -------------------------------
+ * Same keys and {placeholders} as en.js; a missing key falls back to
+ * English (see i18n.js). Counted messages have all six Arabic plural
+ * forms. Arrows point left, the reading direction.
+ */
+export default {
+  common: {
+    add: "إضافة",
+    cancel: "إلغاء",
+    close: "إغلاق",
+    create: "إنشاء",
+    delete: "حذف",
+    description: "الوصف",
+    discard: "تجاهل",
+    dismiss: "إخفاء",
+    moveTo: "نقل إلى…",
+    optional: "اختياري",
+    reason: "السبب: {reason}",
+    refresh: "تحديث",
+    retry: "إعادة المحاولة",
+    save: "حفظ",
+    undo: "تراجع",
+    username: "اسم المستخدم",
+    stageCount: {
+      zero: "لا مراحل",
+      one: "مرحلة واحدة",
+      two: "مرحلتان",
+      few: "{count} مراحل",
+      many: "{count} مرحلة",
+      other: "{count} مرحلة",
+    },
+    stepCount: {
+      zero: "لا خطوات",
+      one: "خطوة واحدة",
+      two: "خطوتان",
+      few: "{count} خطوات",
+      many: "{count} خطوة",
+      other: "{count} خطوة",
+    },
+    complete: "{pct} مكتمل",
+  },
+
+  // Built-in statuses (as the server creates them; renamed ones aren't translated)
+  statuses: {
+    NOT_STARTED: "لم تبدأ",
+    IN_PROGRESS: "قيد التنفيذ",
+    COMPLETED: "مكتملة",
+    IN_REVIEW: "قيد المراجعة",
+    BLOCKED: "معلّقة",
+    NOT_APPLICABLE: "لا تنطبق",
+  },
+
+  roles: {
+    viewer: "مشاهد",
+    contributor: "مساهم",
+    owner: "مالك",
+  },
+
+  dates: {
+    range: "{start} ← {due}",
+    from: "من {start}",
+    due: "تستحق {due}",
+    overdue: "متأخرة",
+    soon: "تستحق قريبًا",
+  },
+
+  statusTag: {
+    notCounted: "لا تُحتسب في الإنجاز",
+  },
+
+  blocked: {
+    badge: "معلّقة",
+    waitingFor: "بانتظار: {steps}",
+  },
+
+  switcher: {
+    title: "تبديل الرحلة",
+    all: "كل الرحلات",
+  },
+
+  progress: {
+    checklistTitle: "قائمة التحقق: {done} من {count} منجزة (الخطوة عند {pct})",
+    effort: "الجهد {effort}",
+    effortTitle: "الجهد (الخطوات الأكبر تُحتسب أكثر في التقدم)",
+    comments: "التعليقات",
+  },
+
+  sync: {
+    connecting: "جارٍ الاتصال…",
+    connectingTitle: "جارٍ الاتصال بالتحديثات المباشرة…",
+    live: "مباشر",
+    liveTitle: "تظهر تغييرات الآخرين تلقائيًا",
+    offline: "غير متصل",
+    offlineTitle: "التحديثات المباشرة غير متاحة — أعد التحميل لرؤية تغييرات الآخرين",
+    offlinePending: {
+      zero: "غير متصل · لا تغييرات معلّقة",
+      one: "غير متصل · تغيير واحد معلّق",
+      two: "غير متصل · تغييران معلّقان",
+      few: "غير متصل · {count} تغييرات معلّقة",
+      many: "غير متصل · {count} تغييرًا معلّقًا",
+      other: "غير متصل · {count} تغيير معلّق",
+    },
+    unreachableTitle: "تعذّر الوصول إلى الخادم — تُحفظ التغييرات على هذا الجهاز وتُرسل عند عودته",
+    rejected: "{count} مرفوضة",
+    rejectedTitle: "رفض الخادم بعض التغييرات التي أُجريت دون اتصال",
+  },
+
+  activity: {
+    filters: {
+      all: "كل النشاط",
+      status: "تغييرات الحالة",
+      steps: "الخطوات",
+      stages: "المراحل",
+      workflow: "سير العمل",
+      members: "الأعضاء",
+    },
+    fields: {
+      name: "الاسم",
+      description: "الوصف",
+      owner: "المسؤول",
+      notes: "الملاحظات",
+      effort: "الجهد",
+      start_date: "تاريخ البدء",
+      due_date: "تاريخ الاستحقاق",
+      depends_on: "المتطلبات السابقة",
+      checklist: "قائمة التحقق",
+      assignees: "المكلَّفون",
+    },
+    events: {
+      statusChanged: "{name}: {old} ← {new}",
+      stepAdded: "أُضيفت الخطوة «{name}» ({status})",
+      stepDeleted: "حُذفت الخطوة «{name}»",
+      stepRestored: "استُعيدت الخطوة «{name}»",
+      stepRenamed: "أُعيدت تسمية خطوة: «{old}» ← «{new}»",
+      stepUpdated: "{name}: تم تحديث {fields}",
+      commented: "{name}: أُضيف تعليق",
+      commentDeleted: "{name}: حُذف تعليق",
+      commentRestored: "{name}: استُعيد تعليق",
+      attachmentAdded: "{name}: أُرفق «{filename}»",
+      attachmentDeleted: "{name}: حُذف المرفق «{filename}»",
+      attachmentRestored: "{name}: استُعيد المرفق «{filename}»",
+      stepReordered: "أُعيد ترتيب الخطوة «{name}»",
+      stepMoved: "نُقلت الخطوة «{name}» إلى {stage}",
+      stageAdded: "أُضيفت المرحلة «{name}»",
+      stageDeleted: "حُذفت المرحلة «{name}»",
+      stageRestored: "استُعيدت المرحلة «{name}»",
+      stageRenamed: "أُعيدت تسمية مرحلة: «{old}» ← «{new}»",
+      stageUpdated: "المرحلة «{name}»: تم تحديث {fields}",
+      stageMoved: "نُقلت المرحلة «{name}» إلى الموضع {position}",
+      journeyCreated: "أُنشئت الرحلة «{name}»",
+      journeyImported: "اُستوردت الرحلة «{name}»",
+      journeyFromTemplate: "أُنشئت الرحلة «{name}» من قالب",
+      workflowUpdated: "تم تحديث سير عمل الحالات",
+      memberAdded: "أُضيف {name} بدور {role}",
+      memberRoleChanged: "{name}: {old} ← {new}",
+      memberLeft: "غادر {name} الرحلة",
+      memberRemoved: "أُزيل {name} من الرحلة",
+    },
+  },
+
+  timeline: {
+    title: "النشاط",
+    kind: "نوع التغيير",
+    stage: "المرحلة",
+    allStages: "كل المراحل",
+    actor: "الشخص",
+    actorPlaceholder: "التصفية حسب الشخص",
+    loading: "جارٍ تحميل النشاط...",
+    empty: "لا يوجد نشاط يطابق عوامل التصفية هذه.",
+  },
+
+  updateStatus: {
+    title: "تحديث الحالة",
+    step: "الخطوة:",
+    blocked: "معلّقة — بانتظار {steps}",
+    needsAttachment: {
+      zero: "{statuses} تحتاج إلى مرفق — أضف واحدًا في تفاصيل الخطوة أولًا.",
+      one: "{statuses} تحتاج إلى مرفق — أضف واحدًا في تفاصيل الخطوة أولًا.",
+      two: "{statuses} تحتاجان إلى مرفق — أضف واحدًا في تفاصيل الخطوة أولًا.",
+      few: "{statuses} تحتاج إلى مرفق — أضف واحدًا في تفاصيل الخطوة أولًا.",
+      many: "{statuses} تحتاج إلى مرفق — أضف واحدًا في تفاصيل الخطوة أولًا.",
+      other: "{statuses} تحتاج إلى مرفق — أضف واحدًا في تفاصيل الخطوة أولًا.",
+    },
+    newStatus: "الحالة الجديدة",
+  },
+
+  bulk: {
+    label: "إجراءات جماعية",
+    selected: "{count} محددة",
+    setStatus: "تعيين الحالة…",
+    setStatusLabel: "تعيين حالة الخطوات المحددة",
+    moveLabel: "نقل الخطوات المحددة إلى مرحلة",
+    clear: "مسح التحديد",
+  },
+
+  addStage: {
+    title: "إضافة مرحلة",
+    name: "اسم المرحلة",
+    namePlaceholder: "مثلًا: تقييم المخاطر",
+    nameRequired: "اسم المرحلة مطلوب",
+  },
+
+  templates: {
+    title: "القوالب",
+    loading: "جارٍ جلب القوالب...",
+    empty: "لا توجد قوالب بعد",
+    starter: "أساسي",
+    use: "استخدام",
+    delete: "حذف القالب",
+  },
+
+  journeys: {
+    title: "الرحلات",
+    import: "استيراد…",
+    new: "رحلة جديدة",
+    loading: "جارٍ جلب الرحلات...",
+    loadFailed: "تعذّر تحميل الرحلات",
+    empty: "لا توجد رحلات بعد — أنشئ واحدة، أو اطلب من مالك إضافتك",
+  },
+
+  shortcuts: {
+    title: "اختصارات لوحة المفاتيح",
+    groups: {
+      anywhere: "في أي مكان",
+      stageList: "قائمة المراحل",
+      steps: "الخطوات",
+    },
+    keys: {
+      palette: "لوحة الأوامر",
+      cheatSheet: "هذه القائمة",
+      search: "البحث في كل الخطوات",
+      undo: "تراجع",
+      redo: "إعادة",
+      close: "إغلاق الحوار أو اللوحة",
+      stagePrevNext: "المرحلة السابقة / التالية",
+      openStage: "فتح المرحلة",
+      toSteps: "الانتقال إلى خطوات المرحلة",
+      moveStage: "نقل المرحلة لأعلى / لأسفل",
+      deleteStage: "حذف المرحلة",
+      stepPrevNext: "الخطوة السابقة / التالية",
+      toStages: "العودة إلى قائمة المراحل",
+      status: "الحالة التالية / السابقة",
+      openDetails: "فتح التفاصيل",
+      rename: "إعادة التسمية",
+      select: "تحديد / تحديد نطاق (إجراءات جماعية)",
+      moveStep: "نقل الخطوة لأعلى / لأسفل",
+      deleteStep: "حذف الخطوة",
+    },
+  },
+
+  export: {
+    menu: "تصدير",
+    formats: {
+      json: "JSON (الرحلة كاملة، قابلة لإعادة الاستيراد)",
+      csv: "CSV (صف لكل خطوة)",
+      md: "قائمة تحقق Markdown",
+    },
+  },
+
+  palette: {
+    title: "لوحة الأوامر",
+    search: "البحث في الأوامر",
+    placeholder: "اكتب أمرًا، مثلًا «إضافة خطوة» أو «الانتقال إلى التأهيل»",
+    commands: "الأوامر",
+    empty: "لا أوامر مطابقة",
+    cmd: {
+      addStep: "إضافة خطوة",
+      addStage: "إضافة مرحلة",
+      goToStage: "الانتقال إلى المرحلة: {name}",
+      timeline: "فتح سجل النشاط",
+      graph: "فتح مخطط الاعتماديات",
+      schedule: "فتح الجدول الزمني (مخطط جانت)",
+      analytics: "فتح التحليلات (مخطط الإنجاز)",
+      report: "فتح التقرير القابل للطباعة",
+      view: "العرض: {name}",
+      workflow: "تعديل سير عمل الحالات",
+      saveTemplate: "حفظ الرحلة كقالب",
+      export: "تصدير بصيغة {format}",
+      bulkDelete: "حذف {steps} (المحددة)",
+      goToJourney: "الانتقال إلى الرحلة: {name}",
+      signOut: "تسجيل الخروج ({name})",
+    },
+  },
+
+  conflict: {
+    title: {
+      step: "غيّر شخص آخر هذه الخطوة",
+      stage: "غيّر شخص آخر هذه المرحلة",
+    },
+    keepTheirs: "الإبقاء على نسختهم",
+    deleteAnyway: "الحذف على أي حال",
+    overwrite: "الاستبدال بنسختي",
+    deleteText: "عُدّلت «{name}» بعد أن حمّلتها. هل تحذفها على أي حال، أم تبقيها مع تغييراتهم؟",
+    updateText: "عُدّلت «{name}» بعد أن حمّلتها، لذا لم يُحفظ تغييرك.",
+    field: "الحقل",
+    theirs: "نسختهم",
+    yours: "نسختك",
+    fields: {
+      name: "الاسم",
+      status: "الحالة",
+      description: "الوصف",
+      owner: "المسؤول",
+      start_date: "تاريخ البدء",
+      due_date: "تاريخ الاستحقاق",
+      notes: "الملاحظات",
+      effort: "الجهد",
+      checklist: "قائمة التحقق",
+      depends_on: "المتطلبات السابقة",
+      assignees: "المكلَّفون",
+    },
+    checklist: "{done} من {count} منجزة",
+    people: {
+      zero: "لا أحد",
+      one: "شخص واحد",
+      two: "شخصان",
+      few: "{count} أشخاص",
+      many: "{count} شخصًا",
+      other: "{count} شخص",
+    },
+    reloaded: "أُعيد تحميل الرحلة مع تغييراتهم.",
+  },
+
+  addJourney: {
+    title: "رحلة جديدة",
+    name: "اسم الرحلة",
+    namePlaceholder: "مثلًا: SOC2 النوع الثاني",
+    nameRequired: "اسم الرحلة مطلوب",
+    startFrom: "البدء من",
+    blank: "رحلة فارغة",
+    templateOption: "{name} ({stages}، {steps})",
+    startStatus: "تبدأ كل خطوة بالحالة",
+    defaultStatus: "الافتراضية ({status})",
+  },
+
+  saveTemplate: {
+    title: "حفظ كقالب",
+    name: "اسم القالب",
+    hint: "تُحفظ المراحل والخطوات فقط. تبدأ الحالات والمسؤولون وتواريخ الاستحقاق من جديد.",
+  },
+
+  importJourney: {
+    title: "استيراد رحلة",
+    submit: "استيراد",
+    file: "الملف (‎.json أو ‎.csv)",
+    wrongType: "اختر ملف ‎.json أو ‎.csv",
+    checking: "جارٍ فحص الملف...",
+    problems: {
+      zero: "لم تُعثر على مشكلات",
+      one: "عُثر على مشكلة واحدة — لم يُستورد شيء",
+      two: "عُثر على مشكلتين — لم يُستورد شيء",
+      few: "عُثر على {count} مشكلات — لم يُستورد شيء",
+      many: "عُثر على {count} مشكلة — لم يُستورد شيء",
+      other: "عُثر على {count} مشكلة — لم يُستورد شيء",
+    },
+    row: "الصف",
+    problem: "المشكلة",
+    wholeFile: "الملف",
+    willCreate: "سيُنشئ {stages} و{steps}:",
+  },
+
+  outbox: {
+    title: "التغييرات المعلّقة",
+    retryNow: "إعادة المحاولة الآن",
+    online: "متصل. تُرسل التغييرات فور إجرائها.",
+    offline: "تعذّر الوصول إلى الخادم. تغييراتك محفوظة على هذا الجهاز وتُرسل بالترتيب عند عودته.",
+    rejected: "رفضها الخادم",
+    overwrite: "استبدال",
+    waiting: "بانتظار الإرسال",
+    discardTitle: "تجاهل هذا التغيير",
+    empty: "لا شيء معلّق — كل شيء محفوظ.",
+  },
+
+  mySteps: {
+    title: "خطواتي",
+    showDone: "إظهار الخطوات المنجزة",
+    loading: "جارٍ جلب خطواتك...",
+    loadFailed: "تعذّر تحميل خطواتك",
+    allDone: "كل خطواتك منجزة.",
+    empty: "لم تُكلَّف بأي خطوات بعد.",
+    count: "({count})",
+    countWithDone: "({count}، {done} منجزة)",
+  },
+
+  members: {
+    title: "الأعضاء",
+    you: "(أنت)",
+    roleOf: "دور {name}",
+    leave: "مغادرة",
+    remove: "إزالة",
+    add: "إضافة عضو",
+    newRole: "دور العضو الجديد",
+    usernameRequired: "اسم المستخدم مطلوب",
+    hint:
+      "يمكن للمشاهدين قراءة الرحلة. ويمكن للمساهمين أيضًا تغيير خطواتها ومراحلها. ويمكن للمالكين كذلك حذف المراحل وتعديل سير عمل الحالات وإدارة الأعضاء.",
+  },
+
+  notifications: {
+    title: "الإشعارات",
+    unreadLabel: {
+      zero: "الإشعارات (لا إشعارات غير مقروءة)",
+      one: "الإشعارات (إشعار واحد غير مقروء)",
+      two: "الإشعارات (إشعاران غير مقروءين)",
+      few: "الإشعارات ({count} إشعارات غير مقروءة)",
+      many: "الإشعارات ({count} إشعارًا غير مقروء)",
+      other: "الإشعارات ({count} إشعار غير مقروء)",
+    },
+    unread: "غير مقروء",
+    markAllRead: "تعليم الكل كمقروء",
+    empty: "لا شيء بعد. ستصلك هنا الأخبار عندما تتغير حالة خطواتك أو تتأخر، وعندما تكتمل مرحلة أو رحلة بأكملها.",
+    events: {
+      statusChanged: "نقل {actor} «{name}» إلى {new}",
+      stageCompleted: "اكتملت المرحلة «{name}»",
+      journeyCompleted: "اكتملت الرحلة «{name}» 🎉",
+      overdue: "«{name}» متأخرة (كانت مستحقة في {date})",
+    },
+  },
+
+  webhooks: {
+    title: "خطافات الويب",
+    hint:
+      "يُرسل كل حدث بصيغة JSON عبر POST إلى العنوان. قيمة X-Milestone-Signature هي «sha256=» متبوعة بـ HMAC-SHA256 لـ «<X-Milestone-Timestamp>.<body>» باستخدام سر الخطاف. تُعاد محاولة التسليمات الفاشلة خمس مرات خلال نحو ساعتين ونصف.",
+    empty: "لا خطافات ويب بعد. أضف واحدًا لإبلاغ الأدوات الأخرى بالمعالم.",
+    add: "إضافة خطاف ويب",
+    url: "عنوان الاستقبال",
+    urlRequired: "أدخل العنوان الذي تُرسل إليه الأحداث",
+    eventsLabel: "الأحداث المرسلة",
+    eventsRequired: "اختر حدثًا واحدًا على الأقل",
+    active: "مفعّل",
+    events: {
+      statusChanged: "تغيّرت حالة خطوة",
+      stageCompleted: "اكتملت مرحلة",
+      journeyCompleted: "اكتملت الرحلة",
+      overdue: "خطوة متأخرة",
+      ping: "اختبار",
+    },
+    states: {
+      pending: "قيد الانتظار",
+      delivered: "تم التسليم",
+      failed: "فشل",
+    },
+    lastDelivery: "آخر تسليم: {state}، {date}",
+    noDeliveries: "لا تسليمات بعد",
+    secretOnce: "سر التوقيع (انسخه الآن، فلن يُعرض مرة أخرى):",
+    deliveries: "سجل التسليم",
+    hideDeliveries: "إخفاء سجل التسليم",
+    test: "إرسال اختبار",
+    renewSecret: "سر جديد",
+    confirmDelete: "هل تريد الحذف فعلًا؟",
+    event: "الحدث",
+    state: "الحالة",
+    attempts: "المحاولات",
+    lastResponse: "آخر استجابة",
+    nextAttempt: "المحاولة التالية {date}",
+    response: "{response} ({ms} مللي ثانية)",
+    redeliver: "إعادة الإرسال",
+  },
+
+  auth: {
+    signIn: "تسجيل الدخول",
+    signInToContinue: "سجّل الدخول للمتابعة",
+    createAccount: "إنشاء حساب",
+    haveAccount: "لدي حساب بالفعل",
+    register: "إنشاء الحساب",
+    wait: "يرجى الانتظار…",
+    displayName: "الاسم المعروض",
+    displayNamePlaceholder: "يظهر في سجل النشاط (الافتراضي: اسم المستخدم)",
+    password: "كلمة المرور",
+    usernameRequired: "اسم المستخدم مطلوب",
+    passwordRequired: "كلمة المرور مطلوبة",
+  },
+
+  locale: {
+    title: "اللغة",
+  },
+
+  // Step fields (add-step modal and detail panel)
+  stepFields: {
+    stage: "المرحلة:",
+    name: "الاسم",
+    owner: "المسؤول",
+    startDate: "تاريخ البدء",
+    dueDate: "تاريخ الاستحقاق",
+    notes: "الملاحظات",
+  },
+
+  addStep: {
+    title: "إضافة خطوة",
+    name: "اسم الخطوة",
+    namePlaceholder: "مثلًا: ربط Azure",
+    nameRequired: "اسم الخطوة مطلوب",
+    status: "الحالة الأولية",
+    moreDetails: "تفاصيل أخرى (اختياري)",
+  },
+
+  stepDetail: {
+    title: "تفاصيل الخطوة",
+    ownerPlaceholder: "مثلًا: بريا (الأمن)",
+    assignees: "المكلَّفون",
+    noAssignees: "لم يُكلَّف أحد بعد.",
+    assign: "تكليف شخص…",
+    allAssigned: "الجميع مكلَّفون",
+    unassign: "إلغاء التكليف",
+    unassignName: "إلغاء تكليف {name}",
+    formerMember: "عضو سابق",
+    datesInvalid: "يجب أن يكون تاريخ البدء في تاريخ الاستحقاق أو قبله.",
+    effort: "الجهد",
+    effortHint: "الحجم النسبي للخطوة (مثلًا أيام العمل). تُحتسب الخطوات الأكبر أكثر في نسب المرحلة والرحلة.",
+    effortInvalid: "يجب أن يكون الجهد رقمًا أكبر من 0 (بحد أقصى {max}).",
+    checklist: "قائمة التحقق",
+    checklistDone: "{done} من {count} منجزة · الخطوة عند {pct}",
+    noChecklist: "لا توجد قائمة تحقق — يتبع تقدم الخطوة حالتها.",
+    addItem: "إضافة بند…",
+    removeItem: "إزالة البند",
+    removeItemName: "إزالة بند قائمة التحقق {text}",
+    dependsOn: "تعتمد على",
+    prerequisites: "المتطلبات السابقة",
+    noPrerequisites: "لا متطلبات سابقة — يمكن أن تبدأ هذه الخطوة في أي وقت.",
+    addPrerequisite: "إضافة خطوة تنتظرها هذه الخطوة…",
+    removePrerequisite: "إزالة المتطلب السابق",
+    removePrerequisiteName: "إزالة المتطلب السابق {name}",
+    neededBy: "مطلوبة لـ: {steps}",
+    history: "السجل",
+    noHistory: "لم تُسجَّل أي تغييرات بعد.",
+  },
+
+  attachments: {
+    title: "المرفقات",
+    upload: "رفع…",
+    uploading: "جارٍ الرفع…",
+    uploadingName: "جارٍ رفع «{name}»…",
+    tooLarge: "«{name}» كبير جدًا (الحد الأقصى {max})",
+    full: "{max} مرفقات على الأكثر لكل خطوة",
+    maxSize: "الحد الأقصى {max} لكل ملف",
+    delete: "حذف المرفق",
+    deleteName: "حذف المرفق {name}",
+    empty: "لا توجد مرفقات بعد.",
+    needed: "تحتاج إلى مرفق قبل تعيينها إلى {statuses}.",
+  },
+
+  comments: {
+    title: "التعليقات",
+    empty: "لا توجد تعليقات بعد.",
+    delete: "حذف التعليق",
+    deleteBy: "حذف تعليق {name}",
+    deleted: "حُذف التعليق.",
+    placeholder: "أضف تعليقًا… (Ctrl+Enter للإرسال)",
+    send: "تعليق",
+    sending: "جارٍ الإرسال…",
+  },
+
+  workflow: {
+    title: "سير عمل الحالات",
+    remove: "إزالة الحالة",
+    key: "المفتاح",
+    label: "التسمية",
+    color: "اللون",
+    weight: "الوزن (0–1)",
+    counts: "تُحتسب في الإنجاز",
+    requiresAttachment: "تحتاج إلى مرفق (مثل دليل) قبل تعيين خطوة إليها",
+    canMoveTo: "يمكن الانتقال إلى:",
+    any: "أي حالة",
+    add: "+ إضافة حالة",
+  },
+
+  // Preset views of the all-steps list
+  views: {
+    mine: "بنودي المفتوحة",
+    overdue: "متأخرة",
+    soon: "تستحق قريبًا",
+  },
+
+  allSteps: {
+    title: "كل الخطوات",
+    shownOf: {
+      zero: "{shown} من {count} خطوة",
+      one: "{shown} من خطوة واحدة",
+      two: "{shown} من خطوتين",
+      few: "{shown} من {count} خطوات",
+      many: "{shown} من {count} خطوة",
+      other: "{shown} من {count} خطوة",
+    },
+    views: "العروض",
+    deleteView: "حذف العرض",
+    deleteViewName: "حذف العرض {name}",
+    saveView: "حفظ العرض…",
+    saveViewTitle: "حفظ عوامل التصفية هذه كعرض",
+    noFilters: "عيّن بعض عوامل التصفية أولًا",
+    viewName: "اسم العرض",
+    search: "البحث في الخطوات",
+    searchPlaceholder: "ابحث في الخطوات…",
+    anyOwner: "أي مسؤول",
+    me: "أنا",
+    meNamed: "أنا ({name})",
+    dueDate: "تاريخ الاستحقاق",
+    anyDueDate: "أي تاريخ استحقاق",
+    noDueDate: "بلا تاريخ استحقاق",
+    state: "مفتوحة أو منجزة",
+    openAndDone: "المفتوحة والمنجزة",
+    open: "مفتوحة",
+    done: "منجزة",
+    statuses: "الحالات",
+    clearFilters: "مسح عوامل التصفية",
+    noMatches: "لا توجد خطوات تطابق عوامل التصفية هذه.",
+    empty: "لا توجد خطوات بعد.",
+    selectStage: "تحديد كل الخطوات المدرجة في {name}",
+    selectStep: "تحديد {name}",
+    selectTitle: "تحديد (Shift+نقرة تحدد نطاقًا)",
+    assignedTo: "مكلَّف بها",
+    report: "تقرير",
+    reportTitle: "تقرير قابل للطباعة للخطوات المدرجة",
+  },
+
+  gantt: {
+    title: "الجدول الزمني",
+    overdue: "{count} متأخرة",
+    soon: "{count} تستحق قريبًا",
+    zoom: "التكبير",
+    days: "أيام",
+    weeks: "أسابيع",
+    months: "أشهر",
+    empty: "لا توجد تواريخ بعد. عيّن تواريخ البدء والاستحقاق في تفاصيل خطوة (أو رأس مرحلة) لتراها هنا.",
+    hintEditable: "اسحب طرفي الشريط لتغيير تواريخه، أو الشريط نفسه لنقله. انقر خطوة لفتحها.",
+    hint: "انقر خطوة لفتحها.",
+    rows: "المرحلة / الخطوة",
+    noDates: "بلا تواريخ",
+    today: "اليوم ({date})",
+    barTitle: "{name}: {range}",
+    barTitleState: "{name}: {range} ({state})",
+    barKeys: "مفاتيح الأسهم تنقل، وShift+الأسهم تغيّر تاريخ الاستحقاق.",
+    dragStart: "اسحب لتغيير تاريخ البدء",
+    dragEnd: "اسحب لتغيير تاريخ الاستحقاق",
+  },
+
+  dependencies: {
+    title: "الاعتماديات",
+    blockedCount: {
+      zero: "لا خطوات معلّقة",
+      one: "خطوة معلّقة واحدة",
+      two: "خطوتان معلّقتان",
+      few: "{count} خطوات معلّقة",
+      many: "{count} خطوة معلّقة",
+      other: "{count} خطوة معلّقة",
+    },
+    empty: "لا توجد اعتماديات بعد. افتح تفاصيل خطوة لاختيار الخطوات التي تنتظرها.",
+    hint: "تشير الأسهم من المتطلب السابق إلى الخطوة التي تنتظره. انقر خطوة لفتحها.",
+    graph: "مخطط اعتماديات الخطوات",
+    node: "{name} ({status})",
+    nodeBlocked: "{name} ({status})، معلّقة",
+  },
+
+  analytics: {
+    title: "التحليلات",
+    loading: "جارٍ تحميل التحليلات...",
+    since: "منذ {date}",
+    startsToday: "يبدأ السجل اليوم",
+    complete: "مكتمل",
+    stepsDone: "{done} من {count} خطوة منجزة",
+    pace: "الوتيرة",
+    paceWindow: {
+      zero: "الجهد في الأسبوع، آخر {count} يوم",
+      one: "الجهد في الأسبوع، آخر يوم",
+      two: "الجهد في الأسبوع، آخر يومين",
+      few: "الجهد في الأسبوع، آخر {count} أيام",
+      many: "الجهد في الأسبوع، آخر {count} يومًا",
+      other: "الجهد في الأسبوع، آخر {count} يوم",
+    },
+    projected: "الإنجاز المتوقع",
+    stalled: "لا تقدم مؤخرًا",
+    noHistory: "لا يوجد سجل كافٍ بعد",
+    due: "تستحق {date}",
+    dueLate: "تستحق {date} · متأخرة بهذه الوتيرة",
+    effortLeft: "متبقٍ {effort} من الجهد",
+    burnUpChart: "مخطط الإنجاز",
+    burnUp: "الإنجاز",
+    burnUpLabel: "الجهد المنجز {done} من {total}",
+    effortDone: "الجهد المنجز",
+    totalEffort: "إجمالي الجهد",
+    projection: "التوقع",
+    weekly: "الخطوات المنجزة في الأسبوع",
+    weeksShown: "الأسابيع المعروضة",
+    lastWeeks: "آخر {count} أسابيع",
+    weekOf: "أسبوع {date}: {count}",
+    stageProgress: "تقدم المراحل",
+    stages: "المراحل",
+    stage: "المرحلة",
+    now: "الآن",
+    daysAgo: {
+      zero: "اليوم",
+      one: "منذ يوم",
+      two: "منذ يومين",
+      few: "منذ {count} أيام",
+      many: "منذ {count} يومًا",
+      other: "منذ {count} يوم",
+    },
+    change: "التغيير",
+    timeInStatus: "الوقت في الحالة",
+    timeInEachStatus: "الوقت في كل حالة",
+    step: "الخطوة",
+    minutes: "{count} د",
+    hours: "{count} س",
+    days: "{count} ي",
+    daysHours: "{days} ي {hours} س",
+  },
+
+  report: {
+    title: "تقرير التدقيق",
+    editFilters: "تغيير عوامل التصفية",
+    pdf: "تنزيل PDF",
+    pdfTitle: "التقرير نفسه كملف PDF (يُنشئه الخادم)",
+    savePdf: "حفظ كملف PDF…",
+    savePdfTitle: "لا يمكن لملف PDF عرض بعض هذا النص (مثل العربية): اطبع التقرير واختر «حفظ كملف PDF»",
+    print: "طباعة",
+    generated: "أُنشئ في {date} بواسطة {name}",
+    filtered: "عوامل التصفية: {filters}",
+    noFilters: "عوامل التصفية: لا شيء (كل الخطوات)",
+    overall: "نسبة الإنجاز الكلية",
+    byStatus: "الخطوات حسب الحالة",
+    step: "الخطوة",
+    status: "الحالة",
+    people: "المسؤول / المكلَّفون",
+    dates: "التواريخ",
+    progress: "التقدم",
+    // The filters in words (see describeFilters in filters.js)
+    filters: {
+      q: "البحث: «{q}»",
+      status: "الحالة: {statuses}",
+      owner: "المسؤول: {owner}",
+      open: "الخطوات المفتوحة",
+      done: "الخطوات المنجزة",
+    },
+  },
+
+  // Start of an error message ("Add step failed: <reason>")
+  fail: {
+    request: "فشل الطلب",
+    signIn: "فشل تسجيل الدخول",
+    register: "فشل إنشاء الحساب",
+    signOut: "فشل تسجيل الخروج",
+    loadMySteps: "فشل تحميل خطواتك",
+    loadNotifications: "فشل تحميل الإشعارات",
+    readNotifications: "فشل تعليم الإشعارات كمقروءة",
+    loadWebhooks: "فشل تحميل خطافات الويب",
+    addWebhook: "فشلت إضافة خطاف الويب",
+    updateWebhook: "فشل تعديل خطاف الويب",
+    deleteWebhook: "فشل حذف خطاف الويب",
+    renewSecret: "فشل تجديد السر",
+    testWebhook: "فشل إرسال الاختبار",
+    loadDeliveries: "فشل تحميل سجل التسليم",
+    retryDelivery: "فشلت إعادة الإرسال",
+    loadJourneys: "فشل تحميل الرحلات",
+    loadJourney: "فشل تحميل الرحلة",
+    loadSteps: "فشل تحميل الخطوات",
+    loadActivity: "فشل تحميل النشاط",
+    loadAnalytics: "فشل تحميل التحليلات",
+    loadHistory: "فشل تحميل السجل",
+    loadComments: "فشل تحميل التعليقات",
+    addComment: "فشلت إضافة التعليق",
+    deleteComment: "فشل حذف التعليق",
+    restoreComment: "فشلت استعادة التعليق",
+    loadTemplates: "فشل تحميل القوالب",
+    loadViews: "فشل تحميل العروض",
+    saveView: "فشل حفظ العرض",
+    deleteView: "فشل حذف العرض",
+    restoreView: "فشلت استعادة العرض",
+    createJourney: "فشل إنشاء الرحلة",
+    saveTemplate: "فشل حفظ القالب",
+    loadTemplate: "فشل تحميل القالب",
+    deleteTemplate: "فشل حذف القالب",
+    restoreTemplate: "فشلت استعادة القالب",
+    checkFile: "فشل فحص الملف",
+    import: "فشل الاستيراد",
+    update: "فشل التحديث",
+    updateStep: "فشل تحديث الخطوة",
+    updateStage: "فشل تحديث المرحلة",
+    saveWorkflow: "فشل حفظ سير العمل",
+    updateMember: "فشل تحديث العضو",
+    removeMember: "فشلت إزالة العضو",
+    addStage: "فشلت إضافة المرحلة",
+    deleteStage: "فشل حذف المرحلة",
+    restoreStage: "فشلت استعادة المرحلة",
+    addStep: "فشلت إضافة الخطوة",
+    delete: "فشل الحذف",
+    restoreStep: "فشلت استعادة الخطوة",
+    restoreAttachment: "فشلت استعادة المرفق",
+    moveStage: "فشل نقل المرحلة",
+    moveStep: "فشل نقل الخطوة",
+    bulkUpdate: "فشل التحديث الجماعي",
+    bulkDelete: "فشل الحذف الجماعي",
+    bulkMove: "فشل النقل الجماعي",
+    upload: "فشل رفع «{name}»",
+  },
+
+  errors: {
+    failed: "{action}: {reason}",
+    unexpected: "استجابة غير متوقعة ({status})",
+    // What to tell the user when the server gives no reason of its own
+    status: {
+      0: "تعذّر الوصول إلى الخادم. تحقق من اتصالك وحاول مرة أخرى",
+      401: "تم تسجيل خروجك. سجّل الدخول وحاول مرة أخرى",
+      403: "ليست لديك صلاحية القيام بذلك",
+      404: "لم يعد موجودًا (ربما حُذف). أعد التحميل لرؤية الحالة الحالية",
+      408: "استغرق الخادم وقتًا طويلًا للرد. حاول مرة أخرى",
+      412: "غيّره شخص آخر في هذه الأثناء. أعد التحميل لرؤية نسخته",
+      413: "الطلب كبير جدًا",
+      500: "واجه الخادم مشكلة. حاول مرة أخرى بعد قليل",
+      502: "الخادم غير متاح. حاول مرة أخرى بعد قليل",
+      503: "الخادم غير متاح. حاول مرة أخرى بعد قليل",
+      504: "استغرق الخادم وقتًا طويلًا للرد. حاول مرة أخرى",
+    },
+  },
+
+  app: {
+    title: "Mini Milestone Journey UI",
+    undoTitle: "تراجع (Ctrl+Z)",
+    redoTitle: "إعادة (Ctrl+Shift+Z)",
+    shortcutsTitle: "اختصارات لوحة المفاتيح (?) · لوحة الأوامر (Ctrl+K)",
+    signedInAs: "مسجّل الدخول باسم ‎@{username}",
+    signOut: "تسجيل الخروج",
+    signOutAnyway: "تسجيل الخروج على أي حال",
+    unsentChanges: {
+      zero: "لا توجد تغييرات غير مرسلة.",
+      one: "لم يُرسل تغيير واحد بعد وسيضيع.",
+      two: "لم يُرسل تغييران بعد وسيضيعان.",
+      few: "لم تُرسل {count} تغييرات بعد وستضيع.",
+      many: "لم يُرسل {count} تغييرًا بعد وستضيع.",
+      other: "لم يُرسل {count} تغيير بعد وستضيع.",
+    },
+    loadJourneysFailed: "فشل تحميل الرحلات",
+    loadJourneyFailed: "فشل تحميل الرحلة",
+    loadingJourney: "جارٍ جلب الرحلة...",
+    loadJourneyError: "تعذّر تحميل الرحلة",
+    loadingStages: "جارٍ تحميل المراحل...",
+    loadingSteps: "جارٍ تحميل الخطوات... ({loaded} من {total})",
+    processing: "جارٍ المعالجة...",
+    stages: "المراحل",
+    steps: "الخطوات",
+    allStepsTitle: "كل الخطوات (/)",
+    noStages: "لا توجد مراحل بعد",
+    noStageSelected: "لم تُحدَّد أي مرحلة.",
+    noSteps: "لا توجد مهام بعد",
+    renameStage: "إعادة تسمية المرحلة",
+    renameStep: "إعادة تسمية الخطوة",
+    deleteStage: "حذف المرحلة",
+    deleteStageName: "حذف المرحلة {name}",
+    deleteStep: "حذف الخطوة",
+    deleteStepName: "حذف الخطوة {name}",
+    moveStep: "نقل {name} إلى مرحلة",
+    selectStage: "تحديد كل الخطوات في هذه المرحلة",
+    stageDragTitle: "اسحب لإعادة الترتيب (Alt+↑/↓ بلوحة المفاتيح). أفلت خطوة هنا لنقلها.",
+    stepDragTitle: "اسحب لإعادة الترتيب أو إلى مرحلة (Alt+↑/↓ بلوحة المفاتيح). S: الحالة التالية، Enter: التفاصيل",
+    start: "البدء",
+    due: "الاستحقاق",
+    waitingFor: "بانتظار {steps}",
+    saving: "جارٍ الحفظ...",
+    details: "التفاصيل",
+    viewSaved: "حُفظ العرض «{name}»",
+    viewDeleted: "حُذف العرض «{name}»",
+    templateSaved: "حُفظ القالب «{name}»",
+    templateDeleted: "حُذف القالب «{name}»",
+    imported: "اُستورد «{name}»",
+    left: "غادرت «{name}».",
+    changeUndone: "{error} — تم التراجع عن تغييرك.",
+    stepBlocked: "«{name}» معلّقة بسبب {steps}",
+    needsAttachment: "«{name}» تحتاج إلى مرفق قبل تعيينها إلى {status}",
+    keepAttachment: "«{name}» في الحالة {status} التي تحتاج إلى مرفق واحد على الأقل",
+    statusSet: "عُيّنت «{name}» إلى {status}",
+    stageDeleted: "حُذفت المرحلة «{name}»",
+    stepDeleted: "حُذفت الخطوة «{name}»",
+    attachmentDeleted: "حُذف «{name}»",
+    skippedBlocked: "تم تخطي {steps} لا تزال معلّقة: {names}",
+    skippedAttachment: "تم تخطي {steps} بلا مرفق ({status} تحتاج إلى مرفق): {names}",
+    stepsMoved: "نُقلت {steps} إلى «{stage}»",
+    stepsDeleted: "حُذفت {steps}",
+  },
+
+  // Names of changes (undo history, pending changes panel)
+  changes: {
+    edit: "تعديل «{name}»",
+    editStage: "تعديل المرحلة «{name}»",
+    status: "{name} ← {status}",
+    addStage: "إضافة المرحلة «{name}»",
+    deleteStage: "حذف المرحلة «{name}»",
+    restoreStage: "استعادة المرحلة «{name}»",
+    addStep: "إضافة الخطوة «{name}»",
+    deleteStep: "حذف الخطوة «{name}»",
+    restoreStep: "استعادة الخطوة «{name}»",
+    deleteAttachment: "حذف المرفق «{name}»",
+    restoreAttachment: "استعادة المرفق «{name}»",
+    moveStage: "نقل المرحلة «{name}»",
+    moveStep: "نقل الخطوة «{name}»",
+    moveSteps: "نقل {steps} إلى «{stage}»",
+    deleteSteps: "حذف {steps}",
+  },
+};
@@ -0,0 +1,855 @@
+/**
+ * German messages
+ * ---------------
+ * Same keys and {placeholders} as en.js; a missing key falls back to
+ * English (see i18n.js).
+ */
+export default {
+  common: {
+    add: "Hinzufügen",
+    cancel: "Abbrechen",
+    close: "Schließen",
+    create: "Erstellen",
+    delete: "Löschen",
+    description: "Beschreibung",
+    discard: "Verwerfen",
+    dismiss: "Ausblenden",
+    moveTo: "Verschieben nach…",
+    optional: "Optional",
+    reason: "Grund: {reason}",
+    refresh: "Aktualisieren",
+    retry: "Erneut versuchen",
+    save: "Speichern",
+    undo: "Rückgängig",
+    username: "Benutzername",
+    stageCount: {
+      one: "{count} Phase",
+      other: "{count} Phasen",
+    },
+    stepCount: {
+      one: "{count} Schritt",
+      other: "{count} Schritte",
+    },
+    complete: "{pct} erledigt",
+  },
+
+  // Built-in statuses (as the server creates them; renamed ones aren't translated)
+  statuses: {
+    NOT_STARTED: "Nicht begonnen",
+    IN_PROGRESS: "In Arbeit",
+    COMPLETED: "Abgeschlossen",
+    IN_REVIEW: "In Prüfung",
+    BLOCKED: "Blockiert",
+    NOT_APPLICABLE: "Nicht zutreffend",
+  },
+
+  roles: {
+    viewer: "Leser",
+    contributor: "Mitarbeiter",
+    owner: "Eigentümer",
+  },
+
+  dates: {
+    range: "{start} → {due}",
+    from: "ab {start}",
+    due: "fällig {due}",
+    overdue: "Überfällig",
+    soon: "Bald fällig",
+  },
+
+  statusTag: {
+    notCounted: "Zählt nicht zum Fortschritt",
+  },
+
+  blocked: {
+    badge: "Blockiert",
+    waitingFor: "Wartet auf: {steps}",
+  },
+
+  switcher: {
+    title: "Journey wechseln",
+    all: "Alle Journeys",
+  },
+
+  progress: {
+    checklistTitle: "Checkliste: {done} von {count} erledigt (Schritt bei {pct})",
+    effort: "Aufwand {effort}",
+    effortTitle: "Aufwand (größere Schritte zählen mehr zum Fortschritt)",
+    comments: "Kommentare",
+  },
+
+  sync: {
+    connecting: "Verbinde…",
+    connectingTitle: "Verbinde mit Live-Updates…",
+    live: "Live",
+    liveTitle: "Änderungen anderer erscheinen automatisch",
+    offline: "Offline",
+    offlineTitle: "Live-Updates nicht verfügbar — neu laden, um Änderungen anderer zu sehen",
+    offlinePending: {
+      one: "Offline · {count} ausstehende Änderung",
+      other: "Offline · {count} ausstehende Änderungen",
+    },
+    unreachableTitle:
+      "Server nicht erreichbar — Änderungen werden auf diesem Gerät gespeichert und gesendet, sobald er wieder da ist",
+    rejected: "{count} abgelehnt",
+    rejectedTitle: "Einige Offline-Änderungen wurden vom Server abgelehnt",
+  },
+
+  activity: {
+    filters: {
+      all: "Alle Aktivitäten",
+      status: "Statusänderungen",
+      steps: "Schritte",
+      stages: "Phasen",
+      workflow: "Workflow",
+      members: "Mitglieder",
+    },
+    fields: {
+      name: "Name",
+      description: "Beschreibung",
+      owner: "Verantwortlich",
+      notes: "Notizen",
+      effort: "Aufwand",
+      start_date: "Startdatum",
+      due_date: "Fälligkeitsdatum",
+      depends_on: "Voraussetzungen",
+      checklist: "Checkliste",
+      assignees: "Zuständige",
+    },
+    events: {
+      statusChanged: "{name}: {old} → {new}",
+      stepAdded: "Schritt „{name}“ hinzugefügt ({status})",
+      stepDeleted: "Schritt „{name}“ gelöscht",
+      stepRestored: "Schritt „{name}“ wiederhergestellt",
+      stepRenamed: "Schritt umbenannt: „{old}“ → „{new}“",
+      stepUpdated: "{name}: {fields} geändert",
+      commented: "{name}: Kommentar hinzugefügt",
+      commentDeleted: "{name}: Kommentar gelöscht",
+      commentRestored: "{name}: Kommentar wiederhergestellt",
+      attachmentAdded: "{name}: „{filename}“ angehängt",
+      attachmentDeleted: "{name}: Anhang „{filename}“ gelöscht",
+      attachmentRestored: "{name}: Anhang „{filename}“ wiederhergestellt",
+      stepReordered: "Schritt „{name}“ neu angeordnet",
+      stepMoved: "Schritt „{name}“ nach {stage} verschoben",
+      stageAdded: "Phase „{name}“ hinzugefügt",
+      stageDeleted: "Phase „{name}“ gelöscht",
+      stageRestored: "Phase „{name}“ wiederhergestellt",
+      stageRenamed: "Phase umbenannt: „{old}“ → „{new}“",
+      stageUpdated: "Phase „{name}“: {fields} geändert",
+      stageMoved: "Phase „{name}“ an Position {position} verschoben",
+      journeyCreated: "Journey „{name}“ erstellt",
+      journeyImported: "Journey „{name}“ importiert",
+      journeyFromTemplate: "Journey „{name}“ aus einer Vorlage erstellt",
+      workflowUpdated: "Status-Workflow geändert",
+      memberAdded: "{name} als {role} hinzugefügt",
+      memberRoleChanged: "{name}: {old} → {new}",
+      memberLeft: "{name} hat die Journey verlassen",
+      memberRemoved: "{name} aus der Journey entfernt",
+    },
+  },
+
+  timeline: {
+    title: "Aktivität",
+    kind: "Art der Änderung",
+    stage: "Phase",
+    allStages: "Alle Phasen",
+    actor: "Person",
+    actorPlaceholder: "Nach Person filtern",
+    loading: "Lade Aktivität...",
+    empty: "Keine Aktivität passt zu diesen Filtern.",
+  },
+
+  updateStatus: {
+    title: "Status ändern",
+    step: "Schritt:",
+    blocked: "Blockiert — wartet auf {steps}",
+    needsAttachment: {
+      one: "{statuses} braucht einen Anhang — zuerst in den Schrittdetails hinzufügen.",
+      other: "{statuses} brauchen einen Anhang — zuerst in den Schrittdetails hinzufügen.",
+    },
+    newStatus: "Neuer Status",
+  },
+
+  bulk: {
+    label: "Sammelaktionen",
+    selected: "{count} ausgewählt",
+    setStatus: "Status setzen…",
+    setStatusLabel: "Status der ausgewählten Schritte setzen",
+    moveLabel: "Ausgewählte Schritte in Phase verschieben",
+    clear: "Auswahl aufheben",
+  },
+
+  addStage: {
+    title: "Phase hinzufügen",
+    name: "Name der Phase",
+    namePlaceholder: "z. B. Risikobewertung",
+    nameRequired: "Name der Phase erforderlich",
+  },
+
+  templates: {
+    title: "Vorlagen",
+    loading: "Lade Vorlagen...",
+    empty: "Noch keine Vorlagen",
+    starter: "Standard",
+    use: "Verwenden",
+    delete: "Vorlage löschen",
+  },
+
+  journeys: {
+    title: "Journeys",
+    import: "Importieren…",
+    new: "Neue Journey",
+    loading: "Lade Journeys...",
+    loadFailed: "Journeys konnten nicht geladen werden",
+    empty: "Noch keine Journeys — erstelle eine oder bitte einen Eigentümer, dich hinzuzufügen",
+  },
+
+  shortcuts: {
+    title: "Tastenkürzel",
+    groups: {
+      anywhere: "Überall",
+      stageList: "Phasenliste",
+      steps: "Schritte",
+    },
+    keys: {
+      palette: "Befehlspalette",
+      cheatSheet: "Diese Übersicht",
+      search: "Alle Schritte durchsuchen",
+      undo: "Rückgängig",
+      redo: "Wiederholen",
+      close: "Dialog oder Bereich schließen",
+      stagePrevNext: "Vorherige / nächste Phase",
+      openStage: "Phase öffnen",
+      toSteps: "Zu den Schritten der Phase",
+      moveStage: "Phase nach oben / unten",
+      deleteStage: "Phase löschen",
+      stepPrevNext: "Vorheriger / nächster Schritt",
+      toStages: "Zurück zur Phasenliste",
+      status: "Nächster / vorheriger Status",
+      openDetails: "Details öffnen",
+      rename: "Umbenennen",
+      select: "Auswählen / Bereich auswählen (Sammelaktionen)",
+      moveStep: "Schritt nach oben / unten",
+      deleteStep: "Schritt löschen",
+    },
+  },
+
+  export: {
+    menu: "Exportieren",
+    formats: {
+      json: "JSON (ganze Journey, wieder importierbar)",
+      csv: "CSV (eine Zeile pro Schritt)",
+      md: "Markdown-Checkliste",
+    },
+  },
+
+  palette: {
+    title: "Befehlspalette",
+    search: "Befehle suchen",
+    placeholder: "Befehl eingeben, z. B. „Schritt hinzufügen“ oder „Gehe zu Onboarding“",
+    commands: "Befehle",
+    empty: "Keine passenden Befehle",
+    cmd: {
+      addStep: "Schritt hinzufügen",
+      addStage: "Phase hinzufügen",
+      goToStage: "Gehe zu Phase: {name}",
+      timeline: "Aktivitätsverlauf öffnen",
+      graph: "Abhängigkeitsgraph öffnen",
+      schedule: "Zeitplan öffnen (Gantt-Diagramm)",
+      analytics: "Auswertung öffnen (Burn-up-Diagramm)",
+      report: "Druckbaren Bericht öffnen",
+      view: "Ansicht: {name}",
+      workflow: "Status-Workflow bearbeiten",
+      saveTemplate: "Journey als Vorlage speichern",
+      export: "Als {format} exportieren",
+      bulkDelete: "{steps} löschen (ausgewählt)",
+      goToJourney: "Gehe zu Journey: {name}",
+      signOut: "Abmelden ({name})",
+    },
+  },
+
+  conflict: {
+    title: {
+      step: "Dieser Schritt wurde von jemand anderem geändert",
+      stage: "Diese Phase wurde von jemand anderem geändert",
+    },
+    keepTheirs: "Deren Version behalten",
+    deleteAnyway: "Trotzdem löschen",
+    overwrite: "Mit meiner überschreiben",
+    deleteText:
+      "„{name}“ wurde geändert, nachdem du es geladen hast. Trotzdem löschen oder mit den Änderungen behalten?",
+    updateText: "„{name}“ wurde geändert, nachdem du es geladen hast, daher wurde deine Änderung nicht gespeichert.",
+    field: "Feld",
+    theirs: "Deren",
+    yours: "Deine",
+    fields: {
+      name: "Name",
+      status: "Status",
+      description: "Beschreibung",
+      owner: "Verantwortlich",
+      start_date: "Startdatum",
+      due_date: "Fälligkeitsdatum",
+      notes: "Notizen",
+      effort: "Aufwand",
+      checklist: "Checkliste",
+      depends_on: "Voraussetzungen",
+      assignees: "Zuständige",
+    },
+    checklist: "{done} von {count} erledigt",
+    people: {
+      one: "{count} Person",
+      other: "{count} Personen",
+    },
+    reloaded: "Die Journey wurde mit deren Änderungen neu geladen.",
+  },
+
+  addJourney: {
+    title: "Neue Journey",
+    name: "Name der Journey",
+    namePlaceholder: "z. B. SOC2 Typ II",
+    nameRequired: "Name der Journey erforderlich",
+    startFrom: "Beginnen mit",
+    blank: "Leere Journey",
+    templateOption: "{name} ({stages}, {steps})",
+    startStatus: "Jeder Schritt beginnt als",
+    defaultStatus: "Standard ({status})",
+  },
+
+  saveTemplate: {
+    title: "Als Vorlage speichern",
+    name: "Name der Vorlage",
+    hint: "Nur Phasen und Schritte werden gespeichert. Status, Verantwortliche und Fälligkeiten beginnen neu.",
+  },
+
+  importJourney: {
+    title: "Journey importieren",
+    submit: "Importieren",
+    file: "Datei (.json oder .csv)",
+    wrongType: "Wähle eine .json- oder .csv-Datei",
+    checking: "Prüfe Datei...",
+    problems: {
+      one: "{count} Problem gefunden — nichts wurde importiert",
+      other: "{count} Probleme gefunden — nichts wurde importiert",
+    },
+    row: "Zeile",
+    problem: "Problem",
+    wholeFile: "Datei",
+    willCreate: "Erstellt {stages} und {steps}:",
+  },
+
+  outbox: {
+    title: "Ausstehende Änderungen",
+    retryNow: "Jetzt erneut senden",
+    online: "Verbunden. Änderungen werden sofort gesendet.",
+    offline:
+      "Der Server ist nicht erreichbar. Deine Änderungen sind auf diesem Gerät gespeichert und werden der Reihe nach gesendet, sobald er wieder da ist.",
+    rejected: "Vom Server abgelehnt",
+    overwrite: "Überschreiben",
+    waiting: "Wartet auf Versand",
+    discardTitle: "Diese Änderung verwerfen",
+    empty: "Nichts ausstehend — alles ist gespeichert.",
+  },
+
+  mySteps: {
+    title: "Meine Schritte",
+    showDone: "Erledigte Schritte anzeigen",
+    loading: "Lade deine Schritte...",
+    loadFailed: "Deine Schritte konnten nicht geladen werden",
+    allDone: "Alle deine Schritte sind erledigt.",
+    empty: "Dir sind noch keine Schritte zugewiesen.",
+    count: "({count})",
+    countWithDone: "({count}, {done} erledigt)",
+  },
+
+  members: {
+    title: "Mitglieder",
+    you: "(du)",
+    roleOf: "Rolle von {name}",
+    leave: "Verlassen",
+    remove: "Entfernen",
+    add: "Mitglied hinzufügen",
+    newRole: "Rolle des neuen Mitglieds",
+    usernameRequired: "Benutzername erforderlich",
+    hint:
+      "Leser können die Journey ansehen. Mitarbeiter können außerdem Schritte und Phasen ändern. Eigentümer können zusätzlich Phasen löschen, den Status-Workflow bearbeiten und Mitglieder verwalten.",
+  },
+
+  notifications: {
+    title: "Benachrichtigungen",
+    unreadLabel: {
+      one: "Benachrichtigungen ({count} ungelesen)",
+      other: "Benachrichtigungen ({count} ungelesen)",
+    },
+    unread: "ungelesen",
+    markAllRead: "Alle als gelesen markieren",
+    empty: "Noch nichts. Hier erfährst du, wenn deine Schritte den Status wechseln oder überfällig werden und wenn eine Phase oder eine ganze Journey abgeschlossen ist.",
+    events: {
+      statusChanged: "{actor} hat „{name}“ auf {new} gesetzt",
+      stageCompleted: "Phase „{name}“ ist abgeschlossen",
+      journeyCompleted: "Journey „{name}“ ist abgeschlossen 🎉",
+      overdue: "„{name}“ ist überfällig (fällig am {date})",
+    },
+  },
+
+  webhooks: {
+    title: "Webhooks",
+    hint:
+      "Jedes Ereignis wird als JSON per POST an die URL gesendet. X-Milestone-Signature ist „sha256=“ plus der HMAC-SHA256 von „<X-Milestone-Timestamp>.<Body>“ mit dem Geheimnis des Webhooks. Fehlgeschlagene Zustellungen werden fünfmal innerhalb von etwa zweieinhalb Stunden wiederholt.",
+    empty: "Noch keine Webhooks. Füge einen hinzu, um andere Tools über Meilensteine zu informieren.",
+    add: "Webhook hinzufügen",
+    url: "Ziel-URL",
+    urlRequired: "Gib die URL ein, an die Ereignisse gehen sollen",
+    eventsLabel: "Zu sendende Ereignisse",
+    eventsRequired: "Wähle mindestens ein Ereignis",
+    active: "Aktiv",
+    events: {
+      statusChanged: "Status eines Schritts geändert",
+      stageCompleted: "Phase abgeschlossen",
+      journeyCompleted: "Journey abgeschlossen",
+      overdue: "Schritt überfällig",
+      ping: "Test",
+    },
+    states: {
+      pending: "Ausstehend",
+      delivered: "Zugestellt",
+      failed: "Fehlgeschlagen",
+    },
+    lastDelivery: "Letzte Zustellung: {state}, {date}",
+    noDeliveries: "Noch keine Zustellungen",
+    secretOnce: "Signatur-Geheimnis (jetzt kopieren, es wird nicht noch einmal angezeigt):",
+    deliveries: "Zustellprotokoll",
+    hideDeliveries: "Zustellprotokoll ausblenden",
+    test: "Test senden",
+    renewSecret: "Neues Geheimnis",
+    confirmDelete: "Wirklich löschen?",
+    event: "Ereignis",
+    state: "Zustand",
+    attempts: "Versuche",
+    lastResponse: "Letzte Antwort",
+    nextAttempt: "Nächster Versuch {date}",
+    response: "{response} ({ms} ms)",
+    redeliver: "Erneut senden",
+  },
+
+  auth: {
+    signIn: "Anmelden",
+    signInToContinue: "Zum Fortfahren anmelden",
+    createAccount: "Konto erstellen",
+    haveAccount: "Ich habe schon ein Konto",
+    register: "Konto erstellen",
+    wait: "Bitte warten…",
+    displayName: "Anzeigename",
+    displayNamePlaceholder: "Erscheint im Aktivitätsverlauf (Standard: dein Benutzername)",
+    password: "Passwort",
+    usernameRequired: "Benutzername erforderlich",
+    passwordRequired: "Passwort erforderlich",
+  },
+
+  locale: {
+    title: "Sprache",
+  },
+
+  // Step fields (add-step modal and detail panel)
+  stepFields: {
+    stage: "Phase:",
+    name: "Name",
+    owner: "Verantwortlich",
+    startDate: "Startdatum",
+    dueDate: "Fälligkeitsdatum",
+    notes: "Notizen",
+  },
+
+  addStep: {
+    title: "Schritt hinzufügen",
+    name: "Name des Schritts",
+    namePlaceholder: "z. B. Azure anbinden",
+    nameRequired: "Name des Schritts erforderlich",
+    status: "Anfangsstatus",
+    moreDetails: "Weitere Details (optional)",
+  },
+
+  stepDetail: {
+    title: "Schrittdetails",
+    ownerPlaceholder: "z. B. Priya (Sicherheit)",
+    assignees: "Zuständige",
+    noAssignees: "Noch niemand ist zugewiesen.",
+    assign: "Jemanden zuweisen…",
+    allAssigned: "Alle sind zugewiesen",
+    unassign: "Zuweisung entfernen",
+    unassignName: "Zuweisung von {name} entfernen",
+    formerMember: "Ehemaliges Mitglied",
+    datesInvalid: "Das Startdatum muss am oder vor dem Fälligkeitsdatum liegen.",
+    effort: "Aufwand",
+    effortHint:
+      "Relative Größe des Schritts (z. B. Arbeitstage). Größere Schritte zählen mehr zum Fortschritt der Phase und der Journey.",
+    effortInvalid: "Der Aufwand muss eine Zahl über 0 sein (höchstens {max}).",
+    checklist: "Checkliste",
+    checklistDone: "{done} von {count} erledigt · Schritt bei {pct}",
+    noChecklist: "Keine Checkliste — der Fortschritt des Schritts folgt seinem Status.",
+    addItem: "Eintrag hinzufügen…",
+    removeItem: "Eintrag entfernen",
+    removeItemName: "Checklisteneintrag {text} entfernen",
+    dependsOn: "Hängt ab von",
+    prerequisites: "Voraussetzungen",
+    noPrerequisites: "Keine Voraussetzungen — dieser Schritt kann jederzeit beginnen.",
+    addPrerequisite: "Schritt hinzufügen, auf den dieser wartet…",
+    removePrerequisite: "Voraussetzung entfernen",
+    removePrerequisiteName: "Voraussetzung {name} entfernen",
+    neededBy: "Benötigt von: {steps}",
+    history: "Verlauf",
+    noHistory: "Noch keine Änderungen aufgezeichnet.",
+  },
+
+  attachments: {
+    title: "Anhänge",
+    upload: "Hochladen…",
+    uploading: "Lade hoch…",
+    uploadingName: "Lade „{name}“ hoch…",
+    tooLarge: "„{name}“ ist zu groß (max. {max})",
+    full: "Höchstens {max} Anhänge pro Schritt",
+    maxSize: "Max. {max} pro Datei",
+    delete: "Anhang löschen",
+    deleteName: "Anhang {name} löschen",
+    empty: "Noch keine Anhänge.",
+    needed: "Braucht einen Anhang, bevor er auf {statuses} gesetzt werden kann.",
+  },
+
+  comments: {
+    title: "Kommentare",
+    empty: "Noch keine Kommentare.",
+    delete: "Kommentar löschen",
+    deleteBy: "Kommentar von {name} löschen",
+    deleted: "Kommentar gelöscht.",
+    placeholder: "Kommentar schreiben… (Strg+Enter zum Senden)",
+    send: "Kommentieren",
+    sending: "Sende…",
+  },
+
+  workflow: {
+    title: "Status-Workflow",
+    remove: "Status entfernen",
+    key: "Schlüssel",
+    label: "Bezeichnung",
+    color: "Farbe",
+    weight: "Gewicht (0–1)",
+    counts: "Zählt zum Fortschritt",
+    requiresAttachment: "Braucht einen Anhang (z. B. einen Nachweis), bevor ein Schritt darauf gesetzt werden kann",
+    canMoveTo: "Kann wechseln zu:",
+    any: "Beliebig",
+    add: "+ Status hinzufügen",
+  },
+
+  // Preset views of the all-steps list
+  views: {
+    mine: "Meine offenen Punkte",
+    overdue: "Überfällig",
+    soon: "Bald fällig",
+  },
+
+  allSteps: {
+    title: "Alle Schritte",
+    shownOf: {
+      one: "{shown} von {count} Schritt",
+      other: "{shown} von {count} Schritten",
+    },
+    views: "Ansichten",
+    deleteView: "Ansicht löschen",
+    deleteViewName: "Ansicht {name} löschen",
+    saveView: "Ansicht speichern…",
+    saveViewTitle: "Diese Filter als Ansicht speichern",
+    noFilters: "Zuerst Filter setzen",
+    viewName: "Name der Ansicht",
+    search: "Schritte durchsuchen",
+    searchPlaceholder: "Schritte durchsuchen…",
+    anyOwner: "Alle Verantwortlichen",
+    me: "Ich",
+    meNamed: "Ich ({name})",
+    dueDate: "Fälligkeit",
+    anyDueDate: "Beliebige Fälligkeit",
+    noDueDate: "Ohne Fälligkeit",
+    state: "Offen oder erledigt",
+    openAndDone: "Offen und erledigt",
+    open: "Offen",
+    done: "Erledigt",
+    statuses: "Status",
+    clearFilters: "Filter zurücksetzen",
+    noMatches: "Keine Schritte passen zu diesen Filtern.",
+    empty: "Noch keine Schritte.",
+    selectStage: "Alle gelisteten Schritte in {name} auswählen",
+    selectStep: "{name} auswählen",
+    selectTitle: "Auswählen (Umschalt+Klick wählt einen Bereich)",
+    assignedTo: "Zugewiesen an",
+    report: "Bericht",
+    reportTitle: "Druckbarer Bericht der gelisteten Schritte",
+  },
+
+  gantt: {
+    title: "Zeitplan",
+    overdue: "{count} überfällig",
+    soon: "{count} bald fällig",
+    zoom: "Zoom",
+    days: "Tage",
+    weeks: "Wochen",
+    months: "Monate",
+    empty:
+      "Noch keine Termine. Start- und Fälligkeitsdaten in den Details eines Schritts (oder im Kopf einer Phase) setzen, um sie hier zu sehen.",
+    hintEditable:
+      "Ziehe die Kanten eines Balkens, um seine Termine zu ändern, oder den Balken, um ihn zu verschieben. Klicke einen Schritt an, um ihn zu öffnen.",
+    hint: "Klicke einen Schritt an, um ihn zu öffnen.",
+    rows: "Phase / Schritt",
+    noDates: "Keine Termine",
+    today: "Heute ({date})",
+    barTitle: "{name}: {range}",
+    barTitleState: "{name}: {range} ({state})",
+    barKeys: "Pfeiltasten verschieben, Umschalt+Pfeile ändern die Fälligkeit.",
+    dragStart: "Ziehen, um das Startdatum zu ändern",
+    dragEnd: "Ziehen, um das Fälligkeitsdatum zu ändern",
+  },
+
+  dependencies: {
+    title: "Abhängigkeiten",
+    blockedCount: {
+      one: "{count} blockierter Schritt",
+      other: "{count} blockierte Schritte",
+    },
+    empty: "Noch keine Abhängigkeiten. Öffne die Details eines Schritts, um die Schritte zu wählen, auf die er wartet.",
+    hint: "Pfeile zeigen von einer Voraussetzung zu dem Schritt, der darauf wartet. Klicke einen Schritt an, um ihn zu öffnen.",
+    graph: "Abhängigkeitsgraph der Schritte",
+    node: "{name} ({status})",
+    nodeBlocked: "{name} ({status}), blockiert",
+  },
+
+  analytics: {
+    title: "Auswertung",
+    loading: "Lade Auswertung...",
+    since: "Seit {date}",
+    startsToday: "Der Verlauf beginnt heute",
+    complete: "Erledigt",
+    stepsDone: "{done} von {count} Schritten erledigt",
+    pace: "Tempo",
+    paceWindow: {
+      one: "Aufwand pro Woche, letzter {count} Tag",
+      other: "Aufwand pro Woche, letzte {count} Tage",
+    },
+    projected: "Voraussichtlicher Abschluss",
+    stalled: "Zuletzt kein Fortschritt",
+    noHistory: "Noch nicht genug Verlauf",
+    due: "Fällig {date}",
+    dueLate: "Fällig {date} · bei diesem Tempo verspätet",
+    effortLeft: "{effort} Aufwand übrig",
+    burnUpChart: "Burn-up-Diagramm",
+    burnUp: "Burn-up",
+    burnUpLabel: "Erledigter Aufwand {done} von {total}",
+    effortDone: "Erledigter Aufwand",
+    totalEffort: "Gesamtaufwand",
+    projection: "Prognose",
+    weekly: "Erledigte Schritte pro Woche",
+    weeksShown: "Angezeigte Wochen",
+    lastWeeks: "Letzte {count} Wochen",
+    weekOf: "Woche vom {date}: {count}",
+    stageProgress: "Fortschritt der Phasen",
+    stages: "Phasen",
+    stage: "Phase",
+    now: "Jetzt",
+    daysAgo: {
+      one: "vor {count} Tag",
+      other: "vor {count} Tagen",
+    },
+    change: "Änderung",
+    timeInStatus: "Zeit im Status",
+    timeInEachStatus: "Zeit in jedem Status",
+    step: "Schritt",
+    minutes: "{count} Min.",
+    hours: "{count} Std.",
+    days: "{count} T.",
+    daysHours: "{days} T. {hours} Std.",
+  },
+
+  report: {
+    title: "Prüfbericht",
+    editFilters: "Filter ändern",
+    pdf: "PDF herunterladen",
+    pdfTitle: "Derselbe Bericht als PDF-Datei (vom Server erstellt)",
+    savePdf: "Als PDF speichern…",
+    savePdfTitle: "Die PDF-Datei kann einen Teil dieses Textes nicht darstellen (z. B. Arabisch): Bericht drucken und „Als PDF speichern“ wählen",
+    print: "Drucken",
+    generated: "Erstellt am {date} von {name}",
+    filtered: "Filter: {filters}",
+    noFilters: "Filter: keine (alle Schritte)",
+    overall: "Gesamtfortschritt",
+    byStatus: "Schritte nach Status",
+    step: "Schritt",
+    status: "Status",
+    people: "Verantwortlich / Zuständige",
+    dates: "Termine",
+    progress: "Fortschritt",
+    // The filters in words (see describeFilters in filters.js)
+    filters: {
+      q: "Suche: „{q}“",
+      status: "Status: {statuses}",
+      owner: "Verantwortlich: {owner}",
+      open: "Offene Schritte",
+      done: "Erledigte Schritte",
+    },
+  },
+
+  // Start of an error message ("Add step failed: <reason>")
+  fail: {
+    request: "Anfrage fehlgeschlagen",
+    signIn: "Anmeldung fehlgeschlagen",
+    register: "Konto konnte nicht erstellt werden",
+    signOut: "Abmeldung fehlgeschlagen",
+    loadMySteps: "Deine Schritte konnten nicht geladen werden",
+    loadNotifications: "Laden der Benachrichtigungen fehlgeschlagen",
+    readNotifications: "Markieren der Benachrichtigungen fehlgeschlagen",
+    loadWebhooks: "Laden der Webhooks fehlgeschlagen",
+    addWebhook: "Hinzufügen des Webhooks fehlgeschlagen",
+    updateWebhook: "Ändern des Webhooks fehlgeschlagen",
+    deleteWebhook: "Löschen des Webhooks fehlgeschlagen",
+    renewSecret: "Erneuern des Geheimnisses fehlgeschlagen",
+    testWebhook: "Senden des Tests fehlgeschlagen",
+    loadDeliveries: "Laden des Zustellprotokolls fehlgeschlagen",
+    retryDelivery: "Erneutes Senden fehlgeschlagen",
+    loadJourneys: "Journeys konnten nicht geladen werden",
+    loadJourney: "Die Journey konnte nicht geladen werden",
+    loadSteps: "Die Schritte konnten nicht geladen werden",
+    loadActivity: "Aktivität konnte nicht geladen werden",
+    loadAnalytics: "Auswertung konnte nicht geladen werden",
+    loadHistory: "Verlauf konnte nicht geladen werden",
+    loadComments: "Kommentare konnten nicht geladen werden",
+    addComment: "Kommentar konnte nicht hinzugefügt werden",
+    deleteComment: "Kommentar konnte nicht gelöscht werden",
+    restoreComment: "Kommentar konnte nicht wiederhergestellt werden",
+    loadTemplates: "Vorlagen konnten nicht geladen werden",
+    loadViews: "Ansichten konnten nicht geladen werden",
+    saveView: "Ansicht konnte nicht gespeichert werden",
+    deleteView: "Ansicht konnte nicht gelöscht werden",
+    restoreView: "Ansicht konnte nicht wiederhergestellt werden",
+    createJourney: "Journey konnte nicht erstellt werden",
+    saveTemplate: "Vorlage konnte nicht gespeichert werden",
+    loadTemplate: "Vorlage konnte nicht geladen werden",
+    deleteTemplate: "Vorlage konnte nicht gelöscht werden",
+    restoreTemplate: "Vorlage konnte nicht wiederhergestellt werden",
+    checkFile: "Datei konnte nicht geprüft werden",
+    import: "Import fehlgeschlagen",
+    update: "Änderung fehlgeschlagen",
+    updateStep: "Schritt konnte nicht geändert werden",
+    updateStage: "Phase konnte nicht geändert werden",
+    saveWorkflow: "Workflow konnte nicht gespeichert werden",
+    updateMember: "Mitglied konnte nicht geändert werden",
+    removeMember: "Mitglied konnte nicht entfernt werden",
+    addStage: "Phase konnte nicht hinzugefügt werden",
+    deleteStage: "Phase konnte nicht gelöscht werden",
+    restoreStage: "Phase konnte nicht wiederhergestellt werden",
+    addStep: "Schritt konnte nicht hinzugefügt werden",
+    delete: "Löschen fehlgeschlagen",
+    restoreStep: "Schritt konnte nicht wiederhergestellt werden",
+    restoreAttachment: "Anhang konnte nicht wiederhergestellt werden",
+    moveStage: "Phase konnte nicht verschoben werden",
+    moveStep: "Schritt konnte nicht verschoben werden",
+    bulkUpdate: "Sammeländerung fehlgeschlagen",
+    bulkDelete: "Sammellöschung fehlgeschlagen",
+    bulkMove: "Sammelverschiebung fehlgeschlagen",
+    upload: "„{name}“ konnte nicht hochgeladen werden",
+  },
+
+  errors: {
+    failed: "{action}: {reason}",
+    unexpected: "unerwartete Antwort ({status})",
+    // What to tell the user when the server gives no reason of its own
+    status: {
+      0: "Server nicht erreichbar. Prüfe deine Verbindung und versuche es erneut",
+      401: "du bist abgemeldet. Melde dich an und versuche es erneut",
+      403: "dazu fehlt dir die Berechtigung",
+      404: "es existiert nicht mehr (vielleicht wurde es gelöscht). Neu laden, um den aktuellen Stand zu sehen",
+      408: "der Server hat zu lange gebraucht. Versuche es erneut",
+      412: "jemand anderes hat es inzwischen geändert. Neu laden, um dessen Version zu sehen",
+      413: "die Anfrage ist zu groß",
+      500: "auf dem Server ist ein Problem aufgetreten. Versuche es gleich noch einmal",
+      502: "der Server ist nicht verfügbar. Versuche es gleich noch einmal",
+      503: "der Server ist nicht verfügbar. Versuche es gleich noch einmal",
+      504: "der Server hat zu lange gebraucht. Versuche es erneut",
+    },
+  },
+
+  app: {
+    title: "Mini Milestone Journey UI",
+    undoTitle: "Rückgängig (Strg+Z)",
+    redoTitle: "Wiederholen (Strg+Umschalt+Z)",
+    shortcutsTitle: "Tastenkürzel (?) · Befehlspalette (Strg+K)",
+    signedInAs: "Angemeldet als @{username}",
+    signOut: "Abmelden",
+    signOutAnyway: "Trotzdem abmelden",
+    unsentChanges: {
+      one: "{count} Änderung wurde noch nicht gesendet und geht verloren.",
+      other: "{count} Änderungen wurden noch nicht gesendet und gehen verloren.",
+    },
+    loadJourneysFailed: "Journeys konnten nicht geladen werden",
+    loadJourneyFailed: "Journey konnte nicht geladen werden",
+    loadingJourney: "Lade Journey...",
+    loadJourneyError: "Journey konnte nicht geladen werden",
+    loadingStages: "Lade Phasen...",
+    loadingSteps: "Lade Schritte... ({loaded} von {total})",
+    processing: "Verarbeite...",
+    stages: "Phasen",
+    steps: "Schritte",
+    allStepsTitle: "Alle Schritte (/)",
+    noStages: "Noch keine Phasen",
+    noStageSelected: "Keine Phase ausgewählt.",
+    noSteps: "Noch keine Aufgaben",
+    renameStage: "Phase umbenennen",
+    renameStep: "Schritt umbenennen",
+    deleteStage: "Phase löschen",
+    deleteStageName: "Phase {name} löschen",
+    deleteStep: "Schritt löschen",
+    deleteStepName: "Schritt {name} löschen",
+    moveStep: "{name} in Phase verschieben",
+    selectStage: "Alle Schritte dieser Phase auswählen",
+    stageDragTitle:
+      "Ziehen zum Umsortieren (Alt+↑/↓ mit der Tastatur). Einen Schritt hier ablegen, um ihn zu verschieben.",
+    stepDragTitle:
+      "Ziehen zum Umsortieren oder auf eine Phase (Alt+↑/↓ mit der Tastatur). S: nächster Status, Enter: Details",
+    start: "Start",
+    due: "Fällig",
+    waitingFor: "Wartet auf {steps}",
+    saving: "Speichere...",
+    details: "Details",
+    viewSaved: "Ansicht „{name}“ gespeichert",
+    viewDeleted: "Ansicht „{name}“ gelöscht",
+    templateSaved: "Vorlage „{name}“ gespeichert",
+    templateDeleted: "Vorlage „{name}“ gelöscht",
+    imported: "„{name}“ importiert",
+    left: "Du hast „{name}“ verlassen.",
+    changeUndone: "{error} — deine Änderung wurde zurückgenommen.",
+    stepBlocked: "„{name}“ ist blockiert durch {steps}",
+    needsAttachment: "„{name}“ braucht einen Anhang, bevor er auf {status} gesetzt werden kann",
+    keepAttachment: "„{name}“ ist {status} und braucht daher mindestens einen Anhang",
+    statusSet: "„{name}“ auf {status} gesetzt",
+    stageDeleted: "Phase „{name}“ gelöscht",
+    stepDeleted: "Schritt „{name}“ gelöscht",
+    attachmentDeleted: "„{name}“ gelöscht",
+    skippedBlocked: "{steps} übersprungen, noch blockiert: {names}",
+    skippedAttachment: "{steps} ohne Anhang übersprungen ({status} braucht einen): {names}",
+    stepsMoved: "{steps} nach „{stage}“ verschoben",
+    stepsDeleted: "{steps} gelöscht",
+  },
+
+  // Names of changes (undo history, pending changes panel)
+  changes: {
+    edit: "„{name}“ bearbeiten",
+    editStage: "Phase „{name}“ bearbeiten",
+    status: "{name} → {status}",
+    addStage: "Phase „{name}“ hinzufügen",
+    deleteStage: "Phase „{name}“ löschen",
+    restoreStage: "Phase „{name}“ wiederherstellen",
+    addStep: "Schritt „{name}“ hinzufügen",
+    deleteStep: "Schritt „{name}“ löschen",
+    restoreStep: "Schritt „{name}“ wiederherstellen",
+    deleteAttachment: "Anhang „{name}“ löschen",
+    restoreAttachment: "Anhang „{name}“ wiederherstellen",
+    moveStage: "Phase „{name}“ verschieben",
+    moveStep: "Schritt „{name}“ verschieben",
+    moveSteps: "{steps} nach „{stage}“ verschieben",
+    deleteSteps: "{steps} löschen",
+  },
+};
@@ -0,0 +1,851 @@
+/**
+ * English messages (the reference catalog: every key exists here)
+ * ---------------------------------------------------------------
+ * {placeholders} are filled in by t() (see i18n.js); an object with
+ * one / other (and zero, two, few, many) holds plural forms, picked by
+ * the `count` parameter.
+ */
+export default {
+  common: {
+    add: "Add",
+    cancel: "Cancel",
+    close: "Close",
+    create: "Create",
+    delete: "Delete",
+    description: "Description",
+    discard: "Discard",
+    dismiss: "Dismiss",
+    moveTo: "Move to…",
+    optional: "Optional",
+    reason: "Reason: {reason}",
+    refresh: "Refresh",
+    retry: "Retry",
+    save: "Save",
+    undo: "Undo",
+    username: "Username",
+    stageCount: {
+      one: "{count} stage",
+      other: "{count} stages",
+    },
+    stepCount: {
+      one: "{count} step",
+      other: "{count} steps",
+    },
+    complete: "{pct} complete",
+  },
+
+  // Built-in statuses (as the server creates them; renamed ones aren't translated)
+  statuses: {
+    NOT_STARTED: "Not started",
+    IN_PROGRESS: "In progress",
+    COMPLETED: "Completed",
+    IN_REVIEW: "In review",
+    BLOCKED: "Blocked",
+    NOT_APPLICABLE: "Not applicable",
+  },
+
+  roles: {
+    viewer: "Viewer",
+    contributor: "Contributor",
+    owner: "Owner",
+  },
+
+  dates: {
+    range: "{start} → {due}",
+    from: "from {start}",
+    due: "due {due}",
+    overdue: "Overdue",
+    soon: "Due soon",
+  },
+
+  statusTag: {
+    notCounted: "Not counted toward completion",
+  },
+
+  blocked: {
+    badge: "Blocked",
+    waitingFor: "Waiting for: {steps}",
+  },
+
+  switcher: {
+    title: "Switch journey",
+    all: "All journeys",
+  },
+
+  progress: {
+    checklistTitle: "Checklist: {done} of {count} done (step at {pct})",
+    effort: "effort {effort}",
+    effortTitle: "Effort (bigger steps count more toward progress)",
+    comments: "Comments",
+  },
+
+  sync: {
+    connecting: "Connecting…",
+    connectingTitle: "Connecting to live updates…",
+    live: "Live",
+    liveTitle: "Changes by others appear automatically",
+    offline: "Offline",
+    offlineTitle: "Live updates unavailable — reload to see others' changes",
+    offlinePending: {
+      one: "Offline · {count} pending change",
+      other: "Offline · {count} pending changes",
+    },
+    unreachableTitle: "Server unreachable — changes are saved on this device and sent when it is back",
+    rejected: "{count} rejected",
+    rejectedTitle: "Some offline changes were rejected by the server",
+  },
+
+  activity: {
+    filters: {
+      all: "All activity",
+      status: "Status changes",
+      steps: "Steps",
+      stages: "Stages",
+      workflow: "Workflow",
+      members: "Members",
+    },
+    fields: {
+      name: "name",
+      description: "description",
+      owner: "owner",
+      notes: "notes",
+      effort: "effort",
+      start_date: "start date",
+      due_date: "due date",
+      depends_on: "prerequisites",
+      checklist: "checklist",
+      assignees: "assignees",
+    },
+    events: {
+      statusChanged: "{name}: {old} → {new}",
+      stepAdded: "Step \"{name}\" added ({status})",
+      stepDeleted: "Step \"{name}\" deleted",
+      stepRestored: "Step \"{name}\" restored",
+      stepRenamed: "Step renamed: \"{old}\" → \"{new}\"",
+      stepUpdated: "{name}: {fields} updated",
+      commented: "{name}: comment added",
+      commentDeleted: "{name}: comment deleted",
+      commentRestored: "{name}: comment restored",
+      attachmentAdded: "{name}: \"{filename}\" attached",
+      attachmentDeleted: "{name}: attachment \"{filename}\" deleted",
+      attachmentRestored: "{name}: attachment \"{filename}\" restored",
+      stepReordered: "Step \"{name}\" reordered",
+      stepMoved: "Step \"{name}\" moved to {stage}",
+      stageAdded: "Stage \"{name}\" added",
+      stageDeleted: "Stage \"{name}\" deleted",
+      stageRestored: "Stage \"{name}\" restored",
+      stageRenamed: "Stage renamed: \"{old}\" → \"{new}\"",
+      stageUpdated: "Stage \"{name}\": {fields} updated",
+      stageMoved: "Stage \"{name}\" moved to position {position}",
+      journeyCreated: "Journey \"{name}\" created",
+      journeyImported: "Journey \"{name}\" imported",
+      journeyFromTemplate: "Journey \"{name}\" created from a template",
+      workflowUpdated: "Status workflow updated",
+      memberAdded: "{name} added as {role}",
+      memberRoleChanged: "{name}: {old} → {new}",
+      memberLeft: "{name} left the journey",
+      memberRemoved: "{name} removed from the journey",
+    },
+  },
+
+  timeline: {
+    title: "Activity",
+    kind: "Kind of change",
+    stage: "Stage",
+    allStages: "All stages",
+    actor: "Actor",
+    actorPlaceholder: "Filter by person",
+    loading: "Loading activity...",
+    empty: "No activity matches these filters.",
+  },
+
+  updateStatus: {
+    title: "Update Status",
+    step: "Step:",
+    blocked: "Blocked — waiting for {steps}",
+    needsAttachment: {
+      one: "{statuses} needs an attachment — add one in the step details first.",
+      other: "{statuses} need an attachment — add one in the step details first.",
+    },
+    newStatus: "New Status",
+  },
+
+  bulk: {
+    label: "Bulk actions",
+    selected: "{count} selected",
+    setStatus: "Set status…",
+    setStatusLabel: "Set status of the selected steps",
+    moveLabel: "Move the selected steps to stage",
+    clear: "Clear selection",
+  },
+
+  addStage: {
+    title: "Add Stage",
+    name: "Stage Name",
+    namePlaceholder: "e.g., Risk Assessment",
+    nameRequired: "Stage name required",
+  },
+
+  templates: {
+    title: "Templates",
+    loading: "Fetching templates...",
+    empty: "No templates yet",
+    starter: "Starter",
+    use: "Use",
+    delete: "Delete Template",
+  },
+
+  journeys: {
+    title: "Journeys",
+    import: "Import…",
+    new: "New Journey",
+    loading: "Fetching journeys...",
+    loadFailed: "Could not load journeys",
+    empty: "No journeys yet — create one, or ask an owner to add you",
+  },
+
+  shortcuts: {
+    title: "Keyboard Shortcuts",
+    groups: {
+      anywhere: "Anywhere",
+      stageList: "Stage list",
+      steps: "Steps",
+    },
+    keys: {
+      palette: "Command palette",
+      cheatSheet: "This cheat-sheet",
+      search: "Search all steps",
+      undo: "Undo",
+      redo: "Redo",
+      close: "Close dialog or panel",
+      stagePrevNext: "Previous / next stage",
+      openStage: "Open stage",
+      toSteps: "Go to the stage's steps",
+      moveStage: "Move stage up / down",
+      deleteStage: "Delete stage",
+      stepPrevNext: "Previous / next step",
+      toStages: "Back to the stage list",
+      status: "Next / previous status",
+      openDetails: "Open details",
+      rename: "Rename",
+      select: "Select / select a range (bulk actions)",
+      moveStep: "Move step up / down",
+      deleteStep: "Delete step",
+    },
+  },
+
+  export: {
+    menu: "Export",
+    formats: {
+      json: "JSON (full journey, re-importable)",
+      csv: "CSV (one row per step)",
+      md: "Markdown checklist",
+    },
+  },
+
+  palette: {
+    title: "Command Palette",
+    search: "Search commands",
+    placeholder: "Type a command, e.g. “add step” or “go to onboarding”",
+    commands: "Commands",
+    empty: "No matching commands",
+    cmd: {
+      addStep: "Add step",
+      addStage: "Add stage",
+      goToStage: "Go to stage: {name}",
+      timeline: "Open activity timeline",
+      graph: "Open dependency graph",
+      schedule: "Open schedule (Gantt chart)",
+      analytics: "Open analytics (burn-up chart)",
+      report: "Open printable report",
+      view: "View: {name}",
+      workflow: "Edit status workflow",
+      saveTemplate: "Save journey as template",
+      export: "Export as {format}",
+      bulkDelete: "Delete {steps} (selected)",
+      goToJourney: "Go to journey: {name}",
+      signOut: "Sign out ({name})",
+    },
+  },
+
+  conflict: {
+    title: {
+      step: "This step was changed by someone else",
+      stage: "This stage was changed by someone else",
+    },
+    keepTheirs: "Keep theirs",
+    deleteAnyway: "Delete anyway",
+    overwrite: "Overwrite with mine",
+    deleteText: "“{name}” was edited after you loaded it. Delete it anyway, or keep it with their changes?",
+    updateText: "“{name}” was edited after you loaded it, so your change was not saved.",
+    field: "Field",
+    theirs: "Theirs",
+    yours: "Yours",
+    fields: {
+      name: "Name",
+      status: "Status",
+      description: "Description",
+      owner: "Owner",
+      start_date: "Start Date",
+      due_date: "Due Date",
+      notes: "Notes",
+      effort: "Effort",
+      checklist: "Checklist",
+      depends_on: "Prerequisites",
+      assignees: "Assignees",
+    },
+    checklist: "{done} of {count} done",
+    people: {
+      one: "{count} person",
+      other: "{count} people",
+    },
+    reloaded: "The journey has been reloaded with their changes.",
+  },
+
+  addJourney: {
+    title: "New Journey",
+    name: "Journey Name",
+    namePlaceholder: "e.g., SOC2 Type II",
+    nameRequired: "Journey name required",
+    startFrom: "Start From",
+    blank: "Blank journey",
+    templateOption: "{name} ({stages}, {steps})",
+    startStatus: "Every Step Starts As",
+    defaultStatus: "Default ({status})",
+  },
+
+  saveTemplate: {
+    title: "Save as Template",
+    name: "Template Name",
+    hint: "Only stages and steps are saved. Statuses, owners and due dates start fresh.",
+  },
+
+  importJourney: {
+    title: "Import Journey",
+    submit: "Import",
+    file: "File (.json or .csv)",
+    wrongType: "Choose a .json or .csv file",
+    checking: "Checking file...",
+    problems: {
+      one: "{count} problem found — nothing was imported",
+      other: "{count} problems found — nothing was imported",
+    },
+    row: "Row",
+    problem: "Problem",
+    wholeFile: "file",
+    willCreate: "Will create {stages} and {steps}:",
+  },
+
+  outbox: {
+    title: "Pending Changes",
+    retryNow: "Retry now",
+    online: "Connected. Changes are sent as soon as you make them.",
+    offline:
+      "The server can't be reached. Your changes are saved on this device and sent in order when it is back.",
+    rejected: "Rejected by the server",
+    overwrite: "Overwrite",
+    waiting: "Waiting to be sent",
+    discardTitle: "Drop this change",
+    empty: "Nothing waiting — everything is saved.",
+  },
+
+  mySteps: {
+    title: "My steps",
+    showDone: "Show done steps",
+    loading: "Fetching your steps...",
+    loadFailed: "Could not load your steps",
+    allDone: "All your steps are done.",
+    empty: "No steps are assigned to you yet.",
+    count: "({count})",
+    countWithDone: "({count}, {done} done)",
+  },
+
+  members: {
+    title: "Members",
+    you: "(you)",
+    roleOf: "Role of {name}",
+    leave: "Leave",
+    remove: "Remove",
+    add: "Add a member",
+    newRole: "Role of the new member",
+    usernameRequired: "Username required",
+    hint:
+      "Viewers can read the journey. Contributors can also change its steps and stages. Owners can also delete stages, edit the status workflow and manage members.",
+  },
+
+  notifications: {
+    title: "Notifications",
+    unreadLabel: {
+      one: "Notifications ({count} unread)",
+      other: "Notifications ({count} unread)",
+    },
+    unread: "unread",
+    markAllRead: "Mark all read",
+    empty: "Nothing yet. You'll hear here when your steps change status or fall overdue, and when a stage or a whole journey is complete.",
+    events: {
+      statusChanged: "{actor} moved \"{name}\" to {new}",
+      stageCompleted: "Stage \"{name}\" is complete",
+      journeyCompleted: "Journey \"{name}\" is complete 🎉",
+      overdue: "\"{name}\" is overdue (due {date})",
+    },
+  },
+
+  webhooks: {
+    title: "Webhooks",
+    hint:
+      "Each event is POSTed as JSON to the URL. X-Milestone-Signature is \"sha256=\" plus the HMAC-SHA256 of \"<X-Milestone-Timestamp>.<body>\" with the webhook's secret. Failed deliveries are retried five times over about two and a half hours.",
+    empty: "No webhooks yet. Add one to tell other tools about milestones.",
+    add: "Add webhook",
+    url: "Payload URL",
+    urlRequired: "Enter the URL to send events to",
+    eventsLabel: "Events to send",
+    eventsRequired: "Choose at least one event",
+    active: "Active",
+    events: {
+      statusChanged: "Step status changed",
+      stageCompleted: "Stage completed",
+      journeyCompleted: "Journey completed",
+      overdue: "Step overdue",
+      ping: "Test",
+    },
+    states: {
+      pending: "Pending",
+      delivered: "Delivered",
+      failed: "Failed",
+    },
+    lastDelivery: "Last delivery: {state}, {date}",
+    noDeliveries: "No deliveries yet",
+    secretOnce: "Signing secret (copy it now, it won't be shown again):",
+    deliveries: "Delivery log",
+    hideDeliveries: "Hide delivery log",
+    test: "Send test",
+    renewSecret: "New secret",
+    confirmDelete: "Really delete?",
+    event: "Event",
+    state: "State",
+    attempts: "Attempts",
+    lastResponse: "Last response",
+    nextAttempt: "Next try {date}",
+    response: "{response} ({ms} ms)",
+    redeliver: "Redeliver",
+  },
+
+  auth: {
+    signIn: "Sign in",
+    signInToContinue: "Sign in to continue",
+    createAccount: "Create an account",
+    haveAccount: "I already have an account",
+    register: "Create account",
+    wait: "Please wait…",
+    displayName: "Display name",
+    displayNamePlaceholder: "Shown in the activity log (default: your username)",
+    password: "Password",
+    usernameRequired: "Username required",
+    passwordRequired: "Password required",
+  },
+
+  locale: {
+    title: "Language",
+  },
+
+  // Step fields (add-step modal and detail panel)
+  stepFields: {
+    stage: "Stage:",
+    name: "Name",
+    owner: "Owner",
+    startDate: "Start Date",
+    dueDate: "Due Date",
+    notes: "Notes",
+  },
+
+  addStep: {
+    title: "Add Step",
+    name: "Step Name",
+    namePlaceholder: "e.g., Connect Azure",
+    nameRequired: "Step name required",
+    status: "Initial Status",
+    moreDetails: "More details (optional)",
+  },
+
+  stepDetail: {
+    title: "Step Details",
+    ownerPlaceholder: "e.g., Priya (Security)",
+    assignees: "Assignees",
+    noAssignees: "Nobody is assigned yet.",
+    assign: "Assign someone…",
+    allAssigned: "Everyone is assigned",
+    unassign: "Unassign",
+    unassignName: "Unassign {name}",
+    formerMember: "Former member",
+    datesInvalid: "The start date must be on or before the due date.",
+    effort: "Effort",
+    effortHint:
+      "Relative size of the step (e.g. days of work). Bigger steps count more toward the stage and journey percentages.",
+    effortInvalid: "Effort must be a number above 0 (at most {max}).",
+    checklist: "Checklist",
+    checklistDone: "{done} of {count} done · step at {pct}",
+    noChecklist: "No checklist — the step's progress follows its status.",
+    addItem: "Add an item…",
+    removeItem: "Remove item",
+    removeItemName: "Remove checklist item {text}",
+    dependsOn: "Depends on",
+    prerequisites: "Prerequisites",
+    noPrerequisites: "No prerequisites — this step can start any time.",
+    addPrerequisite: "Add a step this one waits for…",
+    removePrerequisite: "Remove prerequisite",
+    removePrerequisiteName: "Remove prerequisite {name}",
+    neededBy: "Needed by: {steps}",
+    history: "History",
+    noHistory: "No changes recorded yet.",
+  },
+
+  attachments: {
+    title: "Attachments",
+    upload: "Upload…",
+    uploading: "Uploading…",
+    uploadingName: "Uploading \"{name}\"…",
+    tooLarge: "\"{name}\" is too large (max {max})",
+    full: "At most {max} attachments per step",
+    maxSize: "Max {max} per file",
+    delete: "Delete attachment",
+    deleteName: "Delete attachment {name}",
+    empty: "No attachments yet.",
+    needed: "Needs an attachment before it can be set to {statuses}.",
+  },
+
+  comments: {
+    title: "Comments",
+    empty: "No comments yet.",
+    delete: "Delete comment",
+    deleteBy: "Delete comment by {name}",
+    deleted: "Comment deleted.",
+    placeholder: "Add a comment… (Ctrl+Enter to send)",
+    send: "Comment",
+    sending: "Sending…",
+  },
+
+  workflow: {
+    title: "Status Workflow",
+    remove: "Remove status",
+    key: "Key",
+    label: "Label",
+    color: "Color",
+    weight: "Weight (0–1)",
+    counts: "Counts toward completion",
+    requiresAttachment: "Needs an attachment (e.g. evidence) before a step can be set to it",
+    canMoveTo: "Can move to:",
+    any: "Any",
+    add: "+ Add status",
+  },
+
+  // Preset views of the all-steps list
+  views: {
+    mine: "My open items",
+    overdue: "Overdue",
+    soon: "Due soon",
+  },
+
+  allSteps: {
+    title: "All steps",
+    shownOf: {
+      one: "{shown} of {count} step",
+      other: "{shown} of {count} steps",
+    },
+    views: "Views",
+    deleteView: "Delete view",
+    deleteViewName: "Delete view {name}",
+    saveView: "Save view…",
+    saveViewTitle: "Save these filters as a view",
+    noFilters: "Set some filters first",
+    viewName: "View name",
+    search: "Search steps",
+    searchPlaceholder: "Search steps…",
+    anyOwner: "Any owner",
+    me: "Me",
+    meNamed: "Me ({name})",
+    dueDate: "Due date",
+    anyDueDate: "Any due date",
+    noDueDate: "No due date",
+    state: "Open or done",
+    openAndDone: "Open and done",
+    open: "Open",
+    done: "Done",
+    statuses: "Statuses",
+    clearFilters: "Clear filters",
+    noMatches: "No steps match these filters.",
+    empty: "No steps yet.",
+    selectStage: "Select all listed steps in {name}",
+    selectStep: "Select {name}",
+    selectTitle: "Select (Shift+click selects a range)",
+    assignedTo: "Assigned to",
+    report: "Report",
+    reportTitle: "Printable report of the listed steps",
+  },
+
+  gantt: {
+    title: "Schedule",
+    overdue: "{count} overdue",
+    soon: "{count} due soon",
+    zoom: "Zoom",
+    days: "Days",
+    weeks: "Weeks",
+    months: "Months",
+    empty: "No dates yet. Set start and due dates in a step's details (or a stage's header) to see them here.",
+    hintEditable: "Drag a bar's edges to change its dates, or the bar to move it. Click a step to open it.",
+    hint: "Click a step to open it.",
+    rows: "Stage / step",
+    noDates: "No dates",
+    today: "Today ({date})",
+    barTitle: "{name}: {range}",
+    barTitleState: "{name}: {range} ({state})",
+    barKeys: "Arrow keys move, Shift+arrows change the due date.",
+    dragStart: "Drag to change the start date",
+    dragEnd: "Drag to change the due date",
+  },
+
+  dependencies: {
+    title: "Dependencies",
+    blockedCount: {
+      one: "{count} blocked step",
+      other: "{count} blocked steps",
+    },
+    empty: "No dependencies yet. Open a step's details to choose the steps it waits for.",
+    hint: "Arrows point from a prerequisite to the step waiting for it. Click a step to open it.",
+    graph: "Step dependency graph",
+    node: "{name} ({status})",
+    nodeBlocked: "{name} ({status}), blocked",
+  },
+
+  analytics: {
+    title: "Analytics",
+    loading: "Loading analytics...",
+    since: "Since {date}",
+    startsToday: "History starts today",
+    complete: "Complete",
+    stepsDone: "{done} of {count} steps done",
+    pace: "Pace",
+    paceWindow: {
+      one: "effort per week, last {count} day",
+      other: "effort per week, last {count} days",
+    },
+    projected: "Projected completion",
+    stalled: "No progress lately",
+    noHistory: "Not enough history yet",
+    due: "Due {date}",
+    dueLate: "Due {date} · late at this pace",
+    effortLeft: "{effort} effort left",
+    burnUpChart: "Burn-up chart",
+    burnUp: "Burn-up",
+    burnUpLabel: "Effort done {done} of {total}",
+    effortDone: "Effort done",
+    totalEffort: "Total effort",
+    projection: "Projection",
+    weekly: "Steps completed per week",
+    weeksShown: "Weeks shown",
+    lastWeeks: "Last {count} weeks",
+    weekOf: "Week of {date}: {count}",
+    stageProgress: "Stage progress",
+    stages: "Stages",
+    stage: "Stage",
+    now: "Now",
+    daysAgo: {
+      one: "{count} day ago",
+      other: "{count} days ago",
+    },
+    change: "Change",
+    timeInStatus: "Time in status",
+    timeInEachStatus: "Time in each status",
+    step: "Step",
+    minutes: "{count}m",
+    hours: "{count}h",
+    days: "{count}d",
+    daysHours: "{days}d {hours}h",
+  },
+
+  report: {
+    title: "Audit report",
+    editFilters: "Change filters",
+    pdf: "Download PDF",
+    pdfTitle: "The same report as a PDF file (made by the server)",
+    savePdf: "Save as PDF…",
+    savePdfTitle: "The PDF file can't show some of this text (e.g. Arabic): print the report and choose “Save as PDF”",
+    print: "Print",
+    generated: "Generated {date} by {name}",
+    filtered: "Filters: {filters}",
+    noFilters: "Filters: none (all steps)",
+    overall: "Overall completion",
+    byStatus: "Steps by status",
+    step: "Step",
+    status: "Status",
+    people: "Owner / assignees",
+    dates: "Dates",
+    progress: "Progress",
+    // The filters in words (see describeFilters in filters.js)
+    filters: {
+      q: "Search: “{q}”",
+      status: "Status: {statuses}",
+      owner: "Owner: {owner}",
+      open: "Open steps",
+      done: "Done steps",
+    },
+  },
+
+  // Start of an error message ("Add step failed: <reason>")
+  fail: {
+    request: "Request failed",
+    signIn: "Sign in failed",
+    register: "Creating the account failed",
+    signOut: "Sign out failed",
+    loadMySteps: "Loading your steps failed",
+    loadNotifications: "Loading notifications failed",
+    readNotifications: "Marking notifications read failed",
+    loadWebhooks: "Loading webhooks failed",
+    addWebhook: "Adding the webhook failed",
+    updateWebhook: "Updating the webhook failed",
+    deleteWebhook: "Deleting the webhook failed",
+    renewSecret: "Renewing the secret failed",
+    testWebhook: "Sending the test failed",
+    loadDeliveries: "Loading the delivery log failed",
+    retryDelivery: "Redelivering failed",
+    loadJourneys: "Loading journeys failed",
+    loadJourney: "Loading the journey failed",
+    loadSteps: "Loading steps failed",
+    loadActivity: "Loading activity failed",
+    loadAnalytics: "Loading analytics failed",
+    loadHistory: "Loading history failed",
+    loadComments: "Loading comments failed",
+    addComment: "Adding the comment failed",
+    deleteComment: "Deleting the comment failed",
+    restoreComment: "Restoring the comment failed",
+    loadTemplates: "Loading templates failed",
+    loadViews: "Loading views failed",
+    saveView: "Save view failed",
+    deleteView: "Delete view failed",
+    restoreView: "Restore view failed",
+    createJourney: "Create journey failed",
+    saveTemplate: "Save template failed",
+    loadTemplate: "Load template failed",
+    deleteTemplate: "Delete template failed",
+    restoreTemplate: "Restore template failed",
+    checkFile: "Checking the file failed",
+    import: "Import failed",
+    update: "Update failed",
+    updateStep: "Update step failed",
+    updateStage: "Update stage failed",
+    saveWorkflow: "Save workflow failed",
+    updateMember: "Update member failed",
+    removeMember: "Remove member failed",
+    addStage: "Add stage failed",
+    deleteStage: "Delete stage failed",
+    restoreStage: "Restore stage failed",
+    addStep: "Add step failed",
+    delete: "Delete failed",
+    restoreStep: "Restore step failed",
+    restoreAttachment: "Restore attachment failed",
+    moveStage: "Move stage failed",
+    moveStep: "Move step failed",
+    bulkUpdate: "Bulk update failed",
+    bulkDelete: "Bulk delete failed",
+    bulkMove: "Bulk move failed",
+    upload: "Uploading \"{name}\" failed",
+  },
+
+  errors: {
+    failed: "{action}: {reason}",
+    unexpected: "unexpected response ({status})",
+    // What to tell the user when the server gives no reason of its own
+    status: {
+      0: "can't reach the server. Check your connection and try again",
+      401: "you are signed out. Sign in and try again",
+      403: "you don't have permission to do that",
+      404: "it no longer exists (it may have been deleted). Reload to see the current state",
+      408: "the server took too long to answer. Try again",
+      412: "someone else changed it meanwhile. Reload to see their version",
+      413: "the request is too large",
+      500: "the server ran into a problem. Try again in a moment",
+      502: "the server is unavailable. Try again in a moment",
+      503: "the server is unavailable. Try again in a moment",
+      504: "the server took too long to answer. Try again",
+    },
+  },
+
+  app: {
+    title: "Mini Milestone Journey UI",
+    undoTitle: "Undo (Ctrl+Z)",
+    redoTitle: "Redo (Ctrl+Shift+Z)",
+    shortcutsTitle: "Keyboard shortcuts (?) · Command palette (Ctrl+K)",
+    signedInAs: "Signed in as @{username}",
+    signOut: "Sign out",
+    signOutAnyway: "Sign out anyway",
+    unsentChanges: {
+      one: "{count} change hasn't been sent yet and will be lost.",
+      other: "{count} changes haven't been sent yet and will be lost.",
+    },
+    loadJourneysFailed: "Failed to load journeys",
+    loadJourneyFailed: "Failed to load journey",
+    loadingJourney: "Fetching journey...",
+    loadJourneyError: "Could not load journey",
+    loadingStages: "Loading stages...",
+    loadingSteps: "Loading steps... ({loaded} of {total})",
+    processing: "Processing...",
+    stages: "Stages",
+    steps: "Steps",
+    allStepsTitle: "All steps (/)",
+    noStages: "No stages yet",
+    noStageSelected: "No stage selected.",
+    noSteps: "No tasks yet",
+    renameStage: "Rename stage",
+    renameStep: "Rename step",
+    deleteStage: "Delete Stage",
+    deleteStageName: "Delete stage {name}",
+    deleteStep: "Delete Step",
+    deleteStepName: "Delete step {name}",
+    moveStep: "Move {name} to stage",
+    selectStage: "Select all steps in this stage",
+    stageDragTitle: "Drag to reorder (Alt+↑/↓ with keyboard). Drop a step here to move it.",
+    stepDragTitle:
+      "Drag to reorder or onto a stage (Alt+↑/↓ with keyboard). S: next status, Enter: details",
+    start: "Start",
+    due: "Due",
+    waitingFor: "Waiting for {steps}",
+    saving: "Saving...",
+    details: "Details",
+    viewSaved: "View \"{name}\" saved",
+    viewDeleted: "View \"{name}\" deleted",
+    templateSaved: "Template \"{name}\" saved",
+    templateDeleted: "Template \"{name}\" deleted",
+    imported: "Imported \"{name}\"",
+    left: "You left \"{name}\".",
+    changeUndone: "{error} — your change was undone.",
+    stepBlocked: "\"{name}\" is blocked by {steps}",
+    needsAttachment: "\"{name}\" needs an attachment before it can be set to {status}",
+    keepAttachment: "\"{name}\" is {status}, which needs at least one attachment",
+    statusSet: "\"{name}\" set to {status}",
+    stageDeleted: "Stage \"{name}\" deleted",
+    stepDeleted: "Step \"{name}\" deleted",
+    attachmentDeleted: "\"{name}\" deleted",
+    skippedBlocked: "Skipped {steps} still blocked: {names}",
+    skippedAttachment: "Skipped {steps} without an attachment ({status} needs one): {names}",
+    stepsMoved: "{steps} moved to \"{stage}\"",
+    stepsDeleted: "{steps} deleted",
+  },
+
+  // Names of changes (undo history, pending changes panel)
+  changes: {
+    edit: "Edit \"{name}\"",
+    editStage: "Edit stage \"{name}\"",
+    status: "{name} → {status}",
+    addStage: "Add stage \"{name}\"",
+    deleteStage: "Delete stage \"{name}\"",
+    restoreStage: "Restore stage \"{name}\"",
+    addStep: "Add step \"{name}\"",
+    deleteStep: "Delete step \"{name}\"",
+    restoreStep: "Restore step \"{name}\"",
+    deleteAttachment: "Delete attachment \"{name}\"",
+    restoreAttachment: "Restore attachment \"{name}\"",
+    moveStage: "Move stage \"{name}\"",
+    moveStep: "Move step \"{name}\"",
+    moveSteps: "Move {steps} to \"{stage}\"",
+    deleteSteps: "Delete {steps}",
+  },
+};
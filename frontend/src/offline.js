@@ -0,0 +1,137 @@
+/**
+ * Offline storage (IndexedDB)
+ * ---------------------------
+ * - journeys: the last known copy of each opened journey, including
+ *   changes that haven't reached the server yet, so it can be shown
+ *   (and edited) when the API is unreachable; tagged with the user it
+ *   was loaded for and only shown to them
+ * - outbox: changes waiting to be sent, replayed in order once the
+ *   connection returns (survives reloads); each is tagged with the
+ *   user who made it and only ever replayed for them
+ *
+ * Every function resolves even when IndexedDB is unavailable
+ * (private mode, old browser): the app then just works online-only.
+ */
+
+const DB_NAME = "milestone";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+// Opens (and on first use creates) the database; null if unavailable
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("journeys", { keyPath: "journey_id" });
+        db.createObjectStore("outbox", { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+// Runs one request against a store; resolves with its result (fallback on failure)
+async function withStore(name, mode, makeRequest, fallback = null) {
+  const db = await openDb();
+  if (!db) return fallback;
+
+  return new Promise((resolve) => {
+    try {
+      const request = makeRequest(db.transaction(name, mode).objectStore(name));
+      request.onsuccess = () => resolve(request.result ?? fallback);
+      request.onerror = () => resolve(fallback);
+    } catch {
+      resolve(fallback);
+    }
+  });
+}
+
+/* ============================
+   JOURNEY CACHE
+   ============================ */
+
+// Saves the journey as currently shown to a user
+export function cacheJourney(journey, userId) {
+  return withStore("journeys", "readwrite", (store) => store.put({ ...journey, cachedFor: userId }));
+}
+
+// Last copy of a journey saved for this user (null if they never opened it here)
+export async function getCachedJourney(journeyId, userId) {
+  const copy = await withStore("journeys", "readonly", (store) => store.get(journeyId));
+  if (copy?.cachedFor !== userId) return null;
+
+  const { cachedFor, ...journey } = copy;
+  return journey;
+}
+
+/* ============================
+   OUTBOX
+   ============================ */
+
+let lastOutboxId = 0;
+
+/**
+ * Id for a new outbox entry: increasing, also across reloads
+ * (entries are replayed in id order)
+ */
+export function nextOutboxId() {
+  lastOutboxId = Math.max(Date.now(), lastOutboxId + 1);
+  return lastOutboxId;
+}
+
+// A user's queued changes, oldest first
+export async function loadOutbox(userId) {
+  const entries = await withStore("outbox", "readonly", (store) => store.getAll(), []);
+  return entries.filter((e) => e.userId === userId).sort((a, b) => a.id - b.id);
+}
+
+// Adds or replaces a queued change
+export function saveOutboxEntry(entry) {
+  return withStore("outbox", "readwrite", (store) => store.put(entry));
+}
+
+// Removes a change once it was sent (or discarded)
+export function removeOutboxEntry(id) {
+  return withStore("outbox", "readwrite", (store) => store.delete(id));
+}
+
+/* ============================
+   SIGN-OUT
+   ============================ */
+
+/**
+ * Forgets what was kept here for a user (on sign-out): their journey
+ * copies and the changes they haven't sent. Untagged ones (saved
+ * before these had a user) go too, as nobody can tell whose they are.
+ */
+export async function clearUserData(userId) {
+  const db = await openDb();
+  if (!db) return;
+
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(["journeys", "outbox"], "readwrite");
+      for (const [name, owner] of [["journeys", "cachedFor"], ["outbox", "userId"]]) {
+        tx.objectStore(name).openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          if (!cursor.value[owner] || cursor.value[owner] === userId) cursor.delete();
+          cursor.continue();
+        };
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => resolve();
+      tx.onabort = () => resolve();
+    } catch {
+      resolve();
+    }
+  });
+}
@@ -0,0 +1,130 @@
+// useSyncExternalStore lets components subscribe to the browser URL
+import { useSyncExternalStore } from "react";
+
+/**
+ * Minimal client-side router
+ * ---------------------------
+ * Supported routes:
+ * - /journeys                              -> journeys index
+ * - /journeys/:journeyId                   -> journey (first stage)
+ * - /journeys/:journeyId/stages/:stageId   -> journey + selected stage
+ * - /journeys/:journeyId/timeline          -> journey activity timeline
+ * - /journeys/:journeyId/graph             -> journey dependency graph
+ * - /journeys/:journeyId/schedule          -> journey Gantt chart
+ * - /journeys/:journeyId/analytics         -> journey progress over time
+ * - /journeys/:journeyId/steps?q=…         -> all steps, filtered (see filters.js)
+ * - /journeys/:journeyId/report?q=…        -> printable report (same filters)
+ * - /my-steps                              -> steps assigned to the signed-in user
+ *
+ * Anything else falls back to the journeys index.
+ */
+
+// Custom event fired on pushState/replaceState (the browser only fires
+// "popstate" for back/forward navigation)
+const NAVIGATE_EVENT = "app:navigate";
+
+/**
+ * Parses a pathname (and query string) into a route object
+ */
+export function parsePath(pathname, search = "") {
+  const parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+
+  if (parts[0] === "journeys" && parts[1]) {
+    return {
+      name: "journey",
+      journeyId: parts[1],
+      stageId: parts[2] === "stages" && parts[3] ? parts[3] : null,
+      view: ["timeline", "graph", "schedule", "analytics", "steps", "report"].includes(parts[2]) ? parts[2] : "stage",
+      search,
+    };
+  }
+
+  if (parts[0] === "my-steps") return { name: "mySteps" };
+
+  return { name: "journeys" };
+}
+
+// Builds the URL for a journey, optionally with a selected stage
+export function journeyPath(journeyId, stageId) {
+  const base = `/journeys/${encodeURIComponent(journeyId)}`;
+  return stageId ? `${base}/stages/${encodeURIComponent(stageId)}` : base;
+}
+
+// URL of a journey's activity timeline
+export function timelinePath(journeyId) {
+  return `/journeys/${encodeURIComponent(journeyId)}/timeline`;
+}
+
+// URL of a journey's step dependency graph
+export function graphPath(journeyId) {
+  return `/journeys/${encodeURIComponent(journeyId)}/graph`;
+}
+
+// URL of a journey's schedule (Gantt chart)
+export function schedulePath(journeyId) {
+  return `/journeys/${encodeURIComponent(journeyId)}/schedule`;
+}
+
+// URL of a journey's analytics (burn-up chart, pace, projection)
+export function analyticsPath(journeyId) {
+  return `/journeys/${encodeURIComponent(journeyId)}/analytics`;
+}
+
+// URL of a journey's all-steps view; query: filters as a query string
+export function stepsPath(journeyId, query = "") {
+  const base = `/journeys/${encodeURIComponent(journeyId)}/steps`;
+  return query ? `${base}?${query}` : base;
+}
+
+// URL of a journey's printable report; query: step filters as a query string
+export function reportPath(journeyId, query = "") {
+  const base = `/journeys/${encodeURIComponent(journeyId)}/report`;
+  return query ? `${base}?${query}` : base;
+}
+
+// URL of the steps assigned to the signed-in user
+export function myStepsPath() {
+  return "/my-steps";
+}
+
+// URL of the journeys index page
+export function journeysPath() {
+  return "/journeys";
+}
+
+/**
+ * Navigates to a new path (optionally with a query string)
+ * without reloading the page
+ * - replace: true -> replaces the current history entry
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (path === getLocation()) return;
+
+  if (replace) window.history.replaceState(null, "", path);
+  else window.history.pushState(null, "", path);
+
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+function subscribe(callback) {
+  window.addEventListener("popstate", callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener("popstate", callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+// Path and query string, e.g. "/journeys/123/steps?status=IN_PROGRESS"
+function getLocation() {
+  return window.location.pathname + window.location.search;
+}
+
+/**
+ * Returns the current route and re-renders when the URL changes
+ */
+export function useRoute() {
+  const location = useSyncExternalStore(subscribe, getLocation);
+  const [pathname, query = ""] = location.split("?");
+  return parsePath(pathname, query ? `?${query}` : "");
+}
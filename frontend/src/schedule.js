@@ -0,0 +1,86 @@
+/**
+ * Schedule helpers
+ * ----------------
+ * Stages and steps may have a start_date and a due_date ("YYYY-MM-DD",
+ * or null). Dates are compared as calendar days in the user's time
+ * zone: "today" is the local date, and day arithmetic is done in UTC
+ * so daylight-saving changes can't shift a date.
+ */
+
+import { isDone } from "./journeyStore";
+import { formatDate, t } from "./i18n";
+
+// Items due within this many days (and not done) are "due soon"
+export const DUE_SOON_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar date as "YYYY-MM-DD"
+export function todayIso(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// Days since the epoch for a "YYYY-MM-DD" date
+export function dayNumber(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+// "YYYY-MM-DD" for a day number (inverse of dayNumber)
+export function fromDayNumber(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Shifts a "YYYY-MM-DD" date by n days
+export function addDays(iso, n) {
+  return fromDayNumber(dayNumber(iso) + n);
+}
+
+/**
+ * Deadline state of a stage or step:
+ * - "overdue": due date passed and not done
+ * - "soon": due within DUE_SOON_DAYS and not done
+ * - null: no due date, done, or not due yet
+ * A step is done when its status is (see isDone); a stage when it is 100%.
+ */
+export function dueState(item, statuses, today = todayIso()) {
+  if (!item?.due_date) return null;
+
+  const done = "step_id" in item ? isDone(statuses, item.status) : item.completion_pct >= 100;
+  if (done) return null;
+
+  const left = dayNumber(item.due_date) - dayNumber(today);
+  if (left < 0) return "overdue";
+  if (left <= DUE_SOON_DAYS) return "soon";
+  return null;
+}
+
+// "Mar 1, 2026 → Mar 31, 2026", "from Mar 1, 2026" or "due Mar 31, 2026"
+// in the current locale ("" without dates)
+export function formatDates(item) {
+  const start = formatDate(item.start_date);
+  const due = formatDate(item.due_date);
+  if (start && due) return t("dates.range", { start, due });
+  if (start) return t("dates.from", { start });
+  if (due) return t("dates.due", { due });
+  return "";
+}
+
+// Short label for a deadline state ("overdue" -> "Overdue")
+export function dueLabel(state) {
+  return t(`dates.${state}`);
+}
+
+/**
+ * Counts a stage's own and its steps' overdue / due-soon items
+ * (for the sidebar flag)
+ */
+export function stageDueSummary(stage, statuses, today = todayIso()) {
+  const summary = { overdue: 0, soon: 0 };
+  for (const item of [stage, ...(stage.steps || [])]) {
+    const state = dueState(item, statuses, today);
+    if (state) summary[state] += 1;
+  }
+  return summary;
+}
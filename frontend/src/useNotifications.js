@@ -0,0 +1,77 @@
+// useState holds the loaded notifications; useEffect polls for new ones
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { getNotifications, isAborted, markNotificationsRead } from "./api";
+
+// How often to look for new notifications while the tab is visible (ms)
+const POLL_MS = 30000;
+
+/**
+ * Notification center data
+ * ------------------------
+ * The signed-in user's recent notifications (GET /api/me/notifications):
+ * milestones in their journeys (a step of theirs changed status or is
+ * overdue, a stage or the journey is complete). Loaded on mount, every
+ * POLL_MS while the tab is visible, when the tab is shown again and on
+ * refresh() (e.g. after a live change).
+ *
+ * Returns { notifications, unread, error, refresh, markRead }.
+ * - markRead(ids): marks those notifications read (no ids: all of
+ *   them); optimistic, reloads if the server refuses
+ */
+export default function useNotifications() {
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [error, setError] = useState("");
+
+  // Cancels the load in flight when a newer one starts (or on unmount)
+  const controllerRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    try {
+      // Polled anyway: no retries of its own
+      const data = await getNotifications({ signal: controller.signal, retries: 0 });
+      setNotifications(data.notifications);
+      setUnread(data.unread);
+      setError("");
+    } catch (e) {
+      if (!isAborted(e)) setError(e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    function poll() {
+      if (document.visibilityState === "visible") refresh();
+    }
+
+    refresh();
+    const timer = setInterval(poll, POLL_MS);
+    document.addEventListener("visibilitychange", poll);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", poll);
+      controllerRef.current?.abort();
+    };
+  }, [refresh]);
+
+  const markRead = useCallback(
+    async (ids) => {
+      const affected = (n) => !n.read && (!ids || ids.includes(n.notification_id));
+      setUnread((count) => Math.max(0, count - notifications.filter(affected).length));
+      setNotifications((list) => list.map((n) => (affected(n) ? { ...n, read: true } : n)));
+      try {
+        const data = await markNotificationsRead(ids);
+        setUnread(data.unread);
+      } catch (e) {
+        setError(e.message);
+        refresh();
+      }
+    },
+    [notifications, refresh]
+  );
+
+  return { notifications, unread, error, refresh, markRead };
+}
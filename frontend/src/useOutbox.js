@@ -0,0 +1,254 @@
+// useState mirrors the outbox for rendering; useRef holds the live queue
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import {
+  loadOutbox,
+  nextOutboxId,
+  removeOutboxEntry,
+  saveOutboxEntry,
+} from "./offline";
+
+// Wait this long before trying again while the server is unreachable (ms)
+const RETRY_MS = 10000;
+
+// True when a failed request should be retried later rather than
+// reported: no response at all, or the server/proxy is down (5xx)
+export function isUnreachable(error) {
+  return !error.status || error.status >= 500;
+}
+
+/**
+ * Persistent mutation outbox
+ * --------------------------
+ * Changes are queued as plain data and sent one at a time, in order.
+ * The queue is saved in IndexedDB, so changes made offline survive a
+ * reload and are replayed when the server can be reached again.
+ *
+ * An entry: { id, userId, journeyId, label, url, method, body, failMessage, version }
+ * (version: ["steps" | "stages", id, base version] for If-Match, or null;
+ * a batch has `versions` instead, one per operation)
+ *
+ * Options:
+ * - userId: the signed-in user; only their saved changes are restored
+ *   and replayed (the app is mounted per user, see AuthGate)
+ * - sendChange(entry): performs the request, resolves with the response
+ *   body; throws an error with .status (and .detail) when rejected
+ * - onDrained(): called whenever the queue becomes empty
+ *
+ * When the session ends (401) sending stops for good: the queue stays
+ * saved for this user and is replayed once they sign in again.
+ *
+ * enqueue(change) resolves with the response body once sent, or rejects
+ * with the server's error. Changes replayed from an earlier visit have
+ * nobody waiting for them: their rejections are listed in `rejected`
+ * so the user can retry or dismiss them.
+ */
+export default function useOutbox({ userId, sendChange, onDrained }) {
+  // Server reachable (as far as the last request could tell)
+  const [online, setOnline] = useState(
+    typeof navigator === "undefined" ? true : navigator.onLine !== false
+  );
+
+  // Queued changes (state copy for rendering) and rejected replays
+  const [entries, setEntries] = useState([]);
+  const [rejected, setRejected] = useState([]);
+
+  const queueRef = useRef([]);
+  const waitersRef = useRef(new Map());
+  const flushingRef = useRef(false);
+  const inFlightRef = useRef(null);
+  const retryTimerRef = useRef(null);
+
+  // The session ended: nothing more is sent from this queue
+  const signedOutRef = useRef(false);
+
+  // Queue restored from IndexedDB (flushing waits for it)
+  const loadedRef = useRef(null);
+
+  // Latest callbacks, so the queue always calls the current render's
+  const optionsRef = useRef({ sendChange, onDrained });
+  optionsRef.current = { sendChange, onDrained };
+
+  const sync = useCallback(() => setEntries([...queueRef.current]), []);
+
+  // Removes an entry from the queue and from storage
+  const settle = useCallback(
+    (id) => {
+      queueRef.current = queueRef.current.filter((e) => e.id !== id);
+      waitersRef.current.delete(id);
+      removeOutboxEntry(id);
+      sync();
+    },
+    [sync]
+  );
+
+  /**
+   * Sends queued changes until the queue is empty or the server
+   * turns out to be unreachable (then retried after RETRY_MS)
+   */
+  const flush = useCallback(async () => {
+    if (flushingRef.current || signedOutRef.current) return;
+    flushingRef.current = true;
+    clearTimeout(retryTimerRef.current);
+
+    try {
+      await loadedRef.current;
+
+      while (queueRef.current.length) {
+        const entry = queueRef.current[0];
+        const waiter = waitersRef.current.get(entry.id);
+        inFlightRef.current = entry.id;
+
+        try {
+          const data = await optionsRef.current.sendChange(entry);
+          setOnline(true);
+          settle(entry.id);
+          waiter?.resolve(data);
+        } catch (e) {
+          // Signed out meanwhile (see api.js): kept for this user's next sign-in
+          if (e.status === 401) {
+            signedOutRef.current = true;
+            return;
+          }
+
+          if (isUnreachable(e)) {
+            setOnline(false);
+            retryTimerRef.current = setTimeout(flush, RETRY_MS);
+            return;
+          }
+
+          setOnline(true);
+          settle(entry.id);
+          if (waiter) waiter.reject(e);
+          else setRejected((list) => [...list, { entry, error: e }]);
+        }
+      }
+    } finally {
+      inFlightRef.current = null;
+      flushingRef.current = false;
+    }
+
+    optionsRef.current.onDrained?.();
+  }, [settle]);
+
+  // Adds an entry to the end of the queue (saved) and starts sending
+  const push = useCallback(
+    (change) => {
+      const entry = { ...change, id: nextOutboxId(), userId, createdAt: new Date().toISOString() };
+      queueRef.current = [...queueRef.current, entry];
+      saveOutboxEntry(entry);
+      sync();
+      return entry;
+    },
+    [sync, userId]
+  );
+
+  // Queues a change; resolves/rejects once the server answered it
+  const enqueue = useCallback(
+    (change) => {
+      const entry = push(change);
+      const done = new Promise((resolve, reject) => {
+        waitersRef.current.set(entry.id, { resolve, reject });
+      });
+
+      flush();
+      return done;
+    },
+    [flush, push]
+  );
+
+  // Drops a queued change that hasn't been sent (not the one in flight)
+  const discard = useCallback(
+    (id) => {
+      if (id === inFlightRef.current) return;
+
+      const waiter = waitersRef.current.get(id);
+      settle(id);
+      waiter?.reject(Object.assign(new Error("Change discarded"), { discarded: true }));
+      if (!queueRef.current.length) optionsRef.current.onDrained?.();
+    },
+    [settle]
+  );
+
+  // Sends a rejected replay again, without its version check
+  // (overwrites whatever changed on the server meanwhile)
+  const retryRejected = useCallback(
+    (id) => {
+      const item = rejected.find((r) => r.entry.id === id);
+      if (!item) return;
+
+      // Nobody waits for it, so a second rejection is listed again
+      setRejected((list) => list.filter((r) => r !== item));
+      push({ ...item.entry, version: null, versions: null });
+      flush();
+    },
+    [flush, push, rejected]
+  );
+
+  // Forgets a rejected replay
+  const dismissRejected = useCallback((id) => {
+    setRejected((list) => list.filter((r) => r.entry.id !== id));
+  }, []);
+
+  // The server answered / failed to answer a request made elsewhere
+  const markOnline = useCallback(() => setOnline(true), []);
+  const markOffline = useCallback(() => {
+    setOnline(false);
+    if (!flushingRef.current) {
+      clearTimeout(retryTimerRef.current);
+      retryTimerRef.current = setTimeout(flush, RETRY_MS);
+    }
+  }, [flush]);
+
+  // Forgets the queued changes and rejected replays (signing out
+  // without sending them; their saved copies go with clearUserData)
+  const clear = useCallback(() => {
+    queueRef.current = [];
+    waitersRef.current.clear();
+    clearTimeout(retryTimerRef.current);
+    setRejected([]);
+    sync();
+  }, [sync]);
+
+  // True while changes are waiting to be sent
+  const isBusy = useCallback(() => queueRef.current.length > 0, []);
+
+  // True if changes for this journey are still queued (after restoring the queue)
+  const hasPendingFor = useCallback(async (journeyId) => {
+    await loadedRef.current;
+    return queueRef.current.some((e) => e.journeyId === journeyId);
+  }, []);
+
+  // Restore the saved queue once, then replay it
+  useEffect(() => {
+    loadedRef.current = loadOutbox(userId).then((saved) => {
+      const queued = new Set(queueRef.current.map((e) => e.id));
+      queueRef.current = [...saved.filter((e) => !queued.has(e.id)), ...queueRef.current];
+      sync();
+    });
+    flush();
+
+    // Try right away when the browser reports the network is back
+    window.addEventListener("online", flush);
+    return () => {
+      window.removeEventListener("online", flush);
+      clearTimeout(retryTimerRef.current);
+    };
+  }, [flush, sync, userId]);
+
+  return {
+    online,
+    entries,
+    rejected,
+    enqueue,
+    flush,
+    discard,
+    clear,
+    retryRejected,
+    dismissRejected,
+    markOnline,
+    markOffline,
+    isBusy,
+    hasPendingFor,
+  };
+}
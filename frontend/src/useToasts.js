@@ -0,0 +1,45 @@
+// useState holds the visible toasts; useRef keeps the id counter and timers
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// How long a toast stays on screen (ms); errors stay a bit longer
+const DURATION = { info: 5000, success: 4000, error: 8000 };
+
+/**
+ * Non-blocking notifications (replaces alert())
+ * ----------------------------------------------
+ * notify({ message, kind?, action? })
+ * - kind: "info" (default) | "success" | "error"
+ * - action: optional { label, onClick } button (e.g. "Undo")
+ *
+ * Returns { toasts, notify, dismiss }.
+ */
+export default function useToasts() {
+  const [toasts, setToasts] = useState([]);
+
+  const nextId = useRef(1);
+  const timers = useRef(new Map());
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts((list) => list.filter((t) => t.id !== id));
+  }, []);
+
+  const notify = useCallback(
+    ({ message, kind = "info", action = null }) => {
+      const id = nextId.current++;
+      setToasts((list) => [...list, { id, message, kind, action }]);
+      timers.current.set(id, setTimeout(() => dismiss(id), DURATION[kind] ?? DURATION.info));
+      return id;
+    },
+    [dismiss]
+  );
+
+  // Clear pending timers on unmount
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach((t) => clearTimeout(t));
+  }, []);
+
+  return { toasts, notify, dismiss };
+}
@@ -0,0 +1,200 @@
+// useState re-renders on scroll; useLayoutEffect measures the rendered rows
+import { createElement, useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+
+// Shorter lists render every row (nothing to gain)
+const MIN_ROWS = 60;
+
+// Rows rendered beyond the visible ones, above and below
+const OVERSCAN = 8;
+
+// Nearest ancestor that scrolls (null: the window)
+function scrollParent(el) {
+  for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+    if (/auto|scroll/.test(getComputedStyle(node).overflowY)) return node;
+  }
+  return null;
+}
+
+// First index whose row ends below `y` (tops: row offsets, one extra at the end)
+function rowAt(tops, y) {
+  let low = 0;
+  let high = tops.length - 2;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (tops[mid + 1] <= y) low = mid + 1;
+    else high = mid;
+  }
+  return Math.max(0, low);
+}
+
+/**
+ * Virtualized list
+ * ----------------
+ * Renders only the rows of a long list that are on screen (plus
+ * OVERSCAN), with spacer rows standing in for the others, so lists of
+ * thousands of stages or steps stay smooth. Rows may differ in height:
+ * each is measured once rendered (until then `estimate` is assumed).
+ * The list scrolls with its nearest scrolling ancestor or the window.
+ * The focused row and the `keep` row (e.g. the one being dragged) stay
+ * rendered when scrolled away, so focus and drag-and-drop survive.
+ * Lists under MIN_ROWS are rendered in full.
+ *
+ * Rows must carry data-index={index} (and aria-posinset / aria-setsize,
+ * so screen readers still announce the whole list).
+ *
+ * Returns { ref, rows, focus, first, last }.
+ * - ref: callback ref for the list element
+ * - rows(renderRow): the rows to render, renderRow(index) -> element
+ * - focus(index, selector): scrolls to the row (clamped) and focuses it,
+ *   or the element in it matching selector, once it is rendered
+ * - first / last: the rows in view, plus OVERSCAN (every row of a
+ *   short list), e.g. to fetch what they show
+ */
+export default function useVirtualList(count, { estimate = 60, keep = -1 } = {}) {
+  const [list, setList] = useState(null);
+  const virtual = count >= MIN_ROWS;
+
+  // Visible part of the list, in px from its top
+  const [view, setView] = useState({ top: 0, bottom: 0 });
+
+  // Bumped to re-render after new measurements or a focus request
+  const [, setRenders] = useState(0);
+
+  // Measured row heights by index, the gap between rows, the focused row
+  const heights = useRef([]);
+  const gap = useRef(0);
+  const focused = useRef(-1);
+
+  // Row to focus once rendered: { index, selector }
+  const pending = useRef(null);
+
+  // Row offsets (one extra at the end: the list's height plus a gap)
+  const tops = [0];
+  for (let i = 0; i < count; i += 1) {
+    tops.push(tops[i] + (heights.current[i] ?? estimate) + gap.current);
+  }
+
+  // Rows in view (plus OVERSCAN)
+  const first = virtual ? Math.max(0, rowAt(tops, view.top) - OVERSCAN) : 0;
+  const last = virtual ? Math.min(count - 1, rowAt(tops, view.bottom) + OVERSCAN) : count - 1;
+
+  const update = useCallback(() => {
+    if (!list) return;
+    const parent = scrollParent(list);
+    const box = list.getBoundingClientRect();
+    const top = (parent ? parent.getBoundingClientRect().top : 0) - box.top;
+    const bottom = (parent ? parent.getBoundingClientRect().bottom : window.innerHeight) - box.top;
+    setView((old) => (old.top === top && old.bottom === bottom ? old : { top, bottom }));
+  }, [list]);
+
+  // Follows scrolling and resizing (at most once per frame) and which
+  // row has focus
+  useEffect(() => {
+    if (!list || !virtual) return undefined;
+    const target = scrollParent(list) || window;
+    let frame = 0;
+    function schedule() {
+      if (!frame) frame = requestAnimationFrame(() => {
+        frame = 0;
+        update();
+      });
+    }
+    function focusIn(e) {
+      const row = e.target.closest("[data-index]");
+      if (row?.parentElement === list) focused.current = Number(row.dataset.index);
+    }
+
+    update();
+    target.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    list.addEventListener("focusin", focusIn);
+    return () => {
+      cancelAnimationFrame(frame);
+      target.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+      list.removeEventListener("focusin", focusIn);
+    };
+  }, [list, virtual, update]);
+
+  // Element to focus in row `index` (null while it isn't rendered)
+  function focusTarget(index, selector) {
+    const row = list.querySelector(`:scope > [data-index="${index}"]`);
+    return row && (row.matches(selector) ? row : row.querySelector(selector));
+  }
+
+  // Measures the rendered rows (a changed height re-renders with it) and
+  // focuses the row asked for once it is there; focusing scrolls to it
+  useLayoutEffect(() => {
+    if (!list) return;
+    if (virtual) {
+      gap.current = parseFloat(getComputedStyle(list).rowGap) || 0;
+      let changed = false;
+      for (const row of list.querySelectorAll(":scope > [data-index]")) {
+        const index = Number(row.dataset.index);
+        const height = row.getBoundingClientRect().height;
+        if (Math.abs((heights.current[index] ?? -1) - height) > 0.5) {
+          heights.current[index] = height;
+          changed = true;
+        }
+      }
+      // Rows move when the list is reordered
+      const row = document.activeElement?.closest("[data-index]");
+      if (row?.parentElement === list) focused.current = Number(row.dataset.index);
+      if (changed) setRenders((n) => n + 1);
+    }
+
+    if (pending.current) {
+      const target = focusTarget(pending.current.index, pending.current.selector);
+      if (target) {
+        pending.current = null;
+        target.focus();
+      }
+    }
+  });
+
+  function rows(renderRow) {
+    if (!virtual) return Array.from({ length: count }, (_, index) => renderRow(index));
+
+    const shown = new Set();
+    for (let i = first; i <= last; i += 1) shown.add(i);
+    for (const i of [keep, focused.current, pending.current?.index]) {
+      if (i >= 0 && i < count) shown.add(i);
+    }
+
+    // Rows in order, a spacer where rows are left out
+    const out = [];
+    let next = 0;
+    for (const index of [...shown].sort((a, b) => a - b)) {
+      if (index > next) out.push(spacer(next, index));
+      out.push(renderRow(index));
+      next = index + 1;
+    }
+    if (next < count) out.push(spacer(next, count));
+    return out;
+  }
+
+  // Stands in for rows from..to-1 (its own gaps count as theirs)
+  function spacer(from, to) {
+    return createElement("li", {
+      key: `spacer:${from}`,
+      className: "virtualSpacer",
+      "aria-hidden": true,
+      style: { height: Math.max(0, tops[to] - tops[from] - gap.current) },
+    });
+  }
+
+  function focus(index, selector) {
+    if (!list || !count) return;
+    const target = Math.max(0, Math.min(index, count - 1));
+    const el = focusTarget(target, selector);
+    if (el) {
+      el.focus();
+    } else {
+      // Rendered (see rows) and focused after the next render
+      pending.current = { index: target, selector };
+      setRenders((n) => n + 1);
+    }
+  }
+
+  return { ref: setList, rows, focus, first, last };
+}